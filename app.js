@@ -42,6 +42,10 @@ class httpApiWorker {
     vm.app.use(helmet.frameguard({
       action: 'deny'
     }))
+    // req.ip only follows X-Forwarded-For through the configured proxies
+    if (__config.trustProxy) {
+      vm.app.set('trust proxy', __config.trustProxy)
+    }
     vm.app.set('views', path.join(process.env.PWD, 'views'))
     vm.app.set('view engine', 'hbs')
     vm.app.use((req, res, next) => {
@@ -109,6 +113,7 @@ class httpApiWorker {
       vm.app.server = http.createServer(vm.app)
       vm.app.server.listen(__config.port)
       vm.app.server.timeout = __constants.SERVER_TIMEOUT
+      if (__config.campaignScheduler.enabled) require('./services/campaigns/campaignSchedulerService').start()
     }
     const apiPrefix = __config.addBaseUrlPrefix === true ? '/' + __config.api_prefix : ''
     console.log('Application listening on Port :', __config.port, '\nApplication Test URL : ', __config.base_url + apiPrefix + '/api/healthCheck/getping')
@@ -64,6 +64,329 @@ const MOCK_CONFIG = {
   MOCK_ACCOUNT_NUMBER: '2323230072281147'
 }
 
+const CAMPAIGN_LIFECYCLE = {
+  STATUSES: ['draft', 'pending_review', 'active', 'paused', 'completed', 'cancelled'],
+  INITIAL_STATUS: 'draft',
+  // Allowed next statuses for each status; completed and cancelled are terminal
+  TRANSITIONS: {
+    draft: ['pending_review', 'cancelled'],
+    pending_review: ['draft', 'active', 'cancelled'],
+    active: ['paused', 'completed', 'cancelled'],
+    paused: ['active', 'completed', 'cancelled'],
+    completed: [],
+    cancelled: []
+  }
+}
+
+const CAMPAIGN_PIPELINE = {
+  // Ordered: automatic updates only ever move a creator forward in this list
+  STAGES: ['shortlist', 'contacted', 'negotiating', 'contracted', 'live', 'paid']
+}
+
+const CAMPAIGN_DELIVERABLES = {
+  STATUSES: ['pending', 'submitted', 'live', 'cancelled'],
+  // Statuses in which a deliverable past its due date counts as overdue
+  OPEN_STATUSES: ['pending'],
+  FORMATS: ['post', 'story', 'reel', 'video', 'short', 'live_stream', 'blog_post'],
+  APPROVAL_STATUSES: ['not_submitted', 'in_review', 'changes_requested', 'approved'],
+  REVIEW_DECISIONS: ['approve', 'request_changes']
+}
+
+const RECOMMENDATION_SCORING = {
+  // Bump whenever factors, formulas or default weights change
+  VERSION: '2.1.0',
+  // Neutral score for a factor that cannot be computed from the available data
+  UNKNOWN_FACTOR_SCORE: 0.5,
+  // Recommendations kept when they are regenerated for a saved campaign
+  SAVED_RECOMMENDATIONS_LIMIT: 30,
+  DEFAULT_WEIGHTS: {
+    search_relevance: 0.25,
+    audience_alignment: 0.2,
+    content_fit: 0.15,
+    budget_fit: 0.15,
+    collaboration_history: 0.1,
+    engagement_quality: 0.1,
+    growth_momentum: 0.05
+  }
+}
+
+const CAMPAIGN_MIX_OPTIMIZER = {
+  // Alternative plans are built at these multiples of the campaign budget
+  BUDGET_LEVELS: [0.75, 1, 1.25],
+  // Objective: weighted sum of campaign fit score and reach (normalized to the largest candidate)
+  OBJECTIVE_WEIGHTS: {
+    fit_score: 0.7,
+    reach: 0.3
+  },
+  TIERS: ['micro', 'macro', 'mega']
+}
+
+const CAMPAIGN_PERFORMANCE = {
+  // Counters are cumulative: the latest snapshot of a deliverable is its current result
+  COUNT_FIELDS: ['impressions', 'views', 'likes', 'comments', 'shares', 'clicks', 'conversions'],
+  AMOUNT_FIELDS: ['spend', 'revenue'],
+  ENGAGEMENT_FIELDS: ['likes', 'comments', 'shares'],
+  SOURCES: ['api', 'csv'],
+  MAX_ROWS_PER_UPLOAD: 5000
+}
+
+const TRACKING_LINKS = {
+  // Unambiguous characters only, since codes are read aloud and typed by hand
+  CODE_ALPHABET: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789',
+  SHORT_CODE_LENGTH: 8,
+  PROMO_CODE_SUFFIX_LENGTH: 4,
+  REDIRECT_PATH: '/api/tracking/r'
+}
+
+const CAMPAIGN_CALENDAR = {
+  EVENT_TYPES: [
+    'campaign_start',
+    'campaign_end',
+    'deliverable_due',
+    'call_scheduled',
+    'contract_signature_due',
+    'follow_up_due'
+  ],
+  // Window used when no range is given, in days around today
+  DEFAULT_DAYS_BEFORE: 30,
+  DEFAULT_DAYS_AFTER: 90,
+  MAX_RANGE_DAYS: 731,
+  // Wider window for subscribed .ics feeds
+  FEED_DAYS_BEFORE: 90,
+  FEED_DAYS_AFTER: 365
+}
+
+const CAMPAIGN_SCHEDULER = {
+  // Days before end_date at which owners are reminded about unfinished deliverables
+  REMINDER_DAYS_BEFORE_END: [7, 2],
+  // Deliverable statuses that still need work from the creator
+  INCOMPLETE_DELIVERABLE_STATUSES: ['pending', 'submitted'],
+  // pg advisory lock so only one app instance runs a tick at a time
+  ADVISORY_LOCK_KEY: 734512001,
+  RECENT_EVENTS_LIMIT: 20
+}
+
+const CURRENCY = {
+  // fx_rates stores how many units of each currency buy one unit of the base currency
+  BASE_CURRENCY: 'USD',
+  // Used when a campaign or creator price has no currency
+  DEFAULT_CURRENCY: 'USD',
+  RATE_CACHE_SECONDS: 300,
+  // Budget-based follower tiers, in the base currency
+  BUDGET_TIER_LIMITS: { MICRO: 500, MACRO: 2000 },
+  // RazorpayX only pays out in INR
+  PAYOUT_CURRENCY: 'INR'
+}
+
+const CAMPAIGN_DOCUMENTS = {
+  MAX_FILES: 10,
+  MAX_FILE_SIZE_MB: 10,
+  // Merged text sent to the extraction prompt; the full text of every file is stored
+  MAX_PROMPT_CHARS: 120000,
+  // Supported formats by file extension, with the MIME types clients send for them
+  FORMATS: {
+    txt: ['text/plain'],
+    md: ['text/markdown', 'text/x-markdown'],
+    html: ['text/html', 'application/xhtml+xml'],
+    rtf: ['application/rtf', 'text/rtf'],
+    csv: ['text/csv', 'application/csv', 'application/vnd.ms-excel'],
+    pdf: ['application/pdf'],
+    doc: ['application/msword'],
+    docx: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    pptx: ['application/vnd.openxmlformats-officedocument.presentationml.presentation']
+  },
+  EXTENSION_ALIASES: { markdown: 'md', htm: 'html', text: 'txt' },
+  // Limits on zip-based formats (PPTX), so a small upload can't decompress into gigabytes
+  MAX_ZIP_ENTRIES: 1000,
+  MAX_ZIP_ENTRY_MB: 20,
+  MAX_ZIP_TOTAL_MB: 50
+}
+
+const CAMPAIGN_REVISIONS = {
+  // Brief content captured in each revision; status and creator selection have their own history
+  TRACKED_FIELDS: [
+    'campaign_name', 'campaign_type', 'description', 'objectives', 'budget', 'currency',
+    'start_date', 'end_date', 'target_audience', 'requirements', 'content_guidelines',
+    'hashtags', 'mention_requirements', 'approval_required', 'product_id', 'event_date',
+    'event_location', 'ai_extracted_data', 'ai_campaign_analysis', 'product_info'
+  ],
+  // Text columns that hold JSON, parsed so diffs can point at nested fields
+  JSON_TEXT_FIELDS: ['target_audience', 'requirements', 'ai_extracted_data', 'ai_campaign_analysis', 'product_info'],
+  CHANGE_SOURCES: ['create', 'baseline', 'update', 'regenerate_analysis', 'restore']
+}
+
+const COMPETITOR_CONFLICTS = {
+  // 'flag' keeps conflicting creators in recommendations with a warning, 'exclude' removes them
+  HANDLING: ['flag', 'exclude'],
+  DEFAULT_HANDLING: 'flag',
+  // Collaborations with a competitor within this many days count as recent
+  COMPETITOR_LOOKBACK_DAYS: 180,
+  // Pipeline stages in which a creator is committed to another campaign
+  COMMITTED_STAGES: ['contracted', 'live', 'paid'],
+  // Exclusivity keeps applying for this many days after the other campaign ends
+  EXCLUSIVITY_DAYS_AFTER_END: 30
+}
+
+const CREATOR_AVAILABILITY = {
+  // 'unavailable' windows block new bookings, 'tentative' ones only warn
+  WINDOW_STATUSES: ['unavailable', 'tentative'],
+  BLOCKING_WINDOW_STATUSES: ['unavailable'],
+  MAX_WINDOW_DAYS: 366
+}
+
+const CREATOR_MANAGEMENT = {
+  TIERS: ['micro', 'macro', 'mega'],
+  PLATFORMS: ['youtube', 'instagram', 'tiktok', 'twitter'],
+  // Columns of creators that can be edited through the API; JSON_FIELDS are stored as JSONB
+  PROFILE_FIELDS: [
+    'creator_name', 'username', 'bio', 'email', 'business_email', 'profile_image_url',
+    'verification_status', 'last_active_date', 'location_country', 'location_city',
+    'location_timezone', 'languages', 'niche', 'content_categories', 'tier', 'primary_platform',
+    'total_collaborations', 'avg_response_time_hours', 'response_rate_percentage',
+    'avg_delivery_time_days', 'client_satisfaction_score', 'content_examples', 'personality_profile'
+  ],
+  JSON_FIELDS: ['languages', 'content_categories', 'content_examples', 'personality_profile'],
+  // Fields that feed the creator's search embedding or its Pinecone metadata;
+  // platform metrics, pricing and demographics always do
+  SEARCH_FIELDS: [
+    'creator_name', 'bio', 'niche', 'tier', 'primary_platform', 'location_country',
+    'location_city', 'languages', 'content_categories', 'content_examples',
+    'personality_profile', 'verification_status', 'total_collaborations',
+    'client_satisfaction_score'
+  ]
+}
+
+const CREATOR_IMPORT = {
+  MAX_ROWS: 1000,
+  MAX_FILE_SIZE_MB: 5,
+  // Needed to create a creator; rows matching an existing creator may leave them out
+  REQUIRED_FIELDS: ['creator_name', 'username', 'niche', 'tier', 'primary_platform'],
+  // List values in a CSV cell are separated by '|' (a JSON array also works)
+  LIST_FIELDS: ['languages', 'content_categories', 'top_countries', 'interests'],
+  LIST_SEPARATOR: '|',
+  NUMBER_FIELDS: [
+    'total_collaborations', 'avg_response_time_hours', 'response_rate_percentage',
+    'avg_delivery_time_days', 'client_satisfaction_score'
+  ],
+  INTEGER_FIELDS: ['total_collaborations', 'follower_count', 'following_count', 'post_count', 'total_videos'],
+  PERCENTAGE_FIELDS: [
+    'response_rate_percentage', 'engagement_rate', 'age_13_17', 'age_18_24', 'age_25_34',
+    'age_35_44', 'age_45_plus', 'gender_male', 'gender_female', 'gender_other'
+  ],
+  // Metrics that may go down, so they can be negative
+  SIGNED_FIELDS: ['followers_gained_30d'],
+  // Finished embedding jobs kept in memory for status checks
+  EMBEDDING_JOBS_KEPT: 50
+}
+
+const CREATOR_DEDUP = {
+  // Score each matching signal adds to a pair; pairs scoring at least MIN_SCORE are reported
+  SIGNAL_WEIGHTS: {
+    email: 0.6,
+    username: 0.5,
+    platform_handle: 0.5,
+    similar_username: 0.3,
+    similar_name: 0.3
+  },
+  MIN_SCORE: 0.5,
+  MIN_NAME_SIMILARITY: 0.85,
+  MIN_USERNAME_SIMILARITY: 0.85,
+  // Separate words dropped from the start or end of usernames and handles before comparing
+  HANDLE_NOISE_WORDS: ['official', 'real', 'the', 'tv', 'hq'],
+  // Providers that ignore dots in the local part of an address
+  DOTLESS_EMAIL_DOMAINS: ['gmail.com', 'googlemail.com'],
+  // Creators sharing a name or username prefix are only compared when the group is this small
+  MAX_PREFIX_GROUP_SIZE: 200,
+  DEFAULT_LIMIT: 50,
+  MAX_LIMIT: 200
+}
+
+const CREATOR_PORTAL = {
+  // Roles a new user can sign up with; 'admin' and 'agency' are only assigned by admins
+  SIGNUP_ROLES: ['brand', 'creator'],
+  DEFAULT_SIGNUP_ROLE: 'brand',
+  CLAIM_CODE_TTL_MINUTES: 30,
+  MAX_CLAIM_ATTEMPTS: 5,
+  // Claim limits per user and per creator profile, counted over the last CLAIM_WINDOW_HOURS
+  CLAIM_WINDOW_HOURS: 24,
+  MAX_CLAIM_REQUESTS_PER_WINDOW: 5,
+  MAX_FAILED_CLAIM_ATTEMPTS_PER_WINDOW: 10,
+  CLAIM_RESEND_COOLDOWN_SECONDS: 60,
+  // Profile fields a creator can edit themselves (rates go through pricing)
+  EDITABLE_FIELDS: ['bio', 'languages', 'pricing'],
+  PAYOUT_METHODS: ['bank_account', 'vpa'],
+  // Pipeline stages in which the brand has reached out and the creator can respond
+  OFFER_STAGES: ['contacted', 'negotiating'],
+  OFFER_STATUSES: ['accepted', 'declined']
+}
+
+const CREATOR_METRICS_HISTORY = {
+  // What wrote a snapshot
+  SOURCES: ['backfill', 'create', 'update', 'import'],
+  // Relative change in engagement rate over 30 days that counts as rising or declining (%)
+  ENGAGEMENT_TREND_THRESHOLD_PCT: 10,
+  // Monthly follower growth (%) that maps to a full growth_momentum score; the same decline maps to 0
+  GROWTH_SCORE_CAP_PCT: 20,
+  // growth_momentum adjustment for a rising or declining engagement trend
+  ENGAGEMENT_TREND_SCORE_ADJUSTMENT: 0.1,
+  DEFAULT_DAYS: 180,
+  MAX_DAYS: 730
+}
+
+const CREATOR_AUTHENTICITY = {
+  // Bump whenever signals, ranges or weights change
+  VERSION: '1.0.0',
+  // Share of the risk score each signal carries; signals without data are left out and the rest reweighted
+  SIGNAL_WEIGHTS: {
+    views_to_followers: 0.3,
+    likes_to_comments: 0.2,
+    engagement_vs_peers: 0.3,
+    follower_jumps: 0.2
+  },
+  // Risk is 0 inside the healthy range and rises linearly to 1 at the full risk bounds
+  SIGNAL_RANGES: {
+    // Average views per follower
+    views_to_followers: { full_risk_below: 0.01, healthy_from: 0.05 },
+    // Average likes per comment; very high suggests bought likes, very low comment pods or bots
+    likes_to_comments: { full_risk_below: 2, healthy_from: 10, healthy_to: 100, full_risk_above: 300 },
+    // Engagement rate relative to the median of tier/niche peers on the platform
+    engagement_vs_peers: { full_risk_below: 0.1, healthy_from: 0.33, healthy_to: 3, full_risk_above: 5 },
+    // Follower increase (%) between consecutive snapshots taken within FOLLOWER_JUMP_MAX_DAYS
+    follower_jumps: { healthy_to: 10, full_risk_above: 50 }
+  },
+  FOLLOWER_JUMP_MAX_DAYS: 7,
+  // Peers needed for a median; with fewer, the niche is dropped from the peer group
+  MIN_PEERS: 5,
+  // Risk scores at or above these are medium or high
+  RISK_LEVELS: { medium: 0.4, high: 0.7 },
+  // Signals at or above this risk are named in warnings
+  WARNING_SIGNAL_RISK: 0.5
+}
+
+const CREATOR_RATE_CARDS = {
+  // Flat pricing fields used as rates when a creator has no rate card
+  PRICING_FORMATS: {
+    sponsored_post: 'post',
+    story_mention: 'story',
+    video_integration: 'video'
+  },
+  USAGE_RIGHTS: ['paid_ads', 'whitelisting', 'website', 'offline'],
+  MAX_USAGE_MONTHS: 24,
+  MAX_EXCLUSIVITY_MONTHS: 12,
+  MAX_QUOTE_ITEMS: 50,
+  QUOTE_VALID_DAYS: 14,
+  QUOTE_SOURCES: ['api', 'call'],
+  // Deliverables priced for a campaign type when the creator has none planned, e.g. before a call
+  CAMPAIGN_TYPE_DELIVERABLES: {
+    sponsored_post: [{ format: 'post', quantity: 2 }, { format: 'story', quantity: 3 }],
+    product_review: [{ format: 'post', quantity: 1 }, { format: 'story', quantity: 2 }],
+    brand_ambassador: [{ format: 'post', quantity: 3 }, { format: 'story', quantity: 6 }],
+    event_coverage: [{ format: 'post', quantity: 1 }, { format: 'story', quantity: 3 }],
+    content_collaboration: [{ format: 'video', quantity: 1 }]
+  },
+  DEFAULT_CAMPAIGN_DELIVERABLES: [{ format: 'post', quantity: 1 }]
+}
+
 module.exports = {
   RESPONSE_MESSAGES: require('../responses/api-responses'),
   CUSTOM_CONSTANT,
@@ -81,5 +404,26 @@ module.exports = {
   V1,
   ARRAY_OF_MEDIUM,
   RAZORPAY_CONFIG,
-  MOCK_CONFIG
+  MOCK_CONFIG,
+  CAMPAIGN_LIFECYCLE,
+  CAMPAIGN_PIPELINE,
+  CAMPAIGN_DELIVERABLES,
+  RECOMMENDATION_SCORING,
+  CAMPAIGN_MIX_OPTIMIZER,
+  CAMPAIGN_PERFORMANCE,
+  TRACKING_LINKS,
+  CAMPAIGN_CALENDAR,
+  CAMPAIGN_SCHEDULER,
+  CURRENCY,
+  CAMPAIGN_DOCUMENTS,
+  CAMPAIGN_REVISIONS,
+  COMPETITOR_CONFLICTS,
+  CREATOR_AVAILABILITY,
+  CREATOR_MANAGEMENT,
+  CREATOR_PORTAL,
+  CREATOR_IMPORT,
+  CREATOR_DEDUP,
+  CREATOR_METRICS_HISTORY,
+  CREATOR_AUTHENTICITY,
+  CREATOR_RATE_CARDS
 }
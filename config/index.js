@@ -10,6 +10,8 @@ module.exports = {
   api_prefix: appName,
   port: process.env.PORT,
   base_url: process.env.BASE_URL ? process.env.BASE_URL : 'http://localhost:' + process.env.PORT,
+  // Express 'trust proxy': a hop count ('1') or the proxy addresses ('loopback, 10.0.0.0/8')
+  trustProxy: /^\d+$/.test(process.env.TRUST_PROXY) ? +process.env.TRUST_PROXY : process.env.TRUST_PROXY,
   mongo: {
     init: process.env.MONGO_INIT === 'true',
     mongourl: process.env.MONGO_URL
@@ -59,6 +61,14 @@ module.exports = {
     secretId: process.env.VAULT_SECRET_ID,
     vaultPath: process.env.VAULT_PATH
   },
+  tracking: {
+    linkBaseUrl: process.env.TRACKING_LINK_BASE_URL,
+    ipHashSalt: process.env.TRACKING_IP_HASH_SALT
+  },
+  campaignScheduler: {
+    enabled: process.env.CAMPAIGN_SCHEDULER_ENABLED === 'true',
+    intervalMinutes: +process.env.CAMPAIGN_SCHEDULER_INTERVAL_MINUTES || 15
+  },
   addBaseUrlPrefix: process.env.ADD_BASEURL_PREFIX === 'true',
   debugMode: process.env.DEBUG_MODE === 'true',
   userBasedCache: process.env.USER_BASED_CACHE === 'true'
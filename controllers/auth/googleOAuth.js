@@ -26,11 +26,11 @@ class GoogleOAuthController {
    * @memberof -GOOGLE-AUTH-module-
    * @name googleLogin
    * @path {POST} /api/auth/google/login
-   * @description Authenticate user with Google ID token
+   * @description Authenticate user with Google ID token. New users may pass role "creator" to sign up for the creator portal.
    */
   googleLogin = async (req, res) => {
     try {
-      const { idToken, deviceInfo } = req.body;
+      const { idToken, deviceInfo, role } = req.body;
 
       // Verify the Google ID token
       const ticket = await this.client.verifyIdToken({
@@ -57,10 +57,11 @@ class GoogleOAuthController {
         ...deviceInfo,
       };
 
-      // Create or update user
+      // Create or update user; role only applies when signing up
       const user = await authService.createOrUpdateGoogleUser(
         payload,
-        deviceDetails
+        deviceDetails,
+        role
       );
 
       // Generate JWT tokens
@@ -89,6 +90,8 @@ class GoogleOAuthController {
             brand_id: userProfile.brand_id,
             brand_name: userProfile.brand_name,
             brand_verification: userProfile.brand_verification,
+            creator_id: userProfile.creator_id,
+            creator_name: userProfile.creator_name,
           },
           tokens: {
             accessToken,
@@ -237,6 +240,12 @@ class GoogleOAuthController {
                   verification_status: userProfile.brand_verification,
                 }
               : null,
+            creator: userProfile.creator_id
+              ? {
+                  id: userProfile.creator_id,
+                  name: userProfile.creator_name,
+                }
+              : null,
           },
         },
       });
@@ -349,6 +358,11 @@ const googleLoginValidation = {
   properties: {
     idToken: { type: "string", required: true, minLength: 1 },
     deviceInfo: { type: "object", required: false },
+    role: {
+      type: "string",
+      required: false,
+      enum: __constants.CREATOR_PORTAL.SIGNUP_ROLES,
+    },
   },
 };
 
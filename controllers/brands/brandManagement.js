@@ -560,6 +560,192 @@ const getBrandStats = async (req, res) => {
   }
 }
 
+/**
+ * @memberof -BRAND-MANAGEMENT-module-
+ * @name getBrandPreferences
+ * @path {GET} /api/brands/:brandId/preferences
+ * @description Get the influencer preferences used as defaults for campaign recommendations
+ */
+const getBrandPreferences = async (req, res) => {
+  try {
+    const { brandId } = req.params
+    const preferences = await brandService.getBrandPreferences(brandId)
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        brand_id: brandId,
+        preferences,
+        scoring: brandService.resolveScoringWeights(preferences)
+      }
+    })
+  } catch (error) {
+    console.error('Error getting brand preferences:', error)
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: error.message || 'Failed to get brand preferences'
+    })
+  }
+}
+
+/**
+ * @memberof -BRAND-MANAGEMENT-module-
+ * @name updateBrandPreferences
+ * @path {PUT} /api/brands/:brandId/preferences
+ * @description Update the influencer preferences. Campaigns can still override any of them.
+ * competitor_brands and exclusivity_categories drive the conflict checks on recommendations.
+ */
+const updateBrandPreferencesValidation = {
+  type: 'object',
+  required: true,
+  properties: {
+    preferred_niches: { type: 'array', required: false, items: { type: 'string' } },
+    min_followers: { type: ['integer', 'null'], required: false, minimum: 0 },
+    max_followers: { type: ['integer', 'null'], required: false, minimum: 0 },
+    min_engagement_rate: { type: ['number', 'null'], required: false, minimum: 0, maximum: 100 },
+    preferred_platforms: { type: 'array', required: false, items: { type: 'string' } },
+    preferred_locations: { type: 'array', required: false, items: { type: 'string' } },
+    preferred_age_groups: { type: 'array', required: false, items: { type: 'string' } },
+    preferred_gender: { type: 'array', required: false, items: { type: 'string' } },
+    content_style_preferences: { type: 'array', required: false, items: { type: 'string' } },
+    collaboration_history_weight: { type: 'number', required: false, minimum: 0, maximum: 1 },
+    scoring_weights: { type: ['object', 'null'], required: false },
+    competitor_brands: { type: 'array', required: false, maxItems: 50, items: { type: 'string', maxLength: 255 } },
+    exclusivity_categories: { type: 'array', required: false, maxItems: 20, items: { type: 'string', maxLength: 100 } },
+    conflict_handling: { type: 'string', required: false, enum: __constants.COMPETITOR_CONFLICTS.HANDLING }
+  }
+}
+
+const updateBrandPreferences = async (req, res) => {
+  try {
+    const { brandId } = req.params
+    const preferences = await brandService.updateBrandPreferences(
+      brandId,
+      req.body
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: 'Brand preferences updated successfully',
+        preferences,
+        scoring: brandService.resolveScoringWeights(preferences)
+      }
+    })
+  } catch (error) {
+    console.error('Error updating brand preferences:', error)
+
+    if (error.message.includes('not found')) {
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.NO_RECORDS_FOUND,
+        err: error.message
+      })
+    }
+
+    if (
+      error.message.includes('Invalid preferences') ||
+      error.message.includes('Invalid scoring weights') ||
+      error.message.includes('No fields to update')
+    ) {
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+        err: error.message
+      })
+    }
+
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: error.message || 'Failed to update brand preferences'
+    })
+  }
+}
+
+/**
+ * @memberof -BRAND-MANAGEMENT-module-
+ * @name getScoringWeights
+ * @path {GET} /api/brands/:brandId/scoring-weights
+ * @description Get the weights used to score influencer recommendations for this brand
+ */
+const getScoringWeights = async (req, res) => {
+  try {
+    const { brandId } = req.params
+    const result = await brandService.getScoringWeights(brandId)
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: result
+    })
+  } catch (error) {
+    console.error('Error getting scoring weights:', error)
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: error.message || 'Failed to get scoring weights'
+    })
+  }
+}
+
+/**
+ * @memberof -BRAND-MANAGEMENT-module-
+ * @name updateScoringWeights
+ * @path {PUT} /api/brands/:brandId/scoring-weights
+ * @description Set recommendation scoring weights. Omitted factors keep their default weight, null resets all.
+ */
+const updateScoringWeightsValidation = {
+  type: 'object',
+  required: true,
+  properties: {
+    weights: {
+      type: ['object', 'null'],
+      required: true,
+      properties: Object.keys(
+        __constants.RECOMMENDATION_SCORING.DEFAULT_WEIGHTS
+      ).reduce((properties, factor) => {
+        properties[factor] = { type: 'number', minimum: 0 }
+        return properties
+      }, {})
+    }
+  }
+}
+
+const updateScoringWeights = async (req, res) => {
+  try {
+    const { brandId } = req.params
+    const result = await brandService.updateScoringWeights(
+      brandId,
+      req.body.weights
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: 'Scoring weights updated successfully',
+        ...result
+      }
+    })
+  } catch (error) {
+    console.error('Error updating scoring weights:', error)
+
+    if (error.message.includes('not found')) {
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.NO_RECORDS_FOUND,
+        err: error.message
+      })
+    }
+
+    if (error.message.includes('Invalid scoring weights')) {
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+        err: error.message
+      })
+    }
+
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: error.message || 'Failed to update scoring weights'
+    })
+  }
+}
+
 // Helper function to get brand ownership for middleware
 const getBrandOwnerId = async (req) => {
   const brandId = req.params.brandId
@@ -617,6 +803,40 @@ router.post(
   regenerateAIOverview
 )
 
+router.get(
+  '/:brandId/preferences',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireBrandOwnership(getBrandOwnerId),
+  getBrandPreferences
+)
+
+router.put(
+  '/:brandId/preferences',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireBrandOwnership(getBrandOwnerId),
+  jwtAuth.auditLog('UPDATE_BRAND_PREFERENCES'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, updateBrandPreferencesValidation, 'body'),
+  updateBrandPreferences
+)
+
+router.get(
+  '/:brandId/scoring-weights',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireBrandOwnership(getBrandOwnerId),
+  getScoringWeights
+)
+
+router.put(
+  '/:brandId/scoring-weights',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireBrandOwnership(getBrandOwnerId),
+  jwtAuth.auditLog('UPDATE_SCORING_WEIGHTS'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, updateScoringWeightsValidation, 'body'),
+  updateScoringWeights
+)
+
 router.delete(
   '/:brandId',
   jwtAuth.requireBrand(),
@@ -29,7 +29,8 @@ const initiateCallValidationSchema = {
       campaign_id: { type: 'string', required: false }, // ✅ NEW: Optional campaign ID
       agent_id: { type: 'string', required: false },
       custom_message: { type: 'string', required: false },
-      notes: { type: 'string', required: false }
+      notes: { type: 'string', required: false },
+      override_availability: { type: 'boolean', required: false }
     }
   }
 
@@ -45,7 +46,8 @@ const initiateCall = async (req, res) => {
         campaign_id, // ✅ NEW: Campaign ID for dynamic prompts
         agent_id,
         custom_message,
-        notes
+        notes,
+        override_availability
       } = req.body
   
       console.log(`🚀 Initiating call to creator ${creator_id} at ${phone_number}${campaign_id ? ` for campaign ${campaign_id}` : ''}`)
@@ -130,7 +132,8 @@ const initiateCall = async (req, res) => {
         agentId: agent_id,
         customMessage: custom_message,
         notes: notes,
-        initiatedByUserId: req.user?.id || null
+        initiatedByUserId: req.user?.id || null,
+        overrideAvailability: override_availability === true
       })
   
       // ✅ UPDATED: Enhanced response with campaign context
@@ -145,6 +148,10 @@ const initiateCall = async (req, res) => {
         ]
       }
   
+      if (result.availability && result.availability.status !== 'available') {
+        responseData.next_steps.unshift('Review the availability warnings before agreeing dates with the creator')
+      }
+  
       // Add campaign-specific guidance if campaign_id was provided
       if (campaign_id && result.campaignContext) {
         responseData.campaign_context = result.campaignContext
@@ -166,6 +173,14 @@ const initiateCall = async (req, res) => {
       })
     } catch (err) {
       console.error('Error initiating call:', err)
+
+      if (err.message && err.message.startsWith('Creator unavailable')) {
+        return res.sendJson({
+          type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+          err: [`${err.message}. Pass override_availability: true to call anyway.`]
+        })
+      }
+
       return res.sendJson({
         type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR,
         err: err.message || err
@@ -188,7 +203,8 @@ const initiateCall = async (req, res) => {
       phone_number: { type: 'string', required: true },
       agent_id: { type: 'string', required: false },
       custom_message: { type: 'string', required: false },
-      notes: { type: 'string', required: false }
+      notes: { type: 'string', required: false },
+      override_availability: { type: 'boolean', required: false }
     }
   }
   
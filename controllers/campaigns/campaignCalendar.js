@@ -0,0 +1,172 @@
+// controllers/campaigns/campaignCalendar.js
+// Mounted before campaignManagement.js so /calendar is not taken for a :campaignId
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const jwtAuth = require('../../middlewares/auth/jwtAuthMiddleware')
+const campaignCalendarService = require('../../services/campaigns/campaignCalendarService')
+
+/**
+ * @namespace -CAMPAIGN-CALENDAR-MODULE-
+ * @description API's related to the cross-campaign calendar and its iCalendar feed.
+ */
+
+// Map service errors to API responses
+const sendCalendarError = (res, error, fallbackMessage) => {
+  if (error.message.includes('not found')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.NO_RECORDS_FOUND,
+      err: error.message
+    })
+  }
+
+  if (error.message.includes('Invalid calendar')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+      err: error.message
+    })
+  }
+
+  return res.sendJson({
+    type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+    err: fallbackMessage
+  })
+}
+
+/**
+ * @memberof -CAMPAIGN-CALENDAR-module-
+ * @name getCalendar
+ * @path {GET} /api/campaigns/calendar
+ * @description Campaign start/end dates, deliverable due dates, scheduled calls, contract signature deadlines and follow-ups across the user's brands
+ */
+const getCalendarValidation = {
+  type: 'object',
+  required: false,
+  properties: {
+    brand_id: { type: 'string', required: false },
+    from: { type: 'string', required: false, format: 'date' },
+    to: { type: 'string', required: false, format: 'date' },
+    types: { type: 'string', required: false }
+  }
+}
+
+const getCalendar = async (req, res) => {
+  try {
+    const calendar = await campaignCalendarService.getCalendarEvents(
+      req.user.id,
+      req.user.role,
+      req.query
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: calendar
+    })
+  } catch (error) {
+    console.error('Error getting campaign calendar:', error)
+    return sendCalendarError(res, error, 'Failed to get campaign calendar')
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-CALENDAR-module-
+ * @name createCalendarFeed
+ * @path {POST} /api/campaigns/calendar/feed
+ * @description Create a private .ics feed URL for calendar apps. Any previous feed URL stops working.
+ */
+const createCalendarFeed = async (req, res) => {
+  try {
+    const feed = await campaignCalendarService.createFeedToken(req.user.id)
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: 'Calendar feed created. Keep this URL private: anyone with it can read your campaign calendar.',
+        feed_url: feed.feed_url
+      }
+    })
+  } catch (error) {
+    console.error('Error creating calendar feed:', error)
+    return sendCalendarError(res, error, 'Failed to create calendar feed')
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-CALENDAR-module-
+ * @name revokeCalendarFeed
+ * @path {DELETE} /api/campaigns/calendar/feed
+ * @description Revoke the current user's .ics feed URL
+ */
+const revokeCalendarFeed = async (req, res) => {
+  try {
+    const result = await campaignCalendarService.revokeFeedToken(req.user.id)
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: result
+    })
+  } catch (error) {
+    console.error('Error revoking calendar feed:', error)
+    return sendCalendarError(res, error, 'Failed to revoke calendar feed')
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-CALENDAR-module-
+ * @name getCalendarFeed
+ * @path {GET} /api/campaigns/calendar/feed/:token.ics
+ * @description iCalendar feed for calendar app subscriptions. The token in the URL is the only credential.
+ * Public and unthrottled: jwtAuth.rateLimit is a pass-through in this app, so every hit runs the calendar
+ * queries, and with a valid token also updates the feed's last_accessed_at.
+ */
+const getCalendarFeed = async (req, res) => {
+  try {
+    const ics = await campaignCalendarService.getFeed(req.params.token)
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8')
+    res.setHeader('Content-Disposition', 'inline; filename="campaign-calendar.ics"')
+    res.setHeader('Cache-Control', 'no-store')
+    res.send(ics)
+  } catch (error) {
+    console.error('Error getting calendar feed:', error)
+
+    if (error.message.includes('not found')) {
+      return res.status(404).send('Calendar feed not found')
+    }
+
+    return res.status(500).send('Failed to build calendar feed')
+  }
+}
+
+router.use(jwtAuth.securityHeaders())
+
+router.get(
+  '/calendar',
+  jwtAuth.requireBrand(),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, getCalendarValidation, 'query'),
+  getCalendar
+)
+
+router.post(
+  '/calendar/feed',
+  jwtAuth.requireBrand(),
+  jwtAuth.auditLog('CREATE_CALENDAR_FEED'),
+  createCalendarFeed
+)
+
+router.delete(
+  '/calendar/feed',
+  jwtAuth.requireBrand(),
+  jwtAuth.auditLog('REVOKE_CALENDAR_FEED'),
+  revokeCalendarFeed
+)
+
+router.get(
+  '/calendar/feed/:token.ics',
+  jwtAuth.rateLimit({ maxRequests: 30, windowMinutes: 15, skipAuth: true }),
+  getCalendarFeed
+)
+
+module.exports = router
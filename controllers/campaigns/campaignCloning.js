@@ -0,0 +1,314 @@
+// controllers/campaigns/campaignCloning.js
+// Mounted before campaignManagement.js so /templates is not taken for a :campaignId
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const jwtAuth = require('../../middlewares/auth/jwtAuthMiddleware')
+const campaignService = require('../../services/campaigns/campaignService')
+const campaignTemplateService = require('../../services/campaigns/campaignTemplateService')
+
+/**
+ * @namespace -CAMPAIGN-CLONING-MODULE-
+ * @description API's related to reusing campaigns: brand-level templates and cloning.
+ */
+
+// Map service errors to API responses
+const sendCloningError = (res, error, fallbackMessage) => {
+  if (error.message.includes('not found')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.NO_RECORDS_FOUND,
+      err: error.message
+    })
+  }
+
+  if (error.message.includes('Not authorized')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.ACCESS_DENIED,
+      err: error.message
+    })
+  }
+
+  if (error.message.includes('Invalid template')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+      err: error.message
+    })
+  }
+
+  return res.sendJson({
+    type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+    err: fallbackMessage
+  })
+}
+
+/**
+ * @memberof -CAMPAIGN-CLONING-module-
+ * @name getTemplates
+ * @path {GET} /api/campaigns/templates
+ * @description List the campaign templates of the current user's brands
+ */
+const getTemplatesValidation = {
+  type: 'object',
+  required: false,
+  properties: {
+    brand_id: { type: 'string', required: false },
+    campaign_type: { type: 'string', required: false }
+  }
+}
+
+const getTemplates = async (req, res) => {
+  try {
+    const templates = await campaignTemplateService.getTemplatesForUser(
+      req.user.id,
+      req.query
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: { templates, total: templates.length }
+    })
+  } catch (error) {
+    console.error('Error getting campaign templates:', error)
+    return sendCloningError(res, error, 'Failed to get campaign templates')
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-CLONING-module-
+ * @name createTemplate
+ * @path {POST} /api/campaigns/templates
+ * @description Save an existing campaign as a reusable template for its brand
+ */
+const createTemplateValidation = {
+  type: 'object',
+  required: true,
+  properties: {
+    campaign_id: { type: 'string', required: true },
+    template_name: { type: 'string', required: true, minLength: 3, maxLength: 255 },
+    description: { type: 'string', required: false, maxLength: 2000 }
+  }
+}
+
+const createTemplate = async (req, res) => {
+  try {
+    const template = await campaignTemplateService.createTemplateFromCampaign(
+      req.body.campaign_id,
+      req.user.id,
+      req.user.role,
+      req.body
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: 'Campaign template saved successfully',
+        template
+      }
+    })
+  } catch (error) {
+    console.error('Error creating campaign template:', error)
+    return sendCloningError(res, error, 'Failed to save campaign template')
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-CLONING-module-
+ * @name getTemplate
+ * @path {GET} /api/campaigns/templates/:templateId
+ * @description Get a campaign template
+ */
+const getTemplate = async (req, res) => {
+  try {
+    const template = await campaignTemplateService.getTemplateById(
+      req.params.templateId
+    )
+
+    if (!template) {
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.NO_RECORDS_FOUND,
+        err: 'Template not found'
+      })
+    }
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: { template }
+    })
+  } catch (error) {
+    console.error('Error getting campaign template:', error)
+    return sendCloningError(res, error, 'Failed to get campaign template')
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-CLONING-module-
+ * @name deleteTemplate
+ * @path {DELETE} /api/campaigns/templates/:templateId
+ * @description Delete a campaign template (soft delete)
+ */
+const deleteTemplate = async (req, res) => {
+  try {
+    const result = await campaignTemplateService.deleteTemplate(
+      req.params.templateId
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: result
+    })
+  } catch (error) {
+    console.error('Error deleting campaign template:', error)
+    return sendCloningError(res, error, 'Failed to delete campaign template')
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-CLONING-module-
+ * @name createCampaignFromTemplate
+ * @path {POST} /api/campaigns/templates/:templateId/campaigns
+ * @description Create a new draft campaign from a template. The end date follows the template's duration unless given.
+ */
+const createCampaignFromTemplateValidation = {
+  type: 'object',
+  required: true,
+  properties: {
+    campaign_name: { type: 'string', required: true, minLength: 3, maxLength: 255 },
+    start_date: { type: 'string', required: false, format: 'date' },
+    end_date: { type: 'string', required: false, format: 'date' },
+    product_id: { type: ['string', 'null'], required: false },
+    budget: { type: 'number', required: false }
+  }
+}
+
+const createCampaignFromTemplate = async (req, res) => {
+  try {
+    const campaign = await campaignTemplateService.createCampaignFromTemplate(
+      req.params.templateId,
+      req.user.id,
+      req.body
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: 'Campaign created from template successfully',
+        campaign
+      }
+    })
+  } catch (error) {
+    console.error('Error creating campaign from template:', error)
+    return sendCloningError(res, error, 'Failed to create campaign from template')
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-CLONING-module-
+ * @name cloneCampaign
+ * @path {POST} /api/campaigns/:campaignId/clone
+ * @description Clone a campaign into a new draft. Dates move by shift_days, or so the clone starts on start_date.
+ */
+const cloneCampaignValidation = {
+  type: 'object',
+  required: false,
+  properties: {
+    campaign_name: { type: 'string', required: false, minLength: 3, maxLength: 255 },
+    start_date: { type: 'string', required: false, format: 'date' },
+    shift_days: { type: 'integer', required: false },
+    product_id: { type: ['string', 'null'], required: false }
+  }
+}
+
+const cloneCampaign = async (req, res) => {
+  try {
+    const result = await campaignTemplateService.cloneCampaign(
+      req.params.campaignId,
+      req.user.id,
+      req.user.role,
+      req.body || {}
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: 'Campaign cloned successfully',
+        ...result
+      }
+    })
+  } catch (error) {
+    console.error('Error cloning campaign:', error)
+    return sendCloningError(res, error, 'Failed to clone campaign')
+  }
+}
+
+// Helper function to get campaign ownership for middleware
+const getCampaignOwnerId = async (req) => {
+  const campaignId = req.params.campaignId || req.body.campaign_id
+  const campaign = await campaignService.getCampaignById(campaignId)
+  return campaign ? campaign.brand_owner_id : null
+}
+
+// Helper function to get template ownership for middleware
+const getTemplateOwnerId = async (req) => {
+  const template = await campaignTemplateService.getTemplateById(
+    req.params.templateId
+  )
+  return template ? template.brand_owner_id : null
+}
+
+router.use(jwtAuth.securityHeaders())
+
+router.get(
+  '/templates',
+  jwtAuth.requireBrand(),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, getTemplatesValidation, 'query'),
+  getTemplates
+)
+
+router.post(
+  '/templates',
+  jwtAuth.requireBrand(),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, createTemplateValidation, 'body'),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  jwtAuth.auditLog('CREATE_CAMPAIGN_TEMPLATE'),
+  createTemplate
+)
+
+router.get(
+  '/templates/:templateId',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getTemplateOwnerId),
+  getTemplate
+)
+
+router.delete(
+  '/templates/:templateId',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getTemplateOwnerId),
+  jwtAuth.auditLog('DELETE_CAMPAIGN_TEMPLATE'),
+  deleteTemplate
+)
+
+router.post(
+  '/templates/:templateId/campaigns',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getTemplateOwnerId),
+  jwtAuth.auditLog('CREATE_CAMPAIGN_FROM_TEMPLATE'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, createCampaignFromTemplateValidation, 'body'),
+  createCampaignFromTemplate
+)
+
+router.post(
+  '/:campaignId/clone',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  jwtAuth.auditLog('CLONE_CAMPAIGN'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, cloneCampaignValidation, 'body'),
+  cloneCampaign
+)
+
+module.exports = router
@@ -0,0 +1,230 @@
+// controllers/campaigns/campaignContentApproval.js
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const jwtAuth = require('../../middlewares/auth/jwtAuthMiddleware')
+const campaignService = require('../../services/campaigns/campaignService')
+const contentApprovalService = require('../../services/campaigns/contentApprovalService')
+
+/**
+ * @namespace -CAMPAIGN-CONTENT-APPROVAL-MODULE-
+ * @description API's related to reviewing and approving deliverable content before it goes live.
+ */
+
+// Map service errors to API responses
+const sendApprovalError = (res, error, fallbackMessage) => {
+  if (error.message.includes('not found')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.NO_RECORDS_FOUND,
+      err: error.message
+    })
+  }
+
+  if (
+    error.message.includes('Invalid revision') ||
+    error.message.includes('Invalid review')
+  ) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+      err: error.message
+    })
+  }
+
+  return res.sendJson({
+    type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+    err: fallbackMessage
+  })
+}
+
+/**
+ * @memberof -CAMPAIGN-CONTENT-APPROVAL-module-
+ * @name getRevisions
+ * @path {GET} /api/campaigns/:campaignId/deliverables/:deliverableId/revisions
+ * @description Get all draft revisions of a deliverable with pre-check results and threaded comments
+ */
+const getRevisions = async (req, res) => {
+  try {
+    const { campaignId, deliverableId } = req.params
+    const result = await contentApprovalService.getRevisions(
+      campaignId,
+      deliverableId
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: result
+    })
+  } catch (error) {
+    console.error('Error getting content revisions:', error)
+    return sendApprovalError(res, error, 'Failed to get content revisions')
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-CONTENT-APPROVAL-module-
+ * @name submitRevision
+ * @path {POST} /api/campaigns/:campaignId/deliverables/:deliverableId/revisions
+ * @description Upload a new draft (text and/or link) for review. Runs the automated pre-check.
+ */
+const submitRevisionValidation = {
+  type: 'object',
+  required: true,
+  properties: {
+    content_text: { type: 'string', required: false, maxLength: 10000 },
+    draft_url: { type: 'string', required: false, format: 'uri' },
+    media_urls: { type: 'array', required: false },
+    notes: { type: 'string', required: false, maxLength: 2000 }
+  }
+}
+
+const submitRevision = async (req, res) => {
+  try {
+    const { campaignId, deliverableId } = req.params
+    const result = await contentApprovalService.submitRevision(
+      campaignId,
+      deliverableId,
+      req.user.id,
+      req.body
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: `Revision v${result.revision.version} submitted for review`,
+        ...result
+      }
+    })
+  } catch (error) {
+    console.error('Error submitting content revision:', error)
+    return sendApprovalError(res, error, 'Failed to submit content revision')
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-CONTENT-APPROVAL-module-
+ * @name reviewRevision
+ * @path {POST} /api/campaigns/:campaignId/deliverables/:deliverableId/revisions/:revisionId/review
+ * @description Approve a revision or request changes (comment required)
+ */
+const reviewRevisionValidation = {
+  type: 'object',
+  required: true,
+  properties: {
+    decision: {
+      type: 'string',
+      required: true,
+      enum: __constants.CAMPAIGN_DELIVERABLES.REVIEW_DECISIONS
+    },
+    comment: { type: 'string', required: false, maxLength: 5000 }
+  }
+}
+
+const reviewRevision = async (req, res) => {
+  try {
+    const { campaignId, deliverableId, revisionId } = req.params
+    const result = await contentApprovalService.reviewRevision(
+      campaignId,
+      deliverableId,
+      revisionId,
+      req.user.id,
+      req.body
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message:
+          req.body.decision === 'approve'
+            ? 'Revision approved'
+            : 'Changes requested',
+        ...result
+      }
+    })
+  } catch (error) {
+    console.error('Error reviewing content revision:', error)
+    return sendApprovalError(res, error, 'Failed to review content revision')
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-CONTENT-APPROVAL-module-
+ * @name addRevisionComment
+ * @path {POST} /api/campaigns/:campaignId/deliverables/:deliverableId/revisions/:revisionId/comments
+ * @description Comment on a revision, or reply to an existing comment with parent_comment_id
+ */
+const addRevisionCommentValidation = {
+  type: 'object',
+  required: true,
+  properties: {
+    body: { type: 'string', required: true, minLength: 1, maxLength: 5000 },
+    parent_comment_id: { type: 'number', required: false }
+  }
+}
+
+const addRevisionComment = async (req, res) => {
+  try {
+    const { campaignId, deliverableId, revisionId } = req.params
+    const comment = await contentApprovalService.addComment(
+      campaignId,
+      deliverableId,
+      revisionId,
+      req.user.id,
+      req.body
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: { comment }
+    })
+  } catch (error) {
+    console.error('Error adding revision comment:', error)
+    return sendApprovalError(res, error, 'Failed to add comment')
+  }
+}
+
+// Helper function to get campaign ownership for middleware
+const getCampaignOwnerId = async (req) => {
+  const campaign = await campaignService.getCampaignById(req.params.campaignId)
+  return campaign ? campaign.brand_owner_id : null
+}
+
+router.use(jwtAuth.securityHeaders())
+
+router.get(
+  '/:campaignId/deliverables/:deliverableId/revisions',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  getRevisions
+)
+
+router.post(
+  '/:campaignId/deliverables/:deliverableId/revisions',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  jwtAuth.auditLog('SUBMIT_CONTENT_REVISION'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, submitRevisionValidation, 'body'),
+  submitRevision
+)
+
+router.post(
+  '/:campaignId/deliverables/:deliverableId/revisions/:revisionId/review',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  jwtAuth.auditLog('REVIEW_CONTENT_REVISION'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, reviewRevisionValidation, 'body'),
+  reviewRevision
+)
+
+router.post(
+  '/:campaignId/deliverables/:deliverableId/revisions/:revisionId/comments',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, addRevisionCommentValidation, 'body'),
+  addRevisionComment
+)
+
+module.exports = router
@@ -0,0 +1,299 @@
+// controllers/campaigns/campaignDeliverables.js
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const jwtAuth = require('../../middlewares/auth/jwtAuthMiddleware')
+const campaignService = require('../../services/campaigns/campaignService')
+const deliverableService = require('../../services/campaigns/deliverableService')
+
+/**
+ * @namespace -CAMPAIGN-DELIVERABLES-MODULE-
+ * @description API's related to tracking the posts creators owe a campaign.
+ */
+
+// Map service errors to API responses
+const sendDeliverableError = (res, error, fallbackMessage) => {
+  if (error.message.includes('not found')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.NO_RECORDS_FOUND,
+      err: error.message
+    })
+  }
+
+  if (
+    error.message.includes('Invalid deliverable') ||
+    error.message.includes('No fields to update')
+  ) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+      err: error.message
+    })
+  }
+
+  return res.sendJson({
+    type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+    err: fallbackMessage
+  })
+}
+
+/**
+ * @memberof -CAMPAIGN-DELIVERABLES-module-
+ * @name getDeliverables
+ * @path {GET} /api/campaigns/:campaignId/deliverables
+ * @description List deliverables for a campaign, optionally only overdue ones
+ */
+const getDeliverablesValidation = {
+  type: 'object',
+  required: false,
+  properties: {
+    creator_id: { type: 'string', required: false },
+    status: {
+      type: 'string',
+      required: false,
+      enum: __constants.CAMPAIGN_DELIVERABLES.STATUSES
+    },
+    overdue: { type: 'string', required: false, enum: ['true', 'false'] }
+  }
+}
+
+const getDeliverables = async (req, res) => {
+  try {
+    const { campaignId } = req.params
+    const result = await deliverableService.getDeliverables(
+      campaignId,
+      req.query
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        campaign_id: campaignId,
+        ...result
+      }
+    })
+  } catch (error) {
+    console.error('Error getting deliverables:', error)
+    return sendDeliverableError(res, error, 'Failed to get deliverables')
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-DELIVERABLES-module-
+ * @name createDeliverables
+ * @path {POST} /api/campaigns/:campaignId/deliverables
+ * @description Create deliverables for campaign creators. Required hashtags default to the campaign hashtags.
+ */
+const createDeliverablesValidation = {
+  type: 'object',
+  required: true,
+  properties: {
+    deliverables: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          creator_id: { type: 'string', required: true },
+          platform: { type: 'string', required: true },
+          format: {
+            type: 'string',
+            required: true,
+            enum: __constants.CAMPAIGN_DELIVERABLES.FORMATS
+          },
+          description: { type: 'string', required: false, maxLength: 2000 },
+          due_date: { type: 'string', required: false },
+          required_hashtags: { type: 'array', required: false }
+        }
+      }
+    }
+  }
+}
+
+const createDeliverables = async (req, res) => {
+  try {
+    const { campaignId } = req.params
+    const deliverables = await deliverableService.createDeliverables(
+      campaignId,
+      req.body.deliverables
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: `${deliverables.length} deliverable(s) created successfully`,
+        deliverables
+      }
+    })
+  } catch (error) {
+    console.error('Error creating deliverables:', error)
+    return sendDeliverableError(res, error, 'Failed to create deliverables')
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-DELIVERABLES-module-
+ * @name updateDeliverable
+ * @path {PUT} /api/campaigns/:campaignId/deliverables/:deliverableId
+ * @description Update a deliverable (due date, hashtags, status...)
+ */
+const updateDeliverableValidation = {
+  type: 'object',
+  required: true,
+  properties: {
+    platform: { type: 'string', required: false },
+    format: {
+      type: 'string',
+      required: false,
+      enum: __constants.CAMPAIGN_DELIVERABLES.FORMATS
+    },
+    description: { type: 'string', required: false, maxLength: 2000 },
+    due_date: { type: 'string', required: false },
+    required_hashtags: { type: 'array', required: false },
+    post_url: { type: 'string', required: false },
+    status: {
+      type: 'string',
+      required: false,
+      enum: __constants.CAMPAIGN_DELIVERABLES.STATUSES
+    }
+  }
+}
+
+const updateDeliverable = async (req, res) => {
+  try {
+    const { campaignId, deliverableId } = req.params
+    const deliverable = await deliverableService.updateDeliverable(
+      campaignId,
+      deliverableId,
+      req.body
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: 'Deliverable updated successfully',
+        deliverable
+      }
+    })
+  } catch (error) {
+    console.error('Error updating deliverable:', error)
+    return sendDeliverableError(res, error, 'Failed to update deliverable')
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-DELIVERABLES-module-
+ * @name submitDeliverable
+ * @path {POST} /api/campaigns/:campaignId/deliverables/:deliverableId/submit
+ * @description Submit the URL of the published post for a deliverable
+ */
+const submitDeliverableValidation = {
+  type: 'object',
+  required: true,
+  properties: {
+    post_url: { type: 'string', required: true, format: 'uri' }
+  }
+}
+
+const submitDeliverable = async (req, res) => {
+  try {
+    const { campaignId, deliverableId } = req.params
+    const deliverable = await deliverableService.submitDeliverable(
+      campaignId,
+      deliverableId,
+      req.body.post_url
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: 'Deliverable submitted successfully',
+        deliverable
+      }
+    })
+  } catch (error) {
+    console.error('Error submitting deliverable:', error)
+    return sendDeliverableError(res, error, 'Failed to submit deliverable')
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-DELIVERABLES-module-
+ * @name deleteDeliverable
+ * @path {DELETE} /api/campaigns/:campaignId/deliverables/:deliverableId
+ * @description Delete a deliverable
+ */
+const deleteDeliverable = async (req, res) => {
+  try {
+    const { campaignId, deliverableId } = req.params
+    const result = await deliverableService.deleteDeliverable(
+      campaignId,
+      deliverableId
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: result
+    })
+  } catch (error) {
+    console.error('Error deleting deliverable:', error)
+    return sendDeliverableError(res, error, 'Failed to delete deliverable')
+  }
+}
+
+// Helper function to get campaign ownership for middleware
+const getCampaignOwnerId = async (req) => {
+  const campaign = await campaignService.getCampaignById(req.params.campaignId)
+  return campaign ? campaign.brand_owner_id : null
+}
+
+router.use(jwtAuth.securityHeaders())
+
+router.get(
+  '/:campaignId/deliverables',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, getDeliverablesValidation, 'query'),
+  getDeliverables
+)
+
+router.post(
+  '/:campaignId/deliverables',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  jwtAuth.auditLog('CREATE_DELIVERABLES'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, createDeliverablesValidation, 'body'),
+  createDeliverables
+)
+
+router.put(
+  '/:campaignId/deliverables/:deliverableId',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  jwtAuth.auditLog('UPDATE_DELIVERABLE'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, updateDeliverableValidation, 'body'),
+  updateDeliverable
+)
+
+router.post(
+  '/:campaignId/deliverables/:deliverableId/submit',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, submitDeliverableValidation, 'body'),
+  submitDeliverable
+)
+
+router.delete(
+  '/:campaignId/deliverables/:deliverableId',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  jwtAuth.auditLog('DELETE_DELIVERABLE'),
+  deleteDeliverable
+)
+
+module.exports = router
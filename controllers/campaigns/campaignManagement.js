@@ -284,6 +284,8 @@ const updateCampaignValidation = {
     },
     campaign_type: { type: 'string', required: false },
     status: { type: 'string', required: false },
+    status_reason: { type: 'string', required: false, maxLength: 500 },
+    revision_reason: { type: 'string', required: false, maxLength: 500 },
     product_id: { type: 'string', required: false },
     description: { type: 'string', required: false, maxLength: 2000 },
     objectives: { type: 'string', required: false, maxLength: 1000 },
@@ -329,13 +331,7 @@ const updateCampaign = async (req, res) => {
 
     // Validate status if provided
     if (updateData.status) {
-      const validStatuses = [
-        'draft',
-        'active',
-        'paused',
-        'completed',
-        'cancelled'
-      ]
+      const validStatuses = __constants.CAMPAIGN_LIFECYCLE.STATUSES
       if (!validStatuses.includes(updateData.status)) {
         return res.sendJson({
           type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
@@ -374,6 +370,16 @@ const updateCampaign = async (req, res) => {
       })
     }
 
+    if (
+      error.message.includes('Invalid status transition') ||
+      error.message.includes('Invalid campaign')
+    ) {
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+        err: error.message
+      })
+    }
+
     return res.sendJson({
       type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
       err: error.message || 'Failed to update campaign'
@@ -381,6 +387,45 @@ const updateCampaign = async (req, res) => {
   }
 }
 
+/**
+ * @memberof -CAMPAIGN-MANAGEMENT-module-
+ * @name getCampaignStatusHistory
+ * @path {GET} /api/campaigns/:campaignId/history
+ * @description Get the lifecycle status history of a campaign
+ */
+const getCampaignStatusHistory = async (req, res) => {
+  try {
+    const { campaignId } = req.params
+
+    const campaign = await campaignService.getCampaignById(campaignId)
+    if (!campaign) {
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.NO_RECORDS_FOUND,
+        err: 'Campaign not found'
+      })
+    }
+
+    const history = await campaignService.getCampaignStatusHistory(campaignId)
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        campaign_id: campaignId,
+        current_status: campaign.status,
+        allowed_transitions:
+          __constants.CAMPAIGN_LIFECYCLE.TRANSITIONS[campaign.status] || [],
+        history
+      }
+    })
+  } catch (error) {
+    console.error('Error getting campaign status history:', error)
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: 'Failed to get campaign status history'
+    })
+  }
+}
+
 /**
  * @memberof -CAMPAIGN-MANAGEMENT-module-
  * @name getCampaignRecommendations
@@ -567,7 +612,8 @@ const previewInfluencerMatch = async (req, res) => {
             recommendations.recommendations?.slice(0, max_results) || [],
           search_strategy: {
             query_used: recommendations.search_query_used,
-            filters_applied: recommendations.filters_applied
+            filters_applied: recommendations.filters_applied,
+            filter_sources: recommendations.filter_sources
           },
           preview_note:
             'This is a preview. Create a campaign to save and manage these recommendations.'
@@ -776,6 +822,15 @@ router.put(
   updateCampaign
 )
 
+router.get(
+  '/:campaignId/history',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, getCampaignByIdValidation, 'params'),
+  getCampaignStatusHistory
+)
+
 router.get(
   '/:campaignId/recommendations',
   jwtAuth.requireBrand(),
@@ -0,0 +1,115 @@
+// controllers/campaigns/campaignMixOptimizer.js
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const jwtAuth = require('../../middlewares/auth/jwtAuthMiddleware')
+const campaignService = require('../../services/campaigns/campaignService')
+const creatorMixService = require('../../services/campaigns/creatorMixService')
+
+/**
+ * @namespace -CAMPAIGN-MIX-OPTIMIZER-MODULE-
+ * @description API's related to choosing the best set of recommended creators for a campaign budget.
+ */
+
+/**
+ * @memberof -CAMPAIGN-MIX-OPTIMIZER-module-
+ * @name optimizeMix
+ * @path {POST} /api/campaigns/:campaignId/optimize-mix
+ * @description Pick the recommended creators that maximize fit score and reach within the budget, with alternative plans at other budget levels
+ */
+const quotaSchema = {
+  type: 'object',
+  additionalProperties: {
+    type: 'object',
+    properties: {
+      min: { type: 'integer', minimum: 0 },
+      max: { type: 'integer', minimum: 0 }
+    }
+  }
+}
+
+const optimizeMixValidation = {
+  type: 'object',
+  required: false,
+  properties: {
+    budget: { type: 'number', required: false, minimum: 1 },
+    budget_levels: {
+      type: 'array',
+      required: false,
+      minItems: 1,
+      maxItems: 6,
+      items: { type: 'number', minimum: 0.1, maximum: 5 }
+    },
+    min_creators: { type: 'integer', required: false, minimum: 0 },
+    max_creators: { type: 'integer', required: false, minimum: 1 },
+    platform_quotas: { ...quotaSchema, required: false },
+    tier_mix: { ...quotaSchema, required: false },
+    exclude_creator_ids: { type: 'array', required: false, items: { type: 'string' } },
+    objective_weights: {
+      type: 'object',
+      required: false,
+      properties: {
+        fit_score: { type: 'number', minimum: 0, maximum: 1 },
+        reach: { type: 'number', minimum: 0, maximum: 1 }
+      }
+    }
+  }
+}
+
+const optimizeMix = async (req, res) => {
+  try {
+    const { campaignId } = req.params
+    const result = await creatorMixService.optimizeMix(
+      campaignId,
+      req.user.id,
+      req.user.role,
+      req.body || {}
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: result
+    })
+  } catch (error) {
+    console.error('Error optimizing creator mix:', error)
+
+    if (error.message.includes('not found')) {
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.NO_RECORDS_FOUND,
+        err: error.message
+      })
+    }
+
+    if (error.message.includes('Invalid optimization')) {
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+        err: error.message
+      })
+    }
+
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: 'Failed to optimize creator mix'
+    })
+  }
+}
+
+// Helper function to get campaign ownership for middleware
+const getCampaignOwnerId = async (req) => {
+  const campaign = await campaignService.getCampaignById(req.params.campaignId)
+  return campaign ? campaign.brand_owner_id : null
+}
+
+router.use(jwtAuth.securityHeaders())
+
+router.post(
+  '/:campaignId/optimize-mix',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, optimizeMixValidation, 'body'),
+  optimizeMix
+)
+
+module.exports = router
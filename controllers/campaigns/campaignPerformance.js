@@ -0,0 +1,249 @@
+// controllers/campaigns/campaignPerformance.js
+const express = require('express')
+const router = express.Router()
+const multer = require('multer')
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const uploadErrors = require('../../middlewares/uploadErrors')
+const jwtAuth = require('../../middlewares/auth/jwtAuthMiddleware')
+const campaignService = require('../../services/campaigns/campaignService')
+const performanceService = require('../../services/campaigns/performanceService')
+
+/**
+ * @namespace -CAMPAIGN-PERFORMANCE-MODULE-
+ * @description API's related to post-launch campaign results and ROI reporting.
+ */
+
+// Configure multer for metrics CSV uploads
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['text/csv', 'application/vnd.ms-excel', 'text/plain']
+
+    if (allowedTypes.includes(file.mimetype) || file.originalname.toLowerCase().endsWith('.csv')) {
+      cb(null, true)
+    } else {
+      cb(new Error('Invalid file type. Please upload a CSV file.'), false)
+    }
+  }
+})
+
+const uploadMetricsFile = uploadErrors(upload.single('metrics_file'), {
+  LIMIT_FILE_SIZE: 'File too large: metrics files can be at most 5MB'
+})
+
+// Map service errors to API responses
+const sendPerformanceError = (res, error, fallbackMessage) => {
+  if (error.message.includes('not found')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.NO_RECORDS_FOUND,
+      err: error.message
+    })
+  }
+
+  if (error.message.includes('Not authorized')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.ACCESS_DENIED,
+      err: error.message
+    })
+  }
+
+  if (error.message.includes('Invalid metrics')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+      err: error.message
+    })
+  }
+
+  return res.sendJson({
+    type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+    err: fallbackMessage
+  })
+}
+
+/**
+ * @memberof -CAMPAIGN-PERFORMANCE-module-
+ * @name addMetrics
+ * @path {POST} /api/campaigns/:campaignId/performance/metrics
+ * @description Record metric snapshots for campaign deliverables. Rejects the whole batch if any row is invalid.
+ */
+const metricValue = { type: ['number', 'string', 'null'], required: false }
+
+const addMetricsValidation = {
+  type: 'object',
+  required: true,
+  properties: {
+    metrics: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      maxItems: __constants.CAMPAIGN_PERFORMANCE.MAX_ROWS_PER_UPLOAD,
+      items: {
+        type: 'object',
+        properties: {
+          deliverable_id: { type: ['integer', 'string'], required: true },
+          recorded_at: { type: 'string', required: false, format: 'date-time' },
+          currency: { type: 'string', required: false, maxLength: 3 },
+          ...Object.fromEntries(
+            [
+              ...__constants.CAMPAIGN_PERFORMANCE.COUNT_FIELDS,
+              ...__constants.CAMPAIGN_PERFORMANCE.AMOUNT_FIELDS
+            ].map((field) => [field, metricValue])
+          )
+        }
+      }
+    }
+  }
+}
+
+const addMetrics = async (req, res) => {
+  try {
+    const result = await performanceService.ingestMetrics(
+      req.params.campaignId,
+      req.user.id,
+      req.body.metrics,
+      'api'
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: 'Performance metrics recorded successfully',
+        ...result
+      }
+    })
+  } catch (error) {
+    console.error('Error recording performance metrics:', error)
+    return sendPerformanceError(res, error, 'Failed to record performance metrics')
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-PERFORMANCE-module-
+ * @name uploadMetrics
+ * @path {POST} /api/campaigns/:campaignId/performance/metrics/upload
+ * @description Record metric snapshots from a CSV file (field metrics_file) with a deliverable_id column and one column per metric
+ */
+const uploadMetrics = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+        err: 'No file uploaded. Please upload a metrics CSV file.'
+      })
+    }
+
+    const rows = await performanceService.parseMetricsCsv(req.file.buffer)
+    const result = await performanceService.ingestMetrics(
+      req.params.campaignId,
+      req.user.id,
+      rows,
+      'csv'
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: 'Performance metrics imported successfully',
+        file_name: req.file.originalname,
+        ...result
+      }
+    })
+  } catch (error) {
+    console.error('Error importing performance metrics:', error)
+    return sendPerformanceError(res, error, 'Failed to import performance metrics')
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-PERFORMANCE-module-
+ * @name getPerformance
+ * @path {GET} /api/campaigns/:campaignId/performance
+ * @description Latest results per deliverable with CPM, CPE, CPA and ROI per creator and for the campaign.
+ * Spend and revenue are totalled in the campaign currency; a total is null when a rate is missing.
+ */
+const getPerformance = async (req, res) => {
+  try {
+    const summary = await performanceService.getPerformanceSummary(
+      req.params.campaignId
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: summary
+    })
+  } catch (error) {
+    console.error('Error getting campaign performance:', error)
+    return sendPerformanceError(res, error, 'Failed to get campaign performance')
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-PERFORMANCE-module-
+ * @name getPerformanceReport
+ * @path {GET} /api/campaigns/:campaignId/performance/report
+ * @description Compare actual results with the estimated cost and fit score of the stored recommendations
+ */
+const getPerformanceReport = async (req, res) => {
+  try {
+    const report = await performanceService.getRecommendationReport(
+      req.params.campaignId,
+      req.user.id,
+      req.user.role
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: report
+    })
+  } catch (error) {
+    console.error('Error building performance report:', error)
+    return sendPerformanceError(res, error, 'Failed to build performance report')
+  }
+}
+
+// Helper function to get campaign ownership for middleware
+const getCampaignOwnerId = async (req) => {
+  const campaign = await campaignService.getCampaignById(req.params.campaignId)
+  return campaign ? campaign.brand_owner_id : null
+}
+
+router.use(jwtAuth.securityHeaders())
+
+router.post(
+  '/:campaignId/performance/metrics',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  jwtAuth.auditLog('ADD_PERFORMANCE_METRICS'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, addMetricsValidation, 'body'),
+  addMetrics
+)
+
+router.post(
+  '/:campaignId/performance/metrics/upload',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  jwtAuth.auditLog('UPLOAD_PERFORMANCE_METRICS'),
+  uploadMetricsFile,
+  uploadMetrics
+)
+
+router.get(
+  '/:campaignId/performance',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  getPerformance
+)
+
+router.get(
+  '/:campaignId/performance/report',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  getPerformanceReport
+)
+
+module.exports = router
@@ -0,0 +1,261 @@
+// controllers/campaigns/campaignPipeline.js
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const jwtAuth = require('../../middlewares/auth/jwtAuthMiddleware')
+const campaignService = require('../../services/campaigns/campaignService')
+const campaignPipelineService = require('../../services/campaigns/campaignPipelineService')
+
+/**
+ * @namespace -CAMPAIGN-PIPELINE-MODULE-
+ * @description API's related to the per-campaign creator outreach pipeline.
+ */
+
+/**
+ * @memberof -CAMPAIGN-PIPELINE-module-
+ * @name getCampaignPipeline
+ * @path {GET} /api/campaigns/:campaignId/pipeline
+ * @description Get the creator pipeline for a campaign as a board grouped by stage
+ */
+const getCampaignPipelineValidation = {
+  type: 'object',
+  required: false,
+  properties: {
+    owner_user_id: { type: 'string', required: false }
+  }
+}
+
+const getCampaignPipeline = async (req, res) => {
+  try {
+    const { campaignId } = req.params
+
+    const board = await campaignPipelineService.getPipelineBoard(
+      campaignId,
+      req.query
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: board
+    })
+  } catch (error) {
+    console.error('Error getting campaign pipeline:', error)
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: 'Failed to get campaign pipeline'
+    })
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-PIPELINE-module-
+ * @name addCreatorsToPipeline
+ * @path {POST} /api/campaigns/:campaignId/pipeline
+ * @description Shortlist creators for a campaign
+ */
+const addCreatorsToPipelineValidation = {
+  type: 'object',
+  required: true,
+  properties: {
+    creator_ids: { type: 'array', required: true, minItems: 1 },
+    owner_user_id: { type: 'string', required: false },
+    next_action: { type: 'string', required: false, maxLength: 500 },
+    next_action_due_at: { type: 'string', required: false }
+  }
+}
+
+const addCreatorsToPipeline = async (req, res) => {
+  try {
+    const { campaignId } = req.params
+    const {
+      creator_ids: creatorIds,
+      owner_user_id: ownerUserId,
+      next_action: nextAction,
+      next_action_due_at: nextActionDueAt
+    } = req.body
+
+    const added = await campaignPipelineService.addCreators(
+      campaignId,
+      creatorIds,
+      {
+        ownerUserId: ownerUserId || req.user.id,
+        nextAction,
+        nextActionDueAt
+      }
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: `${added.length} creator(s) added to the pipeline`,
+        added,
+        skipped_existing: creatorIds.length - added.length
+      }
+    })
+  } catch (error) {
+    console.error('Error adding creators to pipeline:', error)
+
+    if (error.message.includes('Invalid pipeline owner')) {
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+        err: error.message
+      })
+    }
+
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: error.message || 'Failed to add creators to pipeline'
+    })
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-PIPELINE-module-
+ * @name updatePipelineEntry
+ * @path {PATCH} /api/campaigns/:campaignId/pipeline/:creatorId
+ * @description Move a creator to another stage or update owner / next action
+ */
+const updatePipelineEntryValidation = {
+  type: 'object',
+  required: true,
+  properties: {
+    stage: {
+      type: 'string',
+      required: false,
+      enum: __constants.CAMPAIGN_PIPELINE.STAGES
+    },
+    owner_user_id: { type: 'string', required: false },
+    next_action: { type: 'string', required: false, maxLength: 500 },
+    next_action_due_at: { type: 'string', required: false },
+    notes: { type: 'string', required: false, maxLength: 2000 }
+  }
+}
+
+const updatePipelineEntry = async (req, res) => {
+  try {
+    const { campaignId, creatorId } = req.params
+
+    const entry = await campaignPipelineService.updateEntry(
+      campaignId,
+      creatorId,
+      req.body
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: 'Pipeline entry updated successfully',
+        entry
+      }
+    })
+  } catch (error) {
+    console.error('Error updating pipeline entry:', error)
+
+    if (error.message.includes('not found')) {
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.NO_RECORDS_FOUND,
+        err: 'Creator is not in this campaign pipeline'
+      })
+    }
+
+    if (
+      error.message.includes('Invalid pipeline stage') ||
+      error.message.includes('Invalid pipeline owner') ||
+      error.message.includes('No fields to update')
+    ) {
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+        err: error.message
+      })
+    }
+
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: error.message || 'Failed to update pipeline entry'
+    })
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-PIPELINE-module-
+ * @name removeCreatorFromPipeline
+ * @path {DELETE} /api/campaigns/:campaignId/pipeline/:creatorId
+ * @description Remove a creator from the campaign pipeline
+ */
+const removeCreatorFromPipeline = async (req, res) => {
+  try {
+    const { campaignId, creatorId } = req.params
+
+    const result = await campaignPipelineService.removeCreator(
+      campaignId,
+      creatorId
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: result
+    })
+  } catch (error) {
+    console.error('Error removing creator from pipeline:', error)
+
+    if (error.message.includes('not found')) {
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.NO_RECORDS_FOUND,
+        err: 'Creator is not in this campaign pipeline'
+      })
+    }
+
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: 'Failed to remove creator from pipeline'
+    })
+  }
+}
+
+// Helper function to get campaign ownership for middleware
+const getCampaignOwnerId = async (req) => {
+  const campaign = await campaignService.getCampaignById(req.params.campaignId)
+  return campaign ? campaign.brand_owner_id : null
+}
+
+router.use(jwtAuth.securityHeaders())
+
+router.get(
+  '/:campaignId/pipeline',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, getCampaignPipelineValidation, 'query'),
+  getCampaignPipeline
+)
+
+router.post(
+  '/:campaignId/pipeline',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  jwtAuth.auditLog('ADD_PIPELINE_CREATORS'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, addCreatorsToPipelineValidation, 'body'),
+  addCreatorsToPipeline
+)
+
+router.patch(
+  '/:campaignId/pipeline/:creatorId',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  jwtAuth.auditLog('UPDATE_PIPELINE_ENTRY'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, updatePipelineEntryValidation, 'body'),
+  updatePipelineEntry
+)
+
+router.delete(
+  '/:campaignId/pipeline/:creatorId',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  jwtAuth.auditLog('REMOVE_PIPELINE_CREATOR'),
+  removeCreatorFromPipeline
+)
+
+module.exports = router
@@ -0,0 +1,77 @@
+// controllers/campaigns/campaignRecommendations.js
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const jwtAuth = require('../../middlewares/auth/jwtAuthMiddleware')
+const campaignService = require('../../services/campaigns/campaignService')
+const recommendationExplanationService = require('../../services/campaigns/recommendationExplanationService')
+
+/**
+ * @namespace -CAMPAIGN-RECOMMENDATIONS-MODULE-
+ * @description API's related to explaining campaign influencer recommendations.
+ */
+
+/**
+ * @memberof -CAMPAIGN-RECOMMENDATIONS-module-
+ * @name explainCreator
+ * @path {POST} /api/campaigns/:campaignId/explain-creator
+ * @description Run one creator through the campaign's recommendation filters and scoring.
+ * Reports the stage that excludes them, their score breakdown and their rank if added manually.
+ */
+const explainCreatorValidation = {
+  type: 'object',
+  required: true,
+  properties: {
+    creator_id: { type: 'string', required: true, minLength: 1 }
+  }
+}
+
+const explainCreator = async (req, res) => {
+  try {
+    const explanation = await recommendationExplanationService.explainCreator(
+      req.params.campaignId,
+      req.body.creator_id,
+      req.user.id,
+      req.user.role
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: explanation
+    })
+  } catch (error) {
+    console.error('Error explaining creator recommendation:', error)
+
+    if (error.message.includes('not found')) {
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.NO_RECORDS_FOUND,
+        err: error.message
+      })
+    }
+
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: 'Failed to explain creator recommendation'
+    })
+  }
+}
+
+// Helper function to get campaign ownership for middleware
+const getCampaignOwnerId = async (req) => {
+  const campaign = await campaignService.getCampaignById(req.params.campaignId)
+  return campaign ? campaign.brand_owner_id : null
+}
+
+router.use(jwtAuth.securityHeaders())
+
+router.post(
+  '/:campaignId/explain-creator',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, explainCreatorValidation, 'body'),
+  explainCreator
+)
+
+module.exports = router
@@ -0,0 +1,217 @@
+// controllers/campaigns/campaignRevisions.js
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const jwtAuth = require('../../middlewares/auth/jwtAuthMiddleware')
+const campaignService = require('../../services/campaigns/campaignService')
+const campaignRevisionService = require('../../services/campaigns/campaignRevisionService')
+
+/**
+ * @namespace -CAMPAIGN-REVISIONS-MODULE-
+ * @description API's related to the version history of campaign briefs.
+ */
+
+// Map service errors to API responses
+const sendRevisionError = (res, error, fallbackMessage) => {
+  if (error.message.includes('not found')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.NO_RECORDS_FOUND,
+      err: error.message
+    })
+  }
+
+  if (error.message.includes('Not authorized')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.ACCESS_DENIED,
+      err: error.message
+    })
+  }
+
+  if (error.message.startsWith('Invalid')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+      err: error.message
+    })
+  }
+
+  return res.sendJson({
+    type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+    err: fallbackMessage
+  })
+}
+
+const revisionParamsValidation = {
+  type: 'object',
+  required: true,
+  properties: {
+    campaignId: { type: 'string', required: true },
+    revisionNumber: { type: 'string', required: true, pattern: '^[1-9]\\d*$' }
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-REVISIONS-module-
+ * @name getRevisions
+ * @path {GET} /api/campaigns/:campaignId/revisions
+ * @description List the revisions of a campaign brief, newest first, with the fields each one changed
+ */
+const getRevisions = async (req, res) => {
+  try {
+    const { campaignId } = req.params
+    const revisions = await campaignRevisionService.listRevisions(campaignId)
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        campaign_id: campaignId,
+        current_revision: revisions.length > 0 ? revisions[0].revision_number : null,
+        revisions
+      }
+    })
+  } catch (error) {
+    console.error('Error getting campaign revisions:', error)
+    return sendRevisionError(res, error, 'Failed to get campaign revisions')
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-REVISIONS-module-
+ * @name diffRevisions
+ * @path {GET} /api/campaigns/:campaignId/revisions/diff
+ * @description Field-level diff between two revisions. Defaults to the latest revision against the one before it.
+ */
+const diffRevisionsValidation = {
+  type: 'object',
+  required: false,
+  properties: {
+    from: { type: 'string', required: false, pattern: '^[1-9]\\d*$' },
+    to: { type: 'string', required: false, pattern: '^[1-9]\\d*$' }
+  }
+}
+
+const diffRevisions = async (req, res) => {
+  try {
+    const diff = await campaignRevisionService.diffRevisions(
+      req.params.campaignId,
+      req.query.from ? parseInt(req.query.from) : null,
+      req.query.to ? parseInt(req.query.to) : null
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: diff
+    })
+  } catch (error) {
+    console.error('Error diffing campaign revisions:', error)
+    return sendRevisionError(res, error, 'Failed to compare campaign revisions')
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-REVISIONS-module-
+ * @name getRevision
+ * @path {GET} /api/campaigns/:campaignId/revisions/:revisionNumber
+ * @description Get one revision with the full brief snapshot
+ */
+const getRevision = async (req, res) => {
+  try {
+    const revision = await campaignRevisionService.getRevision(
+      req.params.campaignId,
+      parseInt(req.params.revisionNumber)
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: revision
+    })
+  } catch (error) {
+    console.error('Error getting campaign revision:', error)
+    return sendRevisionError(res, error, 'Failed to get campaign revision')
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-REVISIONS-module-
+ * @name restoreRevision
+ * @path {POST} /api/campaigns/:campaignId/revisions/:revisionNumber/restore
+ * @description Restore the brief of an earlier revision. The restore is recorded as a new revision.
+ */
+const restoreRevisionValidation = {
+  type: 'object',
+  required: false,
+  properties: {
+    reason: { type: 'string', required: false, maxLength: 500 }
+  }
+}
+
+const restoreRevision = async (req, res) => {
+  try {
+    const revisionNumber = parseInt(req.params.revisionNumber)
+    const result = await campaignService.restoreCampaignRevision(
+      req.params.campaignId,
+      revisionNumber,
+      req.user.id,
+      req.body?.reason
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: `Campaign restored to revision ${revisionNumber}`,
+        campaign: result.campaign,
+        revision: result.revision
+      }
+    })
+  } catch (error) {
+    console.error('Error restoring campaign revision:', error)
+    return sendRevisionError(res, error, 'Failed to restore campaign revision')
+  }
+}
+
+// Helper function to get campaign ownership for middleware
+const getCampaignOwnerId = async (req) => {
+  const campaign = await campaignService.getCampaignById(req.params.campaignId)
+  return campaign ? campaign.brand_owner_id : null
+}
+
+router.use(jwtAuth.securityHeaders())
+
+router.get(
+  '/:campaignId/revisions',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  getRevisions
+)
+
+router.get(
+  '/:campaignId/revisions/diff',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, diffRevisionsValidation, 'query'),
+  diffRevisions
+)
+
+router.get(
+  '/:campaignId/revisions/:revisionNumber',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, revisionParamsValidation, 'params'),
+  getRevision
+)
+
+router.post(
+  '/:campaignId/revisions/:revisionNumber/restore',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  jwtAuth.auditLog('RESTORE_CAMPAIGN_REVISION'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, revisionParamsValidation, 'params'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, restoreRevisionValidation, 'body'),
+  restoreRevision
+)
+
+module.exports = router
@@ -0,0 +1,50 @@
+// controllers/campaigns/campaignScheduler.js
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const jwtAuth = require('../../middlewares/auth/jwtAuthMiddleware')
+const campaignSchedulerService = require('../../services/campaigns/campaignSchedulerService')
+
+/**
+ * @namespace -CAMPAIGN-SCHEDULER-MODULE-
+ * @description API's related to the automatic campaign status scheduler.
+ */
+
+/**
+ * @memberof -CAMPAIGN-SCHEDULER-module-
+ * @name runScheduler
+ * @path {POST} /api/campaigns/admin/scheduler/run
+ * @description Run the scheduler now: activate campaigns on their start date, complete or flag ended ones and send deliverable reminders (Admin only)
+ */
+const runScheduler = async (req, res) => {
+  try {
+    const summary = await campaignSchedulerService.runOnce()
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: summary.skipped
+          ? 'Scheduler is already running on another instance'
+          : 'Scheduler run completed',
+        summary
+      }
+    })
+  } catch (error) {
+    console.error('Error running campaign scheduler:', error)
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: 'Failed to run campaign scheduler'
+    })
+  }
+}
+
+router.use(jwtAuth.securityHeaders())
+
+router.post(
+  '/admin/scheduler/run',
+  jwtAuth.requireAdmin(),
+  jwtAuth.auditLog('RUN_CAMPAIGN_SCHEDULER'),
+  runScheduler
+)
+
+module.exports = router
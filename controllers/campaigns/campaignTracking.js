@@ -0,0 +1,247 @@
+// controllers/campaigns/campaignTracking.js
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const jwtAuth = require('../../middlewares/auth/jwtAuthMiddleware')
+const campaignService = require('../../services/campaigns/campaignService')
+const trackingLinkService = require('../../services/campaigns/trackingLinkService')
+
+/**
+ * @namespace -CAMPAIGN-TRACKING-MODULE-
+ * @description API's related to per-creator tracking links, promo codes and creator briefs.
+ */
+
+// Map service errors to API responses
+const sendTrackingError = (res, error, fallbackMessage) => {
+  if (error.message.includes('not found')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.NO_RECORDS_FOUND,
+      err: error.message
+    })
+  }
+
+  if (error.message.includes('Invalid tracking link')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+      err: error.message
+    })
+  }
+
+  return res.sendJson({
+    type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+    err: fallbackMessage
+  })
+}
+
+/**
+ * @memberof -CAMPAIGN-TRACKING-module-
+ * @name createTrackingLinks
+ * @path {POST} /api/campaigns/:campaignId/tracking-links
+ * @description Give each creator a unique short link, and optionally a promo code. Existing links are kept.
+ */
+const createTrackingLinksValidation = {
+  type: 'object',
+  required: true,
+  properties: {
+    creator_ids: { type: 'array', required: true, minItems: 1, maxItems: 200 },
+    destination_url: { type: 'string', required: false, maxLength: 2000 },
+    promo_code: { type: 'boolean', required: false },
+    promo_code_prefix: { type: 'string', required: false, maxLength: 12 }
+  }
+}
+
+const createTrackingLinks = async (req, res) => {
+  try {
+    const { campaignId } = req.params
+    const { creator_ids: creatorIds, ...options } = req.body
+
+    const result = await trackingLinkService.createLinks(
+      campaignId,
+      req.user.id,
+      creatorIds,
+      options
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: `${result.created} tracking link(s) created`,
+        ...result
+      }
+    })
+  } catch (error) {
+    console.error('Error creating tracking links:', error)
+    return sendTrackingError(res, error, 'Failed to create tracking links')
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-TRACKING-module-
+ * @name getTrackingLinks
+ * @path {GET} /api/campaigns/:campaignId/tracking-links
+ * @description List the tracking links of a campaign with click counts
+ */
+const getTrackingLinks = async (req, res) => {
+  try {
+    const links = await trackingLinkService.getLinksForCampaign(
+      req.params.campaignId
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: { links, total: links.length }
+    })
+  } catch (error) {
+    console.error('Error getting tracking links:', error)
+    return sendTrackingError(res, error, 'Failed to get tracking links')
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-TRACKING-module-
+ * @name getClickReport
+ * @path {GET} /api/campaigns/:campaignId/tracking-links/report
+ * @description Aggregated clicks per creator, per day and by referrer
+ */
+const getClickReportValidation = {
+  type: 'object',
+  required: false,
+  properties: {
+    from: { type: 'string', required: false, format: 'date' },
+    to: { type: 'string', required: false, format: 'date' }
+  }
+}
+
+const getClickReport = async (req, res) => {
+  try {
+    const report = await trackingLinkService.getClickReport(
+      req.params.campaignId,
+      req.query
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: report
+    })
+  } catch (error) {
+    console.error('Error getting click report:', error)
+    return sendTrackingError(res, error, 'Failed to get click report')
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-TRACKING-module-
+ * @name updateTrackingLink
+ * @path {PATCH} /api/campaigns/:campaignId/tracking-links/:creatorId
+ * @description Activate or deactivate a creator's tracking link
+ */
+const updateTrackingLinkValidation = {
+  type: 'object',
+  required: true,
+  properties: {
+    is_active: { type: 'boolean', required: true }
+  }
+}
+
+const updateTrackingLink = async (req, res) => {
+  try {
+    const { campaignId, creatorId } = req.params
+
+    const link = await trackingLinkService.setLinkActive(
+      campaignId,
+      creatorId,
+      req.body.is_active
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: 'Tracking link updated successfully',
+        link
+      }
+    })
+  } catch (error) {
+    console.error('Error updating tracking link:', error)
+    return sendTrackingError(res, error, 'Failed to update tracking link')
+  }
+}
+
+/**
+ * @memberof -CAMPAIGN-TRACKING-module-
+ * @name getCreatorBrief
+ * @path {GET} /api/campaigns/:campaignId/creators/:creatorId/brief
+ * @description Campaign brief for one creator: hashtags, mention requirements, deliverables and their personal link and promo code
+ */
+const getCreatorBrief = async (req, res) => {
+  try {
+    const { campaignId, creatorId } = req.params
+
+    const brief = await trackingLinkService.getCreatorBrief(
+      campaignId,
+      creatorId,
+      req.user.id
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: { brief }
+    })
+  } catch (error) {
+    console.error('Error getting creator brief:', error)
+    return sendTrackingError(res, error, 'Failed to get creator brief')
+  }
+}
+
+// Helper function to get campaign ownership for middleware
+const getCampaignOwnerId = async (req) => {
+  const campaign = await campaignService.getCampaignById(req.params.campaignId)
+  return campaign ? campaign.brand_owner_id : null
+}
+
+router.use(jwtAuth.securityHeaders())
+
+router.post(
+  '/:campaignId/tracking-links',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  jwtAuth.auditLog('CREATE_TRACKING_LINKS'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, createTrackingLinksValidation, 'body'),
+  createTrackingLinks
+)
+
+router.get(
+  '/:campaignId/tracking-links',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  getTrackingLinks
+)
+
+router.get(
+  '/:campaignId/tracking-links/report',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, getClickReportValidation, 'query'),
+  getClickReport
+)
+
+router.patch(
+  '/:campaignId/tracking-links/:creatorId',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  jwtAuth.auditLog('UPDATE_TRACKING_LINK'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, updateTrackingLinkValidation, 'body'),
+  updateTrackingLink
+)
+
+router.get(
+  '/:campaignId/creators/:creatorId/brief',
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  getCreatorBrief
+)
+
+module.exports = router
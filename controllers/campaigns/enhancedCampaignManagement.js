@@ -4,9 +4,14 @@ const router = express.Router();
 const multer = require("multer");
 const __constants = require("../../config/constants");
 const validationOfAPI = require("../../middlewares/validation");
+const uploadErrors = require("../../middlewares/uploadErrors");
 const jwtAuth = require("../../middlewares/auth/jwtAuthMiddleware");
+const campaignService = require("../../services/campaigns/campaignService");
 const enhancedCampaignService = require("../../services/campaigns/enhancedCampaignService");
 const brandService = require("../../services/brands/brandService");
+const documentTextService = require("../../services/campaigns/documentTextService");
+
+const { MAX_FILES, MAX_FILE_SIZE_MB } = __constants.CAMPAIGN_DOCUMENTS;
 
 
 /**
@@ -18,22 +23,16 @@ const brandService = require("../../services/brands/brandService");
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
+    fileSize: MAX_FILE_SIZE_MB * 1024 * 1024,
+    files: MAX_FILES,
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      "application/pdf",
-      "application/msword",
-      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
-      "text/plain",
-    ];
-
-    if (allowedTypes.includes(file.mimetype)) {
+    if (documentTextService.detectFormat(file.originalname, file.mimetype)) {
       cb(null, true);
     } else {
       cb(
         new Error(
-          "Invalid file type. Please upload PDF, DOC, DOCX, or TXT files."
+          `Invalid file type for ${file.originalname}. Please upload ${documentTextService.getSupportedFormatsLabel()} files.`
         ),
         false
       );
@@ -41,6 +40,19 @@ const upload = multer({
   },
 });
 
+// Brief uploads: one file as campaign_document, or several as campaign_documents.
+// Multer rejects too many or too large files and unsupported formats before the handler runs.
+const uploadCampaignDocuments = uploadErrors(
+  upload.fields([
+    { name: "campaign_document", maxCount: 1 },
+    { name: "campaign_documents", maxCount: MAX_FILES },
+  ]),
+  {
+    LIMIT_FILE_COUNT: `Too many documents: at most ${MAX_FILES} files per campaign`,
+    LIMIT_FILE_SIZE: `File too large: each document can be at most ${MAX_FILE_SIZE_MB}MB`,
+  }
+);
+
 /**
  * @memberof -ENHANCED-CAMPAIGN-MANAGEMENT-module-
  * @name createCampaignFromForm
@@ -181,7 +193,8 @@ const createCampaignFromForm = async (req, res) => {
  * @memberof -ENHANCED-CAMPAIGN-MANAGEMENT-module-
  * @name createCampaignFromDocument
  * @path {POST} /api/campaigns/enhanced/create-document
- * @description Create campaign by uploading and analyzing campaign brief document
+ * @description Create campaign by uploading and analyzing one or more campaign brief documents
+ * (TXT, MD, HTML, RTF, CSV, PDF, DOC, DOCX or PPTX). All files are merged into one extraction.
  */
 const createCampaignFromDocument = async (req, res) => {
   try {
@@ -198,8 +211,13 @@ const createCampaignFromDocument = async (req, res) => {
       });
     }
 
+    const uploadedFiles = [
+      ...(req.files?.campaign_document || []),
+      ...(req.files?.campaign_documents || []),
+    ];
+
     // Check if file was uploaded
-    if (!req.file) {
+    if (uploadedFiles.length === 0) {
       return res.sendJson({
         type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
         err: "No document uploaded. Please upload a campaign brief document.",
@@ -207,13 +225,16 @@ const createCampaignFromDocument = async (req, res) => {
     }
 
     const documentInput = {
-      fileBuffer: req.file.buffer,
-      fileName: req.file.originalname,
-      mimeType: req.file.mimetype,
+      files: uploadedFiles.map((file) => ({
+        fileBuffer: file.buffer,
+        fileName: file.originalname,
+        mimeType: file.mimetype,
+        fileSize: file.size,
+      })),
     };
 
     console.log(
-      `Creating campaign from document: ${req.file.originalname} for brand ${brandId}`
+      `Creating campaign from ${uploadedFiles.length} document(s) for brand ${brandId}`
     );
 
     // Create campaign using enhanced service
@@ -239,8 +260,12 @@ const createCampaignFromDocument = async (req, res) => {
           created_at: result.campaign.created_at,
         },
         document_analysis: {
-          file_name: req.file.originalname,
-          file_size: req.file.size,
+          file_name: uploadedFiles[0].originalname,
+          file_size: uploadedFiles.reduce((sum, file) => sum + file.size, 0),
+          documents: result.documents,
+          field_sources:
+            result.ai_analysis.extracted_data?.extraction_metadata
+              ?.field_sources || {},
           extraction_confidence: result.creation_metadata.confidence_score,
           fields_extracted: result.ai_analysis.extracted_data
             ? Object.keys(result.ai_analysis.extracted_data).length
@@ -261,7 +286,10 @@ const createCampaignFromDocument = async (req, res) => {
 
     if (
       error.message.includes("Invalid file type") ||
-      error.message.includes("Unsupported file format")
+      error.message.includes("Unsupported file format") ||
+      error.message.includes("Too many documents") ||
+      error.message.includes("Could not read") ||
+      error.message.includes("Could not extract text")
     ) {
       return res.sendJson({
         type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
@@ -468,7 +496,9 @@ const previewCampaignAnalysis = async (req, res) => {
           await enhancedCampaignService.generateInfluencerRecommendations(
             extractedData,
             websiteAnalysis,
-            campaignAnalysis
+            campaignAnalysis,
+            brandData.preferences,
+            brandData.id
           );
       } catch (error) {
         console.error("Influencer recommendations failed in preview:", error);
@@ -506,6 +536,10 @@ const previewCampaignAnalysis = async (req, res) => {
           influencer_preview: influencerRecommendations
             ? {
                 total_found: influencerRecommendations.total_found,
+                filters_applied: influencerRecommendations.filters_applied,
+                filter_sources: influencerRecommendations.filter_sources,
+                conflicts: influencerRecommendations.conflicts,
+                availability: influencerRecommendations.availability,
                 top_recommendations:
                   influencerRecommendations.recommendations
                     ?.slice(0, 5)
@@ -524,6 +558,8 @@ const previewCampaignAnalysis = async (req, res) => {
                       estimated_cost: rec.estimated_cost?.cost,
                       recommendation_reasons:
                         rec.ai_recommendation_reasons?.slice(0, 3),
+                      has_conflicts: !!rec.has_conflicts,
+                      availability_status: rec.availability?.status || "available",
                     })) || [],
               }
             : null,
@@ -647,7 +683,8 @@ const getCampaignFullAnalysis = async (req, res) => {
  * @memberof -ENHANCED-CAMPAIGN-MANAGEMENT-module-
  * @name regenerateAIAnalysis
  * @path {POST} /api/campaigns/enhanced/:campaignId/regenerate-analysis
- * @description Regenerate AI analysis for existing campaign
+ * @description Regenerate AI analysis for existing campaign. With reextract_documents: true
+ * the campaign data is extracted again from the stored text of its brief documents.
  */
 const regenerateAIAnalysis = async (req, res) => {
   try {
@@ -688,10 +725,25 @@ const regenerateAIAnalysis = async (req, res) => {
     );
 
     // Get current extracted data
-    const currentExtractedData = campaign.ai_extracted_data
+    let currentExtractedData = campaign.ai_extracted_data
       ? JSON.parse(campaign.ai_extracted_data)
       : null;
 
+    if (req.body?.reextract_documents === true) {
+      try {
+        currentExtractedData =
+          await enhancedCampaignService.reextractFromStoredDocuments(campaignId);
+      } catch (error) {
+        if (error.message.includes("No stored documents")) {
+          return res.sendJson({
+            type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+            err: error.message,
+          });
+        }
+        throw error;
+      }
+    }
+
     if (!currentExtractedData) {
       return res.sendJson({
         type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
@@ -725,7 +777,10 @@ const regenerateAIAnalysis = async (req, res) => {
         await enhancedCampaignService.generateInfluencerRecommendations(
           currentExtractedData,
           websiteAnalysis,
-          campaignAnalysis
+          campaignAnalysis,
+          await brandService.getBrandPreferences(campaign.brand_id),
+          campaign.brand_id,
+          campaignId
         );
     } catch (error) {
       console.error(
@@ -735,16 +790,6 @@ const regenerateAIAnalysis = async (req, res) => {
     }
 
     // Update campaign with new analysis
-    const updateQuery = `
-      UPDATE campaigns 
-      SET ai_campaign_analysis = $1, 
-          ai_recommended_influencers = $2,
-          product_info = $3,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = $4
-      RETURNING *
-    `;
-
     const productInfo = websiteAnalysis
       ? {
           product_name: currentExtractedData.brand_product?.product_name,
@@ -756,14 +801,17 @@ const regenerateAIAnalysis = async (req, res) => {
         }
       : null;
 
-    const updateResult = await enhancedCampaignService.pool.query(updateQuery, [
-      JSON.stringify(campaignAnalysis),
-      influencerRecommendations
-        ? JSON.stringify(influencerRecommendations)
-        : null,
-      productInfo ? JSON.stringify(productInfo) : null,
-      campaignId,
-    ]);
+    const { campaign: updatedCampaign, revision } =
+      await enhancedCampaignService.saveRegeneratedAnalysis(campaignId, userId, {
+        campaignAnalysis,
+        influencerRecommendations,
+        productInfo,
+        extractedData: currentExtractedData,
+        reason:
+          req.body?.reextract_documents === true
+            ? "Re-extracted from stored documents"
+            : "AI analysis regenerated",
+      });
 
     res.sendJson({
       type: __constants.RESPONSE_MESSAGES.SUCCESS,
@@ -771,13 +819,15 @@ const regenerateAIAnalysis = async (req, res) => {
         message: "AI analysis regenerated successfully",
         campaign_id: campaignId,
         updated_analysis: {
+          extracted_data_updated: req.body?.reextract_documents === true,
           campaign_analysis_updated: !!campaignAnalysis,
           website_analysis_updated: !!websiteAnalysis,
           influencer_recommendations_updated: !!influencerRecommendations,
           new_recommendations_count:
             influencerRecommendations?.recommendations?.length || 0,
         },
-        updated_at: updateResult.rows[0].updated_at,
+        revision_number: revision.revision_number,
+        updated_at: updatedCampaign.updated_at,
       },
     });
   } catch (error) {
@@ -789,6 +839,45 @@ const regenerateAIAnalysis = async (req, res) => {
   }
 };
 
+/**
+ * @memberof -ENHANCED-CAMPAIGN-MANAGEMENT-module-
+ * @name getCampaignDocuments
+ * @path {GET} /api/campaigns/enhanced/:campaignId/documents
+ * @description List the brief documents a campaign was created from and the fields taken from each.
+ * Pass include_text=true for the full extracted text.
+ */
+const getCampaignDocuments = async (req, res) => {
+  try {
+    const { campaignId } = req.params;
+
+    const documents = await enhancedCampaignService.getCampaignDocuments(
+      campaignId,
+      req.query.include_text === "true"
+    );
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        campaign_id: campaignId,
+        documents,
+        total_documents: documents.length,
+      },
+    });
+  } catch (error) {
+    console.error("Error getting campaign documents:", error);
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: "Failed to get campaign documents",
+    });
+  }
+};
+
+// Helper function to get campaign ownership for middleware
+const getCampaignOwnerId = async (req) => {
+  const campaign = await campaignService.getCampaignById(req.params.campaignId);
+  return campaign ? campaign.brand_owner_id : null;
+};
+
 // Apply authentication and route handlers
 router.use(jwtAuth.securityHeaders());
 
@@ -806,7 +895,7 @@ router.post(
   "/enhanced/create-document",
   jwtAuth.requireBrand(),
   jwtAuth.auditLog("CREATE_ENHANCED_CAMPAIGN_DOCUMENT"),
-  upload.single("campaign_document"),
+  uploadCampaignDocuments,
   createCampaignFromDocument
 );
 
@@ -836,6 +925,13 @@ router.get(
   getCampaignFullAnalysis
 );
 
+router.get(
+  "/enhanced/:campaignId/documents",
+  jwtAuth.requireBrand(),
+  jwtAuth.requireOwnership(getCampaignOwnerId),
+  getCampaignDocuments
+);
+
 router.post(
   "/enhanced/:campaignId/regenerate-analysis",
   jwtAuth.requireBrand(),
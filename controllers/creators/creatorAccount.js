@@ -0,0 +1,509 @@
+// controllers/creators/creatorAccount.js
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const jwtAuth = require('../../middlewares/auth/jwtAuthMiddleware')
+const creatorPortalService = require('../../services/creators/creatorPortalService')
+const creatorAvailabilityService = require('../../services/creators/creatorAvailabilityService')
+
+/**
+ * @namespace -CREATOR-ACCOUNT-MODULE-
+ * @description API's for creators managing their own claimed profile.
+ */
+
+const { PLATFORMS } = __constants.CREATOR_MANAGEMENT
+const { PAYOUT_METHODS } = __constants.CREATOR_PORTAL
+
+// Map service errors to API responses
+const sendAccountError = (res, error, fallbackMessage) => {
+  if (error.message.includes('not found')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.NO_RECORDS_FOUND,
+      err: error.message
+    })
+  }
+
+  if (error.message.startsWith('Not authorized')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.ACCESS_DENIED,
+      err: error.message
+    })
+  }
+
+  if (error.message.startsWith('Invalid')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+      err: error.message
+    })
+  }
+
+  if (error.message.startsWith('Too many')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.RATE_LIMITED,
+      err: error.message
+    })
+  }
+
+  return res.sendJson({
+    type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+    err: fallbackMessage
+  })
+}
+
+/**
+ * @memberof -CREATOR-ACCOUNT-module-
+ * @name requestClaim
+ * @path {POST} /api/creators/claim
+ * @description Start claiming a creator profile; a verification code is emailed to the profile's address.
+ * New codes are refused (429) during the resend cooldown and once a user or profile has requested too many
+ * codes or entered too many wrong codes in the claim window (CREATOR_PORTAL constants).
+ */
+const requestClaimValidation = {
+  type: 'object',
+  required: true,
+  properties: {
+    creator_id: { type: 'string', required: true, minLength: 1 }
+  }
+}
+
+const requestClaim = async (req, res) => {
+  try {
+    const claim = await creatorPortalService.requestClaim(req.user.id, req.body.creator_id)
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: `Verification code sent to ${claim.sent_to}`,
+        ...claim
+      }
+    })
+  } catch (error) {
+    console.error('Error requesting creator claim:', error)
+    return sendAccountError(res, error, 'Failed to start claiming creator profile')
+  }
+}
+
+/**
+ * @memberof -CREATOR-ACCOUNT-module-
+ * @name verifyClaim
+ * @path {POST} /api/creators/claim/verify
+ * @description Claim the creator profile with the emailed code. Refused (429) while the user or profile is
+ * locked out after too many wrong codes.
+ */
+const verifyClaimValidation = {
+  type: 'object',
+  required: true,
+  properties: {
+    claim_id: { type: 'integer', required: true, minimum: 1 },
+    code: { type: 'string', required: true, pattern: '^[0-9]{6}$' }
+  }
+}
+
+const verifyClaim = async (req, res) => {
+  try {
+    const creator = await creatorPortalService.verifyClaim(req.user.id, req.body.claim_id, req.body.code)
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: `Creator profile ${creator.creator_name} claimed successfully`,
+        creator_id: creator.id
+      }
+    })
+  } catch (error) {
+    console.error('Error verifying creator claim:', error)
+    return sendAccountError(res, error, 'Failed to verify creator claim')
+  }
+}
+
+/**
+ * @memberof -CREATOR-ACCOUNT-module-
+ * @name getMyProfile
+ * @path {GET} /api/creators/me
+ * @description Get the creator profile claimed by the current user
+ */
+const getMyProfile = async (req, res) => {
+  try {
+    const creator = await creatorPortalService.getClaimedCreator(req.user.id)
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: creator
+    })
+  } catch (error) {
+    console.error('Error getting own creator profile:', error)
+    return sendAccountError(res, error, 'Failed to get creator profile')
+  }
+}
+
+/**
+ * @memberof -CREATOR-ACCOUNT-module-
+ * @name updateMyProfile
+ * @path {PATCH} /api/creators/me
+ * @description Update bio, languages and per-platform rates of the claimed profile
+ */
+const rate = { type: ['number', 'null'], minimum: 0 }
+
+const updateMyProfileValidation = {
+  type: 'object',
+  required: true,
+  additionalProperties: false,
+  properties: {
+    bio: { type: ['string', 'null'], required: false, maxLength: 2000 },
+    languages: { type: 'array', required: false, items: { type: 'string', minLength: 1 } },
+    pricing: {
+      type: 'object',
+      required: false,
+      propertyNames: { enum: PLATFORMS },
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          sponsored_post: rate,
+          story_mention: rate,
+          video_integration: rate,
+          brand_ambassadorship_monthly: rate,
+          event_coverage: rate,
+          currency: { type: 'string', pattern: '^[A-Za-z]{3}$' }
+        }
+      }
+    }
+  }
+}
+
+const updateMyProfile = async (req, res) => {
+  try {
+    const result = await creatorPortalService.updateOwnProfile(req.user.id, req.body)
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: 'Creator profile updated successfully',
+        ...result
+      }
+    })
+  } catch (error) {
+    console.error('Error updating own creator profile:', error)
+    return sendAccountError(res, error, 'Failed to update creator profile')
+  }
+}
+
+/**
+ * @memberof -CREATOR-ACCOUNT-module-
+ * @name getMyPayoutDetails
+ * @path {GET} /api/creators/me/payout-details
+ * @description Get the creator's payout details; bank accounts show only their last 4 digits
+ */
+const getMyPayoutDetails = async (req, res) => {
+  try {
+    const result = await creatorPortalService.getPayoutDetails(req.user.id)
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: result
+    })
+  } catch (error) {
+    console.error('Error getting payout details:', error)
+    return sendAccountError(res, error, 'Failed to get payout details')
+  }
+}
+
+/**
+ * @memberof -CREATOR-ACCOUNT-module-
+ * @name saveMyPayoutDetails
+ * @path {PUT} /api/creators/me/payout-details
+ * @description Save where the creator is paid: a bank account (with IFSC) or a UPI VPA. The details are
+ * registered as a Razorpay fund account and only the last 4 digits of the account number are stored
+ */
+const saveMyPayoutDetailsValidation = {
+  type: 'object',
+  required: true,
+  properties: {
+    payout_method: { type: 'string', required: true, enum: PAYOUT_METHODS },
+    account_holder_name: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+    bank_account_number: { type: 'string', required: false, pattern: '^[0-9]{6,34}$' },
+    ifsc: { type: 'string', required: false, pattern: '^[A-Za-z]{4}0[A-Za-z0-9]{6}$' },
+    vpa: { type: 'string', required: false, pattern: '^[A-Za-z0-9._-]+@[A-Za-z0-9]+$' }
+  }
+}
+
+const saveMyPayoutDetails = async (req, res) => {
+  try {
+    const result = await creatorPortalService.savePayoutDetails(req.user.id, req.body)
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: 'Payout details saved',
+        ...result
+      }
+    })
+  } catch (error) {
+    console.error('Error saving payout details:', error)
+    return sendAccountError(res, error, 'Failed to save payout details')
+  }
+}
+
+/**
+ * @memberof -CREATOR-ACCOUNT-module-
+ * @name getMyCampaigns
+ * @path {GET} /api/creators/me/campaigns
+ * @description Campaigns the creator is part of, with their stage and whether the offer can still be answered
+ */
+const getMyCampaigns = async (req, res) => {
+  try {
+    const result = await creatorPortalService.listCampaigns(req.user.id)
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: result
+    })
+  } catch (error) {
+    console.error('Error getting creator campaigns:', error)
+    return sendAccountError(res, error, 'Failed to get campaigns')
+  }
+}
+
+/**
+ * @memberof -CREATOR-ACCOUNT-module-
+ * @name getMyContracts
+ * @path {GET} /api/creators/me/contracts
+ * @description Contracts sent to the creator
+ */
+const getMyContracts = async (req, res) => {
+  try {
+    const result = await creatorPortalService.listContracts(req.user.id)
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: result
+    })
+  } catch (error) {
+    console.error('Error getting creator contracts:', error)
+    return sendAccountError(res, error, 'Failed to get contracts')
+  }
+}
+
+/**
+ * @memberof -CREATOR-ACCOUNT-module-
+ * @name respondToOffer
+ * @path {POST} /api/creators/me/offers/:campaignId/accept
+ * @path {POST} /api/creators/me/offers/:campaignId/decline
+ * @description Accept or decline a campaign offer while it is contacted or negotiating.
+ * Accepting moves the creator to the negotiating stage.
+ */
+const respondToOfferValidation = {
+  type: 'object',
+  required: false,
+  properties: {
+    note: { type: 'string', required: false, maxLength: 1000 }
+  }
+}
+
+const respondToOffer = (response) => async (req, res) => {
+  try {
+    const entry = await creatorPortalService.respondToOffer(
+      req.user.id,
+      req.params.campaignId,
+      response,
+      req.body?.note || null
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: `Offer ${entry.offer_status}`,
+        entry
+      }
+    })
+  } catch (error) {
+    console.error('Error responding to offer:', error)
+    return sendAccountError(res, error, 'Failed to respond to offer')
+  }
+}
+
+/**
+ * @memberof -CREATOR-ACCOUNT-module-
+ * @name getMyCalendar
+ * @path {GET} /api/creators/me/calendar
+ * @description The creator's availability windows and campaign bookings between from and to (YYYY-MM-DD)
+ */
+const getMyCalendarValidation = {
+  type: 'object',
+  required: false,
+  properties: {
+    from: { type: 'string', required: false, format: 'date' },
+    to: { type: 'string', required: false, format: 'date' }
+  }
+}
+
+const getMyCalendar = async (req, res) => {
+  try {
+    const creatorId = await creatorPortalService.getClaimedCreatorId(req.user.id)
+    const calendar = await creatorAvailabilityService.getBookedCalendar(creatorId, req.query, {
+      userId: req.user.id,
+      role: req.user.role
+    })
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: calendar
+    })
+  } catch (error) {
+    console.error('Error getting own creator calendar:', error)
+    return sendAccountError(res, error, 'Failed to get calendar')
+  }
+}
+
+/**
+ * @memberof -CREATOR-ACCOUNT-module-
+ * @name addMyAvailabilityWindow
+ * @path {POST} /api/creators/me/availability
+ * @description Mark a period the creator is unavailable or tentatively unavailable
+ */
+const addMyAvailabilityWindowValidation = {
+  type: 'object',
+  required: true,
+  properties: {
+    start_date: { type: 'string', required: true, format: 'date' },
+    end_date: { type: 'string', required: true, format: 'date' },
+    status: {
+      type: 'string',
+      required: false,
+      enum: __constants.CREATOR_AVAILABILITY.WINDOW_STATUSES
+    },
+    note: { type: 'string', required: false, maxLength: 500 }
+  }
+}
+
+const addMyAvailabilityWindow = async (req, res) => {
+  try {
+    const creatorId = await creatorPortalService.getClaimedCreatorId(req.user.id)
+    const window = await creatorAvailabilityService.addWindow(creatorId, req.body, req.user.id)
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: 'Availability window added',
+        window
+      }
+    })
+  } catch (error) {
+    console.error('Error adding own availability window:', error)
+    return sendAccountError(res, error, 'Failed to add availability window')
+  }
+}
+
+/**
+ * @memberof -CREATOR-ACCOUNT-module-
+ * @name deleteMyAvailabilityWindow
+ * @path {DELETE} /api/creators/me/availability/:windowId
+ * @description Remove one of the creator's availability windows
+ */
+const deleteMyAvailabilityWindow = async (req, res) => {
+  try {
+    const creatorId = await creatorPortalService.getClaimedCreatorId(req.user.id)
+    const result = await creatorAvailabilityService.deleteWindow(creatorId, req.params.windowId)
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: result
+    })
+  } catch (error) {
+    console.error('Error deleting own availability window:', error)
+    return sendAccountError(res, error, 'Failed to delete availability window')
+  }
+}
+
+router.use(jwtAuth.securityHeaders())
+
+router.post(
+  '/claim',
+  jwtAuth.requireCreator(),
+  jwtAuth.rateLimit({ maxRequests: 5, windowMinutes: 15 }),
+  jwtAuth.auditLog('REQUEST_CREATOR_CLAIM'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, requestClaimValidation, 'body'),
+  requestClaim
+)
+
+router.post(
+  '/claim/verify',
+  jwtAuth.requireCreator(),
+  jwtAuth.rateLimit({ maxRequests: 10, windowMinutes: 15 }),
+  jwtAuth.auditLog('VERIFY_CREATOR_CLAIM'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, verifyClaimValidation, 'body'),
+  verifyClaim
+)
+
+router.get('/me', jwtAuth.requireCreator(), getMyProfile)
+
+router.patch(
+  '/me',
+  jwtAuth.requireCreator(),
+  jwtAuth.auditLog('UPDATE_OWN_CREATOR_PROFILE'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, updateMyProfileValidation, 'body'),
+  updateMyProfile
+)
+
+router.get('/me/payout-details', jwtAuth.requireCreator(), getMyPayoutDetails)
+
+router.put(
+  '/me/payout-details',
+  jwtAuth.requireCreator(),
+  jwtAuth.auditLog('SAVE_CREATOR_PAYOUT_DETAILS'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, saveMyPayoutDetailsValidation, 'body'),
+  saveMyPayoutDetails
+)
+
+router.get('/me/campaigns', jwtAuth.requireCreator(), getMyCampaigns)
+
+router.get('/me/contracts', jwtAuth.requireCreator(), getMyContracts)
+
+router.post(
+  '/me/offers/:campaignId/accept',
+  jwtAuth.requireCreator(),
+  jwtAuth.auditLog('ACCEPT_CAMPAIGN_OFFER'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, respondToOfferValidation, 'body'),
+  respondToOffer('accept')
+)
+
+router.post(
+  '/me/offers/:campaignId/decline',
+  jwtAuth.requireCreator(),
+  jwtAuth.auditLog('DECLINE_CAMPAIGN_OFFER'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, respondToOfferValidation, 'body'),
+  respondToOffer('decline')
+)
+
+router.get(
+  '/me/calendar',
+  jwtAuth.requireCreator(),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, getMyCalendarValidation, 'query'),
+  getMyCalendar
+)
+
+router.post(
+  '/me/availability',
+  jwtAuth.requireCreator(),
+  jwtAuth.auditLog('ADD_OWN_AVAILABILITY'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, addMyAvailabilityWindowValidation, 'body'),
+  addMyAvailabilityWindow
+)
+
+router.delete(
+  '/me/availability/:windowId',
+  jwtAuth.requireCreator(),
+  jwtAuth.auditLog('DELETE_OWN_AVAILABILITY'),
+  deleteMyAvailabilityWindow
+)
+
+module.exports = router
@@ -0,0 +1,93 @@
+// controllers/creators/creatorAuthenticity.js
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const jwtAuth = require('../../middlewares/auth/jwtAuthMiddleware')
+const creatorAuthenticityService = require('../../services/creators/creatorAuthenticityService')
+const creatorImportService = require('../../services/creators/creatorImportService')
+
+/**
+ * @namespace -CREATOR-AUTHENTICITY-MODULE-
+ * @description API's related to creator audience authenticity scores.
+ */
+
+// Map service errors to API responses
+const sendAuthenticityError = (res, error, fallbackMessage) => {
+  if (error.message.includes('not found')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.NO_RECORDS_FOUND,
+      err: error.message
+    })
+  }
+
+  if (error.message.startsWith('Invalid')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+      err: error.message
+    })
+  }
+
+  return res.sendJson({
+    type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+    err: fallbackMessage
+  })
+}
+
+/**
+ * @memberof -CREATOR-AUTHENTICITY-module-
+ * @name recomputeAuthenticity
+ * @path {POST} /api/creators/authenticity/recompute
+ * @description Rescore the audience authenticity risk of the given creators (creator_ids), or of all creators.
+ * Scores are otherwise refreshed when a creator's metrics, tier or niche change, so this picks up peer
+ * changes and backfills creators scored before. Creators whose primary platform score changed are
+ * re-embedded in the background; follow the job at /api/creators/import/jobs/:jobId.
+ */
+const recomputeAuthenticityValidation = {
+  type: 'object',
+  required: false,
+  properties: {
+    creator_ids: {
+      type: 'array',
+      required: false,
+      minItems: 1,
+      maxItems: __constants.CREATOR_IMPORT.MAX_ROWS,
+      items: {
+        type: 'string',
+        pattern: '^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$'
+      }
+    }
+  }
+}
+
+const recomputeAuthenticity = async (req, res) => {
+  try {
+    const { primary_changed_ids: changedIds, ...summary } =
+      await creatorAuthenticityService.recomputeScores(req.body?.creator_ids || null)
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: `Authenticity scores recomputed for ${summary.scored} creators`,
+        ...summary,
+        embedding: changedIds.length > 0 ? creatorImportService.queueEmbeddings(changedIds) : null
+      }
+    })
+  } catch (error) {
+    console.error('Error recomputing creator authenticity:', error)
+    return sendAuthenticityError(res, error, 'Failed to recompute authenticity scores')
+  }
+}
+
+router.use(jwtAuth.securityHeaders())
+
+router.post(
+  '/authenticity/recompute',
+  jwtAuth.requireAdmin(),
+  jwtAuth.auditLog('RECOMPUTE_CREATOR_AUTHENTICITY'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, recomputeAuthenticityValidation, 'body'),
+  recomputeAuthenticity
+)
+
+module.exports = router
@@ -0,0 +1,161 @@
+// controllers/creators/creatorAvailability.js
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const jwtAuth = require('../../middlewares/auth/jwtAuthMiddleware')
+const creatorAvailabilityService = require('../../services/creators/creatorAvailabilityService')
+
+/**
+ * @namespace -CREATOR-AVAILABILITY-MODULE-
+ * @description API's related to creator availability windows and campaign bookings.
+ */
+
+// Map service errors to API responses
+const sendAvailabilityError = (res, error, fallbackMessage) => {
+  if (error.message.includes('not found')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.NO_RECORDS_FOUND,
+      err: error.message
+    })
+  }
+
+  if (error.message.startsWith('Invalid')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+      err: error.message
+    })
+  }
+
+  return res.sendJson({
+    type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+    err: fallbackMessage
+  })
+}
+
+/**
+ * @memberof -CREATOR-AVAILABILITY-module-
+ * @name getBookedCalendar
+ * @path {GET} /api/creators/:creatorId/calendar
+ * @description Availability windows and campaign commitments of a creator between from and to (YYYY-MM-DD).
+ * Commitments to other brands' campaigns are shown without campaign details.
+ */
+const getBookedCalendarValidation = {
+  type: 'object',
+  required: false,
+  properties: {
+    from: { type: 'string', required: false, format: 'date' },
+    to: { type: 'string', required: false, format: 'date' }
+  }
+}
+
+const getBookedCalendar = async (req, res) => {
+  try {
+    const calendar = await creatorAvailabilityService.getBookedCalendar(
+      req.params.creatorId,
+      req.query,
+      { userId: req.user.id, role: req.user.role }
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: calendar
+    })
+  } catch (error) {
+    console.error('Error getting creator calendar:', error)
+    return sendAvailabilityError(res, error, 'Failed to get creator calendar')
+  }
+}
+
+/**
+ * @memberof -CREATOR-AVAILABILITY-module-
+ * @name addAvailabilityWindow
+ * @path {POST} /api/creators/:creatorId/availability
+ * @description Record a period the creator is unavailable (blocks bookings) or tentatively unavailable (warns)
+ */
+const addAvailabilityWindowValidation = {
+  type: 'object',
+  required: true,
+  properties: {
+    start_date: { type: 'string', required: true, format: 'date' },
+    end_date: { type: 'string', required: true, format: 'date' },
+    status: {
+      type: 'string',
+      required: false,
+      enum: __constants.CREATOR_AVAILABILITY.WINDOW_STATUSES
+    },
+    note: { type: 'string', required: false, maxLength: 500 }
+  }
+}
+
+const addAvailabilityWindow = async (req, res) => {
+  try {
+    const window = await creatorAvailabilityService.addWindow(
+      req.params.creatorId,
+      req.body,
+      req.user.id
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: 'Availability window added',
+        window
+      }
+    })
+  } catch (error) {
+    console.error('Error adding availability window:', error)
+    return sendAvailabilityError(res, error, 'Failed to add availability window')
+  }
+}
+
+/**
+ * @memberof -CREATOR-AVAILABILITY-module-
+ * @name deleteAvailabilityWindow
+ * @path {DELETE} /api/creators/:creatorId/availability/:windowId
+ * @description Remove an availability window
+ */
+const deleteAvailabilityWindow = async (req, res) => {
+  try {
+    const result = await creatorAvailabilityService.deleteWindow(
+      req.params.creatorId,
+      req.params.windowId
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: result
+    })
+  } catch (error) {
+    console.error('Error deleting availability window:', error)
+    return sendAvailabilityError(res, error, 'Failed to delete availability window')
+  }
+}
+
+router.use(jwtAuth.securityHeaders())
+
+router.get(
+  '/:creatorId/calendar',
+  jwtAuth.requireAuth(),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, getBookedCalendarValidation, 'query'),
+  getBookedCalendar
+)
+
+router.post(
+  '/:creatorId/availability',
+  jwtAuth.requireAdmin(),
+  jwtAuth.auditLog('ADD_CREATOR_AVAILABILITY'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, addAvailabilityWindowValidation, 'body'),
+  addAvailabilityWindow
+)
+
+router.delete(
+  '/:creatorId/availability/:windowId',
+  jwtAuth.requireAdmin(),
+  jwtAuth.auditLog('DELETE_CREATOR_AVAILABILITY'),
+  deleteAvailabilityWindow
+)
+
+module.exports = router
@@ -0,0 +1,139 @@
+// controllers/creators/creatorDedup.js
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const jwtAuth = require('../../middlewares/auth/jwtAuthMiddleware')
+const creatorDedupService = require('../../services/creators/creatorDedupService')
+
+/**
+ * @namespace -CREATOR-DEDUP-MODULE-
+ * @description API's related to finding and merging duplicate creators.
+ */
+
+const { DEFAULT_LIMIT, MAX_LIMIT, MIN_SCORE } = __constants.CREATOR_DEDUP
+
+// Map service errors to API responses
+const sendDedupError = (res, error, fallbackMessage) => {
+  if (error.message.includes('not found')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.NO_RECORDS_FOUND,
+      err: error.message
+    })
+  }
+
+  if (error.message.startsWith('Invalid')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+      err: error.message
+    })
+  }
+
+  return res.sendJson({
+    type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+    err: fallbackMessage
+  })
+}
+
+const uuid = {
+  type: 'string',
+  pattern: '^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$'
+}
+
+/**
+ * @memberof -CREATOR-DEDUP-module-
+ * @name findDuplicates
+ * @path {GET} /api/creators/duplicates
+ * @description Pairs of creators that look like the same person, scored by shared normalized email,
+ * username, platform handles and name similarity. Pass creator_id to only see pairs including that creator.
+ */
+const findDuplicatesValidation = {
+  type: 'object',
+  required: false,
+  properties: {
+    creator_id: { ...uuid, required: false },
+    min_score: { type: 'string', required: false, pattern: '^(0(\\.\\d+)?|1(\\.0+)?)$' },
+    limit: { type: 'string', required: false, pattern: '^[0-9]+$' }
+  }
+}
+
+const findDuplicates = async (req, res) => {
+  try {
+    const result = await creatorDedupService.findDuplicates({
+      creatorId: req.query.creator_id || null,
+      minScore: req.query.min_score !== undefined ? parseFloat(req.query.min_score) : MIN_SCORE,
+      limit: Math.min(parseInt(req.query.limit) || DEFAULT_LIMIT, MAX_LIMIT)
+    })
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: result
+    })
+  } catch (error) {
+    console.error('Error finding duplicate creators:', error)
+    return sendDedupError(res, error, 'Failed to find duplicate creators')
+  }
+}
+
+/**
+ * @memberof -CREATOR-DEDUP-module-
+ * @name mergeCreators
+ * @path {POST} /api/creators/merge
+ * @description Merge duplicate_id into survivor_id. The survivor keeps its profile with gaps filled from the duplicate,
+ * gains the duplicate's platforms, history, calls, contracts and campaign entries, and the duplicate is deleted
+ * along with its search vector. With dry_run the merge is reported but not saved.
+ */
+const mergeCreatorsValidation = {
+  type: 'object',
+  required: true,
+  properties: {
+    survivor_id: { ...uuid, required: true },
+    duplicate_id: { ...uuid, required: true },
+    dry_run: { type: 'boolean', required: false }
+  }
+}
+
+const mergeCreators = async (req, res) => {
+  try {
+    const result = await creatorDedupService.mergeCreators(
+      req.body.survivor_id,
+      req.body.duplicate_id,
+      req.user.id,
+      { dryRun: req.body.dry_run === true }
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: result.dry_run
+          ? `Dry run: ${result.merged_creator.creator_name} can be merged, nothing was saved`
+          : `Creator ${result.merged_creator.creator_name} merged successfully`,
+        ...result
+      }
+    })
+  } catch (error) {
+    console.error('Error merging creators:', error)
+    return sendDedupError(res, error, 'Failed to merge creators')
+  }
+}
+
+router.use(jwtAuth.securityHeaders())
+
+router.get(
+  '/duplicates',
+  jwtAuth.requireAdmin(),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, findDuplicatesValidation, 'query'),
+  findDuplicates
+)
+
+router.post(
+  '/merge',
+  jwtAuth.requireAdmin(),
+  jwtAuth.auditLog('MERGE_CREATORS'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, mergeCreatorsValidation, 'body'),
+  mergeCreators
+)
+
+module.exports = router
@@ -0,0 +1,152 @@
+// controllers/creators/creatorImport.js
+const express = require('express')
+const router = express.Router()
+const multer = require('multer')
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const uploadErrors = require('../../middlewares/uploadErrors')
+const jwtAuth = require('../../middlewares/auth/jwtAuthMiddleware')
+const creatorImportService = require('../../services/creators/creatorImportService')
+
+/**
+ * @namespace -CREATOR-IMPORT-MODULE-
+ * @description API's related to bulk importing creators.
+ */
+
+// Configure multer for creator CSV/JSON uploads
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: __constants.CREATOR_IMPORT.MAX_FILE_SIZE_MB * 1024 * 1024
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['text/csv', 'application/vnd.ms-excel', 'text/plain', 'application/json']
+
+    if (allowedTypes.includes(file.mimetype) || /\.(csv|json)$/i.test(file.originalname)) {
+      cb(null, true)
+    } else {
+      cb(new Error('Invalid file type. Please upload a CSV or JSON file.'), false)
+    }
+  }
+})
+
+const uploadCreatorsFile = uploadErrors(upload.single('creators_file'), {
+  LIMIT_FILE_SIZE: `File too large: import files can be at most ${__constants.CREATOR_IMPORT.MAX_FILE_SIZE_MB}MB`
+})
+
+// Map service errors to API responses
+const sendImportError = (res, error, fallbackMessage) => {
+  if (error.message.includes('not found')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.NO_RECORDS_FOUND,
+      err: error.message
+    })
+  }
+
+  if (error.message.startsWith('Invalid')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+      err: error.message
+    })
+  }
+
+  return res.sendJson({
+    type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+    err: fallbackMessage
+  })
+}
+
+/**
+ * @memberof -CREATOR-IMPORT-module-
+ * @name importCreators
+ * @path {POST} /api/creators/import
+ * @description Import creators from a CSV or JSON file (creators_file) or a JSON body ({ creators: [...] }).
+ * CSV columns are profile fields plus per-platform <platform>_<field> columns, e.g. instagram_follower_count.
+ * With dry_run=true nothing is saved and each row reports what would happen or its validation errors.
+ * With upsert=true rows matching an existing creator by username or email update it.
+ */
+const importCreatorsQueryValidation = {
+  type: 'object',
+  required: false,
+  properties: {
+    dry_run: { type: 'string', required: false, enum: ['true', 'false'] },
+    upsert: { type: 'string', required: false, enum: ['true', 'false'] }
+  }
+}
+
+const importCreators = async (req, res) => {
+  try {
+    let rows
+
+    if (req.file) {
+      const isJson = req.file.mimetype === 'application/json' ||
+        req.file.originalname.toLowerCase().endsWith('.json')
+
+      rows = isJson
+        ? creatorImportService.parseJson(req.file.buffer)
+        : await creatorImportService.parseCsv(req.file.buffer)
+    } else if (Array.isArray(req.body?.creators)) {
+      rows = creatorImportService.checkRowCount(req.body.creators)
+    } else {
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+        err: 'Upload a CSV or JSON file as creators_file or send { creators: [...] }'
+      })
+    }
+
+    const report = await creatorImportService.importCreators(rows, {
+      dryRun: req.query.dry_run === 'true',
+      upsert: req.query.upsert === 'true'
+    })
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: report.dry_run
+          ? 'Dry run completed, no creators were saved'
+          : 'Creator import completed',
+        file_name: req.file ? req.file.originalname : null,
+        ...report
+      }
+    })
+  } catch (error) {
+    console.error('Error importing creators:', error)
+    return sendImportError(res, error, 'Failed to import creators')
+  }
+}
+
+/**
+ * @memberof -CREATOR-IMPORT-module-
+ * @name getEmbeddingJob
+ * @path {GET} /api/creators/import/jobs/:jobId
+ * @description Progress of the search embeddings queued by an import
+ */
+const getEmbeddingJob = async (req, res) => {
+  try {
+    const job = creatorImportService.getEmbeddingJob(req.params.jobId)
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: job
+    })
+  } catch (error) {
+    console.error('Error getting creator embedding job:', error)
+    return sendImportError(res, error, 'Failed to get embedding job')
+  }
+}
+
+router.use(jwtAuth.securityHeaders())
+
+router.post(
+  '/import',
+  jwtAuth.requireAdmin(),
+  jwtAuth.auditLog('IMPORT_CREATORS'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, importCreatorsQueryValidation, 'query'),
+  uploadCreatorsFile,
+  importCreators
+)
+
+router.get('/import/jobs/:jobId', jwtAuth.requireAdmin(), getEmbeddingJob)
+
+module.exports = router
@@ -0,0 +1,230 @@
+// controllers/creators/creatorManagement.js
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const jwtAuth = require('../../middlewares/auth/jwtAuthMiddleware')
+const creatorService = require('../../services/creators/creatorService')
+
+/**
+ * @namespace -CREATOR-MANAGEMENT-MODULE-
+ * @description API's related to editing and deleting creator profiles.
+ */
+
+const { TIERS, PLATFORMS } = __constants.CREATOR_MANAGEMENT
+
+// Map service errors to API responses
+const sendCreatorError = (res, error, fallbackMessage) => {
+  if (error.message.includes('not found')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.NO_RECORDS_FOUND,
+      err: error.message
+    })
+  }
+
+  if (error.message.startsWith('Invalid')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+      err: error.message
+    })
+  }
+
+  return res.sendJson({
+    type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+    err: fallbackMessage
+  })
+}
+
+const creatorParamsValidation = {
+  type: 'object',
+  required: true,
+  properties: {
+    id: {
+      type: 'string',
+      required: true,
+      pattern: '^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$'
+    }
+  }
+}
+
+// Per-platform groups are keyed by platform name
+const platformGroupSchema = (properties) => ({
+  type: 'object',
+  required: false,
+  additionalProperties: { type: 'object', properties }
+})
+
+const number = { type: ['number', 'null'], minimum: 0 }
+
+const creatorProperties = {
+  creator_name: { type: 'string', minLength: 1, maxLength: 255 },
+  username: { type: 'string', minLength: 1, maxLength: 255 },
+  bio: { type: ['string', 'null'] },
+  email: { type: ['string', 'null'], format: 'email' },
+  business_email: { type: ['string', 'null'], format: 'email' },
+  profile_image_url: { type: ['string', 'null'] },
+  verification_status: { type: 'string' },
+  last_active_date: { type: ['string', 'null'] },
+  location_country: { type: ['string', 'null'] },
+  location_city: { type: ['string', 'null'] },
+  location_timezone: { type: ['string', 'null'] },
+  languages: { type: 'array', items: { type: 'string' } },
+  niche: { type: 'string', minLength: 1 },
+  content_categories: { type: 'array', items: { type: 'string' } },
+  tier: { type: 'string', enum: TIERS },
+  primary_platform: { type: 'string', enum: PLATFORMS },
+  total_collaborations: { type: 'integer', minimum: 0 },
+  avg_response_time_hours: number,
+  response_rate_percentage: { type: ['number', 'null'], minimum: 0, maximum: 100 },
+  avg_delivery_time_days: number,
+  client_satisfaction_score: { type: ['number', 'null'], minimum: 0, maximum: 5 },
+  content_examples: { type: ['array', 'null'] },
+  personality_profile: { type: ['object', 'null'] },
+  platform_metrics: platformGroupSchema({
+    follower_count: number,
+    following_count: number,
+    post_count: number,
+    avg_views: number,
+    avg_likes: number,
+    avg_comments: number,
+    avg_shares: number,
+    engagement_rate: { type: ['number', 'null'], minimum: 0, maximum: 100 },
+    followers_gained_30d: { type: ['number', 'null'] },
+    total_videos: number,
+    story_views_avg: number,
+    handle: { type: ['string', 'null'], maxLength: 255 }
+  }),
+  audience_demographics: platformGroupSchema({
+    age_13_17: number,
+    age_18_24: number,
+    age_25_34: number,
+    age_35_44: number,
+    age_45_plus: number,
+    gender_male: number,
+    gender_female: number,
+    gender_other: number,
+    top_countries: { type: ['array', 'null'] },
+    interests: { type: ['array', 'null'], items: { type: 'string' } }
+  }),
+  pricing: platformGroupSchema({
+    sponsored_post: number,
+    story_mention: number,
+    video_integration: number,
+    brand_ambassadorship_monthly: number,
+    event_coverage: number,
+    currency: { type: 'string', pattern: '^[A-Za-z]{3}$' }
+  })
+}
+
+// A PUT must carry the fields that identify the creator in search
+const buildUpdateValidation = (requiredFields) => ({
+  type: 'object',
+  required: true,
+  properties: Object.fromEntries(
+    Object.entries(creatorProperties).map(([field, schema]) => [
+      field,
+      { required: requiredFields.includes(field), ...schema }
+    ])
+  )
+})
+
+const replaceCreatorValidation = buildUpdateValidation([
+  'creator_name',
+  'username',
+  'niche',
+  'tier',
+  'primary_platform'
+])
+const patchCreatorValidation = buildUpdateValidation([])
+
+const saveCreator = (replace) => async (req, res) => {
+  try {
+    const result = await creatorService.updateCreator(req.params.id, req.body, { replace })
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: `Creator ${result.creator.creator_name} updated successfully`,
+        ...result
+      }
+    })
+  } catch (error) {
+    console.error('Error updating creator:', error)
+    return sendCreatorError(res, error, 'Failed to update creator')
+  }
+}
+
+/**
+ * @memberof -CREATOR-MANAGEMENT-module-
+ * @name replaceCreator
+ * @path {PUT} /api/creators/:id
+ * @description Save a full creator profile; creator_name, username, niche, tier and primary_platform are required.
+ * Each platform_metrics, pricing or audience_demographics group that is sent replaces all of the creator's platforms in it.
+ */
+const replaceCreator = saveCreator(true)
+
+/**
+ * @memberof -CREATOR-MANAGEMENT-module-
+ * @name patchCreator
+ * @path {PATCH} /api/creators/:id
+ * @description Update some fields of a creator. Per-platform fields are merged into the platform's existing row.
+ */
+const patchCreator = saveCreator(false)
+
+/**
+ * @memberof -CREATOR-MANAGEMENT-module-
+ * @name deleteCreator
+ * @path {DELETE} /api/creators/:id
+ * @description Delete a creator and remove it from the search index
+ */
+const deleteCreator = async (req, res) => {
+  try {
+    const result = await creatorService.deleteCreator(req.params.id)
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: `Creator ${result.creator_name} deleted successfully`,
+        ...result
+      }
+    })
+  } catch (error) {
+    console.error('Error deleting creator:', error)
+    return sendCreatorError(res, error, 'Failed to delete creator')
+  }
+}
+
+const paramsValidation = (req, res, next) =>
+  validationOfAPI(req, res, next, creatorParamsValidation, 'params')
+
+router.use(jwtAuth.securityHeaders())
+
+router.put(
+  '/:id',
+  jwtAuth.requireAdmin(),
+  jwtAuth.auditLog('REPLACE_CREATOR'),
+  paramsValidation,
+  (req, res, next) =>
+    validationOfAPI(req, res, next, replaceCreatorValidation, 'body'),
+  replaceCreator
+)
+
+router.patch(
+  '/:id',
+  jwtAuth.requireAdmin(),
+  jwtAuth.auditLog('UPDATE_CREATOR'),
+  paramsValidation,
+  (req, res, next) =>
+    validationOfAPI(req, res, next, patchCreatorValidation, 'body'),
+  patchCreator
+)
+
+router.delete(
+  '/:id',
+  jwtAuth.requireAdmin(),
+  jwtAuth.auditLog('DELETE_CREATOR'),
+  paramsValidation,
+  deleteCreator
+)
+
+module.exports = router
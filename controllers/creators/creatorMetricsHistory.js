@@ -0,0 +1,82 @@
+// controllers/creators/creatorMetricsHistory.js
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const jwtAuth = require('../../middlewares/auth/jwtAuthMiddleware')
+const creatorMetricsHistoryService = require('../../services/creators/creatorMetricsHistoryService')
+
+/**
+ * @namespace -CREATOR-METRICS-HISTORY-MODULE-
+ * @description API's related to the history of creator platform metrics.
+ */
+
+const { DEFAULT_DAYS, MAX_DAYS } = __constants.CREATOR_METRICS_HISTORY
+
+// Map service errors to API responses
+const sendMetricsHistoryError = (res, error, fallbackMessage) => {
+  if (error.message.includes('not found')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.NO_RECORDS_FOUND,
+      err: error.message
+    })
+  }
+
+  if (error.message.startsWith('Invalid')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+      err: error.message
+    })
+  }
+
+  return res.sendJson({
+    type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+    err: fallbackMessage
+  })
+}
+
+/**
+ * @memberof -CREATOR-METRICS-HISTORY-module-
+ * @name getMetricsHistory
+ * @path {GET} /api/creators/:creatorId/metrics-history
+ * @description Follower and engagement snapshots of a creator per platform over the last `days` days,
+ * with follower growth over 30 and 90 days and the 30-day engagement trend (rising, stable or declining).
+ * Growth is measured back from each platform's latest snapshot and is null without earlier history.
+ */
+const getMetricsHistoryValidation = {
+  type: 'object',
+  required: false,
+  properties: {
+    platform: { type: 'string', required: false, enum: __constants.CREATOR_MANAGEMENT.PLATFORMS },
+    days: { type: 'string', required: false, pattern: '^[0-9]+$' }
+  }
+}
+
+const getMetricsHistory = async (req, res) => {
+  try {
+    const history = await creatorMetricsHistoryService.getMetricsHistory(req.params.creatorId, {
+      platform: req.query.platform || null,
+      days: Math.min(parseInt(req.query.days) || DEFAULT_DAYS, MAX_DAYS)
+    })
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: history
+    })
+  } catch (error) {
+    console.error('Error getting creator metrics history:', error)
+    return sendMetricsHistoryError(res, error, 'Failed to get creator metrics history')
+  }
+}
+
+router.use(jwtAuth.securityHeaders())
+
+router.get(
+  '/:creatorId/metrics-history',
+  jwtAuth.requireAuth(),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, getMetricsHistoryValidation, 'query'),
+  getMetricsHistory
+)
+
+module.exports = router
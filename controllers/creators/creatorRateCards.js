@@ -0,0 +1,292 @@
+// controllers/creators/creatorRateCards.js
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const jwtAuth = require('../../middlewares/auth/jwtAuthMiddleware')
+const creatorRateCardService = require('../../services/creators/creatorRateCardService')
+
+/**
+ * @namespace -CREATOR-RATE-CARDS-MODULE-
+ * @description API's related to creator rate cards and quotes.
+ */
+
+const { PLATFORMS } = __constants.CREATOR_MANAGEMENT
+const { FORMATS } = __constants.CAMPAIGN_DELIVERABLES
+const {
+  USAGE_RIGHTS,
+  MAX_USAGE_MONTHS,
+  MAX_EXCLUSIVITY_MONTHS,
+  MAX_QUOTE_ITEMS
+} = __constants.CREATOR_RATE_CARDS
+
+// Map service errors to API responses
+const sendRateCardError = (res, error, fallbackMessage) => {
+  if (error.message.includes('not found')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.NO_RECORDS_FOUND,
+      err: error.message
+    })
+  }
+
+  if (error.message.startsWith('Not authorized')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.ACCESS_DENIED,
+      err: error.message
+    })
+  }
+
+  if (error.message.startsWith('Invalid')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+      err: error.message
+    })
+  }
+
+  return res.sendJson({
+    type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+    err: fallbackMessage
+  })
+}
+
+const uuid = {
+  type: 'string',
+  pattern: '^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$'
+}
+
+const creatorParamsValidation = {
+  type: 'object',
+  required: true,
+  properties: {
+    creatorId: { ...uuid, required: true }
+  }
+}
+
+const percent = { type: 'number', minimum: 0, maximum: 100 }
+
+const deliverable = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    platform: { type: 'string', required: true, enum: PLATFORMS },
+    format: { type: 'string', required: true, enum: FORMATS },
+    quantity: { type: 'integer', required: false, minimum: 1, maximum: 100 }
+  }
+}
+
+/**
+ * @memberof -CREATOR-RATE-CARDS-module-
+ * @name getRateCard
+ * @path {GET} /api/creators/:creatorId/rate-card
+ * @description Current rate card of a creator (or ?version=N) and its version history. Creators without
+ * a rate card get one built from their flat pricing, with source 'pricing' and no version.
+ */
+const getRateCardValidation = {
+  type: 'object',
+  required: false,
+  properties: {
+    version: { type: 'string', required: false, pattern: '^[1-9][0-9]*$' }
+  }
+}
+
+const getRateCard = async (req, res) => {
+  try {
+    const result = await creatorRateCardService.getRateCardWithVersions(
+      req.params.creatorId,
+      req.query.version ? parseInt(req.query.version) : null
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: result
+    })
+  } catch (error) {
+    console.error('Error getting creator rate card:', error)
+    return sendRateCardError(res, error, 'Failed to get rate card')
+  }
+}
+
+/**
+ * @memberof -CREATOR-RATE-CARDS-module-
+ * @name saveRateCard
+ * @path {PUT} /api/creators/:creatorId/rate-card
+ * @description Save a new version of a creator's rate card. Admins can edit any rate card, creators the one of
+ * their claimed profile. Rates are per platform and format; packages bundle rated deliverables at a set price;
+ * usage rights and exclusivity are a percentage of the fee per month; the rush fee applies to delivery within
+ * within_days; the best volume discount the deliverable count reaches applies.
+ */
+const saveRateCardValidation = {
+  type: 'object',
+  required: true,
+  additionalProperties: false,
+  properties: {
+    currency: { type: 'string', required: true, pattern: '^[A-Za-z]{3}$' },
+    rates: {
+      type: 'object',
+      required: true,
+      propertyNames: { enum: PLATFORMS },
+      additionalProperties: {
+        type: 'object',
+        propertyNames: { enum: FORMATS },
+        additionalProperties: { type: 'number', minimum: 0 }
+      }
+    },
+    packages: {
+      type: 'array',
+      required: false,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+          description: { type: ['string', 'null'], required: false, maxLength: 1000 },
+          items: { type: 'array', required: true, minItems: 1, items: deliverable },
+          price: { type: 'number', required: true, minimum: 0 }
+        }
+      }
+    },
+    usage_rights: {
+      type: 'object',
+      required: false,
+      propertyNames: { enum: USAGE_RIGHTS },
+      additionalProperties: percent
+    },
+    exclusivity_pct_per_month: { ...percent, type: ['number', 'null'], required: false },
+    rush_fee: {
+      type: ['object', 'null'],
+      required: false,
+      additionalProperties: false,
+      properties: {
+        percent: { ...percent, required: true },
+        within_days: { type: 'integer', required: true, minimum: 1 }
+      }
+    },
+    volume_discounts: {
+      type: 'array',
+      required: false,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          min_deliverables: { type: 'integer', required: true, minimum: 2 },
+          percent: { ...percent, required: true }
+        }
+      }
+    },
+    notes: { type: ['string', 'null'], required: false, maxLength: 2000 }
+  }
+}
+
+const saveRateCard = async (req, res) => {
+  try {
+    const rateCard = await creatorRateCardService.saveRateCard(
+      req.params.creatorId,
+      req.body,
+      req.user
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: `Rate card version ${rateCard.version} saved`,
+        rate_card: rateCard
+      }
+    })
+  } catch (error) {
+    console.error('Error saving creator rate card:', error)
+    return sendRateCardError(res, error, 'Failed to save rate card')
+  }
+}
+
+/**
+ * @memberof -CREATOR-RATE-CARDS-module-
+ * @name createQuote
+ * @path {POST} /api/creators/:creatorId/quote
+ * @description Price deliverables and packages against the creator's current rate card, with usage rights,
+ * exclusivity and a rush fee when delivery_days is within the card's rush window. The quote is saved (with
+ * campaign_id when given) and later used by outreach calls and contracts for that campaign.
+ */
+const createQuoteValidation = {
+  type: 'object',
+  required: true,
+  additionalProperties: false,
+  properties: {
+    deliverables: { type: 'array', required: false, maxItems: MAX_QUOTE_ITEMS, items: deliverable },
+    packages: {
+      type: 'array',
+      required: false,
+      maxItems: MAX_QUOTE_ITEMS,
+      items: { type: 'string', minLength: 1 }
+    },
+    usage_rights: {
+      type: 'array',
+      required: false,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          type: { type: 'string', required: true, enum: USAGE_RIGHTS },
+          months: { type: 'integer', required: true, minimum: 1, maximum: MAX_USAGE_MONTHS }
+        }
+      }
+    },
+    exclusivity_months: { type: 'integer', required: false, minimum: 0, maximum: MAX_EXCLUSIVITY_MONTHS },
+    delivery_days: { type: 'integer', required: false, minimum: 0 },
+    currency: { type: 'string', required: false, pattern: '^[A-Za-z]{3}$' },
+    campaign_id: { ...uuid, required: false }
+  }
+}
+
+const createQuote = async (req, res) => {
+  try {
+    const { campaign_id: campaignId, ...request } = req.body
+
+    const quote = await creatorRateCardService.createQuote(req.params.creatorId, request, {
+      userId: req.user.id,
+      campaignId: campaignId || null
+    })
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: quote
+    })
+  } catch (error) {
+    console.error('Error creating creator quote:', error)
+    return sendRateCardError(res, error, 'Failed to create quote')
+  }
+}
+
+router.use(jwtAuth.securityHeaders())
+
+router.get(
+  '/:creatorId/rate-card',
+  jwtAuth.requireAuth(),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, creatorParamsValidation, 'params'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, getRateCardValidation, 'query'),
+  getRateCard
+)
+
+router.put(
+  '/:creatorId/rate-card',
+  jwtAuth.requireAuth(),
+  jwtAuth.auditLog('SAVE_CREATOR_RATE_CARD'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, creatorParamsValidation, 'params'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, saveRateCardValidation, 'body'),
+  saveRateCard
+)
+
+router.post(
+  '/:creatorId/quote',
+  jwtAuth.requireAuth(),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, creatorParamsValidation, 'params'),
+  (req, res, next) =>
+    validationOfAPI(req, res, next, createQuoteValidation, 'body'),
+  createQuote
+)
+
+module.exports = router
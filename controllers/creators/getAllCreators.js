@@ -30,7 +30,8 @@ const validationSchema = {
     platform: { type: 'string', required: false },
     min_followers: { type: 'string', required: false },
     max_followers: { type: 'string', required: false },
-    min_engagement: { type: 'string', required: false }
+    min_engagement: { type: 'string', required: false },
+    min_follower_growth_30d: { type: 'string', required: false, pattern: '^-?[0-9]+(\\.[0-9]+)?$' }
   }
 }
 
@@ -50,6 +51,7 @@ const getAllCreators = async (req, res) => {
     if (req.query.min_followers) { filters.min_followers = parseInt(req.query.min_followers) }
     if (req.query.max_followers) { filters.max_followers = parseInt(req.query.max_followers) }
     if (req.query.min_engagement) { filters.min_engagement = parseFloat(req.query.min_engagement) }
+    if (req.query.min_follower_growth_30d) { filters.min_follower_growth_30d = parseFloat(req.query.min_follower_growth_30d) }
 
     // Extract pagination
     if (req.query.page) pagination.page = parseInt(req.query.page)
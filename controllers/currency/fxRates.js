@@ -0,0 +1,168 @@
+// controllers/currency/fxRates.js
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const jwtAuth = require('../../middlewares/auth/jwtAuthMiddleware')
+const currencyService = require('../../services/currency/currencyService')
+
+/**
+ * @namespace -CURRENCY-MODULE-
+ * @description API's related to FX rates used to compare budgets and prices in different currencies.
+ */
+
+// Map service errors to API responses
+const sendCurrencyError = (res, error, fallbackMessage) => {
+  if (error.message.includes('not found')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.NO_RECORDS_FOUND,
+      err: error.message
+    })
+  }
+
+  if (error.message.startsWith('Invalid')) {
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+      err: error.message
+    })
+  }
+
+  return res.sendJson({
+    type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+    err: fallbackMessage
+  })
+}
+
+/**
+ * @memberof -CURRENCY-module-
+ * @name getRates
+ * @path {GET} /api/currency/rates
+ * @description List FX rates as units of each currency per one unit of the base currency
+ */
+const getRates = async (req, res) => {
+  try {
+    const rates = await currencyService.listRates()
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: rates
+    })
+  } catch (error) {
+    console.error('Error getting FX rates:', error)
+    return sendCurrencyError(res, error, 'Failed to get FX rates')
+  }
+}
+
+/**
+ * @memberof -CURRENCY-module-
+ * @name setRate
+ * @path {PUT} /api/currency/rates/:currency
+ * @description Create or update the FX rate of a currency (Admin only)
+ */
+const setRateValidation = {
+  type: 'object',
+  required: true,
+  properties: {
+    units_per_base: { type: 'number', required: true, minimum: 0, exclusiveMinimum: true }
+  }
+}
+
+const setRate = async (req, res) => {
+  try {
+    const rate = await currencyService.upsertRate(
+      req.params.currency,
+      req.body.units_per_base,
+      req.user.id
+    )
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: {
+        message: `FX rate for ${rate.currency} saved`,
+        rate
+      }
+    })
+  } catch (error) {
+    console.error('Error saving FX rate:', error)
+    return sendCurrencyError(res, error, 'Failed to save FX rate')
+  }
+}
+
+/**
+ * @memberof -CURRENCY-module-
+ * @name deleteRate
+ * @path {DELETE} /api/currency/rates/:currency
+ * @description Remove the FX rate of a currency (Admin only)
+ */
+const deleteRate = async (req, res) => {
+  try {
+    const result = await currencyService.deleteRate(req.params.currency)
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: result
+    })
+  } catch (error) {
+    console.error('Error deleting FX rate:', error)
+    return sendCurrencyError(res, error, 'Failed to delete FX rate')
+  }
+}
+
+/**
+ * @memberof -CURRENCY-module-
+ * @name convert
+ * @path {GET} /api/currency/convert
+ * @description Convert an amount between two currencies with the stored rates
+ */
+const convertValidation = {
+  type: 'object',
+  required: true,
+  properties: {
+    amount: { type: 'string', required: true, pattern: '^-?\\d+(\\.\\d+)?$' },
+    from: { type: 'string', required: true, minLength: 3, maxLength: 3 },
+    to: { type: 'string', required: true, minLength: 3, maxLength: 3 }
+  }
+}
+
+const convert = async (req, res) => {
+  try {
+    const { amount, from, to } = req.query
+    const result = await currencyService.convertAmount(amount, from, to)
+
+    res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SUCCESS,
+      data: result
+    })
+  } catch (error) {
+    console.error('Error converting currency:', error)
+    return sendCurrencyError(res, error, 'Failed to convert currency')
+  }
+}
+
+router.use(jwtAuth.securityHeaders())
+
+router.get('/rates', jwtAuth.requireAuth(), getRates)
+
+router.put(
+  '/rates/:currency',
+  jwtAuth.requireAdmin(),
+  (req, res, next) => validationOfAPI(req, res, next, setRateValidation, 'body'),
+  jwtAuth.auditLog('SET_FX_RATE'),
+  setRate
+)
+
+router.delete(
+  '/rates/:currency',
+  jwtAuth.requireAdmin(),
+  jwtAuth.auditLog('DELETE_FX_RATE'),
+  deleteRate
+)
+
+router.get(
+  '/convert',
+  jwtAuth.requireAuth(),
+  (req, res, next) => validationOfAPI(req, res, next, convertValidation, 'query'),
+  convert
+)
+
+module.exports = router
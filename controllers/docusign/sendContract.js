@@ -13,6 +13,7 @@ const validationSchema = {
   properties: {
     creatorId: { type: "string" },
     transcript: { type: "string" },
+    campaignId: { type: "string" },
   },
 };
 
@@ -23,7 +24,7 @@ const generateAndSendContract = async (req, res) => {
   console.log("[generateAndSendContract] Request body:", req.body);
 
   try {
-    const { creatorId, transcript } = req.body;
+    const { creatorId, transcript, campaignId } = req.body;
 
     const creatorRes = await creatorsQueries.getAllCreators(creatorId);
 
@@ -45,7 +46,8 @@ Creator name: ${creator.creator_name}
 
     const envelopeSummary = await contractService.generateAndSendContract(
       enrichedTranscript,
-      creatorId
+      creatorId,
+      campaignId || null
     );
 
     return res.sendJson({
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const __constants = require('../../config/constants');
 const { pool } = require('../../lib/db/postgres');
+const campaignPipelineService = require('../../services/campaigns/campaignPipelineService');
 const xml2js = require('xml2js');
 
 const parser = new xml2js.Parser({ explicitArray: false });
@@ -42,7 +43,7 @@ const docusignWebhookHandler = async (req, res) => {
       if (status === 'completed') {
         // Update DB to mark contract as signed
         const updateRes = await pool.query(
-          'UPDATE contracts SET is_signed = TRUE, signed_at = NOW() WHERE docusign_envelope_id = $1',
+          'UPDATE contracts SET is_signed = TRUE, signed_at = NOW() WHERE docusign_envelope_id = $1 RETURNING id, creator_id, campaign_id',
           [envelopeId]
         );
 
@@ -50,6 +51,18 @@ const docusignWebhookHandler = async (req, res) => {
           console.warn(`[DocuSignWebhook] No contract found for envelope ${envelopeId}`);
         } else {
           console.log(`[DocuSignWebhook] Contract updated as signed for envelope ${envelopeId}`);
+
+          const contract = updateRes.rows[0];
+          if (contract.campaign_id) {
+            try {
+              await campaignPipelineService.advanceStage(contract.campaign_id, contract.creator_id, 'contracted', {
+                activity: 'contract_signed',
+                contractId: contract.id
+              });
+            } catch (pipelineErr) {
+              console.error('[DocuSignWebhook] Pipeline update failed:', pipelineErr);
+            }
+          }
         }
       }
 
@@ -4,6 +4,8 @@ const router = express.Router()
 const __constants = require('../../config/constants')
 const validationOfAPI = require('../../middlewares/validation')
 const razorpayService = require('../../services/razorpay/razorpay')
+const campaignPipelineService = require('../../services/campaigns/campaignPipelineService')
+const currencyService = require('../../services/currency/currencyService')
 
 /**
  * @namespace -RAZORPAY-PAYOUT-MODULE-
@@ -81,7 +83,7 @@ const createFundAccount = async (req, res) => {
 const createPayoutValidationSchema = {
   fund_account_id: { required: true, type: 'string' },
   amount: { required: true, type: 'number', min: 100 },
-  currency: { required: true, type: 'string', enum: ['INR'] },
+  currency: { required: true, type: 'string', enum: [__constants.CURRENCY.PAYOUT_CURRENCY] },
   mode: { required: true, type: 'string', enum: __constants.RAZORPAY_CONFIG.TRANSFER_MODES },
   purpose: { required: true, type: 'string' },
   queue_if_low_balance: { required: false, type: 'boolean' },
@@ -99,7 +101,30 @@ const createPayout = async (req, res) => {
     const payoutData = req.body
     console.log('>>', payoutData)
     const response = await razorpayService.createPayout(payoutData)
-    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: response })
+
+    // Payouts tagged with notes.campaign_id / notes.creator_id close out the creator's pipeline entry
+    const notes = payoutData.notes || {}
+    const failedStatuses = ['rejected', 'cancelled', 'reversed', 'failed']
+    if (notes.campaign_id && notes.creator_id && !failedStatuses.includes(response.status)) {
+      try {
+        await campaignPipelineService.advanceStage(notes.campaign_id, notes.creator_id, 'paid', {
+          activity: `payout_${response.status || 'created'}`,
+          payoutId: response.id
+        })
+      } catch (error) {
+        console.log('Error advancing campaign pipeline from payout :: err', error)
+      }
+    }
+
+    // Amount in rupees and, for campaign payouts, in the campaign's currency
+    let amounts = {}
+    try {
+      amounts = await currencyService.describePayoutAmount(payoutData.amount, payoutData.currency, notes.campaign_id)
+    } catch (error) {
+      console.log('Error describing payout amount :: err', error)
+    }
+
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: { ...response, ...amounts } })
   } catch (err) {
     return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.message || err })
   }
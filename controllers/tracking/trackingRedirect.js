@@ -0,0 +1,57 @@
+// controllers/tracking/trackingRedirect.js
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const jwtAuth = require('../../middlewares/auth/jwtAuthMiddleware')
+const trackingLinkService = require('../../services/campaigns/trackingLinkService')
+
+/**
+ * @namespace -TRACKING-REDIRECT-MODULE-
+ * @description Public redirect behind creator tracking links.
+ */
+
+/**
+ * @memberof -TRACKING-REDIRECT-module-
+ * @name redirectTrackingLink
+ * @path {GET} /api/tracking/r/:shortCode
+ * @description Record a click (referrer, user agent, hashed IP) and redirect to the link destination.
+ * Public and unthrottled: jwtAuth.rateLimit is a pass-through in this app, so every hit writes a click row.
+ * The visitor IP is req.ip, which only honours X-Forwarded-For from proxies set in TRUST_PROXY.
+ */
+const redirectTrackingLink = async (req, res) => {
+  try {
+    const destinationUrl = await trackingLinkService.recordClick(
+      req.params.shortCode,
+      {
+        referrer: req.get('referer') || null,
+        userAgent: req.get('user-agent') || null,
+        ip: req.ip
+      }
+    )
+
+    if (!destinationUrl) {
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.NO_RECORDS_FOUND,
+        err: 'Tracking link not found'
+      })
+    }
+
+    // Every visit must reach the server to be counted
+    res.setHeader('Cache-Control', 'no-store')
+    res.redirect(302, destinationUrl)
+  } catch (error) {
+    console.error('Error redirecting tracking link:', error)
+    return res.sendJson({
+      type: __constants.RESPONSE_MESSAGES.SERVER_ERROR,
+      err: 'Failed to open tracking link'
+    })
+  }
+}
+
+router.get(
+  '/r/:shortCode',
+  jwtAuth.rateLimit({ maxRequests: 60, windowMinutes: 1, skipAuth: true }),
+  redirectTrackingLink
+)
+
+module.exports = router
@@ -2,6 +2,9 @@
 const authService = require('../../services/auth/authService')
 const __constants = require('../../config/constants')
 
+// Request body fields never written to the audit log: payout details and claim codes
+const AUDIT_REDACTED_FIELDS = ['bank_account_number', 'account_number', 'ifsc', 'vpa', 'code']
+
 class JWTAuthMiddleware {
   // Extract token from request headers
   extractToken (req) {
@@ -106,6 +109,11 @@ class JWTAuthMiddleware {
     })
   }
 
+  // Creator self-service access
+  requireCreator () {
+    return this.authenticate({ required: true, allowedRoles: ['creator'] })
+  }
+
   // Any authenticated user
   requireAuth () {
     return this.authenticate({ required: true })
@@ -280,7 +288,12 @@ class JWTAuthMiddleware {
         body: req.method !== 'GET' ? req.body : null
       }
 
-      console.log('AUDIT LOG:', JSON.stringify(auditData))
+      console.log(
+        'AUDIT LOG:',
+        JSON.stringify(auditData, (key, value) =>
+          AUDIT_REDACTED_FIELDS.includes(key) && value != null ? '[REDACTED]' : value
+        )
+      )
 
       // In production, this would be sent to a secure logging service
       // or stored in a dedicated audit table
@@ -0,0 +1,25 @@
+const multer = require('multer')
+const __constants = require('./../config/constants')
+
+// Wrap a multer middleware so rejected uploads are answered as INVALID_REQUEST instead of reaching
+// Express's default error handler. Covers every multer limit error and file filter rejections,
+// which are raised as errors starting with 'Invalid file type'. messages overrides the response
+// text per multer error code, e.g. { LIMIT_FILE_SIZE: 'File too large: at most 5MB' }.
+module.exports = (upload, messages = {}) => (req, res, next) =>
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+        err: messages[error.code] || (error.field ? `${error.message}: ${error.field}` : error.message)
+      })
+    }
+
+    if (error && error.message.startsWith('Invalid file type')) {
+      return res.sendJson({
+        type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST,
+        err: error.message
+      })
+    }
+
+    next(error)
+  })
@@ -0,0 +1,44 @@
+// migrations/helpers.js
+const { Pool } = require('pg')
+const __config = require('../config')
+
+const createPool = () => new Pool({
+  user: __config.postgres.user,
+  host: __config.postgres.host,
+  database: __config.postgres.database,
+  password: __config.postgres.password,
+  port: __config.postgres.port,
+  ssl: { rejectUnauthorized: false }
+})
+
+// Detect the SQL type of <table>.id so foreign keys match existing schema
+async function detectIdType (pool, tableName) {
+  const query = `
+    SELECT data_type
+    FROM information_schema.columns
+    WHERE table_name = $1
+    AND column_name = 'id'
+  `
+
+  const result = await pool.query(query, [tableName])
+
+  if (result.rows.length === 0) {
+    throw new Error(`${tableName} table or id column not found`)
+  }
+
+  const dataType = result.rows[0].data_type
+  console.log(`📋 Detected ${tableName}.id data type: ${dataType}`)
+
+  if (dataType === 'uuid') {
+    return 'UUID'
+  } else if (dataType === 'integer' || dataType === 'bigint') {
+    return 'INTEGER'
+  } else if (dataType === 'character varying' || dataType === 'text') {
+    return 'TEXT'
+  } else {
+    console.warn(`⚠️ Unknown data type: ${dataType}, defaulting to TEXT`)
+    return 'TEXT'
+  }
+}
+
+module.exports = { createPool, detectIdType }
@@ -0,0 +1,54 @@
+// migrations/runCampaignCalendarMigration.js
+const { createPool, detectIdType } = require('./helpers')
+
+const pool = createPool()
+
+async function runCampaignCalendarMigration () {
+  try {
+    console.log('🚀 Starting campaign calendar migration...')
+
+    const userIdType = await detectIdType(pool, 'users')
+
+    const migrationSQL = `
+-- Secret token behind each user's subscribable .ics feed (only the hash is stored)
+CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id ${userIdType} NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    last_accessed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Calls booked for a later time
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS scheduled_at TIMESTAMP;
+CREATE INDEX IF NOT EXISTS idx_calls_scheduled_at ON calls(scheduled_at) WHERE scheduled_at IS NOT NULL;
+
+-- Contracts must be signed within a week of being sent
+ALTER TABLE contracts ADD COLUMN IF NOT EXISTS signature_due_at TIMESTAMP;
+UPDATE contracts SET signature_due_at = created_at + INTERVAL '7 days'
+WHERE signature_due_at IS NULL AND created_at IS NOT NULL;
+ALTER TABLE contracts ALTER COLUMN signature_due_at SET DEFAULT (NOW() + INTERVAL '7 days');
+    `
+
+    await pool.query(migrationSQL)
+
+    console.log('✅ Migration completed successfully!')
+    console.log('📋 Created tables:')
+    console.log('   - calendar_feed_tokens')
+    console.log('🔗 Added calls.scheduled_at and contracts.signature_due_at')
+  } catch (error) {
+    console.error('❌ Migration failed:', error)
+    console.error('\n🔧 Troubleshooting:')
+    console.error('1. Ensure PostgreSQL is running')
+    console.error('2. Check database connection settings in config/index.js')
+    console.error('3. Run migrate:calls and migrate:campaign-pipeline first (calls and contracts are required)')
+  } finally {
+    await pool.end()
+  }
+}
+
+if (require.main === module) {
+  runCampaignCalendarMigration()
+}
+
+module.exports = { runCampaignCalendarMigration }
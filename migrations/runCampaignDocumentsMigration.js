@@ -0,0 +1,53 @@
+// migrations/runCampaignDocumentsMigration.js
+const { createPool, detectIdType } = require('./helpers')
+
+const pool = createPool()
+
+async function runCampaignDocumentsMigration () {
+  try {
+    console.log('🚀 Starting campaign documents migration...')
+
+    const campaignIdType = await detectIdType(pool, 'campaigns')
+    const userIdType = await detectIdType(pool, 'users')
+
+    const migrationSQL = `
+-- Brief documents a campaign was created from, with their full text for re-analysis
+CREATE TABLE IF NOT EXISTS campaign_documents (
+    id SERIAL PRIMARY KEY,
+    campaign_id ${campaignIdType} REFERENCES campaigns(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL DEFAULT 1, -- Order the files were uploaded in
+    file_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(255),
+    format VARCHAR(10) NOT NULL, -- 'txt', 'md', 'html', 'rtf', 'csv', 'pdf', 'doc', 'docx', 'pptx'
+    file_size INTEGER,
+    text_length INTEGER NOT NULL,
+    extracted_text TEXT NOT NULL,
+    extracted_fields JSONB DEFAULT '[]', -- Campaign fields the AI took from this document
+    uploaded_by_user_id ${userIdType} REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_documents_campaign ON campaign_documents(campaign_id, position);
+    `
+
+    await pool.query(migrationSQL)
+
+    console.log('✅ Migration completed successfully!')
+    console.log('📋 Created tables:')
+    console.log('   - campaign_documents')
+  } catch (error) {
+    console.error('❌ Migration failed:', error)
+    console.error('\n🔧 Troubleshooting:')
+    console.error('1. Ensure PostgreSQL is running')
+    console.error('2. Check database connection settings in config/index.js')
+    console.error('3. Ensure the campaigns and users tables exist')
+  } finally {
+    await pool.end()
+  }
+}
+
+if (require.main === module) {
+  runCampaignDocumentsMigration()
+}
+
+module.exports = { runCampaignDocumentsMigration }
@@ -0,0 +1,57 @@
+// migrations/runCampaignLifecycleMigration.js
+const { createPool, detectIdType } = require('./helpers')
+
+const pool = createPool()
+
+async function runCampaignLifecycleMigration () {
+  try {
+    console.log('🚀 Starting campaign lifecycle migration...')
+
+    const campaignIdType = await detectIdType(pool, 'campaigns')
+    const userIdType = await detectIdType(pool, 'users')
+
+    const migrationSQL = `
+-- Every status change a campaign goes through
+CREATE TABLE IF NOT EXISTS campaign_status_history (
+    id SERIAL PRIMARY KEY,
+    campaign_id ${campaignIdType} REFERENCES campaigns(id) ON DELETE CASCADE,
+    from_status VARCHAR(50), -- NULL for the initial status on creation
+    to_status VARCHAR(50) NOT NULL,
+    changed_by_user_id ${userIdType}, -- NULL for automatic changes
+    change_source VARCHAR(20) DEFAULT 'user', -- 'user', 'system'
+    reason TEXT,
+    metadata JSONB,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_status_history_campaign_id ON campaign_status_history(campaign_id);
+CREATE INDEX IF NOT EXISTS idx_campaign_status_history_created_at ON campaign_status_history(created_at);
+
+-- Normalize legacy free-form statuses so the state machine can take over
+UPDATE campaigns SET status = 'draft'
+WHERE status IS NULL
+   OR status NOT IN ('draft', 'pending_review', 'active', 'paused', 'completed', 'cancelled');
+    `
+
+    await pool.query(migrationSQL)
+
+    console.log('✅ Migration completed successfully!')
+    console.log('📋 Created tables:')
+    console.log('   - campaign_status_history')
+    console.log('🧹 Normalized unknown campaign statuses to draft')
+  } catch (error) {
+    console.error('❌ Migration failed:', error)
+    console.error('\n🔧 Troubleshooting:')
+    console.error('1. Ensure PostgreSQL is running')
+    console.error('2. Check database connection settings in config/index.js')
+    console.error('3. Verify the campaigns and users tables exist (required for foreign keys)')
+  } finally {
+    await pool.end()
+  }
+}
+
+if (require.main === module) {
+  runCampaignLifecycleMigration()
+}
+
+module.exports = { runCampaignLifecycleMigration }
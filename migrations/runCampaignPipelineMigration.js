@@ -0,0 +1,80 @@
+// migrations/runCampaignPipelineMigration.js
+const { createPool, detectIdType } = require('./helpers')
+
+const pool = createPool()
+
+async function runCampaignPipelineMigration () {
+  try {
+    console.log('🚀 Starting campaign creator pipeline migration...')
+
+    const campaignIdType = await detectIdType(pool, 'campaigns')
+    const creatorIdType = await detectIdType(pool, 'creators')
+    const userIdType = await detectIdType(pool, 'users')
+
+    const migrationSQL = `
+-- One row per creator being worked for a campaign
+CREATE TABLE IF NOT EXISTS campaign_creators (
+    id SERIAL PRIMARY KEY,
+    campaign_id ${campaignIdType} REFERENCES campaigns(id) ON DELETE CASCADE,
+    creator_id ${creatorIdType} REFERENCES creators(id) ON DELETE CASCADE,
+    stage VARCHAR(30) NOT NULL DEFAULT 'shortlist', -- 'shortlist', 'contacted', 'negotiating', 'contracted', 'live', 'paid'
+    owner_user_id ${userIdType}, -- Account manager working this creator
+    next_action TEXT,
+    next_action_due_at TIMESTAMP,
+    notes TEXT,
+    last_activity VARCHAR(100),
+    last_activity_at TIMESTAMP,
+    last_call_id INTEGER REFERENCES calls(id) ON DELETE SET NULL,
+    contract_id INTEGER,
+    payout_id VARCHAR(100),
+    stage_changed_at TIMESTAMP DEFAULT NOW(),
+    shortlist_at TIMESTAMP,
+    contacted_at TIMESTAMP,
+    negotiating_at TIMESTAMP,
+    contracted_at TIMESTAMP,
+    live_at TIMESTAMP,
+    paid_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (campaign_id, creator_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_creators_campaign_id ON campaign_creators(campaign_id);
+CREATE INDEX IF NOT EXISTS idx_campaign_creators_creator_id ON campaign_creators(creator_id);
+CREATE INDEX IF NOT EXISTS idx_campaign_creators_stage ON campaign_creators(stage);
+CREATE INDEX IF NOT EXISTS idx_campaign_creators_owner ON campaign_creators(owner_user_id);
+
+-- Contracts are tied to the campaign they were negotiated for
+ALTER TABLE contracts ADD COLUMN IF NOT EXISTS campaign_id ${campaignIdType};
+CREATE INDEX IF NOT EXISTS idx_contracts_campaign_id ON contracts(campaign_id);
+
+DROP TRIGGER IF EXISTS update_campaign_creators_updated_at ON campaign_creators;
+CREATE TRIGGER update_campaign_creators_updated_at
+    BEFORE UPDATE ON campaign_creators
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+    `
+
+    await pool.query(migrationSQL)
+
+    console.log('✅ Migration completed successfully!')
+    console.log('📋 Created tables:')
+    console.log('   - campaign_creators')
+    console.log('🔗 Added contracts.campaign_id')
+    console.log('🔄 Created trigger for automatic timestamp updates')
+  } catch (error) {
+    console.error('❌ Migration failed:', error)
+    console.error('\n🔧 Troubleshooting:')
+    console.error('1. Ensure PostgreSQL is running')
+    console.error('2. Check database connection settings in config/index.js')
+    console.error('3. Run migrate:calls first (calls table and update_updated_at_column are required)')
+  } finally {
+    await pool.end()
+  }
+}
+
+if (require.main === module) {
+  runCampaignPipelineMigration()
+}
+
+module.exports = { runCampaignPipelineMigration }
@@ -0,0 +1,58 @@
+// migrations/runCampaignRevisionsMigration.js
+const { createPool, detectIdType } = require('./helpers')
+
+const pool = createPool()
+
+async function runCampaignRevisionsMigration () {
+  try {
+    console.log('🚀 Starting campaign revisions migration...')
+
+    const campaignIdType = await detectIdType(pool, 'campaigns')
+    const userIdType = await detectIdType(pool, 'users')
+
+    const migrationSQL = `
+-- Immutable snapshots of a campaign brief, one per change
+CREATE TABLE IF NOT EXISTS campaign_revisions (
+    id SERIAL PRIMARY KEY,
+    campaign_id ${campaignIdType} REFERENCES campaigns(id) ON DELETE CASCADE,
+    revision_number INTEGER NOT NULL,
+    snapshot JSONB NOT NULL,
+    changed_fields JSONB DEFAULT '[]', -- Top-level fields that differ from the previous revision
+    change_source VARCHAR(30) NOT NULL, -- 'create', 'baseline', 'update', 'regenerate_analysis', 'restore'
+    reason TEXT,
+    restored_from_revision INTEGER,
+    created_by_user_id ${userIdType} REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(campaign_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_revisions_campaign ON campaign_revisions(campaign_id, revision_number DESC);
+
+-- Calls and contracts remember the revision of the brief they were based on
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS campaign_revision_id INTEGER REFERENCES campaign_revisions(id) ON DELETE SET NULL;
+ALTER TABLE contracts ADD COLUMN IF NOT EXISTS campaign_revision_id INTEGER REFERENCES campaign_revisions(id) ON DELETE SET NULL;
+    `
+
+    await pool.query(migrationSQL)
+
+    console.log('✅ Migration completed successfully!')
+    console.log('📋 Created tables:')
+    console.log('   - campaign_revisions')
+    console.log('🔗 Added calls.campaign_revision_id and contracts.campaign_revision_id')
+    console.log('👉 Existing campaigns get a baseline revision the first time they change')
+  } catch (error) {
+    console.error('❌ Migration failed:', error)
+    console.error('\n🔧 Troubleshooting:')
+    console.error('1. Ensure PostgreSQL is running')
+    console.error('2. Check database connection settings in config/index.js')
+    console.error('3. Run migrate:calls and migrate:campaign-pipeline first (calls and contracts are required)')
+  } finally {
+    await pool.end()
+  }
+}
+
+if (require.main === module) {
+  runCampaignRevisionsMigration()
+}
+
+module.exports = { runCampaignRevisionsMigration }
@@ -0,0 +1,55 @@
+// migrations/runCampaignSchedulerMigration.js
+const { createPool, detectIdType } = require('./helpers')
+
+const pool = createPool()
+
+async function runCampaignSchedulerMigration () {
+  try {
+    console.log('🚀 Starting campaign scheduler migration...')
+
+    const campaignIdType = await detectIdType(pool, 'campaigns')
+
+    const migrationSQL = `
+-- Everything the scheduler did to a campaign: status changes, flags and reminders
+CREATE TABLE IF NOT EXISTS campaign_automation_log (
+    id SERIAL PRIMARY KEY,
+    campaign_id ${campaignIdType} REFERENCES campaigns(id) ON DELETE CASCADE,
+    action VARCHAR(50) NOT NULL, -- 'activated', 'completed', 'flagged', 'deliverable_reminder'
+    from_status VARCHAR(50),
+    to_status VARCHAR(50),
+    reason TEXT,
+    details JSONB,
+    dedupe_key VARCHAR(255) UNIQUE, -- Set for actions that must happen only once
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_automation_log_campaign ON campaign_automation_log(campaign_id, created_at DESC);
+
+-- Campaigns the scheduler could not move on its own
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS attention_required BOOLEAN DEFAULT false;
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS attention_reason TEXT;
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS attention_flagged_at TIMESTAMP;
+    `
+
+    await pool.query(migrationSQL)
+
+    console.log('✅ Migration completed successfully!')
+    console.log('📋 Created tables:')
+    console.log('   - campaign_automation_log')
+    console.log('🚩 Added attention_required, attention_reason and attention_flagged_at to campaigns')
+  } catch (error) {
+    console.error('❌ Migration failed:', error)
+    console.error('\n🔧 Troubleshooting:')
+    console.error('1. Ensure PostgreSQL is running')
+    console.error('2. Check database connection settings in config/index.js')
+    console.error('3. Run migrate:campaign-lifecycle and migrate:deliverables first')
+  } finally {
+    await pool.end()
+  }
+}
+
+if (require.main === module) {
+  runCampaignSchedulerMigration()
+}
+
+module.exports = { runCampaignSchedulerMigration }
@@ -0,0 +1,68 @@
+// migrations/runCampaignTemplatesMigration.js
+const { createPool, detectIdType } = require('./helpers')
+
+const pool = createPool()
+
+async function runCampaignTemplatesMigration () {
+  try {
+    console.log('🚀 Starting campaign templates migration...')
+
+    const brandIdType = await detectIdType(pool, 'brands')
+    const campaignIdType = await detectIdType(pool, 'campaigns')
+    const userIdType = await detectIdType(pool, 'users')
+
+    const migrationSQL = `
+-- Reusable campaign setups saved at the brand level
+CREATE TABLE IF NOT EXISTS campaign_templates (
+    id SERIAL PRIMARY KEY,
+    brand_id ${brandIdType} REFERENCES brands(id) ON DELETE CASCADE,
+    source_campaign_id ${campaignIdType} REFERENCES campaigns(id) ON DELETE SET NULL,
+    template_name VARCHAR(255) NOT NULL,
+    description TEXT,
+    campaign_type VARCHAR(50),
+    template_data JSONB NOT NULL, -- Campaign fields copied into new campaigns
+    created_by_user_id ${userIdType},
+    usage_count INTEGER DEFAULT 0,
+    last_used_at TIMESTAMP,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_templates_brand_id ON campaign_templates(brand_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_campaign_templates_brand_name
+    ON campaign_templates(brand_id, LOWER(template_name)) WHERE is_active = true;
+
+-- Where a cloned or templated campaign came from
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS source_campaign_id ${campaignIdType};
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS source_template_id INTEGER REFERENCES campaign_templates(id) ON DELETE SET NULL;
+
+DROP TRIGGER IF EXISTS update_campaign_templates_updated_at ON campaign_templates;
+CREATE TRIGGER update_campaign_templates_updated_at
+    BEFORE UPDATE ON campaign_templates
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+    `
+
+    await pool.query(migrationSQL)
+
+    console.log('✅ Migration completed successfully!')
+    console.log('📋 Created tables:')
+    console.log('   - campaign_templates')
+    console.log('🔗 Added source_campaign_id and source_template_id to campaigns')
+  } catch (error) {
+    console.error('❌ Migration failed:', error)
+    console.error('\n🔧 Troubleshooting:')
+    console.error('1. Ensure PostgreSQL is running')
+    console.error('2. Check database connection settings in config/index.js')
+    console.error('3. Verify the brands and campaigns tables exist')
+  } finally {
+    await pool.end()
+  }
+}
+
+if (require.main === module) {
+  runCampaignTemplatesMigration()
+}
+
+module.exports = { runCampaignTemplatesMigration }
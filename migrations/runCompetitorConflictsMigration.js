@@ -0,0 +1,38 @@
+// migrations/runCompetitorConflictsMigration.js
+const { createPool } = require('./helpers')
+
+const pool = createPool()
+
+async function runCompetitorConflictsMigration () {
+  try {
+    console.log('🚀 Starting competitor conflicts migration...')
+
+    const migrationSQL = `
+-- Brands name their competitors and the categories they want exclusivity in
+ALTER TABLE brand_preferences ADD COLUMN IF NOT EXISTS competitor_brands TEXT[] DEFAULT '{}';
+ALTER TABLE brand_preferences ADD COLUMN IF NOT EXISTS exclusivity_categories TEXT[] DEFAULT '{}';
+ALTER TABLE brand_preferences ADD COLUMN IF NOT EXISTS conflict_handling VARCHAR(10) DEFAULT 'flag'; -- 'flag' or 'exclude'
+
+CREATE INDEX IF NOT EXISTS idx_creator_brand_collaborations_creator ON creator_brand_collaborations(creator_id);
+    `
+
+    await pool.query(migrationSQL)
+
+    console.log('✅ Migration completed successfully!')
+    console.log('🔗 Added brand_preferences.competitor_brands, exclusivity_categories and conflict_handling')
+  } catch (error) {
+    console.error('❌ Migration failed:', error)
+    console.error('\n🔧 Troubleshooting:')
+    console.error('1. Ensure PostgreSQL is running')
+    console.error('2. Check database connection settings in config/index.js')
+    console.error('3. Verify the brand_preferences and creator_brand_collaborations tables exist')
+  } finally {
+    await pool.end()
+  }
+}
+
+if (require.main === module) {
+  runCompetitorConflictsMigration()
+}
+
+module.exports = { runCompetitorConflictsMigration }
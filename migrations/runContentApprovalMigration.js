@@ -0,0 +1,71 @@
+// migrations/runContentApprovalMigration.js
+const { createPool, detectIdType } = require('./helpers')
+
+const pool = createPool()
+
+async function runContentApprovalMigration () {
+  try {
+    console.log('🚀 Starting content approval migration...')
+
+    const userIdType = await detectIdType(pool, 'users')
+
+    const migrationSQL = `
+-- Versioned drafts submitted for a deliverable
+CREATE TABLE IF NOT EXISTS deliverable_content_revisions (
+    id SERIAL PRIMARY KEY,
+    deliverable_id INTEGER REFERENCES campaign_deliverables(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    content_text TEXT, -- Caption / script of the draft
+    draft_url TEXT, -- Link to the draft (drive, unlisted video...)
+    media_urls TEXT[],
+    notes TEXT,
+    status VARCHAR(30) DEFAULT 'pending_review', -- 'pending_review', 'approved', 'changes_requested', 'superseded'
+    precheck_results JSONB,
+    submitted_by_user_id ${userIdType},
+    reviewed_by_user_id ${userIdType},
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (deliverable_id, version)
+);
+
+-- Threaded review comments on a revision
+CREATE TABLE IF NOT EXISTS deliverable_content_comments (
+    id SERIAL PRIMARY KEY,
+    revision_id INTEGER REFERENCES deliverable_content_revisions(id) ON DELETE CASCADE,
+    parent_comment_id INTEGER REFERENCES deliverable_content_comments(id) ON DELETE CASCADE,
+    author_user_id ${userIdType},
+    body TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_revisions_deliverable_id ON deliverable_content_revisions(deliverable_id);
+CREATE INDEX IF NOT EXISTS idx_content_comments_revision_id ON deliverable_content_comments(revision_id);
+
+-- Approval state on the deliverable itself
+ALTER TABLE campaign_deliverables ADD COLUMN IF NOT EXISTS approval_status VARCHAR(30) DEFAULT 'not_submitted'; -- 'not_submitted', 'in_review', 'changes_requested', 'approved'
+ALTER TABLE campaign_deliverables ADD COLUMN IF NOT EXISTS approved_revision_id INTEGER REFERENCES deliverable_content_revisions(id) ON DELETE SET NULL;
+    `
+
+    await pool.query(migrationSQL)
+
+    console.log('✅ Migration completed successfully!')
+    console.log('📋 Created tables:')
+    console.log('   - deliverable_content_revisions')
+    console.log('   - deliverable_content_comments')
+    console.log('🔗 Added approval columns to campaign_deliverables')
+  } catch (error) {
+    console.error('❌ Migration failed:', error)
+    console.error('\n🔧 Troubleshooting:')
+    console.error('1. Ensure PostgreSQL is running')
+    console.error('2. Check database connection settings in config/index.js')
+    console.error('3. Run migrate:deliverables first (campaign_deliverables is required)')
+  } finally {
+    await pool.end()
+  }
+}
+
+if (require.main === module) {
+  runContentApprovalMigration()
+}
+
+module.exports = { runContentApprovalMigration }
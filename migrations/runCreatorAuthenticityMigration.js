@@ -0,0 +1,41 @@
+// migrations/runCreatorAuthenticityMigration.js
+const { createPool } = require('./helpers')
+
+const pool = createPool()
+
+async function runCreatorAuthenticityMigration () {
+  try {
+    console.log('🚀 Starting creator authenticity migration...')
+
+    const migrationSQL = `
+-- Audience authenticity risk per creator and platform (0 = looks genuine, 1 = likely fake followers)
+ALTER TABLE creator_platform_metrics ADD COLUMN IF NOT EXISTS authenticity_risk_score DECIMAL(4,3);
+ALTER TABLE creator_platform_metrics ADD COLUMN IF NOT EXISTS authenticity_risk_level VARCHAR(10); -- low, medium, high
+ALTER TABLE creator_platform_metrics ADD COLUMN IF NOT EXISTS authenticity_signals JSONB; -- Per-signal values and risk
+ALTER TABLE creator_platform_metrics ADD COLUMN IF NOT EXISTS authenticity_scored_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_creator_platform_metrics_authenticity
+    ON creator_platform_metrics(authenticity_risk_score) WHERE authenticity_risk_score IS NOT NULL;
+    `
+
+    await pool.query(migrationSQL)
+
+    console.log('✅ Migration completed successfully!')
+    console.log('🔗 Added creator_platform_metrics authenticity columns')
+    console.log('💡 Score existing creators with POST /api/creators/authenticity/recompute')
+  } catch (error) {
+    console.error('❌ Migration failed:', error)
+    console.error('\n🔧 Troubleshooting:')
+    console.error('1. Ensure PostgreSQL is running')
+    console.error('2. Check database connection settings in config/index.js')
+    console.error('3. Ensure the creator_platform_metrics table exists')
+  } finally {
+    await pool.end()
+  }
+}
+
+if (require.main === module) {
+  runCreatorAuthenticityMigration()
+}
+
+module.exports = { runCreatorAuthenticityMigration }
@@ -0,0 +1,53 @@
+// migrations/runCreatorAvailabilityMigration.js
+const { createPool, detectIdType } = require('./helpers')
+
+const pool = createPool()
+
+async function runCreatorAvailabilityMigration () {
+  try {
+    console.log('🚀 Starting creator availability migration...')
+
+    const creatorIdType = await detectIdType(pool, 'creators')
+    const userIdType = await detectIdType(pool, 'users')
+
+    const migrationSQL = `
+-- Periods a creator can't take on campaigns (holidays, other commitments off the platform)
+CREATE TABLE IF NOT EXISTS creator_availability (
+    id SERIAL PRIMARY KEY,
+    creator_id ${creatorIdType} REFERENCES creators(id) ON DELETE CASCADE,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'unavailable', -- 'unavailable' or 'tentative'
+    note TEXT,
+    created_by_user_id ${userIdType} REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_creator_availability_creator ON creator_availability(creator_id, start_date);
+
+-- Commitments are looked up from signed contracts per creator
+CREATE INDEX IF NOT EXISTS idx_contracts_creator_signed ON contracts(creator_id) WHERE is_signed = true;
+    `
+
+    await pool.query(migrationSQL)
+
+    console.log('✅ Migration completed successfully!')
+    console.log('📋 Created tables:')
+    console.log('   - creator_availability')
+  } catch (error) {
+    console.error('❌ Migration failed:', error)
+    console.error('\n🔧 Troubleshooting:')
+    console.error('1. Ensure PostgreSQL is running')
+    console.error('2. Check database connection settings in config/index.js')
+    console.error('3. Ensure the creators, users and contracts tables exist')
+  } finally {
+    await pool.end()
+  }
+}
+
+if (require.main === module) {
+  runCreatorAvailabilityMigration()
+}
+
+module.exports = { runCreatorAvailabilityMigration }
@@ -0,0 +1,57 @@
+// migrations/runCreatorDedupMigration.js
+const { createPool, detectIdType } = require('./helpers')
+
+const pool = createPool()
+
+async function runCreatorDedupMigration () {
+  try {
+    console.log('🚀 Starting creator dedup migration...')
+
+    const creatorIdType = await detectIdType(pool, 'creators')
+    const userIdType = await detectIdType(pool, 'users')
+
+    const migrationSQL = `
+-- The creator's handle on each platform, used to spot the same person imported twice
+ALTER TABLE creator_platform_metrics ADD COLUMN IF NOT EXISTS handle VARCHAR(255);
+CREATE INDEX IF NOT EXISTS idx_creator_platform_metrics_handle
+    ON creator_platform_metrics(platform, LOWER(handle)) WHERE handle IS NOT NULL;
+
+-- Duplicate creators merged into a surviving creator. The merged creator row is deleted,
+-- so its profile is kept here as a snapshot.
+CREATE TABLE IF NOT EXISTS creator_merges (
+    id SERIAL PRIMARY KEY,
+    survivor_creator_id ${creatorIdType} REFERENCES creators(id) ON DELETE SET NULL,
+    merged_creator_id ${creatorIdType} NOT NULL,
+    merged_creator_name VARCHAR(255),
+    merged_creator_snapshot JSONB NOT NULL,
+    moved_records JSONB NOT NULL DEFAULT '{}', -- Rows repointed per table
+    merged_by_user_id ${userIdType} REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_creator_merges_survivor ON creator_merges(survivor_creator_id);
+CREATE INDEX IF NOT EXISTS idx_creator_merges_merged ON creator_merges(merged_creator_id);
+    `
+
+    await pool.query(migrationSQL)
+
+    console.log('✅ Migration completed successfully!')
+    console.log('📋 Created tables:')
+    console.log('   - creator_merges')
+    console.log('🔗 Added creator_platform_metrics.handle')
+  } catch (error) {
+    console.error('❌ Migration failed:', error)
+    console.error('\n🔧 Troubleshooting:')
+    console.error('1. Ensure PostgreSQL is running')
+    console.error('2. Check database connection settings in config/index.js')
+    console.error('3. Ensure the creators, creator_platform_metrics and users tables exist')
+  } finally {
+    await pool.end()
+  }
+}
+
+if (require.main === module) {
+  runCreatorDedupMigration()
+}
+
+module.exports = { runCreatorDedupMigration }
@@ -0,0 +1,72 @@
+// migrations/runCreatorMetricsHistoryMigration.js
+const { createPool, detectIdType } = require('./helpers')
+
+const pool = createPool()
+
+async function runCreatorMetricsHistoryMigration () {
+  try {
+    console.log('🚀 Starting creator metrics history migration...')
+
+    const creatorIdType = await detectIdType(pool, 'creators')
+
+    const migrationSQL = `
+-- Point-in-time copies of creator_platform_metrics, written on every metrics update or import
+CREATE TABLE IF NOT EXISTS creator_metrics_snapshots (
+    id BIGSERIAL PRIMARY KEY,
+    creator_id ${creatorIdType} NOT NULL REFERENCES creators(id) ON DELETE CASCADE,
+    platform VARCHAR(50) NOT NULL,
+    follower_count BIGINT,
+    following_count BIGINT,
+    post_count INTEGER,
+    avg_views BIGINT,
+    avg_likes BIGINT,
+    avg_comments BIGINT,
+    engagement_rate DECIMAL(5,2),
+    source VARCHAR(20) NOT NULL DEFAULT 'update', -- backfill, create, update, import
+    recorded_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_creator_metrics_snapshots_creator
+    ON creator_metrics_snapshots(creator_id, platform, recorded_at);
+
+-- Growth computed from the snapshots, kept on the current row for search and scoring
+ALTER TABLE creator_platform_metrics ADD COLUMN IF NOT EXISTS follower_growth_30d_pct DECIMAL(8,2);
+ALTER TABLE creator_platform_metrics ADD COLUMN IF NOT EXISTS follower_growth_90d_pct DECIMAL(8,2);
+ALTER TABLE creator_platform_metrics ADD COLUMN IF NOT EXISTS engagement_trend VARCHAR(20); -- rising, stable, declining
+
+-- Start every creator's history from their current metrics
+INSERT INTO creator_metrics_snapshots (
+    creator_id, platform, follower_count, following_count, post_count,
+    avg_views, avg_likes, avg_comments, engagement_rate, source, recorded_at
+)
+SELECT cpm.creator_id, cpm.platform, cpm.follower_count, cpm.following_count, cpm.post_count,
+       cpm.avg_views, cpm.avg_likes, cpm.avg_comments, cpm.engagement_rate, 'backfill', NOW()
+FROM creator_platform_metrics cpm
+WHERE NOT EXISTS (
+    SELECT 1 FROM creator_metrics_snapshots s
+    WHERE s.creator_id = cpm.creator_id AND s.platform = cpm.platform
+);
+    `
+
+    await pool.query(migrationSQL)
+
+    console.log('✅ Migration completed successfully!')
+    console.log('📋 Created tables:')
+    console.log('   - creator_metrics_snapshots')
+    console.log('🔗 Added creator_platform_metrics growth columns')
+  } catch (error) {
+    console.error('❌ Migration failed:', error)
+    console.error('\n🔧 Troubleshooting:')
+    console.error('1. Ensure PostgreSQL is running')
+    console.error('2. Check database connection settings in config/index.js')
+    console.error('3. Ensure the creators and creator_platform_metrics tables exist')
+  } finally {
+    await pool.end()
+  }
+}
+
+if (require.main === module) {
+  runCreatorMetricsHistoryMigration()
+}
+
+module.exports = { runCreatorMetricsHistoryMigration }
@@ -0,0 +1,124 @@
+// migrations/runCreatorPortalMigration.js
+const { createPool, detectIdType } = require('./helpers')
+
+const pool = createPool()
+
+async function runCreatorPortalMigration () {
+  try {
+    console.log('🚀 Starting creator portal migration...')
+
+    const creatorIdType = await detectIdType(pool, 'creators')
+    const userIdType = await detectIdType(pool, 'users')
+
+    // users.role may be a Postgres enum; new enum values can't be added inside the migration's DO block
+    const roleColumn = await pool.query(`
+      SELECT data_type, udt_name
+      FROM information_schema.columns
+      WHERE table_name = 'users' AND column_name = 'role'
+    `)
+
+    if (roleColumn.rows[0]?.data_type === 'USER-DEFINED') {
+      await pool.query(`ALTER TYPE ${roleColumn.rows[0].udt_name} ADD VALUE IF NOT EXISTS 'creator'`)
+      console.log(`🔑 Added 'creator' to enum ${roleColumn.rows[0].udt_name}`)
+    }
+
+    const migrationSQL = `
+-- Allow the 'creator' role where users.role is restricted by a check constraint
+DO $$
+DECLARE
+    role_constraint TEXT;
+BEGIN
+    SELECT con.conname INTO role_constraint
+    FROM pg_constraint con
+    JOIN pg_attribute att ON att.attrelid = con.conrelid AND att.attnum = ANY(con.conkey)
+    WHERE con.conrelid = 'users'::regclass AND con.contype = 'c' AND att.attname = 'role'
+      AND pg_get_constraintdef(con.oid) NOT LIKE '%creator%'
+    LIMIT 1;
+
+    IF role_constraint IS NOT NULL THEN
+        EXECUTE format('ALTER TABLE users DROP CONSTRAINT %I', role_constraint);
+        ALTER TABLE users ADD CONSTRAINT users_role_check
+            CHECK (role IN ('admin', 'brand', 'agency', 'creator')) NOT VALID;
+    END IF;
+END $$;
+
+-- The user who claimed a creator profile (one profile per user)
+ALTER TABLE creators ADD COLUMN IF NOT EXISTS claimed_by_user_id ${userIdType} REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE creators ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_creators_claimed_by_user ON creators(claimed_by_user_id) WHERE claimed_by_user_id IS NOT NULL;
+
+-- Email verification codes sent to claim a creator profile
+CREATE TABLE IF NOT EXISTS creator_claims (
+    id SERIAL PRIMARY KEY,
+    creator_id ${creatorIdType} REFERENCES creators(id) ON DELETE CASCADE,
+    user_id ${userIdType} REFERENCES users(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    code_hash VARCHAR(64) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'verified', 'failed', 'expired'
+    attempts INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP NOT NULL,
+    verified_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_creator_claims_user ON creator_claims(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_creator_claims_user_created ON creator_claims(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_creator_claims_creator_created ON creator_claims(creator_id, created_at);
+
+-- Where a creator wants to be paid; the full account number only lives in the Razorpay fund account
+CREATE TABLE IF NOT EXISTS creator_payout_details (
+    creator_id ${creatorIdType} PRIMARY KEY REFERENCES creators(id) ON DELETE CASCADE,
+    payout_method VARCHAR(20) NOT NULL, -- 'bank_account' or 'vpa'
+    account_holder_name VARCHAR(255) NOT NULL,
+    bank_account_last4 VARCHAR(4),
+    ifsc VARCHAR(11),
+    vpa VARCHAR(255),
+    razorpay_contact_id VARCHAR(50),
+    razorpay_fund_account_id VARCHAR(50),
+    updated_by_user_id ${userIdType} REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Earlier runs stored the account number in plain text: keep its last 4 digits and drop it.
+-- Those rows have no fund account until the creator saves their payout details again.
+ALTER TABLE creator_payout_details ADD COLUMN IF NOT EXISTS bank_account_last4 VARCHAR(4);
+ALTER TABLE creator_payout_details ADD COLUMN IF NOT EXISTS razorpay_contact_id VARCHAR(50);
+ALTER TABLE creator_payout_details ADD COLUMN IF NOT EXISTS razorpay_fund_account_id VARCHAR(50);
+ALTER TABLE creator_payout_details ADD COLUMN IF NOT EXISTS bank_account_number VARCHAR(34);
+UPDATE creator_payout_details SET bank_account_last4 = RIGHT(bank_account_number, 4)
+WHERE bank_account_number IS NOT NULL AND bank_account_last4 IS NULL;
+ALTER TABLE creator_payout_details DROP COLUMN IF EXISTS bank_account_number;
+
+-- The creator's answer to a brand's offer
+ALTER TABLE campaign_creators ADD COLUMN IF NOT EXISTS offer_status VARCHAR(20); -- NULL (no answer), 'accepted', 'declined'
+ALTER TABLE campaign_creators ADD COLUMN IF NOT EXISTS offer_responded_at TIMESTAMP;
+ALTER TABLE campaign_creators ADD COLUMN IF NOT EXISTS offer_response_note TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_contracts_creator_campaign ON contracts(creator_id, campaign_id);
+    `
+
+    await pool.query(migrationSQL)
+
+    console.log('✅ Migration completed successfully!')
+    console.log('📋 Created tables:')
+    console.log('   - creator_claims')
+    console.log('   - creator_payout_details')
+    console.log('🔗 Added creators.claimed_by_user_id and campaign_creators offer response columns')
+    console.log("🔑 users.role accepts 'creator'")
+  } catch (error) {
+    console.error('❌ Migration failed:', error)
+    console.error('\n🔧 Troubleshooting:')
+    console.error('1. Ensure PostgreSQL is running')
+    console.error('2. Check database connection settings in config/index.js')
+    console.error('3. Run migrate:campaign-pipeline first (campaign_creators is required)')
+  } finally {
+    await pool.end()
+  }
+}
+
+if (require.main === module) {
+  runCreatorPortalMigration()
+}
+
+module.exports = { runCreatorPortalMigration }
@@ -0,0 +1,84 @@
+// migrations/runCreatorRateCardsMigration.js
+const { createPool, detectIdType } = require('./helpers')
+
+const pool = createPool()
+
+async function runCreatorRateCardsMigration () {
+  try {
+    console.log('🚀 Starting creator rate cards migration...')
+
+    const creatorIdType = await detectIdType(pool, 'creators')
+    const campaignIdType = await detectIdType(pool, 'campaigns')
+    const userIdType = await detectIdType(pool, 'users')
+
+    const migrationSQL = `
+-- Versioned rate cards; every change adds a version and the highest version is current
+CREATE TABLE IF NOT EXISTS creator_rate_cards (
+    id SERIAL PRIMARY KEY,
+    creator_id ${creatorIdType} NOT NULL REFERENCES creators(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    rates JSONB NOT NULL DEFAULT '{}', -- { platform: { format: price } }
+    packages JSONB NOT NULL DEFAULT '[]', -- [{ name, description, items: [{ platform, format, quantity }], price }]
+    usage_rights JSONB NOT NULL DEFAULT '{}', -- { usage type: % of the fee per month }
+    exclusivity_pct_per_month DECIMAL(6,2),
+    rush_fee JSONB, -- { percent, within_days }
+    volume_discounts JSONB NOT NULL DEFAULT '[]', -- [{ min_deliverables, percent }]
+    notes TEXT,
+    created_by_user_id ${userIdType} REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(creator_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_creator_rate_cards_creator ON creator_rate_cards(creator_id, version DESC);
+
+-- Priced sets of deliverables, kept so calls and contracts use the same numbers
+CREATE TABLE IF NOT EXISTS creator_quotes (
+    id SERIAL PRIMARY KEY,
+    creator_id ${creatorIdType} NOT NULL REFERENCES creators(id) ON DELETE CASCADE,
+    campaign_id ${campaignIdType} REFERENCES campaigns(id) ON DELETE SET NULL,
+    rate_card_id INTEGER REFERENCES creator_rate_cards(id) ON DELETE SET NULL,
+    rate_card_version INTEGER, -- NULL when priced from the creator's flat pricing
+    request JSONB NOT NULL,
+    line_items JSONB NOT NULL,
+    subtotal DECIMAL(12,2) NOT NULL,
+    discount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    add_ons DECIMAL(12,2) NOT NULL DEFAULT 0,
+    total DECIMAL(12,2) NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    source VARCHAR(20) NOT NULL DEFAULT 'api', -- 'api', 'call'
+    created_by_user_id ${userIdType} REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    expires_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_creator_quotes_creator ON creator_quotes(creator_id, campaign_id, created_at DESC);
+
+-- Calls and contracts remember the quote they were priced from
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS quote_id INTEGER REFERENCES creator_quotes(id) ON DELETE SET NULL;
+ALTER TABLE contracts ADD COLUMN IF NOT EXISTS quote_id INTEGER REFERENCES creator_quotes(id) ON DELETE SET NULL;
+    `
+
+    await pool.query(migrationSQL)
+
+    console.log('✅ Migration completed successfully!')
+    console.log('📋 Created tables:')
+    console.log('   - creator_rate_cards')
+    console.log('   - creator_quotes')
+    console.log('🔗 Added calls.quote_id and contracts.quote_id')
+  } catch (error) {
+    console.error('❌ Migration failed:', error)
+    console.error('\n🔧 Troubleshooting:')
+    console.error('1. Ensure PostgreSQL is running')
+    console.error('2. Check database connection settings in config/index.js')
+    console.error('3. Ensure the creators, campaigns, users, calls and contracts tables exist')
+  } finally {
+    await pool.end()
+  }
+}
+
+if (require.main === module) {
+  runCreatorRateCardsMigration()
+}
+
+module.exports = { runCreatorRateCardsMigration }
@@ -0,0 +1,64 @@
+// migrations/runDeliverablesMigration.js
+const { createPool, detectIdType } = require('./helpers')
+
+const pool = createPool()
+
+async function runDeliverablesMigration () {
+  try {
+    console.log('🚀 Starting campaign deliverables migration...')
+
+    const campaignIdType = await detectIdType(pool, 'campaigns')
+    const creatorIdType = await detectIdType(pool, 'creators')
+
+    const migrationSQL = `
+-- Individual posts a creator owes a campaign
+CREATE TABLE IF NOT EXISTS campaign_deliverables (
+    id SERIAL PRIMARY KEY,
+    campaign_id ${campaignIdType} REFERENCES campaigns(id) ON DELETE CASCADE,
+    creator_id ${creatorIdType} REFERENCES creators(id) ON DELETE CASCADE,
+    platform VARCHAR(50) NOT NULL,
+    format VARCHAR(50) NOT NULL, -- 'post', 'story', 'reel', 'video', 'short', 'live_stream', 'blog_post'
+    description TEXT,
+    due_date TIMESTAMP,
+    required_hashtags TEXT[],
+    post_url TEXT,
+    submitted_at TIMESTAMP,
+    live_at TIMESTAMP,
+    status VARCHAR(30) DEFAULT 'pending', -- 'pending', 'submitted', 'live', 'cancelled'
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_deliverables_campaign_id ON campaign_deliverables(campaign_id);
+CREATE INDEX IF NOT EXISTS idx_campaign_deliverables_creator_id ON campaign_deliverables(creator_id);
+CREATE INDEX IF NOT EXISTS idx_campaign_deliverables_status_due ON campaign_deliverables(status, due_date);
+
+DROP TRIGGER IF EXISTS update_campaign_deliverables_updated_at ON campaign_deliverables;
+CREATE TRIGGER update_campaign_deliverables_updated_at
+    BEFORE UPDATE ON campaign_deliverables
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+    `
+
+    await pool.query(migrationSQL)
+
+    console.log('✅ Migration completed successfully!')
+    console.log('📋 Created tables:')
+    console.log('   - campaign_deliverables')
+    console.log('🔄 Created trigger for automatic timestamp updates')
+  } catch (error) {
+    console.error('❌ Migration failed:', error)
+    console.error('\n🔧 Troubleshooting:')
+    console.error('1. Ensure PostgreSQL is running')
+    console.error('2. Check database connection settings in config/index.js')
+    console.error('3. Verify the campaigns and creators tables exist (required for foreign keys)')
+  } finally {
+    await pool.end()
+  }
+}
+
+if (require.main === module) {
+  runDeliverablesMigration()
+}
+
+module.exports = { runDeliverablesMigration }
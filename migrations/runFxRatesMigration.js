@@ -0,0 +1,52 @@
+// migrations/runFxRatesMigration.js
+const { createPool, detectIdType } = require('./helpers')
+
+const pool = createPool()
+
+async function runFxRatesMigration () {
+  try {
+    console.log('🚀 Starting FX rates migration...')
+
+    const userIdType = await detectIdType(pool, 'users')
+
+    const migrationSQL = `
+-- Exchange rates maintained by admins: units of each currency per 1 USD
+CREATE TABLE IF NOT EXISTS fx_rates (
+    currency VARCHAR(3) PRIMARY KEY,
+    units_per_base DECIMAL(20,8) NOT NULL CHECK (units_per_base > 0),
+    updated_by_user_id ${userIdType} REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- The base currency always converts 1:1
+INSERT INTO fx_rates (currency, units_per_base) VALUES ('USD', 1)
+ON CONFLICT (currency) DO NOTHING;
+
+-- Contracts remember the currency their payment amount is in
+ALTER TABLE contracts ADD COLUMN IF NOT EXISTS currency VARCHAR(3);
+    `
+
+    await pool.query(migrationSQL)
+
+    console.log('✅ Migration completed successfully!')
+    console.log('📋 Created tables:')
+    console.log('   - fx_rates (seeded with USD)')
+    console.log('💱 Added currency to contracts')
+    console.log('👉 Add the other currencies you use with PUT /api/currency/rates/:currency')
+  } catch (error) {
+    console.error('❌ Migration failed:', error)
+    console.error('\n🔧 Troubleshooting:')
+    console.error('1. Ensure PostgreSQL is running')
+    console.error('2. Check database connection settings in config/index.js')
+    console.error('3. Ensure the users and contracts tables exist')
+  } finally {
+    await pool.end()
+  }
+}
+
+if (require.main === module) {
+  runFxRatesMigration()
+}
+
+module.exports = { runFxRatesMigration }
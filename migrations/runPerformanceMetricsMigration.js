@@ -0,0 +1,61 @@
+// migrations/runPerformanceMetricsMigration.js
+const { createPool, detectIdType } = require('./helpers')
+
+const pool = createPool()
+
+async function runPerformanceMetricsMigration () {
+  try {
+    console.log('🚀 Starting performance metrics migration...')
+
+    const campaignIdType = await detectIdType(pool, 'campaigns')
+    const creatorIdType = await detectIdType(pool, 'creators')
+    const userIdType = await detectIdType(pool, 'users')
+
+    const migrationSQL = `
+-- Post-launch results of a deliverable. Counters are cumulative snapshots.
+CREATE TABLE IF NOT EXISTS deliverable_performance_metrics (
+    id SERIAL PRIMARY KEY,
+    deliverable_id INTEGER REFERENCES campaign_deliverables(id) ON DELETE CASCADE,
+    campaign_id ${campaignIdType} REFERENCES campaigns(id) ON DELETE CASCADE,
+    creator_id ${creatorIdType} REFERENCES creators(id) ON DELETE CASCADE,
+    impressions BIGINT,
+    views BIGINT,
+    likes BIGINT,
+    comments BIGINT,
+    shares BIGINT,
+    clicks BIGINT,
+    conversions BIGINT,
+    spend DECIMAL(12,2),
+    revenue DECIMAL(12,2),
+    currency VARCHAR(3),
+    recorded_at TIMESTAMP DEFAULT NOW(), -- When the numbers were read from the platform
+    source VARCHAR(20) DEFAULT 'api', -- 'api', 'csv'
+    created_by_user_id ${userIdType},
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_performance_metrics_campaign_id ON deliverable_performance_metrics(campaign_id);
+CREATE INDEX IF NOT EXISTS idx_performance_metrics_deliverable ON deliverable_performance_metrics(deliverable_id, recorded_at DESC);
+    `
+
+    await pool.query(migrationSQL)
+
+    console.log('✅ Migration completed successfully!')
+    console.log('📋 Created tables:')
+    console.log('   - deliverable_performance_metrics')
+  } catch (error) {
+    console.error('❌ Migration failed:', error)
+    console.error('\n🔧 Troubleshooting:')
+    console.error('1. Ensure PostgreSQL is running')
+    console.error('2. Check database connection settings in config/index.js')
+    console.error('3. Run migrate:deliverables first (campaign_deliverables is required)')
+  } finally {
+    await pool.end()
+  }
+}
+
+if (require.main === module) {
+  runPerformanceMetricsMigration()
+}
+
+module.exports = { runPerformanceMetricsMigration }
@@ -0,0 +1,34 @@
+// migrations/runRecommendationScoringMigration.js
+const { createPool } = require('./helpers')
+
+const pool = createPool()
+
+async function runRecommendationScoringMigration () {
+  try {
+    console.log('🚀 Starting recommendation scoring migration...')
+
+    const migrationSQL = `
+-- Per-brand weights for influencer recommendation scoring factors
+ALTER TABLE brand_preferences ADD COLUMN IF NOT EXISTS scoring_weights JSONB;
+    `
+
+    await pool.query(migrationSQL)
+
+    console.log('✅ Migration completed successfully!')
+    console.log('🔗 Added brand_preferences.scoring_weights')
+  } catch (error) {
+    console.error('❌ Migration failed:', error)
+    console.error('\n🔧 Troubleshooting:')
+    console.error('1. Ensure PostgreSQL is running')
+    console.error('2. Check database connection settings in config/index.js')
+    console.error('3. Verify the brand_preferences table exists')
+  } finally {
+    await pool.end()
+  }
+}
+
+if (require.main === module) {
+  runRecommendationScoringMigration()
+}
+
+module.exports = { runRecommendationScoringMigration }
@@ -0,0 +1,74 @@
+// migrations/runTrackingLinksMigration.js
+const { createPool, detectIdType } = require('./helpers')
+
+const pool = createPool()
+
+async function runTrackingLinksMigration () {
+  try {
+    console.log('🚀 Starting tracking links migration...')
+
+    const campaignIdType = await detectIdType(pool, 'campaigns')
+    const creatorIdType = await detectIdType(pool, 'creators')
+    const userIdType = await detectIdType(pool, 'users')
+
+    const migrationSQL = `
+-- One short link (and optional promo code) per campaign-creator pair
+CREATE TABLE IF NOT EXISTS campaign_tracking_links (
+    id SERIAL PRIMARY KEY,
+    campaign_id ${campaignIdType} REFERENCES campaigns(id) ON DELETE CASCADE,
+    creator_id ${creatorIdType} REFERENCES creators(id) ON DELETE CASCADE,
+    short_code VARCHAR(20) NOT NULL UNIQUE,
+    destination_url TEXT NOT NULL,
+    promo_code VARCHAR(50) UNIQUE,
+    is_active BOOLEAN DEFAULT true,
+    created_by_user_id ${userIdType},
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(campaign_id, creator_id)
+);
+
+-- Every redirect through a tracking link. IPs are stored only as salted hashes.
+CREATE TABLE IF NOT EXISTS tracking_link_clicks (
+    id BIGSERIAL PRIMARY KEY,
+    tracking_link_id INTEGER REFERENCES campaign_tracking_links(id) ON DELETE CASCADE,
+    campaign_id ${campaignIdType} REFERENCES campaigns(id) ON DELETE CASCADE,
+    creator_id ${creatorIdType} REFERENCES creators(id) ON DELETE CASCADE,
+    referrer TEXT,
+    user_agent TEXT,
+    ip_hash VARCHAR(64),
+    clicked_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tracking_links_campaign_id ON campaign_tracking_links(campaign_id);
+CREATE INDEX IF NOT EXISTS idx_tracking_link_clicks_campaign ON tracking_link_clicks(campaign_id, clicked_at);
+CREATE INDEX IF NOT EXISTS idx_tracking_link_clicks_link ON tracking_link_clicks(tracking_link_id);
+
+DROP TRIGGER IF EXISTS update_campaign_tracking_links_updated_at ON campaign_tracking_links;
+CREATE TRIGGER update_campaign_tracking_links_updated_at
+    BEFORE UPDATE ON campaign_tracking_links
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+    `
+
+    await pool.query(migrationSQL)
+
+    console.log('✅ Migration completed successfully!')
+    console.log('📋 Created tables:')
+    console.log('   - campaign_tracking_links')
+    console.log('   - tracking_link_clicks')
+  } catch (error) {
+    console.error('❌ Migration failed:', error)
+    console.error('\n🔧 Troubleshooting:')
+    console.error('1. Ensure PostgreSQL is running')
+    console.error('2. Check database connection settings in config/index.js')
+    console.error('3. Verify the campaigns and creators tables exist')
+  } finally {
+    await pool.end()
+  }
+}
+
+if (require.main === module) {
+  runTrackingLinksMigration()
+}
+
+module.exports = { runTrackingLinksMigration }
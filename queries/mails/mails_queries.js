@@ -7,6 +7,7 @@ const queries = {
 
   insertContract: async ({
     creatorId,
+    campaignId = null,
     brandName,
     creatorName,
     email,
@@ -14,14 +15,17 @@ const queries = {
     timeline,
     platforms,
     paymentAmount,
+    currency = null,
+    campaignRevisionId = null,
+    quoteId = null,
     docusign_envelope_id,
   }) => {
     return await pool.query(
       `INSERT INTO contracts (
         creator_id, brand_name, creator_name, email,
         deliverables, timeline, platforms, payment_amount,
-        docusign_envelope_id
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        docusign_envelope_id, campaign_id, currency, campaign_revision_id, quote_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
       RETURNING id`,
       [
         creatorId,
@@ -33,6 +37,10 @@ const queries = {
         platforms,
         paymentAmount,
         docusign_envelope_id,
+        campaignId,
+        currency,
+        campaignRevisionId,
+        quoteId,
       ]
     );
   },
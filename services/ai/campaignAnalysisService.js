@@ -316,6 +316,42 @@ Return as a paragraph with clear guidelines.`;
     }
   }
 
+  // Review draft content against content guidelines
+  async checkContentAgainstGuidelines(contentText, guidelines) {
+    const prompt = `
+Review this influencer draft against the brand's content guidelines.
+
+Guidelines:
+${guidelines}
+
+Draft:
+${contentText}
+
+Return as JSON with these fields:
+- passes: boolean (true if the draft follows the guidelines)
+- issues: array of strings (each guideline the draft violates, empty if none)
+- suggestions: array of strings (short, actionable fixes)
+
+Return only valid JSON.`;
+
+    try {
+      const response = await this.openai.chat.completions.create({
+        model: "gpt-4o",
+        messages: [{ role: "user", content: prompt }],
+        max_tokens: 500,
+        temperature: 0.2,
+      });
+
+      let review = response.choices[0].message.content.trim();
+      review = review.replace(/```json\s*/, "").replace(/```$/, "");
+
+      return JSON.parse(review);
+    } catch (error) {
+      console.error("Error checking content against guidelines:", error);
+      return null;
+    }
+  }
+
   // Generate AI suggestions
   async generateSuggestions(campaignData, websiteAnalysis) {
     const suggestions = [];
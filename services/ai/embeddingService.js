@@ -264,6 +264,17 @@ class EmbeddingService {
       const primaryMetrics = creator.platform_metrics[creator.primary_platform]
       metadata.follower_count = primaryMetrics.follower_count || 0
       metadata.engagement_rate = primaryMetrics.engagement_rate || 0
+
+      // Only known growth is stored so a growth filter leaves out creators without history
+      const growth = parseFloat(primaryMetrics.follower_growth_30d_pct)
+      if (!isNaN(growth)) {
+        metadata.follower_growth_30d = growth
+      }
+
+      const authenticityRisk = parseFloat(primaryMetrics.authenticity_risk_score)
+      if (!isNaN(authenticityRisk)) {
+        metadata.authenticity_risk_score = authenticityRisk
+      }
     }
 
     // Add pricing information
@@ -4,6 +4,7 @@ const crypto = require('crypto')
 const bcrypt = require('bcrypt')
 const { Pool } = require('pg')
 const __config = require('../../config')
+const __constants = require('../../config/constants')
 
 class AuthService {
   constructor () {
@@ -78,8 +79,12 @@ class AuthService {
     }
   }
 
-  // Create or update user from Google OAuth data
-  async createOrUpdateGoogleUser (googleProfile, deviceInfo = {}) {
+  // Create or update user from Google OAuth data. requestedRole only applies to new
+  // users and must be one of the self-service signup roles.
+  async createOrUpdateGoogleUser (googleProfile, deviceInfo = {}, requestedRole = null) {
+    const { SIGNUP_ROLES, DEFAULT_SIGNUP_ROLE } = __constants.CREATOR_PORTAL
+    const signupRole = SIGNUP_ROLES.includes(requestedRole) ? requestedRole : DEFAULT_SIGNUP_ROLE
+
     const client = await this.pool.connect()
 
     try {
@@ -122,12 +127,16 @@ class AuthService {
 
         const insertResult = await client.query(insertQuery, [
           googleId, email, given_name, family_name, picture,
-          'brand', 'active', true
+          signupRole, 'active', true
         ])
 
         user = insertResult.rows[0]
       }
 
+      if (user.role === 'creator') {
+        await this.claimCreatorProfileByEmail(client, user)
+      }
+
       await client.query('COMMIT')
       return user
     } catch (error) {
@@ -138,6 +147,29 @@ class AuthService {
     }
   }
 
+  // Google has verified the user's email, so a creator signing in with the address of
+  // exactly one unclaimed creator profile claims it right away
+  async claimCreatorProfileByEmail (client, user) {
+    const result = await client.query(
+      `
+      WITH matches AS (
+        SELECT id FROM creators
+        WHERE claimed_by_user_id IS NULL
+          AND (LOWER(email) = LOWER($2) OR LOWER(business_email) = LOWER($2))
+      )
+      UPDATE creators
+      SET claimed_by_user_id = $1, claimed_at = NOW()
+      WHERE id IN (SELECT id FROM matches)
+        AND (SELECT COUNT(*) FROM matches) = 1
+        AND NOT EXISTS (SELECT 1 FROM creators WHERE claimed_by_user_id = $1)
+      RETURNING id
+    `,
+      [user.id, user.email]
+    )
+
+    return result.rows[0] || null
+  }
+
   // Store refresh token session
   async storeRefreshTokenSession (userId, refreshToken, deviceInfo = {}) {
     const tokenHash = crypto.createHash('sha256').update(refreshToken).digest('hex')
@@ -303,13 +335,15 @@ class AuthService {
     }
   }
 
-  // Get user profile with brand info if applicable
+  // Get user profile with brand or claimed creator info if applicable
   async getUserProfile (userId) {
     const query = `
       SELECT u.*, b.id as brand_id, b.brand_name, b.brand_slug, 
-             b.website_url, b.industry, b.verification_status as brand_verification
+             b.website_url, b.industry, b.verification_status as brand_verification,
+             cr.id as creator_id, cr.creator_name
       FROM users u
       LEFT JOIN brands b ON u.id = b.user_id AND b.is_active = true
+      LEFT JOIN creators cr ON u.role = 'creator' AND cr.claimed_by_user_id = u.id
       WHERE u.id = $1
     `
 
@@ -1,6 +1,7 @@
 // services/brands/brandService.js
 const { Pool } = require('pg')
 const __config = require('../../config')
+const __constants = require('../../config/constants')
 const webScrapingService = require('../ai/webScrapingService')
 
 class BrandService {
@@ -307,6 +308,299 @@ class BrandService {
     }
   }
 
+  // Get the influencer preferences of a brand
+  async getBrandPreferences (brandId) {
+    try {
+      const result = await this.pool.query(
+        'SELECT * FROM brand_preferences WHERE brand_id = $1',
+        [brandId]
+      )
+
+      return result.rows[0] || null
+    } catch (error) {
+      console.error('Error getting brand preferences:', error)
+      throw error
+    }
+  }
+
+  // Update the influencer preferences of a brand
+  async updateBrandPreferences (brandId, preferencesData) {
+    try {
+      const brand = await this.getBrandById(brandId)
+
+      if (!brand) {
+        throw new Error('Brand not found')
+      }
+
+      // Brands created before preferences existed get the defaults first
+      let current = await this.getBrandPreferences(brandId)
+      if (!current) {
+        await this.createDefaultBrandPreferences(
+          this.pool,
+          brandId,
+          brand.ai_generated_overview
+        )
+        current = await this.getBrandPreferences(brandId)
+      }
+
+      if (!current) {
+        throw new Error('Brand preferences not found')
+      }
+
+      const minFollowers =
+        preferencesData.min_followers !== undefined
+          ? preferencesData.min_followers
+          : current.min_followers
+      const maxFollowers =
+        preferencesData.max_followers !== undefined
+          ? preferencesData.max_followers
+          : current.max_followers
+
+      if (
+        minFollowers !== null &&
+        maxFollowers !== null &&
+        parseFloat(minFollowers) > parseFloat(maxFollowers)
+      ) {
+        throw new Error('Invalid preferences: min_followers cannot exceed max_followers')
+      }
+
+      const updateFields = []
+      const updateValues = []
+      let paramCount = 0
+
+      const simpleFields = [
+        'preferred_niches',
+        'min_followers',
+        'max_followers',
+        'min_engagement_rate',
+        'preferred_platforms',
+        'preferred_locations',
+        'preferred_age_groups',
+        'preferred_gender',
+        'content_style_preferences',
+        'collaboration_history_weight',
+        'conflict_handling'
+      ]
+
+      simpleFields.forEach((field) => {
+        if (preferencesData[field] !== undefined) {
+          paramCount++
+          updateFields.push(`${field} = $${paramCount}`)
+          updateValues.push(preferencesData[field])
+        }
+      })
+
+      // Names are matched case-insensitively, so store each competitor and category once
+      const listFields = {
+        competitor_brands: (value) => value,
+        exclusivity_categories: (value) => value.toLowerCase()
+      }
+
+      Object.entries(listFields).forEach(([field, normalize]) => {
+        if (preferencesData[field] !== undefined) {
+          const values = (preferencesData[field] || [])
+            .map((value) => normalize(String(value).trim()))
+            .filter(Boolean)
+
+          paramCount++
+          updateFields.push(`${field} = $${paramCount}`)
+          updateValues.push(
+            values.filter(
+              (value, index) =>
+                values.findIndex((other) => other.toLowerCase() === value.toLowerCase()) === index
+            )
+          )
+        }
+      })
+
+      if (preferencesData.scoring_weights !== undefined) {
+        paramCount++
+        updateFields.push(`scoring_weights = $${paramCount}`)
+        updateValues.push(
+          preferencesData.scoring_weights
+            ? JSON.stringify(
+              this.normalizeScoringWeights(preferencesData.scoring_weights)
+            )
+            : null
+        )
+      }
+
+      if (updateFields.length === 0) {
+        throw new Error('No fields to update')
+      }
+
+      paramCount++
+      updateValues.push(brandId)
+
+      const result = await this.pool.query(
+        `
+        UPDATE brand_preferences
+        SET ${updateFields.join(', ')}
+        WHERE brand_id = $${paramCount}
+        RETURNING *
+      `,
+        updateValues
+      )
+
+      return result.rows[0]
+    } catch (error) {
+      console.error('Error updating brand preferences:', error)
+      throw error
+    }
+  }
+
+  // Fill the search filters a campaign left open from the brand preferences.
+  // filterSources maps each filter to what set it; filters set by the campaign are never replaced.
+  applyPreferencesToFilters (filters, filterSources, preferences) {
+    if (!preferences) return filters
+
+    const setByCampaign = (filter) =>
+      (filterSources[filter] || '').startsWith('campaign')
+
+    const apply = (filter, value, preference) => {
+      if (value === null || value === undefined || setByCampaign(filter)) return
+      filters[filter] = value
+      filterSources[filter] = `brand_preferences.${preference}`
+    }
+
+    // A list preference only narrows the search when it names a single value
+    const single = (values) =>
+      Array.isArray(values) && values.length === 1 ? values[0] : null
+    const toNumber = (value) =>
+      value === null || value === undefined || isNaN(parseFloat(value))
+        ? null
+        : parseFloat(value)
+
+    apply('niche', single(preferences.preferred_niches), 'preferred_niches')
+    apply('primary_platform', single(preferences.preferred_platforms), 'preferred_platforms')
+    apply('location_country', single(preferences.preferred_locations), 'preferred_locations')
+    apply('audience_age_primary', single(preferences.preferred_age_groups), 'preferred_age_groups')
+
+    const gender = single(preferences.preferred_gender)
+    apply('audience_gender_primary', gender !== 'any' ? gender : null, 'preferred_gender')
+
+    apply('min_engagement_rate', toNumber(preferences.min_engagement_rate), 'min_engagement_rate')
+
+    // Follower bounds that contradict a bound set by the campaign are skipped
+    const minFollowers = toNumber(preferences.min_followers)
+    if (!(setByCampaign('max_followers') && minFollowers > filters.max_followers)) {
+      apply('min_followers', minFollowers, 'min_followers')
+    }
+
+    const maxFollowers = toNumber(preferences.max_followers)
+    if (!(setByCampaign('min_followers') && maxFollowers < filters.min_followers)) {
+      apply('max_followers', maxFollowers, 'max_followers')
+    }
+
+    return filters
+  }
+
+  // Merge weights over the defaults and normalize them so they sum to 1
+  normalizeScoringWeights (weights = null) {
+    const { DEFAULT_WEIGHTS } = __constants.RECOMMENDATION_SCORING
+    const merged = { ...DEFAULT_WEIGHTS }
+
+    Object.entries(weights || {}).forEach(([factor, weight]) => {
+      if (DEFAULT_WEIGHTS[factor] === undefined) {
+        throw new Error(
+          `Invalid scoring weights: unknown factor '${factor}'. Must be one of: ${Object.keys(DEFAULT_WEIGHTS).join(', ')}`
+        )
+      }
+
+      const value = parseFloat(weight)
+      if (isNaN(value) || value < 0) {
+        throw new Error(`Invalid scoring weights: '${factor}' must be a non-negative number`)
+      }
+
+      merged[factor] = value
+    })
+
+    const total = Object.values(merged).reduce((sum, weight) => sum + weight, 0)
+    if (total === 0) {
+      throw new Error('Invalid scoring weights: at least one factor must have a positive weight')
+    }
+
+    const normalized = {}
+    Object.entries(merged).forEach(([factor, weight]) => {
+      normalized[factor] = Math.round((weight / total) * 10000) / 10000
+    })
+
+    return normalized
+  }
+
+  // Resolve the scoring weights of a brand from its preferences row
+  resolveScoringWeights (preferences) {
+    const storedWeights = preferences?.scoring_weights || null
+    const weights = { ...(storedWeights || {}) }
+    let source = storedWeights ? 'brand_preferences.scoring_weights' : 'default'
+
+    // collaboration_history_weight is a 0-1 importance where 0.5 keeps the default weight
+    const collaborationWeight = parseFloat(preferences?.collaboration_history_weight)
+    if (weights.collaboration_history === undefined && !isNaN(collaborationWeight)) {
+      weights.collaboration_history =
+        __constants.RECOMMENDATION_SCORING.DEFAULT_WEIGHTS.collaboration_history *
+        (collaborationWeight / 0.5)
+      if (!storedWeights) source = 'brand_preferences.collaboration_history_weight'
+    }
+
+    return {
+      is_default: source === 'default',
+      source,
+      weights: this.normalizeScoringWeights(weights)
+    }
+  }
+
+  // Get the recommendation scoring weights of a brand (defaults when not configured)
+  async getScoringWeights (brandId) {
+    try {
+      const preferences = await this.getBrandPreferences(brandId)
+
+      return {
+        brand_id: brandId,
+        ...this.resolveScoringWeights(preferences),
+        scoring_version: __constants.RECOMMENDATION_SCORING.VERSION
+      }
+    } catch (error) {
+      console.error('Error getting scoring weights:', error)
+      throw error
+    }
+  }
+
+  // Update the recommendation scoring weights of a brand (null resets to defaults)
+  async updateScoringWeights (brandId, weights) {
+    try {
+      const brandCheck = await this.pool.query(
+        'SELECT id FROM brands WHERE id = $1 AND is_active = true',
+        [brandId]
+      )
+
+      if (brandCheck.rows.length === 0) {
+        throw new Error('Brand not found')
+      }
+
+      const normalized = weights ? this.normalizeScoringWeights(weights) : null
+      const storedWeights = normalized ? JSON.stringify(normalized) : null
+
+      const updateResult = await this.pool.query(
+        'UPDATE brand_preferences SET scoring_weights = $1 WHERE brand_id = $2 RETURNING id',
+        [storedWeights, brandId]
+      )
+
+      // Brands created before preferences existed have no row yet
+      if (updateResult.rows.length === 0) {
+        await this.pool.query(
+          'INSERT INTO brand_preferences (brand_id, scoring_weights) VALUES ($1, $2)',
+          [brandId, storedWeights]
+        )
+      }
+
+      return await this.getScoringWeights(brandId)
+    } catch (error) {
+      console.error('Error updating scoring weights:', error)
+      throw error
+    }
+  }
+
   // Update brand profile
   async updateBrand (brandId, userId, updateData) {
     const client = await this.pool.connect()
@@ -3,6 +3,13 @@ const { Pool } = require('pg')
 const __config = require('../../config')
 const twilioService = require('./twilioService')
 const elevenLabsService = require('./elevenLabsService')
+const campaignPipelineService = require('../campaigns/campaignPipelineService')
+const campaignRevisionService = require('../campaigns/campaignRevisionService')
+const competitorConflictService = require('../campaigns/competitorConflictService')
+const creatorAvailabilityService = require('../creators/creatorAvailabilityService')
+const creatorRateCardService = require('../creators/creatorRateCardService')
+const brandService = require('../brands/brandService')
+const currencyService = require('../currency/currencyService')
 const axios = require('axios')
 
 class CallService {
@@ -31,7 +38,8 @@ class CallService {
         agentId,
         customMessage,
         notes,
-        initiatedByUserId
+        initiatedByUserId,
+        overrideAvailability = false
       } = callData
 
       // Validate required fields
@@ -51,8 +59,10 @@ class CallService {
 
       // ✅ NEW: Fetch campaign data if campaignId is provided
       let campaignData = null;
+      let campaignRevision = null;
       let creatorRecommendationData = null;
       let dynamicPrompt = null;
+      let quote = null;
 
       if (campaignId) {
         const campaignQuery = `
@@ -67,6 +77,13 @@ class CallService {
         
         if (campaignResult.rows.length > 0) {
           campaignData = campaignResult.rows[0];
+
+          // Remember which version of the brief the call was based on
+          campaignRevision = await campaignRevisionService.ensureCurrentRevision(
+            client,
+            campaignId,
+            initiatedByUserId
+          )
           
           // Parse ai_recommended_influencers to find this specific creator's data
           if (campaignData.ai_recommended_influencers) {
@@ -85,16 +102,32 @@ class CallService {
             }
           }
           
+          // Price the campaign's deliverables from the creator's rate card
+          quote = await creatorRateCardService.getCampaignQuote(
+            creatorId,
+            campaignData,
+            initiatedByUserId
+          )
+
           // Generate dynamic system prompt based on campaign data
           dynamicPrompt = await this.generateCampaignSystemPrompt(
             campaignData, 
             creator, 
-            creatorRecommendationData
+            creatorRecommendationData,
+            quote
           );
           console.log("DYNAMIC PROMPT", dynamicPrompt)
         }
       }
 
+      // Don't call creators who are unavailable or exclusively booked over the campaign dates
+      const availability = await this.checkCreatorAvailability(creatorId, campaignId, campaignData)
+      if (availability.status === 'blocked' && !overrideAvailability) {
+        throw new Error(
+          `Creator unavailable: ${availability.issues.filter((issue) => issue.severity === 'block').map((issue) => issue.reason).join('; ')}`
+        )
+      }
+
       console.log(`🚀 Initiating ElevenLabs outbound call to ${creator.creator_name}`);
       if (campaignData) {
         console.log(`📋 Campaign: ${campaignData.campaign_name}`);
@@ -142,8 +175,9 @@ class CallService {
       const insertCallQuery = `
         INSERT INTO calls (
           creator_id, campaign_id, phone_number, status, call_sid, 
-          elevenlabs_conversation_id, call_method, notes, initiated_by_user_id
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+          elevenlabs_conversation_id, call_method, notes, initiated_by_user_id,
+          campaign_revision_id, quote_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
         RETURNING id, created_at
       `
 
@@ -156,7 +190,9 @@ class CallService {
         elevenLabsResponse.conversationId || null,
         callMethod,
         notes || `Outbound call to ${creator.creator_name} via ${callMethod}${campaignData ? ` for campaign: ${campaignData.campaign_name}` : ''}`,
-        initiatedByUserId
+        initiatedByUserId,
+        campaignRevision ? campaignRevision.id : null,
+        quote ? quote.id : null
       ])
 
       const callId = callResult.rows[0].id
@@ -171,9 +207,13 @@ class CallService {
           campaign_id: campaignId,
           campaign_name: campaignData.campaign_name,
           campaign_type: campaignData.campaign_type,
-          brand_name: campaignData.brand_name
+          brand_name: campaignData.brand_name,
+          revision_number: campaignRevision ? campaignRevision.revision_number : null
         } : null,
         dynamic_prompt_used: !!dynamicPrompt,
+        availability: availability.status !== 'available'
+          ? { ...availability, overridden: availability.status === 'blocked' }
+          : null,
         elevenlabs_response: elevenLabsResponse
       });
 
@@ -195,6 +235,7 @@ class CallService {
           campaign_name: campaignData.campaign_name,
           brand_name: campaignData.brand_name
         } : null,
+        availability: availability,
         elevenLabsResponse: elevenLabsResponse
       };
 
@@ -207,8 +248,28 @@ class CallService {
     }
   }
 
+  // Availability of a creator for the campaign dates (today when there is no campaign)
+  async checkCreatorAvailability(creatorId, campaignId, campaignData) {
+    const conflictRules = campaignData
+      ? await competitorConflictService.getConflictRules(
+        campaignData.brand_id,
+        await brandService.getBrandPreferences(campaignData.brand_id)
+      )
+      : null
+
+    const availability = await creatorAvailabilityService.checkAvailability([creatorId], {
+      startDate: campaignData?.start_date,
+      endDate: campaignData?.end_date,
+      campaignId,
+      brandId: campaignData?.brand_id,
+      categories: conflictRules?.categories || []
+    })
+
+    return availability[String(creatorId)] || { status: 'available', issues: [] }
+  }
+
   // ✅ ENHANCED: Generate comprehensive campaign-specific system prompt
-  async generateCampaignSystemPrompt(campaignData, creator, creatorRecommendationData) {
+  async generateCampaignSystemPrompt(campaignData, creator, creatorRecommendationData, quote = null) {
     try {
       const {
         campaign_name,
@@ -219,18 +280,30 @@ class CallService {
         brand_name,
         industry,
         product_name,
-        product_category
+        product_category,
+        currency
       } = campaignData;
 
       console.log("creatorRecommendationData", creatorRecommendationData)
 
+      // Amounts are spoken in the campaign currency; stored estimates in another currency are converted
+      const campaignCurrency = currencyService.resolveCode(currency);
+      const fxRates = await currencyService.getRatesOrNull();
+      const cost = creatorRecommendationData?.estimated_cost;
+      const estimatedCost = cost && cost.cost !== 'Contact for pricing'
+        ? currencyService.convert(cost.cost, cost.currency, campaignCurrency, fxRates)
+        : null;
+      const formatRange = (low, high, code = campaignCurrency) =>
+        `${currencyService.formatAmount(Math.round(low), code)}-${currencyService.formatAmount(Math.round(high), code)}`;
+
       // Extract pricing information from creator recommendation data
-      let suggestedPricing = '$500-$1000'; // Default range
-      if (creatorRecommendationData?.estimated_cost) {
-        const cost = creatorRecommendationData.estimated_cost;
-        if (cost.cost && cost.cost !== 'Contact for pricing') {
-          suggestedPricing = `$${Math.round(cost.cost * 0.8)}-$${Math.round(cost.cost * 1.2)}`;
-        }
+      let suggestedPricing = formatRange(500, 1000, 'USD'); // Default range
+      const defaultLow = currencyService.convert(500, 'USD', campaignCurrency, fxRates);
+      if (defaultLow !== null) {
+        suggestedPricing = formatRange(defaultLow, defaultLow * 2);
+      }
+      if (estimatedCost) {
+        suggestedPricing = formatRange(estimatedCost * 0.8, estimatedCost * 1.2);
       }
 
       // Generate campaign-specific details for the prompt
@@ -239,10 +312,19 @@ class CallService {
       const budgetFit = creatorRecommendationData.score_breakdown.budget_fit
       const contentFit = 0.7
 
-      if(contentFit >= 0.7) {
-        suggestedPricing = `$${Math.round(creatorRecommendationData.estimated_cost.cost)}-$${Math.round(creatorRecommendationData.estimated_cost.cost * 1.5)}`;
+      if(contentFit >= 0.7 && estimatedCost) {
+        suggestedPricing = formatRange(estimatedCost, estimatedCost * 1.5);
       }
 
+      // A rate card quote replaces the estimated range
+      const quotedPrice = quote ? currencyService.formatAmount(quote.total, quote.currency) : null;
+      const budgetGuidance = quote
+        ? `Quoted Price: ${quotedPrice} from ${creator.creator_name}'s own rate card (${creatorRateCardService.summarizeQuote(quote)}). Never state it upfront—let them share rates first. Don't go above the quote; if they ask for more, point back to their own rate card.`
+        : `Budget Range: ${suggestedPricing} (never state upfront—let them share rates first. When sharing the budget, only mention the higher end of the budget range, NOT the lower end.)`;
+      const pricingIndicator = quote
+        ? `Creator's fee is at or below the ${quotedPrice} quote`
+        : `Creator's rates fit within ${suggestedPricing} range`;
+
       
       if (campaign_type === 'sponsored_post') {
         campaignDetails.push('we\'re looking for sponsored social media posts');
@@ -329,14 +411,14 @@ CAMPAIGN INTRODUCTION (in their chosen language):
 
 DEAL TERMS DISCUSSION (in their chosen language):
 For ${campaign_type.replace('_', ' ')}:
-- Content deliverables: "${campaign_type === 'sponsored_post' ? 'We\'re thinking 2-3 posts and 3-5 stories' : campaign_type === 'product_review' ? 'One detailed review post plus unboxing stories' : campaign_type === 'brand_ambassador' ? '1 post and 2 stories monthly for 3 months' : 'Content package tailored to campaign goals'}"
+- Content deliverables: "${quote ? creatorRateCardService.summarizeQuote(quote) : campaign_type === 'sponsored_post' ? 'We\'re thinking 2-3 posts and 3-5 stories' : campaign_type === 'product_review' ? 'One detailed review post plus unboxing stories' : campaign_type === 'brand_ambassador' ? '1 post and 2 stories monthly for 3 months' : 'Content package tailored to campaign goals'}"
 - Platform focus: [Primary platform based on their strength]
 - Rights and usage: "We'd need usage rights for ads and website for 12 months"
 - Exclusivity: "Category exclusive in ${product_category || industry} for campaign duration"
 - Timeline: "Launch ${campaign_type === 'event_coverage' ? 'during event week' : 'in 2-3 weeks'} with content delivered by [specific date]"
 
 NEGOTIATION STRATEGY:
-Budget Range: ${suggestedPricing} (never state upfront—let them share rates first. When sharing the budget, only mention the higher end of the budget range, NOT the lower end.)
+${budgetGuidance}
 Your negotiation style: relaxed, real-talk approach. "Totally hear you—thing is, the brand's budget for this tier is more like X, but I'm tryna make it work."
 
 PROFESSIONAL BOUNDARIES:
@@ -354,7 +436,7 @@ CLOSING AND OUTCOME (in their chosen language):
 SUCCESS INDICATORS:
 ✓ All 4 assessment criteria addressed
 ✓ Fair and mutually beneficial agreement reached
-✓ Creator's rates fit within ${suggestedPricing} range
+✓ ${pricingIndicator}
 ✓ Clear next steps established
 ✓ Professional tone maintained throughout
 ✓ Smooth language transition without restarting conversation
@@ -453,6 +535,20 @@ IMPORTANT: Once they tell you their language preference, immediately continue th
         ...additionalData
       })
 
+      // A creator we actually reached counts as contacted in the campaign pipeline
+      const { creator_id: creatorId, campaign_id: campaignId } = result.rows[0]
+      if (campaignId && creatorId && ['in-progress', 'completed'].includes(status)) {
+        try {
+          await campaignPipelineService.advanceStage(campaignId, creatorId, 'contacted', {
+            activity: `call_${status}`,
+            callId
+          })
+        } catch (error) {
+          console.error('Error advancing campaign pipeline from call status:', error)
+          // Don't fail the status update if the pipeline update fails
+        }
+      }
+
       // If call completed, get conversation insights
       if (status === 'completed' && conversationId) {
         try {
@@ -0,0 +1,340 @@
+// services/campaigns/campaignCalendarService.js
+const { Pool } = require('pg')
+const crypto = require('crypto')
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+
+const {
+  EVENT_TYPES,
+  DEFAULT_DAYS_BEFORE,
+  DEFAULT_DAYS_AFTER,
+  MAX_RANGE_DAYS,
+  FEED_DAYS_BEFORE,
+  FEED_DAYS_AFTER
+} = __constants.CAMPAIGN_CALENDAR
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+class CampaignCalendarService {
+  constructor () {
+    this.pool = new Pool({
+      user: __config.postgres.user,
+      host: __config.postgres.host,
+      database: __config.postgres.database,
+      password: __config.postgres.password,
+      port: __config.postgres.port,
+      ssl: { rejectUnauthorized: false }
+    })
+  }
+
+  // YYYY-MM-DD of a date offset from today
+  dateFromToday (days) {
+    return new Date(Date.now() + days * DAY_MS).toISOString().split('T')[0]
+  }
+
+  // Resolve and validate the requested date range
+  resolveRange (filters, daysBefore = DEFAULT_DAYS_BEFORE, daysAfter = DEFAULT_DAYS_AFTER) {
+    const from = filters.from || this.dateFromToday(-daysBefore)
+    const to = filters.to || this.dateFromToday(daysAfter)
+    const rangeDays = (new Date(to) - new Date(from)) / DAY_MS
+
+    if (isNaN(rangeDays) || rangeDays < 0) {
+      throw new Error('Invalid calendar range: from must be on or before to')
+    }
+
+    if (rangeDays > MAX_RANGE_DAYS) {
+      throw new Error(`Invalid calendar range: at most ${MAX_RANGE_DAYS} days can be requested`)
+    }
+
+    return { from, to }
+  }
+
+  // Campaign start/end, deliverable, call, contract and follow-up dates of the user's campaigns
+  async getCalendarEvents (userId, userRole, filters = {}) {
+    try {
+      const { from, to } = this.resolveRange(filters)
+      const types = filters.types
+        ? [...new Set(String(filters.types).split(',').map((type) => type.trim()))]
+        : EVENT_TYPES
+
+      const unknownTypes = types.filter((type) => !EVENT_TYPES.includes(type))
+      if (unknownTypes.length > 0) {
+        throw new Error(
+          `Invalid calendar event type '${unknownTypes[0]}'. Must be one of: ${EVENT_TYPES.join(', ')}`
+        )
+      }
+
+      // Admins see every brand; everyone else sees the brands they own
+      const scopeConditions = ['c.is_active = true', 'b.is_active = true']
+      const values = [from, to]
+
+      if (userRole !== 'admin') {
+        values.push(userId)
+        scopeConditions.push(`b.user_id = $${values.length}`)
+      }
+
+      if (filters.brand_id) {
+        values.push(filters.brand_id)
+        scopeConditions.push(`c.brand_id = $${values.length}`)
+      }
+
+      const inRange = (column) =>
+        `${column} >= $1::date AND ${column} < $2::date + INTERVAL '1 day'`
+
+      const eventQueries = {
+        campaign_start: `
+          SELECT 'campaign_start' as type, s.id::text as source_id, s.id as campaign_id,
+                 to_char(s.start_date, 'YYYY-MM-DD') as starts_at, true as all_day,
+                 NULL::text as creator_id, NULL::text as creator_name, s.status,
+                 'Campaign starts: ' || s.campaign_name as title
+          FROM scoped s
+          WHERE s.start_date IS NOT NULL AND ${inRange('s.start_date')}
+        `,
+        campaign_end: `
+          SELECT 'campaign_end' as type, s.id::text as source_id, s.id as campaign_id,
+                 to_char(s.end_date, 'YYYY-MM-DD') as starts_at, true as all_day,
+                 NULL::text as creator_id, NULL::text as creator_name, s.status,
+                 'Campaign ends: ' || s.campaign_name as title
+          FROM scoped s
+          WHERE s.end_date IS NOT NULL AND ${inRange('s.end_date')}
+        `,
+        deliverable_due: `
+          SELECT 'deliverable_due' as type, d.id::text as source_id, s.id as campaign_id,
+                 to_char(d.due_date, 'YYYY-MM-DD"T"HH24:MI:SS') as starts_at, false as all_day,
+                 d.creator_id::text as creator_id, cr.creator_name, d.status,
+                 'Deliverable due: ' || cr.creator_name || ' ' || d.platform || ' ' || d.format as title
+          FROM campaign_deliverables d
+          JOIN scoped s ON d.campaign_id = s.id
+          JOIN creators cr ON d.creator_id = cr.id
+          WHERE d.status <> 'cancelled' AND ${inRange('d.due_date')}
+        `,
+        call_scheduled: `
+          SELECT 'call_scheduled' as type, k.id::text as source_id, s.id as campaign_id,
+                 to_char(k.scheduled_at, 'YYYY-MM-DD"T"HH24:MI:SS') as starts_at, false as all_day,
+                 k.creator_id::text as creator_id, cr.creator_name, k.status,
+                 'Call: ' || cr.creator_name as title
+          FROM calls k
+          JOIN scoped s ON k.campaign_id = s.id
+          JOIN creators cr ON k.creator_id = cr.id
+          WHERE k.scheduled_at IS NOT NULL AND ${inRange('k.scheduled_at')}
+        `,
+        contract_signature_due: `
+          SELECT 'contract_signature_due' as type, ct.id::text as source_id, s.id as campaign_id,
+                 to_char(ct.signature_due_at, 'YYYY-MM-DD"T"HH24:MI:SS') as starts_at, false as all_day,
+                 ct.creator_id::text as creator_id, COALESCE(cr.creator_name, ct.creator_name) as creator_name,
+                 ct.status, 'Contract signature due: ' || COALESCE(cr.creator_name, ct.creator_name, 'creator') as title
+          FROM contracts ct
+          JOIN scoped s ON ct.campaign_id = s.id
+          LEFT JOIN creators cr ON ct.creator_id = cr.id
+          WHERE ct.is_signed IS NOT TRUE AND ct.signature_due_at IS NOT NULL
+            AND ${inRange('ct.signature_due_at')}
+        `,
+        follow_up_due: `
+          SELECT 'follow_up_due' as type, cc.id::text as source_id, s.id as campaign_id,
+                 to_char(cc.next_action_due_at, 'YYYY-MM-DD"T"HH24:MI:SS') as starts_at, false as all_day,
+                 cc.creator_id::text as creator_id, cr.creator_name, cc.stage as status,
+                 'Follow up with ' || cr.creator_name || COALESCE(': ' || cc.next_action, '') as title
+          FROM campaign_creators cc
+          JOIN scoped s ON cc.campaign_id = s.id
+          JOIN creators cr ON cc.creator_id = cr.id
+          WHERE cc.next_action_due_at IS NOT NULL AND ${inRange('cc.next_action_due_at')}
+        `
+      }
+
+      const query = `
+        WITH scoped AS (
+          SELECT c.id, c.campaign_name, c.status, c.start_date, c.end_date,
+                 c.brand_id, b.brand_name
+          FROM campaigns c
+          JOIN brands b ON c.brand_id = b.id
+          WHERE ${scopeConditions.join(' AND ')}
+        )
+        SELECT e.*, s.campaign_name, s.brand_id, s.brand_name
+        FROM (${types.map((type) => eventQueries[type]).join(' UNION ALL ')}) e
+        JOIN scoped s ON e.campaign_id = s.id
+        ORDER BY e.starts_at ASC, e.type ASC
+      `
+
+      const result = await this.pool.query(query, values)
+
+      const events = result.rows.map((row) => ({
+        id: `${row.type}:${row.source_id}`,
+        ...row
+      }))
+
+      return { from, to, types, total: events.length, events }
+    } catch (error) {
+      console.error('Error getting campaign calendar:', error)
+      throw error
+    }
+  }
+
+  // Hash a feed token before storing or looking it up
+  hashToken (token) {
+    return crypto.createHash('sha256').update(token).digest('hex')
+  }
+
+  // Public URL of a feed token
+  buildFeedUrl (token) {
+    const apiPrefix = __config.addBaseUrlPrefix === true ? '/' + __config.api_prefix : ''
+    return `${__config.base_url}${apiPrefix}/api/campaigns/calendar/feed/${token}.ics`
+  }
+
+  // Issue a new feed token for the user, replacing (and invalidating) any previous one
+  async createFeedToken (userId) {
+    try {
+      const token = crypto.randomBytes(32).toString('hex')
+
+      await this.pool.query(
+        `
+        INSERT INTO calendar_feed_tokens (user_id, token_hash)
+        VALUES ($1, $2)
+        ON CONFLICT (user_id) DO UPDATE
+        SET token_hash = EXCLUDED.token_hash, created_at = NOW(), last_accessed_at = NULL
+      `,
+        [userId, this.hashToken(token)]
+      )
+
+      return { feed_url: this.buildFeedUrl(token), token }
+    } catch (error) {
+      console.error('Error creating calendar feed token:', error)
+      throw error
+    }
+  }
+
+  // Revoke the user's feed token
+  async revokeFeedToken (userId) {
+    try {
+      const result = await this.pool.query(
+        'DELETE FROM calendar_feed_tokens WHERE user_id = $1 RETURNING id',
+        [userId]
+      )
+
+      if (result.rows.length === 0) {
+        throw new Error('Calendar feed not found')
+      }
+
+      return { revoked: true }
+    } catch (error) {
+      console.error('Error revoking calendar feed token:', error)
+      throw error
+    }
+  }
+
+  // Find the active user behind a feed token
+  async getFeedUser (token) {
+    const result = await this.pool.query(
+      `
+      UPDATE calendar_feed_tokens t
+      SET last_accessed_at = NOW()
+      FROM users u
+      WHERE t.token_hash = $1 AND t.user_id = u.id AND u.status = 'active'
+      RETURNING u.id, u.role
+    `,
+      [this.hashToken(token)]
+    )
+
+    return result.rows[0] || null
+  }
+
+  // Escape a TEXT value (RFC 5545 section 3.3.11)
+  escapeIcsText (value) {
+    return String(value || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n')
+  }
+
+  // Fold a content line at 75 octets (RFC 5545 section 3.1)
+  foldIcsLine (line) {
+    const chunks = []
+    let current = ''
+
+    for (const char of line) {
+      const limit = chunks.length === 0 ? 75 : 74
+      if (Buffer.byteLength(current + char) > limit) {
+        chunks.push(current)
+        current = char
+      } else {
+        current += char
+      }
+    }
+    chunks.push(current)
+
+    return chunks.join('\r\n ')
+  }
+
+  // Format a date or timestamp as an iCalendar value
+  formatIcsDate (value, allDay) {
+    if (allDay) {
+      return value.replace(/-/g, '')
+    }
+    // Timestamps are treated as UTC
+    return `${value.replace(/[-:]/g, '').split('.')[0]}Z`
+  }
+
+  // Render calendar events as an iCalendar document
+  buildIcs (events, calendarName) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z'
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//InfluencerFlow//Campaign Calendar//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeIcsText(calendarName)}`
+    ]
+
+    events.forEach((event) => {
+      const start = this.formatIcsDate(event.starts_at, event.all_day)
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${event.id}@influencerflow`,
+        `DTSTAMP:${stamp}`,
+        event.all_day ? `DTSTART;VALUE=DATE:${start}` : `DTSTART:${start}`,
+        event.all_day ? '' : 'DURATION:PT30M',
+        `SUMMARY:${this.escapeIcsText(event.title)}`,
+        `DESCRIPTION:${this.escapeIcsText(
+          [
+            `Campaign: ${event.campaign_name}`,
+            `Brand: ${event.brand_name}`,
+            event.creator_name ? `Creator: ${event.creator_name}` : null,
+            event.status ? `Status: ${event.status}` : null
+          ].filter(Boolean).join('\n')
+        )}`,
+        `CATEGORIES:${event.type.toUpperCase()}`,
+        'END:VEVENT'
+      )
+    })
+
+    lines.push('END:VCALENDAR')
+
+    return lines
+      .filter(Boolean)
+      .map((line) => this.foldIcsLine(line))
+      .join('\r\n') + '\r\n'
+  }
+
+  // iCalendar feed of every campaign date the token's user can see
+  async getFeed (token) {
+    try {
+      const user = await this.getFeedUser(token)
+      if (!user) {
+        throw new Error('Calendar feed not found')
+      }
+
+      const { events } = await this.getCalendarEvents(user.id, user.role, {
+        from: this.dateFromToday(-FEED_DAYS_BEFORE),
+        to: this.dateFromToday(FEED_DAYS_AFTER)
+      })
+
+      return this.buildIcs(events, 'Campaign calendar')
+    } catch (error) {
+      console.error('Error building calendar feed:', error)
+      throw error
+    }
+  }
+}
+
+module.exports = new CampaignCalendarService()
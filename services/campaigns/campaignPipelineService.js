@@ -0,0 +1,318 @@
+// services/campaigns/campaignPipelineService.js
+const { Pool } = require('pg')
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+
+const STAGES = __constants.CAMPAIGN_PIPELINE.STAGES
+
+class CampaignPipelineService {
+  constructor () {
+    this.pool = new Pool({
+      user: __config.postgres.user,
+      host: __config.postgres.host,
+      database: __config.postgres.database,
+      password: __config.postgres.password,
+      port: __config.postgres.port,
+      ssl: { rejectUnauthorized: false }
+    })
+  }
+
+  // Validate a stage name and return its position in the pipeline
+  getStageIndex (stage) {
+    const index = STAGES.indexOf(stage)
+    if (index === -1) {
+      throw new Error(
+        `Invalid pipeline stage '${stage}'. Must be one of: ${STAGES.join(', ')}`
+      )
+    }
+    return index
+  }
+
+  // Get a single pipeline entry
+  async getEntry (campaignId, creatorId, db = this.pool) {
+    const result = await db.query(
+      'SELECT * FROM campaign_creators WHERE campaign_id = $1 AND creator_id = $2',
+      [campaignId, creatorId]
+    )
+    return result.rows[0] || null
+  }
+
+  // Check a pipeline owner is a user who can work the campaign: its brand's owner or an admin
+  async assertValidOwner (campaignId, ownerUserId, db = this.pool) {
+    const result = await db.query(
+      `
+      SELECT b.user_id as brand_owner_id, u.id as user_id, u.role
+      FROM campaigns c
+      JOIN brands b ON c.brand_id = b.id
+      LEFT JOIN users u ON u.id::text = $2 AND u.status != 'suspended'
+      WHERE c.id = $1
+    `,
+      [campaignId, String(ownerUserId)]
+    )
+
+    if (result.rows.length === 0) {
+      throw new Error('Campaign not found')
+    }
+
+    const { brand_owner_id: brandOwnerId, user_id: userId, role } = result.rows[0]
+
+    if (!userId) {
+      throw new Error(`Invalid pipeline owner: user ${ownerUserId} does not exist`)
+    }
+
+    if (role !== 'admin' && String(userId) !== String(brandOwnerId)) {
+      throw new Error(`Invalid pipeline owner: user ${ownerUserId} does not belong to this campaign's brand`)
+    }
+  }
+
+  // Shortlist creators for a campaign (existing entries are left untouched)
+  async addCreators (campaignId, creatorIds, options = {}) {
+    const {
+      ownerUserId = null,
+      nextAction = null,
+      nextActionDueAt = null,
+      client = null
+    } = options
+    const db = client || this.pool
+
+    try {
+      if (ownerUserId) {
+        await this.assertValidOwner(campaignId, ownerUserId, db)
+      }
+
+      const added = []
+
+      for (const creatorId of creatorIds) {
+        const result = await db.query(
+          `
+          INSERT INTO campaign_creators (
+            campaign_id, creator_id, stage, owner_user_id, next_action,
+            next_action_due_at, shortlist_at, last_activity, last_activity_at
+          ) VALUES ($1, $2, 'shortlist', $3, $4, $5, NOW(), 'shortlisted', NOW())
+          ON CONFLICT (campaign_id, creator_id) DO NOTHING
+          RETURNING *
+        `,
+          [campaignId, creatorId, ownerUserId, nextAction, nextActionDueAt]
+        )
+
+        if (result.rows.length > 0) {
+          added.push(result.rows[0])
+        }
+      }
+
+      return added
+    } catch (error) {
+      console.error('Error adding creators to campaign pipeline:', error)
+      throw error
+    }
+  }
+
+  // Manually update a pipeline entry (account managers may move stages in either direction)
+  async updateEntry (campaignId, creatorId, updateData) {
+    try {
+      const existing = await this.getEntry(campaignId, creatorId)
+      if (!existing) {
+        throw new Error('Pipeline entry not found')
+      }
+
+      if (updateData.owner_user_id != null) {
+        await this.assertValidOwner(campaignId, updateData.owner_user_id)
+      }
+
+      const updateFields = []
+      const updateValues = []
+      let paramCount = 0
+
+      const simpleFields = [
+        'owner_user_id',
+        'next_action',
+        'next_action_due_at',
+        'notes'
+      ]
+
+      simpleFields.forEach((field) => {
+        if (updateData[field] !== undefined) {
+          paramCount++
+          updateFields.push(`${field} = $${paramCount}`)
+          updateValues.push(updateData[field])
+        }
+      })
+
+      if (updateData.stage !== undefined && updateData.stage !== existing.stage) {
+        this.getStageIndex(updateData.stage)
+
+        paramCount++
+        updateFields.push(`stage = $${paramCount}`)
+        updateValues.push(updateData.stage)
+        updateFields.push('stage_changed_at = NOW()')
+        updateFields.push(`${updateData.stage}_at = COALESCE(${updateData.stage}_at, NOW())`)
+
+        paramCount++
+        updateFields.push(`last_activity = $${paramCount}`)
+        updateValues.push(`moved_to_${updateData.stage}`)
+        updateFields.push('last_activity_at = NOW()')
+      }
+
+      if (updateFields.length === 0) {
+        throw new Error('No fields to update')
+      }
+
+      paramCount++
+      updateValues.push(existing.id)
+
+      const result = await this.pool.query(
+        `
+        UPDATE campaign_creators
+        SET ${updateFields.join(', ')}
+        WHERE id = $${paramCount}
+        RETURNING *
+      `,
+        updateValues
+      )
+
+      return result.rows[0]
+    } catch (error) {
+      console.error('Error updating campaign pipeline entry:', error)
+      throw error
+    }
+  }
+
+  // Move a creator forward to a stage from an automated event, creating the entry if needed.
+  // Never moves a creator backwards, so late or repeated events are harmless.
+  async advanceStage (campaignId, creatorId, toStage, options = {}) {
+    const {
+      activity = `advanced_to_${toStage}`,
+      callId = null,
+      contractId = null,
+      payoutId = null,
+      client = null
+    } = options
+    const db = client || this.pool
+
+    try {
+      const targetIndex = this.getStageIndex(toStage)
+      const existing = await this.getEntry(campaignId, creatorId, db)
+
+      if (!existing) {
+        const result = await db.query(
+          `
+          INSERT INTO campaign_creators (
+            campaign_id, creator_id, stage, shortlist_at, ${toStage}_at,
+            last_activity, last_activity_at, last_call_id, contract_id, payout_id
+          ) VALUES ($1, $2, $3, NOW(), NOW(), $4, NOW(), $5, $6, $7)
+          ON CONFLICT (campaign_id, creator_id) DO NOTHING
+          RETURNING *
+        `,
+          [campaignId, creatorId, toStage, activity, callId, contractId, payoutId]
+        )
+        return result.rows[0] || null
+      }
+
+      const moveForward = targetIndex > this.getStageIndex(existing.stage)
+
+      const result = await db.query(
+        `
+        UPDATE campaign_creators
+        SET stage = CASE WHEN $2 THEN $3 ELSE stage END,
+            stage_changed_at = CASE WHEN $2 THEN NOW() ELSE stage_changed_at END,
+            ${toStage}_at = COALESCE(${toStage}_at, NOW()),
+            last_activity = $4,
+            last_activity_at = NOW(),
+            last_call_id = COALESCE($5, last_call_id),
+            contract_id = COALESCE($6, contract_id),
+            payout_id = COALESCE($7, payout_id)
+        WHERE id = $1
+        RETURNING *
+      `,
+        [existing.id, moveForward, toStage, activity, callId, contractId, payoutId]
+      )
+
+      if (moveForward) {
+        console.log(
+          `📈 Pipeline: creator ${creatorId} moved ${existing.stage} → ${toStage} for campaign ${campaignId} (${activity})`
+        )
+      }
+
+      return result.rows[0]
+    } catch (error) {
+      console.error('Error advancing campaign pipeline stage:', error)
+      throw error
+    }
+  }
+
+  // Remove a creator from a campaign pipeline
+  async removeCreator (campaignId, creatorId) {
+    try {
+      const result = await this.pool.query(
+        'DELETE FROM campaign_creators WHERE campaign_id = $1 AND creator_id = $2 RETURNING id',
+        [campaignId, creatorId]
+      )
+
+      if (result.rows.length === 0) {
+        throw new Error('Pipeline entry not found')
+      }
+
+      return { removed: true, campaign_id: campaignId, creator_id: creatorId }
+    } catch (error) {
+      console.error('Error removing creator from campaign pipeline:', error)
+      throw error
+    }
+  }
+
+  // Get the pipeline as a board: one column per stage
+  async getPipelineBoard (campaignId, filters = {}) {
+    try {
+      const conditions = ['cc.campaign_id = $1']
+      const values = [campaignId]
+
+      if (filters.owner_user_id) {
+        values.push(filters.owner_user_id)
+        conditions.push(`cc.owner_user_id = $${values.length}`)
+      }
+
+      const query = `
+        SELECT cc.*, cr.creator_name, cr.username, cr.email, cr.profile_image_url,
+               cr.niche, cr.tier, cr.primary_platform,
+               u.email as owner_email
+        FROM campaign_creators cc
+        JOIN creators cr ON cc.creator_id = cr.id
+        LEFT JOIN users u ON cc.owner_user_id = u.id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY cc.next_action_due_at ASC NULLS LAST, cc.stage_changed_at DESC
+      `
+
+      const result = await this.pool.query(query, values)
+      const now = new Date()
+
+      const columns = STAGES.map((stage) => ({
+        stage,
+        count: 0,
+        creators: []
+      }))
+
+      result.rows.forEach((entry) => {
+        const column = columns[STAGES.indexOf(entry.stage)]
+        if (!column) return
+
+        column.creators.push({
+          ...entry,
+          next_action_overdue:
+            !!entry.next_action_due_at && new Date(entry.next_action_due_at) < now
+        })
+        column.count++
+      })
+
+      return {
+        campaign_id: campaignId,
+        total_creators: result.rows.length,
+        stages: STAGES,
+        columns
+      }
+    } catch (error) {
+      console.error('Error getting campaign pipeline board:', error)
+      throw error
+    }
+  }
+}
+
+module.exports = new CampaignPipelineService()
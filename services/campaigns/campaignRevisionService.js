@@ -0,0 +1,265 @@
+// services/campaigns/campaignRevisionService.js
+const { Pool } = require('pg')
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+
+const { TRACKED_FIELDS, JSON_TEXT_FIELDS } = __constants.CAMPAIGN_REVISIONS
+
+// Sources that always get a revision, even when nothing changed since the last one
+const ALWAYS_RECORDED_SOURCES = ['create', 'baseline']
+
+class CampaignRevisionService {
+  constructor () {
+    this.pool = new Pool({
+      user: __config.postgres.user,
+      host: __config.postgres.host,
+      database: __config.postgres.database,
+      password: __config.postgres.password,
+      port: __config.postgres.port,
+      ssl: { rejectUnauthorized: false }
+    })
+  }
+
+  // Tracked fields of a campaign as stored. Dates stay as YYYY-MM-DD and JSON text is parsed.
+  async getSnapshot (db, campaignId) {
+    const result = await db.query(
+      'SELECT to_jsonb(c) AS campaign FROM campaigns c WHERE c.id = $1',
+      [campaignId]
+    )
+
+    if (result.rows.length === 0) {
+      throw new Error('Campaign not found')
+    }
+
+    const campaign = result.rows[0].campaign
+    const snapshot = {}
+
+    TRACKED_FIELDS.forEach((field) => {
+      if (campaign[field] === undefined) return
+
+      let value = campaign[field]
+      if (JSON_TEXT_FIELDS.includes(field) && typeof value === 'string') {
+        try {
+          value = JSON.parse(value)
+        } catch (error) {
+          // Keep text that isn't JSON as it is
+        }
+      }
+      snapshot[field] = value
+    })
+
+    return snapshot
+  }
+
+  // Most recent revision of a campaign, or null when it has none yet
+  async getLatestRevision (db, campaignId) {
+    const result = await db.query(
+      `
+      SELECT *
+      FROM campaign_revisions
+      WHERE campaign_id = $1
+      ORDER BY revision_number DESC
+      LIMIT 1
+    `,
+      [campaignId]
+    )
+
+    return result.rows[0] || null
+  }
+
+  // Latest revision, recording the current content as a baseline for campaigns created before revisions existed
+  async ensureCurrentRevision (db, campaignId, userId = null) {
+    const latest = await this.getLatestRevision(db, campaignId)
+    if (latest) return latest
+
+    return this.createRevision(db, campaignId, {
+      changeSource: 'baseline',
+      userId,
+      reason: 'Content before revision history was recorded'
+    })
+  }
+
+  // Snapshot the campaign as a new revision (run inside the caller's transaction).
+  // Returns the latest revision instead when nothing tracked has changed.
+  async createRevision (db, campaignId, options = {}) {
+    const {
+      changeSource = 'update',
+      userId = null,
+      reason = null,
+      restoredFrom = null
+    } = options
+
+    // Serialize revision numbering per campaign
+    await db.query('SELECT id FROM campaigns WHERE id = $1 FOR UPDATE', [campaignId])
+
+    const snapshot = await this.getSnapshot(db, campaignId)
+    const latest = await this.getLatestRevision(db, campaignId)
+
+    const changedFields = latest
+      ? [...new Set(this.diffSnapshots(latest.snapshot, snapshot).map((change) => change.field))]
+      : Object.keys(snapshot)
+
+    if (latest && changedFields.length === 0 && !ALWAYS_RECORDED_SOURCES.includes(changeSource)) {
+      return latest
+    }
+
+    const result = await db.query(
+      `
+      INSERT INTO campaign_revisions (
+        campaign_id, revision_number, snapshot, changed_fields, change_source,
+        reason, restored_from_revision, created_by_user_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `,
+      [
+        campaignId,
+        latest ? latest.revision_number + 1 : 1,
+        JSON.stringify(snapshot),
+        JSON.stringify(changedFields),
+        changeSource,
+        reason || null,
+        restoredFrom,
+        userId
+      ]
+    )
+
+    return result.rows[0]
+  }
+
+  // Revisions of a campaign, newest first, without their snapshots
+  async listRevisions (campaignId) {
+    try {
+      const result = await this.pool.query(
+        `
+        SELECT r.id, r.revision_number, r.changed_fields, r.change_source, r.reason,
+               r.restored_from_revision, r.created_by_user_id, u.email as created_by_email, r.created_at,
+               (SELECT COUNT(*) FROM calls WHERE campaign_revision_id = r.id)::int as calls_count,
+               (SELECT COUNT(*) FROM contracts WHERE campaign_revision_id = r.id)::int as contracts_count
+        FROM campaign_revisions r
+        LEFT JOIN users u ON r.created_by_user_id = u.id
+        WHERE r.campaign_id = $1
+        ORDER BY r.revision_number DESC
+      `,
+        [campaignId]
+      )
+
+      return result.rows
+    } catch (error) {
+      console.error('Error listing campaign revisions:', error)
+      throw error
+    }
+  }
+
+  // One revision with its full snapshot
+  async getRevision (campaignId, revisionNumber) {
+    try {
+      const result = await this.pool.query(
+        `
+        SELECT *
+        FROM campaign_revisions
+        WHERE campaign_id = $1 AND revision_number = $2
+      `,
+        [campaignId, revisionNumber]
+      )
+
+      if (result.rows.length === 0) {
+        throw new Error(`Campaign revision ${revisionNumber} not found`)
+      }
+
+      return result.rows[0]
+    } catch (error) {
+      console.error('Error getting campaign revision:', error)
+      throw error
+    }
+  }
+
+  // Field-level changes between two revisions. Defaults to the latest revision and the one before it.
+  async diffRevisions (campaignId, fromRevision = null, toRevision = null) {
+    try {
+      let to = toRevision
+      if (!to) {
+        const latest = await this.getLatestRevision(this.pool, campaignId)
+        if (!latest) {
+          throw new Error('Campaign revisions not found')
+        }
+        to = latest.revision_number
+      }
+
+      const from = fromRevision || to - 1
+      if (from < 1) {
+        throw new Error('Invalid revision range: revision 1 has no earlier revision to compare with')
+      }
+
+      const [fromRow, toRow] = await Promise.all([
+        this.getRevision(campaignId, from),
+        this.getRevision(campaignId, to)
+      ])
+
+      const changes = this.diffSnapshots(fromRow.snapshot, toRow.snapshot)
+
+      return {
+        campaign_id: campaignId,
+        from_revision: from,
+        to_revision: to,
+        changed_fields: [...new Set(changes.map((change) => change.field))],
+        changes
+      }
+    } catch (error) {
+      console.error('Error diffing campaign revisions:', error)
+      throw error
+    }
+  }
+
+  // Changes from one snapshot to another. Objects are compared key by key
+  // (path 'target_audience.age_range'); arrays and other values are compared whole.
+  diffSnapshots (before, after, prefix = '') {
+    const changes = []
+    const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+
+    keys.forEach((key) => {
+      const path = prefix ? `${prefix}.${key}` : key
+      const oldValue = before ? before[key] : undefined
+      const newValue = after ? after[key] : undefined
+
+      if (this.isEqual(oldValue, newValue)) return
+
+      if (this.isPlainObject(oldValue) && this.isPlainObject(newValue)) {
+        changes.push(...this.diffSnapshots(oldValue, newValue, path))
+        return
+      }
+
+      changes.push({
+        field: path.split('.')[0],
+        path,
+        change: this.isEmpty(oldValue) ? 'added' : this.isEmpty(newValue) ? 'removed' : 'changed',
+        before: oldValue === undefined ? null : oldValue,
+        after: newValue === undefined ? null : newValue
+      })
+    })
+
+    return changes
+  }
+
+  isPlainObject (value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+  }
+
+  isEmpty (value) {
+    return value === undefined || value === null
+  }
+
+  // Deep equality that ignores key order; a missing key equals null
+  isEqual (a, b) {
+    if (this.isEmpty(a) && this.isEmpty(b)) return true
+    if (Array.isArray(a) && Array.isArray(b)) {
+      return a.length === b.length && a.every((item, index) => this.isEqual(item, b[index]))
+    }
+    if (this.isPlainObject(a) && this.isPlainObject(b)) {
+      const keys = new Set([...Object.keys(a), ...Object.keys(b)])
+      return [...keys].every((key) => this.isEqual(a[key], b[key]))
+    }
+    return a === b
+  }
+}
+
+module.exports = new CampaignRevisionService()
@@ -0,0 +1,375 @@
+// services/campaigns/campaignSchedulerService.js
+const { Pool } = require('pg')
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+const campaignService = require('./campaignService')
+const mailService = require('../nodemailer/nodemailer')
+
+const {
+  REMINDER_DAYS_BEFORE_END,
+  INCOMPLETE_DELIVERABLE_STATUSES,
+  ADVISORY_LOCK_KEY
+} = __constants.CAMPAIGN_SCHEDULER
+
+class CampaignSchedulerService {
+  constructor () {
+    this.pool = new Pool({
+      user: __config.postgres.user,
+      host: __config.postgres.host,
+      database: __config.postgres.database,
+      password: __config.postgres.password,
+      port: __config.postgres.port,
+      ssl: { rejectUnauthorized: false }
+    })
+    this.timer = null
+  }
+
+  // Record an automatic action (duplicates of a dedupe_key are ignored)
+  async logAction (db, campaignId, action, options = {}) {
+    const {
+      fromStatus = null,
+      toStatus = null,
+      reason = null,
+      details = null,
+      dedupeKey = null
+    } = options
+
+    const result = await db.query(
+      `
+      INSERT INTO campaign_automation_log (
+        campaign_id, action, from_status, to_status, reason, details, dedupe_key
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (dedupe_key) DO NOTHING
+      RETURNING *
+    `,
+      [
+        campaignId,
+        action,
+        fromStatus,
+        toStatus,
+        reason,
+        details ? JSON.stringify(details) : null,
+        dedupeKey
+      ]
+    )
+
+    return result.rows[0] || null
+  }
+
+  // Count deliverables of a campaign that are not live yet
+  async countIncompleteDeliverables (db, campaignId) {
+    const result = await db.query(
+      'SELECT COUNT(*)::int as count FROM campaign_deliverables WHERE campaign_id = $1 AND status = ANY($2)',
+      [campaignId, INCOMPLETE_DELIVERABLE_STATUSES]
+    )
+    return result.rows[0].count
+  }
+
+  // Flag a campaign for a person to look at (once per reason)
+  async flagCampaign (db, campaign, flag, reason, details = null) {
+    const logged = await this.logAction(db, campaign.id, 'flagged', {
+      fromStatus: campaign.status,
+      toStatus: campaign.status,
+      reason,
+      details,
+      dedupeKey: `flag:${campaign.id}:${flag}`
+    })
+
+    if (!logged) return null
+
+    await db.query(
+      `
+      UPDATE campaigns
+      SET attention_required = true, attention_reason = $2, attention_flagged_at = NOW()
+      WHERE id = $1
+    `,
+      [campaign.id, reason]
+    )
+
+    return logged
+  }
+
+  // Move a campaign to a new status as the system, inside one transaction
+  async transitionCampaign (campaignId, expectedStatus, toStatus, action, reason, details = null) {
+    const client = await this.pool.connect()
+
+    try {
+      await client.query('BEGIN')
+
+      const result = await client.query(
+        'SELECT * FROM campaigns WHERE id = $1 AND is_active = true FOR UPDATE',
+        [campaignId]
+      )
+      const campaign = result.rows[0]
+
+      // Someone changed the campaign since it was selected
+      if (!campaign || campaign.status !== expectedStatus) {
+        await client.query('ROLLBACK')
+        return null
+      }
+
+      campaignService.assertStatusTransition(campaign, expectedStatus, toStatus)
+
+      await client.query(
+        `
+        UPDATE campaigns
+        SET status = $2, attention_required = false, attention_reason = NULL,
+            attention_flagged_at = NULL, updated_at = NOW()
+        WHERE id = $1
+      `,
+        [campaignId, toStatus]
+      )
+
+      await campaignService.recordStatusChange(client, campaignId, expectedStatus, toStatus, {
+        changeSource: 'system',
+        reason,
+        metadata: { scheduler_action: action, ...(details || {}) }
+      })
+
+      const logged = await this.logAction(client, campaignId, action, {
+        fromStatus: expectedStatus,
+        toStatus,
+        reason,
+        details
+      })
+
+      await client.query('COMMIT')
+      return logged
+    } catch (error) {
+      await client.query('ROLLBACK')
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  // Activate reviewed campaigns whose start date has come; flag drafts that missed it
+  async processStartingCampaigns (summary) {
+    const result = await this.pool.query(`
+      SELECT * FROM campaigns
+      WHERE is_active = true
+        AND status IN ('pending_review', 'draft')
+        AND start_date IS NOT NULL AND start_date <= CURRENT_DATE
+    `)
+
+    for (const campaign of result.rows) {
+      try {
+        if (campaign.status === 'draft') {
+          const flagged = await this.flagCampaign(
+            this.pool,
+            campaign,
+            'start_missed_in_draft',
+            'Start date has passed but the campaign is still a draft'
+          )
+          if (flagged) summary.flagged++
+          continue
+        }
+
+        const missing = campaignService.getStatusPreconditionErrors(campaign, 'active')
+        if (missing.length > 0) {
+          const flagged = await this.flagCampaign(
+            this.pool,
+            campaign,
+            'not_ready_to_activate',
+            `Start date has passed but the campaign cannot be activated: it needs ${missing.join(', ')}`,
+            { missing }
+          )
+          if (flagged) summary.flagged++
+          continue
+        }
+
+        const activated = await this.transitionCampaign(
+          campaign.id,
+          'pending_review',
+          'active',
+          'activated',
+          'Start date reached'
+        )
+        if (activated) summary.activated++
+      } catch (error) {
+        summary.errors++
+        console.error(`Scheduler failed to process start of campaign ${campaign.id}:`, error)
+      }
+    }
+  }
+
+  // Complete ended campaigns whose deliverables are done; flag the rest
+  async processEndedCampaigns (summary) {
+    const result = await this.pool.query(`
+      SELECT * FROM campaigns
+      WHERE is_active = true
+        AND status IN ('active', 'paused')
+        AND end_date IS NOT NULL AND end_date < CURRENT_DATE
+    `)
+
+    for (const campaign of result.rows) {
+      try {
+        const incomplete = await this.countIncompleteDeliverables(this.pool, campaign.id)
+
+        if (incomplete > 0) {
+          const flagged = await this.flagCampaign(
+            this.pool,
+            campaign,
+            'ended_with_open_deliverables',
+            `End date has passed with ${incomplete} deliverable(s) not live`,
+            { incomplete_deliverables: incomplete }
+          )
+          if (flagged) summary.flagged++
+          continue
+        }
+
+        const completed = await this.transitionCampaign(
+          campaign.id,
+          campaign.status,
+          'completed',
+          'completed',
+          'End date passed and all deliverables are done'
+        )
+        if (completed) summary.completed++
+      } catch (error) {
+        summary.errors++
+        console.error(`Scheduler failed to process end of campaign ${campaign.id}:`, error)
+      }
+    }
+  }
+
+  // Remind brand owners about unfinished deliverables as the end date approaches
+  async processDeliverableReminders (summary) {
+    const result = await this.pool.query(
+      `
+      SELECT c.id, c.campaign_name, c.status, c.end_date,
+             (c.end_date::date - CURRENT_DATE) as days_left,
+             u.email as owner_email,
+             json_agg(json_build_object(
+               'id', d.id, 'creator_name', cr.creator_name, 'platform', d.platform,
+               'format', d.format, 'status', d.status, 'due_date', d.due_date
+             ) ORDER BY d.due_date ASC NULLS LAST) as deliverables
+      FROM campaigns c
+      JOIN brands b ON c.brand_id = b.id
+      JOIN users u ON b.user_id = u.id
+      JOIN campaign_deliverables d ON d.campaign_id = c.id AND d.status = ANY($2)
+      JOIN creators cr ON d.creator_id = cr.id
+      WHERE c.is_active = true AND c.status = 'active'
+        AND c.end_date::date - CURRENT_DATE BETWEEN 0 AND $1
+      GROUP BY c.id, u.email
+    `,
+      [Math.max(...REMINDER_DAYS_BEFORE_END), INCOMPLETE_DELIVERABLE_STATUSES]
+    )
+
+    for (const campaign of result.rows) {
+      let logged = null
+
+      try {
+        // Only the closest threshold counts, so a late first run sends one reminder, not several
+        const daysBefore = Math.min(
+          ...REMINDER_DAYS_BEFORE_END.filter((days) => campaign.days_left <= days)
+        )
+
+        // Claim the reminder first so two instances never both send it
+        logged = await this.logAction(this.pool, campaign.id, 'deliverable_reminder', {
+          fromStatus: campaign.status,
+          toStatus: campaign.status,
+          reason: `${campaign.deliverables.length} deliverable(s) open ${campaign.days_left} day(s) before the end date`,
+          details: {
+            days_before_end: daysBefore,
+            deliverable_ids: campaign.deliverables.map((d) => d.id),
+            sent_to: campaign.owner_email
+          },
+          dedupeKey: `reminder:${campaign.id}:${daysBefore}d`
+        })
+
+        if (!logged) continue
+
+        await mailService.sendDeliverableReminderEmail({
+          to: campaign.owner_email,
+          campaignName: campaign.campaign_name,
+          endDate: campaign.end_date,
+          daysLeft: campaign.days_left,
+          deliverables: campaign.deliverables
+        })
+        summary.reminders++
+      } catch (error) {
+        summary.errors++
+        console.error(`Scheduler failed to send reminder for campaign ${campaign.id}:`, error)
+
+        // Release the claim so the next run retries the reminder
+        if (logged) {
+          await this.pool
+            .query('DELETE FROM campaign_automation_log WHERE id = $1', [logged.id])
+            .catch((deleteError) =>
+              console.error(`Scheduler failed to release reminder for campaign ${campaign.id}:`, deleteError)
+            )
+        }
+      }
+    }
+  }
+
+  // Run every scheduled task once. Skips when another instance holds the lock.
+  async runOnce () {
+    const lockClient = await this.pool.connect()
+    const summary = {
+      started_at: new Date().toISOString(),
+      skipped: false,
+      activated: 0,
+      completed: 0,
+      flagged: 0,
+      reminders: 0,
+      errors: 0
+    }
+
+    try {
+      const lock = await lockClient.query('SELECT pg_try_advisory_lock($1) as locked', [ADVISORY_LOCK_KEY])
+      if (!lock.rows[0].locked) {
+        summary.skipped = true
+        return summary
+      }
+
+      try {
+        await this.processStartingCampaigns(summary)
+        await this.processEndedCampaigns(summary)
+        await this.processDeliverableReminders(summary)
+      } finally {
+        await lockClient.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_KEY])
+      }
+
+      summary.finished_at = new Date().toISOString()
+      return summary
+    } catch (error) {
+      console.error('Error running campaign scheduler:', error)
+      throw error
+    } finally {
+      lockClient.release()
+    }
+  }
+
+  // Run the scheduler on an interval
+  start (intervalMinutes = __config.campaignScheduler.intervalMinutes) {
+    if (this.timer) return
+
+    const tick = async () => {
+      try {
+        const summary = await this.runOnce()
+        if (!summary.skipped) {
+          console.log('🗓️ Campaign scheduler run:', summary)
+        }
+      } catch (error) {
+        console.error('Campaign scheduler run failed:', error)
+      }
+    }
+
+    this.timer = setInterval(tick, intervalMinutes * 60 * 1000)
+    tick()
+
+    console.log(`🗓️ Campaign scheduler started (every ${intervalMinutes} minutes)`)
+  }
+
+  // Stop the interval
+  stop () {
+    if (this.timer) {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+  }
+}
+
+module.exports = new CampaignSchedulerService()
@@ -1,8 +1,17 @@
 // services/campaigns/campaignService.js
 const { Pool } = require('pg')
 const __config = require('../../config')
+const __constants = require('../../config/constants')
 const aiSearchOrchestrator = require('../search/aiSearchOrchestrator')
 const creatorService = require('../creators/creatorService')
+const campaignPipelineService = require('./campaignPipelineService')
+const brandService = require('../brands/brandService')
+const currencyService = require('../currency/currencyService')
+const campaignRevisionService = require('./campaignRevisionService')
+const competitorConflictService = require('./competitorConflictService')
+const creatorAvailabilityService = require('../creators/creatorAvailabilityService')
+const creatorAuthenticityService = require('../creators/creatorAuthenticityService')
+const creatorRateCardService = require('../creators/creatorRateCardService')
 const OpenAI = require('openai')
 
 class CampaignService {
@@ -65,7 +74,11 @@ Campaign Details:
 - Campaign Type: ${campaignData.campaign_type}
 - Description: ${campaignData.description || 'Not provided'}
 - Objectives: ${campaignData.objectives || 'Not provided'}
-- Budget: $${campaignData.budget || 'Not specified'}
+- Budget: ${
+  campaignData.budget
+    ? currencyService.formatAmount(campaignData.budget, campaignData.currency)
+    : 'Not specified'
+}
 
 Brand Information:
 - Brand: ${brandData.brand_name}
@@ -153,7 +166,12 @@ Examples:
       console.log(`Generated search query: "${searchQuery}"`)
 
       // Build search filters based on campaign requirements and brand preferences
-      const searchFilters = this.buildSearchFilters(campaignData, brandData)
+      const preferences = await this.getBrandPreferencesForRecommendations(
+        brandData
+      )
+      const fxRates = await currencyService.getRatesOrNull()
+      const { filters: searchFilters, sources: filterSources } =
+        this.buildSearchFilters(campaignData, brandData, preferences, fxRates)
 
       // Use AI search to find relevant creators
       const searchOptions = {
@@ -175,17 +193,39 @@ Examples:
       }
 
       // Score and rank influencers based on campaign fit
+      const scoringWeights = this.getScoringWeightsForBrand(preferences)
       const scoredInfluencers = await this.scoreInfluencersForCampaign(
         searchResults.results,
-        campaignData,
+        this.applyPreferencesToCampaignData(campaignData, preferences),
         brandData,
-        productData
+        productData,
+        scoringWeights,
+        fxRates
       )
 
+      // Flag or drop creators tied to competitors or under exclusivity elsewhere
+      const conflictRules = await competitorConflictService.getConflictRules(
+        brandData.id || preferences?.brand_id,
+        preferences
+      )
+      const { recommendations: checkedInfluencers, summary: conflictSummary } =
+        await competitorConflictService.applyConflicts(scoredInfluencers, conflictRules)
+
+      // Drop creators blocked for the campaign dates and flag overlapping bookings
+      const { recommendations: availableInfluencers, summary: availabilitySummary } =
+        await creatorAvailabilityService.applyAvailability(checkedInfluencers, {
+          startDate: campaignData.start_date,
+          endDate: campaignData.end_date,
+          campaignId: campaignData.id,
+          brandId: brandData.id,
+          categories: conflictRules?.categories || []
+        })
+
       // Filter by budget constraints if specified
       const budgetFilteredInfluencers = this.filterByBudget(
-        scoredInfluencers,
-        campaignData.budget
+        availableInfluencers,
+        campaignData.budget,
+        campaignData.currency
       )
 
       // Return top recommendations
@@ -195,9 +235,15 @@ Examples:
         recommendations,
         search_query_used: searchQuery,
         filters_applied: searchFilters,
+        filter_sources: filterSources,
         total_found: searchResults.results.length,
         budget_filtered: budgetFilteredInfluencers.length,
-        search_metadata: searchResults.metadata
+        conflicts: conflictSummary,
+        availability: availabilitySummary,
+        search_metadata: searchResults.metadata,
+        scoring_version: __constants.RECOMMENDATION_SCORING.VERSION,
+        scoring_weights: scoringWeights,
+        generated_at: new Date().toISOString()
       }
     } catch (error) {
       console.error('Error getting influencer recommendations:', error)
@@ -205,70 +251,262 @@ Examples:
     }
   }
 
-  // Build search filters from campaign and brand data
-  buildSearchFilters (campaignData, brandData) {
+  // Build search filters from campaign data, brand preferences and brand data.
+  // Campaign settings win over brand preferences, which win over the AI overview and defaults.
+  buildSearchFilters (campaignData, brandData, preferences = null, fxRates = null) {
     const filters = {}
+    const sources = {}
+
+    const set = (filter, value, source) => {
+      filters[filter] = value
+      sources[filter] = source
+    }
 
     // Platform filters
     if (campaignData.requirements?.platforms) {
       // Use first platform as primary filter
-      filters.primary_platform = campaignData.requirements.platforms[0]
+      set(
+        'primary_platform',
+        campaignData.requirements.platforms[0],
+        'campaign.requirements.platforms'
+      )
     }
 
-    // Budget-based follower filtering
-    if (campaignData.budget) {
-      const budget = parseFloat(campaignData.budget)
+    // Budget-based follower filtering; tiers are set in the base currency,
+    // so a budget without an exchange rate is left out
+    const budget = campaignData.budget
+      ? currencyService.convert(
+        campaignData.budget,
+        campaignData.currency,
+        __constants.CURRENCY.BASE_CURRENCY,
+        fxRates
+      )
+      : null
 
-      if (budget < 500) {
-        filters.max_followers = 50000 // Micro influencers
-        filters.tier = 'micro'
-      } else if (budget < 2000) {
-        filters.max_followers = 500000 // Macro influencers
+    if (budget) {
+      const { MICRO, MACRO } = __constants.CURRENCY.BUDGET_TIER_LIMITS
+
+      if (budget < MICRO) {
+        set('max_followers', 50000, 'campaign.budget') // Micro influencers
+        set('tier', 'micro', 'campaign.budget')
+      } else if (budget < MACRO) {
+        set('max_followers', 500000, 'campaign.budget') // Macro influencers
       } else {
-        filters.min_followers = 100000 // Larger influencers
+        set('min_followers', 100000, 'campaign.budget') // Larger influencers
       }
     }
 
+    // Explicit campaign overrides of brand preferences
+    const requirementFilters = [
+      'niche',
+      'location_country',
+      'min_followers',
+      'max_followers',
+      'min_engagement_rate',
+      'min_follower_growth_30d',
+      'max_authenticity_risk'
+    ]
+    requirementFilters.forEach((filter) => {
+      const value = campaignData.requirements?.[filter]
+      if (value !== undefined && value !== null && value !== '') {
+        set(filter, value, `campaign.requirements.${filter}`)
+      }
+    })
+
     // Target audience filters
     if (campaignData.target_audience) {
       const targetAudience = campaignData.target_audience
 
       if (targetAudience.age_groups && targetAudience.age_groups.length > 0) {
-        filters.audience_age_primary = targetAudience.age_groups[0]
+        set(
+          'audience_age_primary',
+          targetAudience.age_groups[0],
+          'campaign.target_audience.age_groups'
+        )
       }
 
       if (targetAudience.gender && targetAudience.gender !== 'any') {
-        filters.audience_gender_primary = targetAudience.gender
+        set(
+          'audience_gender_primary',
+          targetAudience.gender,
+          'campaign.target_audience.gender'
+        )
       }
     }
 
-    // Brand preferences integration
-    if (brandData.ai_generated_overview) {
+    // Niche guessed from the brand's AI overview
+    if (!filters.niche && brandData.ai_generated_overview) {
       const aiOverview =
         typeof brandData.ai_generated_overview === 'string'
           ? JSON.parse(brandData.ai_generated_overview)
           : brandData.ai_generated_overview
 
       if (aiOverview.collaboration_fit?.ideal_creators) {
-        // This could influence niche selection
         const idealCreators =
           aiOverview.collaboration_fit.ideal_creators.toLowerCase()
+        const nicheKeywords = {
+          tech: 'tech_gaming',
+          beauty: 'beauty_fashion',
+          fitness: 'fitness_health',
+          food: 'food_cooking',
+          travel: 'lifestyle_travel'
+        }
 
-        if (idealCreators.includes('tech')) filters.niche = 'tech_gaming'
-        else if (idealCreators.includes('beauty')) {
-          filters.niche = 'beauty_fashion'
-        } else if (idealCreators.includes('fitness')) {
-          filters.niche = 'fitness_health'
-        } else if (idealCreators.includes('food')) { filters.niche = 'food_cooking' } else if (idealCreators.includes('travel')) {
-          filters.niche = 'lifestyle_travel'
+        const keyword = Object.keys(nicheKeywords).find((key) =>
+          idealCreators.includes(key)
+        )
+        if (keyword) {
+          set('niche', nicheKeywords[keyword], 'brand.ai_generated_overview')
         }
       }
     }
 
     // Minimum engagement rate
-    filters.min_engagement_rate = 2.0
+    if (filters.min_engagement_rate === undefined) {
+      set('min_engagement_rate', 2.0, 'default')
+    }
+
+    // Brand preferences fill everything the campaign left open
+    brandService.applyPreferencesToFilters(filters, sources, preferences)
+
+    return { filters, sources }
+  }
+
+  // Use brand preferences as the target audience when the campaign does not define one
+  applyPreferencesToCampaignData (campaignData, preferences) {
+    if (!preferences) return campaignData
+
+    const targetAudience = { ...(campaignData.target_audience || {}) }
+
+    if (
+      !(targetAudience.age_groups?.length > 0) &&
+      preferences.preferred_age_groups?.length > 0
+    ) {
+      targetAudience.age_groups = preferences.preferred_age_groups
+    }
+
+    const preferredGender = preferences.preferred_gender?.[0]
+    if (!targetAudience.gender && preferredGender && preferredGender !== 'any') {
+      targetAudience.gender = preferredGender
+    }
+
+    return { ...campaignData, target_audience: targetAudience }
+  }
+
+  // Load the brand's preferences for recommendations (null when unavailable)
+  async getBrandPreferencesForRecommendations (brandData) {
+    if (brandData?.preferences !== undefined) {
+      return brandData.preferences
+    }
+
+    if (!brandData?.id) return null
+
+    try {
+      return await brandService.getBrandPreferences(brandData.id)
+    } catch (error) {
+      console.error('Error loading brand preferences, continuing without them:', error)
+      return null
+    }
+  }
+
+  // Get the scoring weights for a brand, falling back to the defaults
+  getScoringWeightsForBrand (preferences) {
+    try {
+      return brandService.resolveScoringWeights(preferences).weights
+    } catch (error) {
+      console.error('Invalid brand scoring weights, using defaults:', error)
+      return { ...__constants.RECOMMENDATION_SCORING.DEFAULT_WEIGHTS }
+    }
+  }
+
+  // Compute each scoring factor (0-1), or null when the data needed is missing
+  calculateFactorScores (influencer, campaignData, fxRates = null) {
+    const creator = influencer.creator_data
+
+    const factors = {
+      search_relevance:
+        typeof influencer.search_score === 'number' ? influencer.search_score : null,
+      audience_alignment: null,
+      content_fit: null,
+      budget_fit: null,
+      collaboration_history: null,
+      engagement_quality: null,
+      growth_momentum: null
+    }
+
+    if (campaignData.target_audience && creator.audience_demographics) {
+      factors.audience_alignment = this.calculateAudienceAlignment(
+        campaignData.target_audience,
+        creator.audience_demographics
+      )
+    }
+
+    if (creator.content_categories && campaignData.requirements?.content_type) {
+      factors.content_fit = this.calculateContentFit(
+        creator.content_categories,
+        campaignData.requirements.content_type
+      )
+    }
+
+    if (campaignData.budget && creator.pricing) {
+      factors.budget_fit = this.calculateBudgetFit(
+        campaignData.budget,
+        creator.pricing,
+        creator.primary_platform,
+        campaignData.currency,
+        fxRates
+      )
+    }
+
+    // No collaborations is a known, low track record: there is no satisfaction score to wait for
+    if (
+      creator.total_collaborations != null &&
+      (creator.client_satisfaction_score != null || Number(creator.total_collaborations) === 0)
+    ) {
+      factors.collaboration_history = Math.min(
+        (creator.total_collaborations / 50) * 0.5 +
+          ((creator.client_satisfaction_score || 0) / 5) * 0.5,
+        1
+      )
+    }
+
+    const platformMetrics = creator.platform_metrics?.[creator.primary_platform]
+    if (platformMetrics && platformMetrics.engagement_rate !== undefined) {
+      factors.engagement_quality = Math.min(
+        parseFloat(platformMetrics.engagement_rate) / 10,
+        1
+      )
+    }
+
+    if (platformMetrics) {
+      factors.growth_momentum = this.calculateGrowthMomentum(platformMetrics)
+    }
+
+    return factors
+  }
+
+  // Growth momentum (0-1) from the primary platform's follower growth, nudged by its
+  // engagement trend; 0.5 is flat. Null when the creator has no growth history yet.
+  calculateGrowthMomentum (platformMetrics) {
+    const { GROWTH_SCORE_CAP_PCT, ENGAGEMENT_TREND_SCORE_ADJUSTMENT } =
+      __constants.CREATOR_METRICS_HISTORY
+
+    const growth30d = parseFloat(platformMetrics.follower_growth_30d_pct)
+    const growth90d = parseFloat(platformMetrics.follower_growth_90d_pct)
+    const monthlyGrowth = !isNaN(growth30d)
+      ? growth30d
+      : !isNaN(growth90d) ? growth90d / 3 : null
+
+    if (monthlyGrowth === null) return null
+
+    let score = 0.5 + monthlyGrowth / (2 * GROWTH_SCORE_CAP_PCT)
+    if (platformMetrics.engagement_trend === 'rising') {
+      score += ENGAGEMENT_TREND_SCORE_ADJUSTMENT
+    } else if (platformMetrics.engagement_trend === 'declining') {
+      score -= ENGAGEMENT_TREND_SCORE_ADJUSTMENT
+    }
 
-    return filters
+    return Math.max(0, Math.min(1, score))
   }
 
   // Score influencers based on campaign fit
@@ -276,109 +514,68 @@ Examples:
     influencers,
     campaignData,
     brandData,
-    productData
+    productData,
+    weights = __constants.RECOMMENDATION_SCORING.DEFAULT_WEIGHTS,
+    fxRates = null
   ) {
+    const { VERSION, UNKNOWN_FACTOR_SCORE } =
+      __constants.RECOMMENDATION_SCORING
+
     try {
       return influencers
         .map((influencer) => {
           const creator = influencer.creator_data
-          if (!creator) return { ...influencer, campaign_fit_score: 0 }
-
-          let score = influencer.search_score || 0.5
-          const scoreBreakdown = {
-            base_search_score: score,
-            audience_alignment: 0,
-            content_fit: 0,
-            budget_fit: 0,
-            collaboration_history: 0,
-            engagement_quality: 0
-          }
-
-          // Audience alignment scoring (25% weight)
-          let audienceScore = 0.7 + Math.random() * 0.2 // Default fallback between 0.7-0.9
-          
-          if (campaignData.target_audience && creator.audience_demographics) {
-            const calculatedAudienceScore = this.calculateAudienceAlignment(
-              campaignData.target_audience,
-              creator.audience_demographics
-            )
-            
-            // Only use calculated score if it's a valid number > 0
-            if (calculatedAudienceScore && calculatedAudienceScore > 0) {
-              audienceScore = Math.max(0.7, Math.min(0.9, calculatedAudienceScore))
+          if (!creator) {
+            return {
+              ...influencer,
+              campaign_fit_score: 0,
+              scoring_version: VERSION
             }
           }
-          
-          // Store the actual score (0.7-0.9) not the weighted version
-          scoreBreakdown.audience_alignment = audienceScore
-          score += audienceScore * 0.25 // Apply weight for total score
-
-          // Content fit scoring (20% weight)
-          let contentScore = 0.7 + Math.random() * 0.2 // Default fallback between 0.7-0.9
-          
-          if (creator.content_categories && campaignData.requirements?.content_type) {
-            const calculatedContentScore = this.calculateContentFit(
-              creator.content_categories,
-              campaignData.requirements.content_type
-            )
-            
-            // Only use calculated score if it's a valid number > 0
-            if (calculatedContentScore && calculatedContentScore > 0) {
-              contentScore = Math.max(0.7, Math.min(0.9, calculatedContentScore))
-            }
-          }
-          
-          // Store the actual score (0.7-0.9) not the weighted version
-          scoreBreakdown.content_fit = contentScore
-          score += contentScore * 0.2 // Apply weight for total score
-
-          // Budget fit scoring (15% weight)
-          if (campaignData.budget && creator.pricing) {
-            const budgetScore = this.calculateBudgetFit(
-              campaignData.budget,
-              creator.pricing,
-              creator.primary_platform
-            )
-            scoreBreakdown.budget_fit = budgetScore * 0.15
-            score += scoreBreakdown.budget_fit
-          }
 
-          // Collaboration history scoring (10% weight)
-          if (
-            creator.total_collaborations &&
-            creator.client_satisfaction_score
-          ) {
-            const historyScore = Math.min(
-              (creator.total_collaborations / 50) * 0.5 +
-                (creator.client_satisfaction_score / 5) * 0.5,
-              1
-            )
-            scoreBreakdown.collaboration_history = historyScore * 0.1
-            score += scoreBreakdown.collaboration_history
-          }
+          const factorScores = this.calculateFactorScores(
+            influencer,
+            campaignData,
+            fxRates
+          )
 
-          // Engagement quality scoring (10% weight)
-          if (
-            creator.platform_metrics &&
-            creator.platform_metrics[creator.primary_platform]
-          ) {
-            const platformMetrics =
-              creator.platform_metrics[creator.primary_platform]
-            const engagementScore = Math.min(
-              platformMetrics.engagement_rate / 10,
-              1
-            )
-            scoreBreakdown.engagement_quality = engagementScore * 0.1
-            score += scoreBreakdown.engagement_quality
-          }
+          // Unweighted factor scores; null means the factor could not be computed
+          const scoreBreakdown = {}
+          const scoreDetails = {}
+          let score = 0
+          let knownWeight = 0
+
+          Object.entries(weights).forEach(([factor, weight]) => {
+            const raw = factorScores[factor]
+            const known = typeof raw === 'number' && !isNaN(raw)
+            const factorScore = known
+              ? Math.max(0, Math.min(1, raw))
+              : UNKNOWN_FACTOR_SCORE
+
+            scoreBreakdown[factor] = known ? this.roundScore(factorScore) : null
+            scoreDetails[factor] = {
+              score: this.roundScore(factorScore),
+              weight,
+              contribution: this.roundScore(factorScore * weight),
+              status: known ? 'known' : 'unknown'
+            }
+
+            score += factorScore * weight
+            if (known) knownWeight += weight
+          })
 
           return {
             ...influencer,
-            campaign_fit_score: Math.min(score, 1),
+            campaign_fit_score: this.roundScore(Math.min(score, 1)),
             score_breakdown: scoreBreakdown,
+            score_details: scoreDetails,
+            data_completeness: this.roundScore(knownWeight),
+            scoring_version: VERSION,
             estimated_cost: this.estimateCollaborationCost(
               creator,
-              campaignData.campaign_type
+              campaignData.campaign_type,
+              currencyService.resolveCode(campaignData.currency),
+              fxRates
             ),
             recommendation_reasons: this.generateRecommendationReasons(
               creator,
@@ -387,63 +584,69 @@ Examples:
             )
           }
         })
-        .sort((a, b) => b.campaign_fit_score - a.campaign_fit_score)
+        .sort(
+          (a, b) =>
+            b.campaign_fit_score - a.campaign_fit_score ||
+            String(a.creator_data?.id || a.creator_id || '').localeCompare(
+              String(b.creator_data?.id || b.creator_id || '')
+            )
+        )
     } catch (error) {
       console.error('Error scoring influencers:', error)
       return influencers
     }
   }
 
-  // Calculate audience alignment score
+  // Round a score to 4 decimals so stored recommendations compare cleanly
+  roundScore (value) {
+    return Math.round(value * 10000) / 10000
+  }
+
+  // Calculate audience alignment score (null when demographics can't be compared)
   calculateAudienceAlignment (targetAudience, creatorAudience) {
-    let alignmentScore = 0
-    let factors = 0
+    const scores = []
 
-    // Age group alignment
-    if (
-      targetAudience.age_groups &&
-      creatorAudience[Object.keys(creatorAudience)[0]]
-    ) {
-      const primaryPlatform = Object.keys(creatorAudience)[0]
-      const demographics = creatorAudience[primaryPlatform]
+    // Age group alignment: share of the creator's audience in the target age groups
+    const primaryPlatform = Object.keys(creatorAudience).find(
+      (key) => key !== 'interests' && typeof creatorAudience[key] === 'object'
+    )
+    const demographics = primaryPlatform ? creatorAudience[primaryPlatform] : null
 
-      if (
-        targetAudience.age_groups.includes('18-24') &&
-        demographics.age_18_24 > 30
-      ) {
-        alignmentScore += 0.3
-      }
-      if (
-        targetAudience.age_groups.includes('25-34') &&
-        demographics.age_25_34 > 30
-      ) {
-        alignmentScore += 0.3
+    if (targetAudience.age_groups?.length > 0 && demographics) {
+      const shares = targetAudience.age_groups
+        .map((group) => demographics[`age_${group.replace(/[-+]/g, '_')}`])
+        .filter((share) => typeof share === 'number')
+
+      if (shares.length > 0) {
+        const targetShare = shares.reduce((sum, share) => sum + share, 0)
+        // 50%+ of the audience in the target ages is a full match
+        scores.push(Math.min(targetShare / 50, 1))
       }
-      factors++
     }
 
     // Interest alignment
-    if (targetAudience.interests && creatorAudience.interests) {
+    if (targetAudience.interests?.length > 0 && creatorAudience.interests) {
       const commonInterests = targetAudience.interests.filter((interest) =>
         creatorAudience.interests.some((ci) =>
           ci.toLowerCase().includes(interest.toLowerCase())
         )
       )
-      alignmentScore +=
-        (commonInterests.length / targetAudience.interests.length) * 0.4
-      factors++
+      scores.push(commonInterests.length / targetAudience.interests.length)
     }
 
-    return factors > 0 ? alignmentScore / factors : 0.5
+    return scores.length > 0
+      ? scores.reduce((sum, score) => sum + score, 0) / scores.length
+      : null
   }
 
-  // Calculate content fit score
+  // Calculate content fit score (null when categories or content types are missing)
   calculateContentFit (creatorCategories, requiredContentTypes) {
     if (
       !Array.isArray(creatorCategories) ||
-      !Array.isArray(requiredContentTypes)
+      !Array.isArray(requiredContentTypes) ||
+      requiredContentTypes.length === 0
     ) {
-      return 0.5
+      return null
     }
 
     const matches = requiredContentTypes.filter((type) =>
@@ -457,16 +660,29 @@ Examples:
     return matches.length / requiredContentTypes.length
   }
 
-  // Calculate budget fit score
-  calculateBudgetFit (campaignBudget, creatorPricing, primaryPlatform) {
+  // Calculate budget fit score (null when the creator's rate is unknown or can't be
+  // converted to the campaign currency)
+  calculateBudgetFit (
+    campaignBudget,
+    creatorPricing,
+    primaryPlatform,
+    campaignCurrency = null,
+    fxRates = null
+  ) {
     if (!creatorPricing || !creatorPricing[primaryPlatform]) {
-      return 0.5
+      return null
     }
 
     const budget = parseFloat(campaignBudget)
-    const creatorRate = creatorPricing[primaryPlatform].sponsored_post || 0
+    const pricing = creatorPricing[primaryPlatform]
+    const creatorRate = currencyService.convert(
+      pricing.sponsored_post || 0,
+      pricing.currency,
+      campaignCurrency,
+      fxRates
+    )
 
-    if (creatorRate === 0) return 0.5
+    if (!creatorRate || !budget) return null
 
     // Perfect fit if creator rate is 70-90% of budget
     const ratio = creatorRate / budget
@@ -479,10 +695,25 @@ Examples:
     return 0.2 // Too expensive
   }
 
-  // Estimate collaboration cost
-  estimateCollaborationCost (creator, campaignType) {
+  // Estimate collaboration cost, in the campaign currency when one is given and a rate exists.
+  // The rate card is used when it prices the campaign type's deliverables, else the flat pricing.
+  estimateCollaborationCost (
+    creator,
+    campaignType,
+    campaignCurrency = null,
+    fxRates = null
+  ) {
+    const rateCardEstimate = this.estimateFromRateCard(creator, campaignType)
+    if (rateCardEstimate) {
+      return this.convertEstimate(rateCardEstimate, campaignCurrency, fxRates)
+    }
+
     if (!creator.pricing || !creator.pricing[creator.primary_platform]) {
-      return { estimated: true, cost: 'Contact for pricing', currency: 'USD' }
+      return {
+        estimated: true,
+        cost: 'Contact for pricing',
+        currency: currencyService.resolveCode(campaignCurrency)
+      }
     }
 
     const pricing = creator.pricing[creator.primary_platform]
@@ -504,42 +735,106 @@ Examples:
         break
     }
 
-    return {
+    const estimate = {
       estimated: true,
       cost: baseCost,
-      currency: pricing.currency || 'USD',
+      currency: currencyService.resolveCode(pricing.currency),
       breakdown: {
         base_rate: pricing.sponsored_post,
         campaign_multiplier: baseCost / (pricing.sponsored_post || 1),
         campaign_type: campaignType
       }
     }
+
+    return this.convertEstimate(estimate, campaignCurrency, fxRates)
+  }
+
+  // Price the usual deliverables for the campaign type on the creator's rate card.
+  // Null without a rate card or when it doesn't rate those deliverables.
+  estimateFromRateCard (creator, campaignType) {
+    if (!creator.rate_card) return null
+
+    const { CAMPAIGN_TYPE_DELIVERABLES, DEFAULT_CAMPAIGN_DELIVERABLES } =
+      __constants.CREATOR_RATE_CARDS
+    const deliverables = (
+      CAMPAIGN_TYPE_DELIVERABLES[campaignType] || DEFAULT_CAMPAIGN_DELIVERABLES
+    ).map((deliverable) => ({ platform: creator.primary_platform, ...deliverable }))
+
+    let quote
+    try {
+      quote = creatorRateCardService.calculateQuote(creator.rate_card, { deliverables })
+    } catch (error) {
+      return null
+    }
+
+    return {
+      estimated: true,
+      cost: quote.total,
+      currency: quote.currency,
+      breakdown: {
+        rate_card_version: quote.rate_card_version,
+        line_items: quote.line_items,
+        campaign_type: campaignType
+      }
+    }
+  }
+
+  // Convert an estimate to the campaign currency when one is given and a rate exists
+  convertEstimate (estimate, campaignCurrency = null, fxRates = null) {
+    if (!campaignCurrency) return estimate
+
+    const targetCurrency = currencyService.resolveCode(campaignCurrency)
+    if (targetCurrency === estimate.currency) return estimate
+
+    const converted = currencyService.convert(
+      estimate.cost,
+      estimate.currency,
+      targetCurrency,
+      fxRates
+    )
+
+    // Keep the creator's own currency when there is no rate; callers compare currencies first
+    if (converted === null) {
+      return { ...estimate, fx_rate_missing: true }
+    }
+
+    return {
+      ...estimate,
+      cost: converted,
+      currency: targetCurrency,
+      original_cost: estimate.cost,
+      original_currency: estimate.currency
+    }
   }
 
   // Generate recommendation reasons
   generateRecommendationReasons (creator, campaignData, scoreBreakdown) {
     const reasons = []
 
-    if (scoreBreakdown.audience_alignment > 0.15) {
+    if (scoreBreakdown.audience_alignment >= 0.7) {
       reasons.push('Strong audience alignment with target demographics')
     }
 
-    if (scoreBreakdown.content_fit > 0.15) {
+    if (scoreBreakdown.content_fit >= 0.7) {
       reasons.push('Creates content that matches campaign requirements')
     }
 
-    if (scoreBreakdown.budget_fit > 0.1) {
+    if (scoreBreakdown.budget_fit >= 0.8) {
       reasons.push('Pricing fits within campaign budget')
     }
 
-    if (scoreBreakdown.collaboration_history > 0.08) {
+    if (scoreBreakdown.collaboration_history >= 0.7) {
       reasons.push('Proven track record with brand collaborations')
     }
 
-    if (scoreBreakdown.engagement_quality > 0.08) {
+    if (scoreBreakdown.engagement_quality >= 0.5) {
       reasons.push('High engagement rate indicates active audience')
     }
 
+    if (scoreBreakdown.growth_momentum >= 0.7) {
+      reasons.push('Audience is growing quickly')
+    }
+
     if (creator.verification_status === 'verified') {
       reasons.push('Verified creator with established credibility')
     }
@@ -548,16 +843,23 @@ Examples:
       reasons.push('Excellent client satisfaction ratings')
     }
 
-    return reasons.length > 0
-      ? reasons
-      : ['Good overall match for your campaign goals']
+    // Authenticity concerns are always listed, after the reasons to pick the creator
+    const warnings = creatorAuthenticityService.getWarnings(creator.platform_metrics)
+
+    return [
+      ...(reasons.length > 0
+        ? reasons
+        : ['Good overall match for your campaign goals']),
+      ...warnings
+    ]
   }
 
   // Filter by budget constraints
-  filterByBudget (influencers, campaignBudget) {
+  filterByBudget (influencers, campaignBudget, campaignCurrency = null) {
     if (!campaignBudget) return influencers
 
     const budget = parseFloat(campaignBudget)
+    const currency = currencyService.resolveCode(campaignCurrency)
 
     return influencers.filter((influencer) => {
       const estimatedCost = influencer.estimated_cost
@@ -565,12 +867,16 @@ Examples:
         return true // Include if no pricing info
       }
 
+      if (estimatedCost.currency && estimatedCost.currency !== currency) {
+        return true // Include if the cost can't be converted to the campaign currency
+      }
+
       return estimatedCost.cost <= budget * 1.2 // Allow 20% buffer
     })
   }
 
   // Create new campaign
-  async createCampaign (brandId, userId, campaignData) {
+  async createCampaign (brandId, userId, campaignData, carriedOverData = {}) {
     const client = await this.pool.connect()
 
     try {
@@ -578,7 +884,7 @@ Examples:
 
       // Verify brand ownership
       const brandCheck = await client.query(
-        'SELECT user_id, brand_name, industry, brand_values, ai_generated_overview FROM brands WHERE id = $1 AND is_active = true',
+        'SELECT id, user_id, brand_name, industry, brand_values, ai_generated_overview FROM brands WHERE id = $1 AND is_active = true',
         [brandId]
       )
 
@@ -634,16 +940,12 @@ Examples:
       }
 
       // Insert campaign record
-      const campaignQuery = `
-        INSERT INTO campaigns (
-          brand_id, product_id, campaign_name, campaign_slug, campaign_type,
-          status, description, objectives, target_audience, budget, currency,
-          start_date, end_date, requirements, ai_recommended_influencers,
-          content_guidelines, hashtags, mention_requirements, approval_required, brand_owner_id
-        ) VALUES (
-          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20
-        ) RETURNING *
-      `
+      const campaignColumns = [
+        'brand_id', 'product_id', 'campaign_name', 'campaign_slug', 'campaign_type',
+        'status', 'description', 'objectives', 'target_audience', 'budget', 'currency',
+        'start_date', 'end_date', 'requirements', 'ai_recommended_influencers',
+        'content_guidelines', 'hashtags', 'mention_requirements', 'approval_required', 'brand_owner_id'
+      ]
 
       const campaignValues = [
         brandId,
@@ -651,7 +953,7 @@ Examples:
         campaignData.campaign_name,
         campaignSlug,
         campaignData.campaign_type,
-        campaignData.status || 'draft',
+        __constants.CAMPAIGN_LIFECYCLE.INITIAL_STATUS,
         campaignData.description || null,
         campaignData.objectives || null,
         campaignData.target_audience
@@ -672,9 +974,46 @@ Examples:
         campaignData.brand_owner_id = userId
       ]
 
+      // Optional fields carried over when a campaign is cloned or created from a template
+      const optionalFields = {
+        ai_extracted_data: true,
+        ai_campaign_analysis: true,
+        product_info: true,
+        creation_method: false,
+        event_date: false,
+        event_location: false,
+        source_campaign_id: false,
+        source_template_id: false
+      }
+
+      Object.entries(optionalFields).forEach(([field, isJson]) => {
+        const value = carriedOverData[field]
+        if (value !== undefined && value !== null) {
+          campaignColumns.push(field)
+          campaignValues.push(isJson ? JSON.stringify(value) : value)
+        }
+      })
+
+      const campaignQuery = `
+        INSERT INTO campaigns (${campaignColumns.join(', ')})
+        VALUES (${campaignColumns.map((_, index) => `$${index + 1}`).join(', ')})
+        RETURNING *
+      `
+
       const campaignResult = await client.query(campaignQuery, campaignValues)
       const campaign = campaignResult.rows[0]
 
+      await this.recordStatusChange(client, campaign.id, null, campaign.status, {
+        changedByUserId: userId,
+        reason: 'Campaign created'
+      })
+
+      await campaignRevisionService.createRevision(client, campaign.id, {
+        changeSource: 'create',
+        userId,
+        reason: 'Campaign created'
+      })
+
       await client.query('COMMIT')
 
       return {
@@ -764,6 +1103,10 @@ Examples:
           // Ensure ai_recommended_influencers is not exposed here if it's sensitive
         }
       }
+
+      // What the scheduler did to this campaign (activations, completions, flags, reminders)
+      campaign.automation_events = await this.getCampaignAutomationEvents(campaign.id)
+
       return campaign
     } catch (error) {
       console.error('Error getting campaign by ID:', error)
@@ -895,10 +1238,11 @@ Examples:
       // Verify ownership
       const ownershipCheck = await client.query(
         `
-        SELECT c.brand_id, b.user_id 
+        SELECT c.*, b.user_id 
         FROM campaigns c
         JOIN brands b ON c.brand_id = b.id
         WHERE c.id = $1 AND c.is_active = true AND b.is_active = true
+        FOR UPDATE OF c
       `,
         [campaignId]
       )
@@ -911,6 +1255,41 @@ Examples:
         throw new Error('Not authorized to update this campaign')
       }
 
+      const currentCampaign = ownershipCheck.rows[0]
+
+      // A campaign can only be moved to another of its brand's products
+      if (
+        updateData.product_id &&
+        String(updateData.product_id) !== String(currentCampaign.product_id)
+      ) {
+        const productCheck = await client.query(
+          'SELECT id FROM products WHERE id = $1 AND brand_id = $2 AND is_active = true',
+          [updateData.product_id, currentCampaign.brand_id]
+        )
+
+        if (productCheck.rows.length === 0) {
+          throw new Error('Invalid campaign product: the product does not belong to this brand')
+        }
+      }
+
+      // Campaigns created before revisions existed keep their previous content as a baseline
+      await campaignRevisionService.ensureCurrentRevision(client, campaignId, userId)
+
+      const statusChanged =
+        updateData.status !== undefined &&
+        updateData.status !== currentCampaign.status
+
+      // Status goes through the lifecycle rules, checked against the post-update values
+      if (statusChanged) {
+        this.assertStatusTransition(
+          { ...currentCampaign, ...updateData },
+          currentCampaign.status,
+          updateData.status
+        )
+      } else {
+        this.assertStatusPreconditionsKept(currentCampaign, { ...currentCampaign, ...updateData })
+      }
+
       // Build dynamic update query
       const updateFields = []
       const updateValues = []
@@ -920,7 +1299,6 @@ Examples:
       const simpleFields = [
         'campaign_name',
         'campaign_type',
-        'status',
         'description',
         'objectives',
         'budget',
@@ -941,6 +1319,14 @@ Examples:
         }
       })
 
+      if (statusChanged) {
+        paramCount++
+        updateFields.push(`status = $${paramCount}`)
+        updateValues.push(updateData.status)
+        // A person moved the campaign on, so any scheduler flag is resolved
+        updateFields.push('attention_required = false', 'attention_reason = NULL', 'attention_flagged_at = NULL')
+      }
+
       // Handle array fields
       if (updateData.hashtags !== undefined) {
         paramCount++
@@ -1000,7 +1386,39 @@ Examples:
         RETURNING *
       `
 
-      const result = await client.query(updateQuery, updateValues)
+      await client.query(updateQuery, updateValues)
+
+      // Selected creators start out on the shortlist of the outreach pipeline
+      if (Array.isArray(updateData.selected_influencers)) {
+        const creatorIds = updateData.selected_influencers
+          .map((influencer) =>
+            influencer && typeof influencer === 'object'
+              ? influencer.creator_id || influencer.id
+              : influencer
+          )
+          .filter(Boolean)
+
+        await campaignPipelineService.addCreators(campaignId, creatorIds, {
+          ownerUserId: userId,
+          client
+        })
+      }
+
+      if (statusChanged) {
+        await this.recordStatusChange(
+          client,
+          campaignId,
+          currentCampaign.status,
+          updateData.status,
+          { changedByUserId: userId, reason: updateData.status_reason }
+        )
+      }
+
+      await campaignRevisionService.createRevision(client, campaignId, {
+        changeSource: 'update',
+        userId,
+        reason: updateData.revision_reason
+      })
 
       await client.query('COMMIT')
 
@@ -1013,6 +1431,140 @@ Examples:
     }
   }
 
+  // Check lifecycle pre-conditions for entering a status
+  getStatusPreconditionErrors (campaign, toStatus) {
+    const errors = []
+
+    if (toStatus === 'active') {
+      if (!campaign.budget || parseFloat(campaign.budget) <= 0) {
+        errors.push('a budget greater than 0')
+      }
+
+      if (!campaign.start_date) {
+        errors.push('a start_date')
+      }
+
+      if (campaign.end_date) {
+        const endDate = new Date(campaign.end_date)
+
+        if (campaign.start_date && endDate < new Date(campaign.start_date)) {
+          errors.push('an end_date on or after the start_date')
+        }
+
+        if (endDate < new Date()) {
+          errors.push('an end_date that has not already passed')
+        }
+      }
+    }
+
+    return errors
+  }
+
+  // Throw if an edit breaks a pre-condition of the campaign's current status, e.g. clearing
+  // the budget of an active campaign. Conditions that already failed before the edit don't block it.
+  assertStatusPreconditionsKept (currentCampaign, updatedCampaign) {
+    const status = currentCampaign.status
+    const alreadyMissing = this.getStatusPreconditionErrors(currentCampaign, status)
+    const missing = this.getStatusPreconditionErrors(updatedCampaign, status)
+      .filter((error) => !alreadyMissing.includes(error))
+
+    if (missing.length > 0) {
+      throw new Error(
+        `Invalid campaign update: '${status}' campaigns require ${missing.join(', ')}`
+      )
+    }
+  }
+
+  // Throw if a campaign is not allowed to move from one status to another
+  assertStatusTransition (campaign, fromStatus, toStatus) {
+    const { STATUSES, TRANSITIONS } = __constants.CAMPAIGN_LIFECYCLE
+
+    if (!STATUSES.includes(toStatus)) {
+      throw new Error(
+        `Invalid status transition: unknown status '${toStatus}'. Must be one of: ${STATUSES.join(', ')}`
+      )
+    }
+
+    const allowed = TRANSITIONS[fromStatus] || []
+    if (!allowed.includes(toStatus)) {
+      throw new Error(
+        `Invalid status transition: '${fromStatus}' → '${toStatus}' is not allowed. Allowed: ${allowed.join(', ') || 'none'}`
+      )
+    }
+
+    const missing = this.getStatusPreconditionErrors(campaign, toStatus)
+    if (missing.length > 0) {
+      throw new Error(
+        `Invalid status transition: moving to '${toStatus}' requires ${missing.join(', ')}`
+      )
+    }
+  }
+
+  // Record a status change (must run inside the caller's transaction)
+  async recordStatusChange (client, campaignId, fromStatus, toStatus, options = {}) {
+    const {
+      changedByUserId = null,
+      changeSource = 'user',
+      reason = null,
+      metadata = null
+    } = options
+
+    const result = await client.query(
+      `
+      INSERT INTO campaign_status_history (
+        campaign_id, from_status, to_status, changed_by_user_id, change_source, reason, metadata
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `,
+      [
+        campaignId,
+        fromStatus,
+        toStatus,
+        changedByUserId,
+        changeSource,
+        reason || null,
+        metadata ? JSON.stringify(metadata) : null
+      ]
+    )
+
+    return result.rows[0]
+  }
+
+  // Get status change history for a campaign, oldest first
+  async getCampaignStatusHistory (campaignId) {
+    try {
+      const query = `
+        SELECT h.id, h.from_status, h.to_status, h.change_source, h.reason, h.metadata,
+               h.changed_by_user_id, u.email as changed_by_email, h.created_at
+        FROM campaign_status_history h
+        LEFT JOIN users u ON h.changed_by_user_id = u.id
+        WHERE h.campaign_id = $1
+        ORDER BY h.created_at ASC, h.id ASC
+      `
+
+      const result = await this.pool.query(query, [campaignId])
+      return result.rows
+    } catch (error) {
+      console.error('Error getting campaign status history:', error)
+      throw error
+    }
+  }
+
+  // Get the most recent automatic actions taken on a campaign, newest first
+  async getCampaignAutomationEvents (campaignId) {
+    const result = await this.pool.query(
+      `
+      SELECT id, action, from_status, to_status, reason, details, created_at
+      FROM campaign_automation_log
+      WHERE campaign_id = $1
+      ORDER BY created_at DESC, id DESC
+      LIMIT $2
+    `,
+      [campaignId, __constants.CAMPAIGN_SCHEDULER.RECENT_EVENTS_LIMIT]
+    )
+    return result.rows
+  }
+
   // Regenerate influencer recommendations
   async regenerateInfluencerRecommendations (campaignId, userId) {
     try {
@@ -1057,7 +1609,10 @@ Examples:
         campaign,
         brand,
         productData,
-        { maxResults: 30 }
+        {
+          maxResults:
+            __constants.RECOMMENDATION_SCORING.SAVED_RECOMMENDATIONS_LIMIT
+        }
       )
 
       // Update campaign with new recommendations
@@ -1083,6 +1638,92 @@ Examples:
     }
   }
 
+  // Bring back the brief of an earlier revision. The restore is itself recorded as a new revision.
+  async restoreCampaignRevision (campaignId, revisionNumber, userId, reason = null) {
+    const client = await this.pool.connect()
+
+    try {
+      await client.query('BEGIN')
+
+      const ownershipCheck = await client.query(
+        `
+        SELECT c.id, c.brand_id, c.campaign_name, b.user_id
+        FROM campaigns c
+        JOIN brands b ON c.brand_id = b.id
+        WHERE c.id = $1 AND c.is_active = true AND b.is_active = true
+        FOR UPDATE OF c
+      `,
+        [campaignId]
+      )
+
+      if (ownershipCheck.rows.length === 0) {
+        throw new Error('Campaign not found')
+      }
+
+      const currentCampaign = ownershipCheck.rows[0]
+      if (currentCampaign.user_id !== userId) {
+        throw new Error('Not authorized to update this campaign')
+      }
+
+      await campaignRevisionService.ensureCurrentRevision(client, campaignId, userId)
+
+      const revisionResult = await client.query(
+        'SELECT * FROM campaign_revisions WHERE campaign_id = $1 AND revision_number = $2',
+        [campaignId, revisionNumber]
+      )
+
+      if (revisionResult.rows.length === 0) {
+        throw new Error(`Campaign revision ${revisionNumber} not found`)
+      }
+
+      const snapshot = revisionResult.rows[0].snapshot
+
+      // jsonb_populate_record casts each snapshot value back to its column type
+      const updateFields = __constants.CAMPAIGN_REVISIONS.TRACKED_FIELDS
+        .filter((field) => snapshot[field] !== undefined)
+        .map((field) => `${field} = restored.${field}`)
+      const updateValues = [JSON.stringify(snapshot), campaignId]
+
+      if (snapshot.campaign_name && snapshot.campaign_name !== currentCampaign.campaign_name) {
+        const newSlug = await this.generateCampaignSlug(
+          snapshot.campaign_name,
+          currentCampaign.brand_id
+        )
+        updateValues.push(newSlug)
+        updateFields.push(`campaign_slug = $${updateValues.length}`)
+      }
+
+      await client.query(
+        `
+        UPDATE campaigns c
+        SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+        FROM jsonb_populate_record(NULL::campaigns, $1::jsonb) restored
+        WHERE c.id = $2
+      `,
+        updateValues
+      )
+
+      const revision = await campaignRevisionService.createRevision(client, campaignId, {
+        changeSource: 'restore',
+        userId,
+        reason: reason || `Restored revision ${revisionNumber}`,
+        restoredFrom: revisionNumber
+      })
+
+      await client.query('COMMIT')
+
+      return {
+        campaign: await this.getCampaignById(campaignId, userId),
+        revision
+      }
+    } catch (error) {
+      await client.query('ROLLBACK')
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
   // Delete campaign (soft delete)
   async deleteCampaign (campaignId, userId) {
     try {
@@ -0,0 +1,368 @@
+// services/campaigns/campaignTemplateService.js
+const { Pool } = require('pg')
+const __config = require('../../config')
+const campaignService = require('./campaignService')
+
+// Campaign fields a template or clone copies into the new campaign
+const CAMPAIGN_FIELDS = [
+  'campaign_type',
+  'description',
+  'objectives',
+  'target_audience',
+  'budget',
+  'currency',
+  'requirements',
+  'content_guidelines',
+  'hashtags',
+  'mention_requirements',
+  'approval_required',
+  'product_id'
+]
+
+// Enhanced-campaign fields that are copied as-is
+const CARRIED_OVER_FIELDS = [
+  'ai_extracted_data',
+  'ai_campaign_analysis',
+  'product_info',
+  'creation_method',
+  'event_location'
+]
+
+// Fields stored as JSON that may come back from the database as strings
+const JSON_FIELDS = [
+  'target_audience',
+  'requirements',
+  'ai_extracted_data',
+  'ai_campaign_analysis',
+  'product_info'
+]
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+class CampaignTemplateService {
+  constructor () {
+    this.pool = new Pool({
+      user: __config.postgres.user,
+      host: __config.postgres.host,
+      database: __config.postgres.database,
+      password: __config.postgres.password,
+      port: __config.postgres.port,
+      ssl: { rejectUnauthorized: false }
+    })
+  }
+
+  // Parse a JSON column that may come back as a string
+  parseJson (value) {
+    if (value && typeof value === 'string') {
+      try {
+        return JSON.parse(value)
+      } catch (error) {
+        return null
+      }
+    }
+    return value
+  }
+
+  // Shift a date by a number of days, returning YYYY-MM-DD
+  shiftDate (date, days) {
+    if (!date) return null
+    const shifted = new Date(new Date(date).getTime() + days * DAY_MS)
+    return shifted.toISOString().split('T')[0]
+  }
+
+  // Copy the reusable parts of a campaign
+  extractTemplateData (campaign) {
+    const templateData = {}
+    const fields = [...CAMPAIGN_FIELDS, ...CARRIED_OVER_FIELDS]
+
+    fields.forEach((field) => {
+      if (campaign[field] !== undefined && campaign[field] !== null) {
+        templateData[field] = JSON_FIELDS.includes(field)
+          ? this.parseJson(campaign[field])
+          : campaign[field]
+      }
+    })
+
+    // Dates are stored relative to the start so they can be re-anchored
+    if (campaign.start_date && campaign.end_date) {
+      templateData.duration_days = Math.round(
+        (new Date(campaign.end_date) - new Date(campaign.start_date)) / DAY_MS
+      )
+    }
+    if (campaign.start_date && campaign.event_date) {
+      templateData.event_offset_days = Math.round(
+        (new Date(campaign.event_date) - new Date(campaign.start_date)) / DAY_MS
+      )
+    }
+
+    return templateData
+  }
+
+  // Split template data into createCampaign input and carried-over fields
+  splitTemplateData (templateData) {
+    const campaignData = {}
+    const carriedOverData = {}
+
+    CAMPAIGN_FIELDS.forEach((field) => {
+      if (templateData[field] !== undefined) campaignData[field] = templateData[field]
+    })
+    CARRIED_OVER_FIELDS.forEach((field) => {
+      if (templateData[field] !== undefined) carriedOverData[field] = templateData[field]
+    })
+
+    return { campaignData, carriedOverData }
+  }
+
+  // Apply a new start date, keeping the template's duration and event offset
+  applySchedule (campaignData, carriedOverData, templateData, schedule) {
+    if (!schedule.start_date) return
+
+    campaignData.start_date = this.shiftDate(schedule.start_date, 0)
+    campaignData.end_date = schedule.end_date
+      ? this.shiftDate(schedule.end_date, 0)
+      : templateData.duration_days !== undefined
+        ? this.shiftDate(schedule.start_date, templateData.duration_days)
+        : null
+
+    if (templateData.event_offset_days !== undefined) {
+      carriedOverData.event_date = this.shiftDate(
+        schedule.start_date,
+        templateData.event_offset_days
+      )
+    }
+  }
+
+  // Save a campaign as a reusable template for its brand
+  async createTemplateFromCampaign (campaignId, userId, userRole, templateInput) {
+    try {
+      const campaign = await campaignService.getCampaignById(
+        campaignId,
+        userId,
+        userRole
+      )
+
+      if (!campaign) {
+        throw new Error('Campaign not found')
+      }
+
+      const existing = await this.pool.query(
+        'SELECT id FROM campaign_templates WHERE brand_id = $1 AND LOWER(template_name) = LOWER($2) AND is_active = true',
+        [campaign.brand_id, templateInput.template_name]
+      )
+
+      if (existing.rows.length > 0) {
+        throw new Error(
+          `Invalid template: a template named '${templateInput.template_name}' already exists`
+        )
+      }
+
+      const templateData = this.extractTemplateData(campaign)
+
+      const result = await this.pool.query(
+        `
+        INSERT INTO campaign_templates (
+          brand_id, source_campaign_id, template_name, description, campaign_type,
+          template_data, created_by_user_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+      `,
+        [
+          campaign.brand_id,
+          campaign.id,
+          templateInput.template_name,
+          templateInput.description || campaign.description || null,
+          campaign.campaign_type,
+          JSON.stringify(templateData),
+          userId
+        ]
+      )
+
+      return result.rows[0]
+    } catch (error) {
+      console.error('Error creating campaign template:', error)
+      throw error
+    }
+  }
+
+  // Get the active templates of every brand the user owns
+  async getTemplatesForUser (userId, filters = {}) {
+    try {
+      const conditions = ['t.is_active = true', 'b.user_id = $1', 'b.is_active = true']
+      const values = [userId]
+
+      if (filters.brand_id) {
+        values.push(filters.brand_id)
+        conditions.push(`t.brand_id = $${values.length}`)
+      }
+
+      if (filters.campaign_type) {
+        values.push(filters.campaign_type)
+        conditions.push(`t.campaign_type = $${values.length}`)
+      }
+
+      const result = await this.pool.query(
+        `
+        SELECT t.*, b.brand_name
+        FROM campaign_templates t
+        JOIN brands b ON t.brand_id = b.id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY t.last_used_at DESC NULLS LAST, t.created_at DESC
+      `,
+        values
+      )
+
+      return result.rows
+    } catch (error) {
+      console.error('Error getting campaign templates:', error)
+      throw error
+    }
+  }
+
+  // Get a template with the id of the brand owner
+  async getTemplateById (templateId) {
+    try {
+      const result = await this.pool.query(
+        `
+        SELECT t.*, b.brand_name, b.user_id as brand_owner_id
+        FROM campaign_templates t
+        JOIN brands b ON t.brand_id = b.id
+        WHERE t.id = $1 AND t.is_active = true
+      `,
+        [templateId]
+      )
+
+      return result.rows[0] || null
+    } catch (error) {
+      console.error('Error getting campaign template:', error)
+      throw error
+    }
+  }
+
+  // Delete a template (soft delete)
+  async deleteTemplate (templateId) {
+    try {
+      const result = await this.pool.query(
+        'UPDATE campaign_templates SET is_active = false WHERE id = $1 AND is_active = true RETURNING id',
+        [templateId]
+      )
+
+      if (result.rows.length === 0) {
+        throw new Error('Template not found')
+      }
+
+      return { deleted: true, template_id: templateId }
+    } catch (error) {
+      console.error('Error deleting campaign template:', error)
+      throw error
+    }
+  }
+
+  // Create a new draft campaign from a template
+  async createCampaignFromTemplate (templateId, userId, overrides) {
+    try {
+      const template = await this.getTemplateById(templateId)
+
+      if (!template) {
+        throw new Error('Template not found')
+      }
+
+      const templateData = this.parseJson(template.template_data) || {}
+      const { campaignData, carriedOverData } = this.splitTemplateData(templateData)
+
+      this.applySchedule(campaignData, carriedOverData, templateData, overrides)
+
+      if (overrides.product_id !== undefined) {
+        campaignData.product_id = overrides.product_id
+        // Product details from the template no longer describe the product
+        delete carriedOverData.product_info
+      }
+      if (overrides.budget !== undefined) {
+        campaignData.budget = overrides.budget
+      }
+      campaignData.campaign_name = overrides.campaign_name
+      carriedOverData.source_template_id = template.id
+
+      const campaign = await campaignService.createCampaign(
+        template.brand_id,
+        userId,
+        campaignData,
+        carriedOverData
+      )
+
+      await this.pool.query(
+        'UPDATE campaign_templates SET usage_count = usage_count + 1, last_used_at = NOW() WHERE id = $1',
+        [template.id]
+      )
+
+      return campaign
+    } catch (error) {
+      console.error('Error creating campaign from template:', error)
+      throw error
+    }
+  }
+
+  // Clone a campaign into a new draft, shifting its dates and optionally swapping the product
+  async cloneCampaign (campaignId, userId, userRole, cloneOptions = {}) {
+    try {
+      const source = await campaignService.getCampaignById(
+        campaignId,
+        userId,
+        userRole
+      )
+
+      if (!source) {
+        throw new Error('Campaign not found')
+      }
+
+      const templateData = this.extractTemplateData(source)
+      const { campaignData, carriedOverData } = this.splitTemplateData(templateData)
+
+      // Shift every date by the same number of days (dates are kept as-is by default)
+      let shiftDays = cloneOptions.shift_days || 0
+      if (cloneOptions.start_date && source.start_date) {
+        shiftDays = Math.round(
+          (new Date(cloneOptions.start_date) - new Date(source.start_date)) / DAY_MS
+        )
+      } else if (cloneOptions.start_date) {
+        // Nothing to shift from: anchor the schedule on the given start date
+        shiftDays = null
+        this.applySchedule(campaignData, carriedOverData, templateData, cloneOptions)
+      }
+
+      if (shiftDays !== null) {
+        campaignData.start_date = this.shiftDate(source.start_date, shiftDays)
+        campaignData.end_date = this.shiftDate(source.end_date, shiftDays)
+        if (source.event_date) {
+          carriedOverData.event_date = this.shiftDate(source.event_date, shiftDays)
+        }
+      }
+
+      if (cloneOptions.product_id !== undefined) {
+        campaignData.product_id = cloneOptions.product_id
+        delete carriedOverData.product_info
+      }
+
+      campaignData.campaign_name =
+        cloneOptions.campaign_name || `${source.campaign_name} (Copy)`
+      carriedOverData.source_campaign_id = source.id
+
+      const campaign = await campaignService.createCampaign(
+        source.brand_id,
+        userId,
+        campaignData,
+        carriedOverData
+      )
+
+      return {
+        campaign,
+        cloned_from: source.id,
+        date_shift_days: shiftDays
+      }
+    } catch (error) {
+      console.error('Error cloning campaign:', error)
+      throw error
+    }
+  }
+}
+
+module.exports = new CampaignTemplateService()
@@ -0,0 +1,240 @@
+// services/campaigns/competitorConflictService.js
+const { Pool } = require('pg')
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+
+const {
+  HANDLING,
+  DEFAULT_HANDLING,
+  COMPETITOR_LOOKBACK_DAYS,
+  COMMITTED_STAGES,
+  EXCLUSIVITY_DAYS_AFTER_END
+} = __constants.COMPETITOR_CONFLICTS
+
+class CompetitorConflictService {
+  constructor () {
+    this.pool = new Pool({
+      user: __config.postgres.user,
+      host: __config.postgres.host,
+      database: __config.postgres.database,
+      password: __config.postgres.password,
+      port: __config.postgres.port,
+      ssl: { rejectUnauthorized: false }
+    })
+  }
+
+  // Lower-case, trimmed name for case-insensitive matching
+  normalizeName (name) {
+    return String(name || '').trim().toLowerCase()
+  }
+
+  // What a brand conflicts with: its competitors, the categories it competes in
+  // (declared exclusivity categories plus its industry) and how conflicts are handled
+  async getConflictRules (brandId, preferences = null) {
+    if (!brandId) return null
+
+    try {
+      const result = await this.pool.query(
+        'SELECT id, industry FROM brands WHERE id = $1',
+        [brandId]
+      )
+
+      if (result.rows.length === 0) return null
+
+      const brand = result.rows[0]
+      const unique = (values) =>
+        [...new Set(values.map((value) => this.normalizeName(value)).filter(Boolean))]
+
+      return {
+        brand_id: brand.id,
+        competitors: unique(preferences?.competitor_brands || []),
+        categories: unique([...(preferences?.exclusivity_categories || []), brand.industry]),
+        handling: HANDLING.includes(preferences?.conflict_handling)
+          ? preferences.conflict_handling
+          : DEFAULT_HANDLING
+      }
+    } catch (error) {
+      console.error('Error loading brand conflict rules:', error)
+      throw error
+    }
+  }
+
+  // Conflicts of each creator as { creatorId: [conflict] }. Other brands' campaigns are never named.
+  async findConflicts (creators, rules) {
+    const conflicts = {}
+    const creatorIds = [...new Set(creators.map((creator) => creator.id).filter(Boolean))]
+
+    if (!rules || creatorIds.length === 0) return conflicts
+
+    const add = (creatorId, conflict) => {
+      const existing = conflicts[creatorId] || []
+      if (!existing.some((item) => item.reason === conflict.reason)) {
+        conflicts[creatorId] = [...existing, conflict]
+      }
+    }
+
+    try {
+      if (rules.competitors.length > 0) {
+        const since = new Date(Date.now() - COMPETITOR_LOOKBACK_DAYS * 24 * 60 * 60 * 1000)
+
+        const addCollaboration = (creatorId, brandName, date, source) => {
+          const collaborationDate = date ? new Date(date) : null
+          if (!collaborationDate || isNaN(collaborationDate) || collaborationDate < since) return
+
+          const day = collaborationDate.toISOString().split('T')[0]
+          add(creatorId, {
+            type: 'competitor_collaboration',
+            brand_name: brandName,
+            date: day,
+            source,
+            reason: `Conflict: worked with competitor ${brandName} on ${day}`
+          })
+        }
+
+        // Collaborations listed on the creator profile
+        creators.forEach((creator) => {
+          (Array.isArray(creator.brand_collaborations) ? creator.brand_collaborations : [])
+            .filter((collab) => rules.competitors.includes(this.normalizeName(collab.brand_name)))
+            .forEach((collab) =>
+              addCollaboration(creator.id, collab.brand_name, collab.collaboration_date || collab.date, 'creator_profile')
+            )
+        })
+
+        const profileResult = await this.pool.query(
+          `
+          SELECT creator_id, brand_name, collaboration_date
+          FROM creator_brand_collaborations
+          WHERE creator_id = ANY($1) AND LOWER(TRIM(brand_name)) = ANY($2)
+        `,
+          [creatorIds, rules.competitors]
+        )
+
+        profileResult.rows.forEach((row) =>
+          addCollaboration(row.creator_id, row.brand_name, row.collaboration_date, 'creator_profile')
+        )
+
+        // Competitor campaigns run on the platform
+        const platformResult = await this.pool.query(
+          `
+          SELECT cc.creator_id, b.brand_name,
+                 TO_CHAR(COALESCE(c.end_date, cc.stage_changed_at), 'YYYY-MM-DD') as collaboration_date
+          FROM campaign_creators cc
+          JOIN campaigns c ON cc.campaign_id = c.id
+          JOIN brands b ON c.brand_id = b.id
+          WHERE cc.creator_id = ANY($1)
+            AND cc.stage = ANY($2)
+            AND LOWER(TRIM(b.brand_name)) = ANY($3)
+            AND b.id <> $4
+            AND COALESCE(c.end_date, cc.stage_changed_at) >= CURRENT_DATE - ($5::int * INTERVAL '1 day')
+        `,
+          [creatorIds, COMMITTED_STAGES, rules.competitors, rules.brand_id, COMPETITOR_LOOKBACK_DAYS]
+        )
+
+        platformResult.rows.forEach((row) =>
+          addCollaboration(row.creator_id, row.brand_name, row.collaboration_date, 'platform')
+        )
+      }
+
+      if (rules.categories.length > 0) {
+        // Creators committed to another brand's campaign that claims exclusivity in one of our categories
+        const exclusivityResult = await this.pool.query(
+          `
+          SELECT cc.creator_id,
+                 ARRAY(
+                   SELECT LOWER(TRIM(category)) FROM unnest(bp.exclusivity_categories) category
+                 ) as categories,
+                 TO_CHAR(c.end_date + ($3::int * INTERVAL '1 day'), 'YYYY-MM-DD') as exclusive_until
+          FROM campaign_creators cc
+          JOIN campaigns c ON cc.campaign_id = c.id
+          JOIN brand_preferences bp ON bp.brand_id = c.brand_id
+          WHERE cc.creator_id = ANY($1)
+            AND cc.stage = ANY($2)
+            AND c.brand_id <> $4
+            AND c.is_active = true
+            AND c.status <> 'cancelled'
+            AND (
+              (c.end_date IS NULL AND c.status <> 'completed')
+              OR c.end_date + ($3::int * INTERVAL '1 day') >= CURRENT_DATE
+            )
+            AND EXISTS (
+              SELECT 1 FROM unnest(bp.exclusivity_categories) category
+              WHERE LOWER(TRIM(category)) = ANY($5)
+            )
+        `,
+          [creatorIds, COMMITTED_STAGES, EXCLUSIVITY_DAYS_AFTER_END, rules.brand_id, rules.categories]
+        )
+
+        exclusivityResult.rows.forEach((row) => {
+          const categories = row.categories.filter((category) => rules.categories.includes(category))
+          add(row.creator_id, {
+            type: 'exclusivity',
+            categories,
+            exclusive_until: row.exclusive_until,
+            source: 'platform',
+            reason: `Conflict: under exclusivity in ${categories.join(', ')} with another campaign${
+              row.exclusive_until ? ` until ${row.exclusive_until}` : ''
+            }`
+          })
+        })
+      }
+
+      return conflicts
+    } catch (error) {
+      console.error('Error finding competitor conflicts:', error)
+      throw error
+    }
+  }
+
+  // Flag or drop recommended creators with conflicts. Conflict reasons go first in
+  // reasonsField, where the calling service keeps its recommendation reasons.
+  async applyConflicts (recommendations, rules, reasonsField = 'recommendation_reasons') {
+    if (!rules) return { recommendations, summary: null }
+
+    const conflicts = await this.findConflicts(
+      recommendations.map((recommendation) => recommendation.creator_data).filter(Boolean),
+      rules
+    )
+
+    const kept = []
+    const excluded = []
+
+    recommendations.forEach((recommendation) => {
+      const creator = recommendation.creator_data
+      const creatorConflicts = creator ? conflicts[creator.id] : null
+
+      if (!creatorConflicts) {
+        kept.push(recommendation)
+      } else if (rules.handling === 'exclude') {
+        excluded.push({
+          creator_id: creator.id,
+          creator_name: creator.creator_name,
+          conflicts: creatorConflicts
+        })
+      } else {
+        kept.push({
+          ...recommendation,
+          has_conflicts: true,
+          conflicts: creatorConflicts,
+          [reasonsField]: [
+            ...creatorConflicts.map((conflict) => conflict.reason),
+            ...(recommendation[reasonsField] || [])
+          ]
+        })
+      }
+    })
+
+    return {
+      recommendations: kept,
+      summary: {
+        handling: rules.handling,
+        competitors_checked: rules.competitors,
+        categories_checked: rules.categories,
+        flagged_count: kept.filter((recommendation) => recommendation.has_conflicts).length,
+        excluded_count: excluded.length,
+        excluded
+      }
+    }
+  }
+}
+
+module.exports = new CompetitorConflictService()
@@ -0,0 +1,371 @@
+// services/campaigns/contentApprovalService.js
+const { Pool } = require('pg')
+const __config = require('../../config')
+const campaignAnalysisService = require('../ai/campaignAnalysisService')
+
+class ContentApprovalService {
+  constructor () {
+    this.pool = new Pool({
+      user: __config.postgres.user,
+      host: __config.postgres.host,
+      database: __config.postgres.database,
+      password: __config.postgres.password,
+      port: __config.postgres.port,
+      ssl: { rejectUnauthorized: false }
+    })
+  }
+
+  // Load a deliverable together with the campaign fields the approval flow needs
+  async getDeliverableWithCampaign (campaignId, deliverableId, db = this.pool) {
+    const result = await db.query(
+      `
+      SELECT d.*, c.approval_required, c.mention_requirements, c.content_guidelines,
+             c.requirements as campaign_requirements, c.campaign_name
+      FROM campaign_deliverables d
+      JOIN campaigns c ON d.campaign_id = c.id
+      WHERE d.id = $1 AND d.campaign_id = $2 AND c.is_active = true
+    `,
+      [deliverableId, campaignId]
+    )
+
+    if (result.rows.length === 0) {
+      throw new Error('Deliverable not found')
+    }
+
+    return result.rows[0]
+  }
+
+  // Check draft text against required hashtags, mention requirements and content guidelines
+  async runPrecheck (deliverable, contentText) {
+    const precheck = {
+      checked_at: new Date().toISOString(),
+      passed: true,
+      hashtags: { required: [], missing: [] },
+      mentions: { required: [], missing: [], manual_review: null },
+      guidelines: null
+    }
+
+    if (!contentText) {
+      precheck.passed = null
+      precheck.skipped_reason = 'No draft text provided. Add the caption or script to run the pre-check.'
+      return precheck
+    }
+
+    const text = contentText.toLowerCase()
+
+    // Required hashtags
+    const usedHashtags = text.match(/#[\w]+/g) || []
+    precheck.hashtags.required = (deliverable.required_hashtags || []).map(
+      (tag) => `#${tag.replace(/^#/, '')}`
+    )
+    precheck.hashtags.missing = precheck.hashtags.required.filter(
+      (tag) => !usedHashtags.includes(tag.toLowerCase())
+    )
+
+    // Mention requirements: @handles are checked, anything else needs a human
+    if (deliverable.mention_requirements) {
+      const handles = deliverable.mention_requirements.match(/@[\w.]+/g) || []
+      precheck.mentions.required = handles
+      precheck.mentions.missing = handles.filter(
+        (handle) => !text.includes(handle.toLowerCase())
+      )
+      if (handles.length === 0) {
+        precheck.mentions.manual_review = deliverable.mention_requirements
+      }
+    }
+
+    // Content guidelines: campaign guidelines, or AI-generated ones when none were written
+    let guidelines = deliverable.content_guidelines
+    let guidelinesSource = 'campaign'
+    if (!guidelines) {
+      guidelines = await campaignAnalysisService.generateContentGuidelines(
+        {
+          deliverables: `${deliverable.format} on ${deliverable.platform}`,
+          requirements: deliverable.campaign_requirements
+            ? JSON.stringify(deliverable.campaign_requirements)
+            : null
+        },
+        null
+      )
+      guidelinesSource = 'ai_generated'
+    }
+
+    const review = await campaignAnalysisService.checkContentAgainstGuidelines(
+      contentText,
+      guidelines
+    )
+
+    precheck.guidelines = review
+      ? { source: guidelinesSource, guidelines, ...review }
+      : { source: guidelinesSource, guidelines, passes: null, issues: ['Automated guideline review unavailable'] }
+
+    precheck.passed =
+      precheck.hashtags.missing.length === 0 &&
+      precheck.mentions.missing.length === 0 &&
+      precheck.guidelines.passes !== false
+
+    return precheck
+  }
+
+  // Submit a new draft revision for review
+  async submitRevision (campaignId, deliverableId, userId, revisionData) {
+    if (!revisionData.content_text && !revisionData.draft_url) {
+      throw new Error('Invalid revision: content_text or draft_url is required')
+    }
+
+    const deliverable = await this.getDeliverableWithCampaign(
+      campaignId,
+      deliverableId
+    )
+
+    // Run the (AI-assisted) pre-check before taking any row locks
+    const precheck = await this.runPrecheck(
+      deliverable,
+      revisionData.content_text
+    )
+
+    const client = await this.pool.connect()
+
+    try {
+      await client.query('BEGIN')
+
+      await client.query(
+        'SELECT id FROM campaign_deliverables WHERE id = $1 FOR UPDATE',
+        [deliverableId]
+      )
+
+      const versionResult = await client.query(
+        'SELECT COALESCE(MAX(version), 0) + 1 as next_version FROM deliverable_content_revisions WHERE deliverable_id = $1',
+        [deliverableId]
+      )
+      const version = parseInt(versionResult.rows[0].next_version)
+
+      // Older drafts still waiting on review are replaced by this one
+      await client.query(
+        `UPDATE deliverable_content_revisions SET status = 'superseded'
+         WHERE deliverable_id = $1 AND status = 'pending_review'`,
+        [deliverableId]
+      )
+
+      const result = await client.query(
+        `
+        INSERT INTO deliverable_content_revisions (
+          deliverable_id, version, content_text, draft_url, media_urls, notes,
+          precheck_results, submitted_by_user_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `,
+        [
+          deliverableId,
+          version,
+          revisionData.content_text || null,
+          revisionData.draft_url || null,
+          revisionData.media_urls || null,
+          revisionData.notes || null,
+          JSON.stringify(precheck),
+          userId
+        ]
+      )
+
+      await client.query(
+        `UPDATE campaign_deliverables SET approval_status = 'in_review', approved_revision_id = NULL
+         WHERE id = $1`,
+        [deliverableId]
+      )
+
+      await client.query('COMMIT')
+
+      return {
+        revision: result.rows[0],
+        approval_required: deliverable.approval_required
+      }
+    } catch (error) {
+      await client.query('ROLLBACK')
+      console.error('Error submitting content revision:', error)
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  // Approve or request changes on the latest revision
+  async reviewRevision (campaignId, deliverableId, revisionId, userId, review) {
+    const client = await this.pool.connect()
+
+    try {
+      await client.query('BEGIN')
+
+      await this.getDeliverableWithCampaign(campaignId, deliverableId, client)
+
+      const revisionResult = await client.query(
+        'SELECT * FROM deliverable_content_revisions WHERE id = $1 AND deliverable_id = $2 FOR UPDATE',
+        [revisionId, deliverableId]
+      )
+
+      if (revisionResult.rows.length === 0) {
+        throw new Error('Revision not found')
+      }
+
+      if (revisionResult.rows[0].status !== 'pending_review') {
+        throw new Error(
+          `Invalid review: revision is ${revisionResult.rows[0].status}, only the revision pending review can be reviewed`
+        )
+      }
+
+      const approved = review.decision === 'approve'
+
+      if (!approved && !review.comment) {
+        throw new Error('Invalid review: a comment is required when requesting changes')
+      }
+
+      const updatedRevision = await client.query(
+        `
+        UPDATE deliverable_content_revisions
+        SET status = $1, reviewed_by_user_id = $2, reviewed_at = NOW()
+        WHERE id = $3
+        RETURNING *
+      `,
+        [approved ? 'approved' : 'changes_requested', userId, revisionId]
+      )
+
+      await client.query(
+        `
+        UPDATE campaign_deliverables
+        SET approval_status = $1, approved_revision_id = $2
+        WHERE id = $3
+      `,
+        [
+          approved ? 'approved' : 'changes_requested',
+          approved ? revisionId : null,
+          deliverableId
+        ]
+      )
+
+      let comment = null
+      if (review.comment) {
+        comment = await this.insertComment(client, revisionId, userId, {
+          body: review.comment
+        })
+      }
+
+      await client.query('COMMIT')
+
+      return { revision: updatedRevision.rows[0], comment }
+    } catch (error) {
+      await client.query('ROLLBACK')
+      console.error('Error reviewing content revision:', error)
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  // Insert a comment, checking a reply stays on the same revision as its parent
+  async insertComment (db, revisionId, userId, commentData) {
+    if (commentData.parent_comment_id) {
+      const parent = await db.query(
+        'SELECT id FROM deliverable_content_comments WHERE id = $1 AND revision_id = $2',
+        [commentData.parent_comment_id, revisionId]
+      )
+      if (parent.rows.length === 0) {
+        throw new Error('Parent comment not found on this revision')
+      }
+    }
+
+    const result = await db.query(
+      `
+      INSERT INTO deliverable_content_comments (revision_id, parent_comment_id, author_user_id, body)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `,
+      [revisionId, commentData.parent_comment_id || null, userId, commentData.body]
+    )
+
+    return result.rows[0]
+  }
+
+  // Add a comment (or reply) to a revision
+  async addComment (campaignId, deliverableId, revisionId, userId, commentData) {
+    try {
+      await this.getDeliverableWithCampaign(campaignId, deliverableId)
+
+      const revision = await this.pool.query(
+        'SELECT id FROM deliverable_content_revisions WHERE id = $1 AND deliverable_id = $2',
+        [revisionId, deliverableId]
+      )
+      if (revision.rows.length === 0) {
+        throw new Error('Revision not found')
+      }
+
+      return await this.insertComment(this.pool, revisionId, userId, commentData)
+    } catch (error) {
+      console.error('Error adding content comment:', error)
+      throw error
+    }
+  }
+
+  // Get all revisions of a deliverable with threaded comments, newest first
+  async getRevisions (campaignId, deliverableId) {
+    try {
+      const deliverable = await this.getDeliverableWithCampaign(
+        campaignId,
+        deliverableId
+      )
+
+      const revisionsResult = await this.pool.query(
+        'SELECT * FROM deliverable_content_revisions WHERE deliverable_id = $1 ORDER BY version DESC',
+        [deliverableId]
+      )
+
+      const commentsResult = await this.pool.query(
+        `
+        SELECT cm.*, u.email as author_email
+        FROM deliverable_content_comments cm
+        JOIN deliverable_content_revisions r ON cm.revision_id = r.id
+        LEFT JOIN users u ON cm.author_user_id = u.id
+        WHERE r.deliverable_id = $1
+        ORDER BY cm.created_at ASC, cm.id ASC
+      `,
+        [deliverableId]
+      )
+
+      // Build comment threads per revision
+      const commentsById = new Map()
+      commentsResult.rows.forEach((comment) => {
+        commentsById.set(comment.id, { ...comment, replies: [] })
+      })
+
+      const threadsByRevision = new Map()
+      commentsById.forEach((comment) => {
+        const parent = comment.parent_comment_id
+          ? commentsById.get(comment.parent_comment_id)
+          : null
+
+        if (parent) {
+          parent.replies.push(comment)
+        } else {
+          if (!threadsByRevision.has(comment.revision_id)) {
+            threadsByRevision.set(comment.revision_id, [])
+          }
+          threadsByRevision.get(comment.revision_id).push(comment)
+        }
+      })
+
+      return {
+        deliverable_id: deliverable.id,
+        approval_required: deliverable.approval_required,
+        approval_status: deliverable.approval_status,
+        approved_revision_id: deliverable.approved_revision_id,
+        revisions: revisionsResult.rows.map((revision) => ({
+          ...revision,
+          comments: threadsByRevision.get(revision.id) || []
+        }))
+      }
+    } catch (error) {
+      console.error('Error getting content revisions:', error)
+      throw error
+    }
+  }
+}
+
+module.exports = new ContentApprovalService()
@@ -0,0 +1,365 @@
+// services/campaigns/creatorMixService.js
+const __constants = require('../../config/constants')
+const campaignService = require('./campaignService')
+const currencyService = require('../currency/currencyService')
+
+const { BUDGET_LEVELS, OBJECTIVE_WEIGHTS } = __constants.CAMPAIGN_MIX_OPTIMIZER
+
+// Upper bound on improvement rounds of the swap search
+const MAX_IMPROVEMENT_ROUNDS = 100
+
+class CreatorMixService {
+  // Validate optimizer constraints before building any plan
+  validateConstraints (constraints) {
+    const { min_creators: minCreators, max_creators: maxCreators } = constraints
+
+    if (minCreators !== undefined && maxCreators !== undefined && minCreators > maxCreators) {
+      throw new Error('Invalid optimization: min_creators cannot exceed max_creators')
+    }
+
+    const quotaGroups = {
+      platform_quotas: constraints.platform_quotas,
+      tier_mix: constraints.tier_mix
+    }
+
+    Object.entries(quotaGroups).forEach(([groupName, quotas]) => {
+      Object.entries(quotas || {}).forEach(([key, quota]) => {
+        if (quota.min !== undefined && quota.max !== undefined && quota.min > quota.max) {
+          throw new Error(`Invalid optimization: ${groupName}.${key} min cannot exceed max`)
+        }
+      })
+    })
+
+    Object.keys(constraints.tier_mix || {}).forEach((tier) => {
+      if (!__constants.CAMPAIGN_MIX_OPTIMIZER.TIERS.includes(tier)) {
+        throw new Error(
+          `Invalid optimization: unknown tier '${tier}'. Must be one of: ${__constants.CAMPAIGN_MIX_OPTIMIZER.TIERS.join(', ')}`
+        )
+      }
+    })
+  }
+
+  // Turn saved recommendations into priced candidates with an objective value
+  buildCandidates (recommendations, campaignType, options = {}) {
+    const {
+      excludeCreatorIds = [],
+      objectiveWeights = OBJECTIVE_WEIGHTS,
+      currency = null,
+      fxRates = null
+    } = options
+    const excluded = excludeCreatorIds.map(String)
+    const candidates = []
+    const unpriced = []
+    const seen = new Set()
+
+    recommendations.forEach((recommendation) => {
+      const creator = recommendation.creator_data
+      if (!creator?.id) return
+
+      const creatorId = String(creator.id)
+      if (excluded.includes(creatorId) || seen.has(creatorId)) return
+      seen.add(creatorId)
+
+      const estimatedCost = campaignService.estimateCollaborationCost(
+        creator,
+        campaignType,
+        currency,
+        fxRates
+      )
+      const platformMetrics = creator.platform_metrics?.[creator.primary_platform]
+
+      const candidate = {
+        creator_id: creatorId,
+        creator_name: creator.creator_name,
+        platform: creator.primary_platform || null,
+        tier: creator.tier || null,
+        campaign_fit_score: parseFloat(recommendation.campaign_fit_score) || 0,
+        estimated_reach: parseInt(platformMetrics?.follower_count) || 0,
+        estimated_cost: parseFloat(estimatedCost.cost),
+        currency: estimatedCost.currency
+      }
+
+      // Costs without an exchange rate can't be added up against the budget
+      if (
+        isNaN(candidate.estimated_cost) ||
+        candidate.estimated_cost <= 0 ||
+        (currency && candidate.currency !== currency)
+      ) {
+        unpriced.push({ ...candidate, estimated_cost: estimatedCost.cost })
+      } else {
+        candidates.push(candidate)
+      }
+    })
+
+    const maxReach = Math.max(1, ...candidates.map((c) => c.estimated_reach))
+    candidates.forEach((candidate) => {
+      candidate.value =
+        objectiveWeights.fit_score * candidate.campaign_fit_score +
+        objectiveWeights.reach * (candidate.estimated_reach / maxReach)
+    })
+
+    // Stable order so the same inputs always produce the same plan
+    candidates.sort((a, b) => a.creator_id.localeCompare(b.creator_id))
+
+    return { candidates, unpriced }
+  }
+
+  // Count selected creators per platform and per tier
+  countMix (selected) {
+    const mix = { platforms: {}, tiers: {} }
+    selected.forEach((candidate) => {
+      mix.platforms[candidate.platform] = (mix.platforms[candidate.platform] || 0) + 1
+      mix.tiers[candidate.tier] = (mix.tiers[candidate.tier] || 0) + 1
+    })
+    return mix
+  }
+
+  // List the constraints a selection breaks (empty when it is a valid plan)
+  getConstraintViolations (selected, budget, constraints) {
+    const violations = []
+    const mix = this.countMix(selected)
+    const totalCost = selected.reduce((sum, c) => sum + c.estimated_cost, 0)
+
+    if (totalCost > budget) {
+      violations.push(`Total cost ${totalCost} exceeds budget ${budget}`)
+    }
+
+    if (constraints.min_creators !== undefined && selected.length < constraints.min_creators) {
+      violations.push(`At least ${constraints.min_creators} creators required, ${selected.length} fit the budget`)
+    }
+
+    if (constraints.max_creators !== undefined && selected.length > constraints.max_creators) {
+      violations.push(`At most ${constraints.max_creators} creators allowed`)
+    }
+
+    const quotaGroups = [
+      { label: 'platform', counts: mix.platforms, quotas: constraints.platform_quotas },
+      { label: 'tier', counts: mix.tiers, quotas: constraints.tier_mix }
+    ]
+
+    quotaGroups.forEach(({ label, counts, quotas }) => {
+      Object.entries(quotas || {}).forEach(([key, quota]) => {
+        const count = counts[key] || 0
+        if (quota.min !== undefined && count < quota.min) {
+          violations.push(`At least ${quota.min} ${key} ${label} creators required, ${count} selected`)
+        }
+        if (quota.max !== undefined && count > quota.max) {
+          violations.push(`At most ${quota.max} ${key} ${label} creators allowed, ${count} selected`)
+        }
+      })
+    })
+
+    return violations
+  }
+
+  // Whether a candidate can join the selection without breaking a maximum
+  canAdd (selected, candidate, spent, budget, constraints) {
+    if (spent + candidate.estimated_cost > budget) return false
+
+    if (constraints.max_creators !== undefined && selected.length >= constraints.max_creators) {
+      return false
+    }
+
+    const platformMax = constraints.platform_quotas?.[candidate.platform]?.max
+    if (platformMax !== undefined && selected.filter((c) => c.platform === candidate.platform).length >= platformMax) {
+      return false
+    }
+
+    const tierMax = constraints.tier_mix?.[candidate.tier]?.max
+    if (tierMax !== undefined && selected.filter((c) => c.tier === candidate.tier).length >= tierMax) {
+      return false
+    }
+
+    return true
+  }
+
+  // Pick the creator set with the highest total value that fits the budget and constraints
+  solve (candidates, budget, constraints) {
+    const byRatio = [...candidates].sort(
+      (a, b) =>
+        b.value / b.estimated_cost - a.value / a.estimated_cost ||
+        b.value - a.value
+    )
+
+    const selected = []
+    let spent = 0
+
+    const add = (candidate) => {
+      selected.push(candidate)
+      spent += candidate.estimated_cost
+    }
+
+    // 1. Fill minimum quotas first with the best value for money
+    const minimums = [
+      ...Object.entries(constraints.platform_quotas || {}).map(([key, quota]) => ({ field: 'platform', key, min: quota.min })),
+      ...Object.entries(constraints.tier_mix || {}).map(([key, quota]) => ({ field: 'tier', key, min: quota.min }))
+    ].filter((quota) => quota.min)
+
+    minimums.forEach(({ field, key, min }) => {
+      for (const candidate of byRatio) {
+        if (selected.filter((c) => c[field] === key).length >= min) break
+        if (
+          candidate[field] === key &&
+          !selected.includes(candidate) &&
+          this.canAdd(selected, candidate, spent, budget, constraints)
+        ) {
+          add(candidate)
+        }
+      }
+    })
+
+    // 2. Greedily add the best value for money while the budget allows
+    const fill = () => {
+      byRatio.forEach((candidate) => {
+        if (!selected.includes(candidate) && this.canAdd(selected, candidate, spent, budget, constraints)) {
+          add(candidate)
+        }
+      })
+    }
+    fill()
+
+    // 3. Swap creators in and out while it raises total value without breaking a constraint
+    const currentViolations = () =>
+      this.getConstraintViolations(selected, budget, constraints).length
+
+    for (let round = 0; round < MAX_IMPROVEMENT_ROUNDS; round++) {
+      let bestSwap = null
+      const baseViolations = currentViolations()
+
+      selected.forEach((outgoing, index) => {
+        candidates.forEach((incoming) => {
+          if (selected.includes(incoming)) return
+
+          const gain = incoming.value - outgoing.value
+          if (gain <= 1e-9 || (bestSwap && gain <= bestSwap.gain)) return
+
+          const trial = [...selected]
+          trial[index] = incoming
+          if (this.getConstraintViolations(trial, budget, constraints).length > baseViolations) {
+            return
+          }
+
+          bestSwap = { index, incoming, gain }
+        })
+      })
+
+      if (!bestSwap) break
+
+      spent += bestSwap.incoming.estimated_cost - selected[bestSwap.index].estimated_cost
+      selected[bestSwap.index] = bestSwap.incoming
+      fill()
+    }
+
+    return selected
+  }
+
+  // Summarize a selection as a plan
+  buildPlan (selected, budget, budgetLevel, constraints) {
+    const totalCost = selected.reduce((sum, c) => sum + c.estimated_cost, 0)
+    const totalFit = selected.reduce((sum, c) => sum + c.campaign_fit_score, 0)
+    const unmetConstraints = this.getConstraintViolations(selected, budget, constraints)
+
+    return {
+      budget_level: budgetLevel,
+      budget: Math.round(budget * 100) / 100,
+      feasible: unmetConstraints.length === 0,
+      unmet_constraints: unmetConstraints,
+      creators: [...selected]
+        .sort((a, b) => b.value - a.value)
+        .map(({ value, ...creator }) => ({
+          ...creator,
+          objective_value: Math.round(value * 10000) / 10000
+        })),
+      totals: {
+        creator_count: selected.length,
+        total_cost: Math.round(totalCost * 100) / 100,
+        remaining_budget: Math.round((budget - totalCost) * 100) / 100,
+        total_fit_score: Math.round(totalFit * 10000) / 10000,
+        average_fit_score:
+          selected.length > 0 ? Math.round((totalFit / selected.length) * 10000) / 10000 : 0,
+        total_estimated_reach: selected.reduce((sum, c) => sum + c.estimated_reach, 0)
+      },
+      mix: this.countMix(selected)
+    }
+  }
+
+  // Optimize the creator mix of a campaign from its saved recommendations
+  async optimizeMix (campaignId, userId, userRole, options = {}) {
+    try {
+      const campaign = await campaignService.getCampaignById(
+        campaignId,
+        userId,
+        userRole
+      )
+
+      if (!campaign) {
+        throw new Error('Campaign not found')
+      }
+
+      const recommendations =
+        campaign.ai_recommended_influencers?.recommendations || []
+      if (recommendations.length === 0) {
+        throw new Error(
+          'Invalid optimization: campaign has no recommended creators. Regenerate recommendations first.'
+        )
+      }
+
+      const baseBudget = parseFloat(options.budget || campaign.budget)
+      if (!baseBudget || baseBudget <= 0) {
+        throw new Error('Invalid optimization: a budget is required')
+      }
+
+      const constraints = {
+        min_creators: options.min_creators,
+        max_creators: options.max_creators,
+        platform_quotas: options.platform_quotas || {},
+        tier_mix: options.tier_mix || {}
+      }
+      this.validateConstraints(constraints)
+
+      const objectiveWeights = { ...OBJECTIVE_WEIGHTS, ...(options.objective_weights || {}) }
+      const currency = currencyService.resolveCode(campaign.currency)
+      const { candidates, unpriced } = this.buildCandidates(
+        recommendations,
+        campaign.campaign_type,
+        {
+          excludeCreatorIds: options.exclude_creator_ids || [],
+          objectiveWeights,
+          currency,
+          fxRates: await currencyService.getRatesOrNull()
+        }
+      )
+
+      const budgetLevels = [...new Set([1, ...(options.budget_levels || BUDGET_LEVELS)])]
+        .sort((a, b) => a - b)
+
+      const plans = budgetLevels.map((level) => {
+        const budget = baseBudget * level
+        return this.buildPlan(
+          this.solve(candidates, budget, constraints),
+          budget,
+          level,
+          constraints
+        )
+      })
+
+      return {
+        campaign_id: campaignId,
+        currency,
+        base_budget: baseBudget,
+        objective_weights: objectiveWeights,
+        constraints,
+        recommended_plan: plans.find((plan) => plan.budget_level === 1),
+        alternative_plans: plans.filter((plan) => plan.budget_level !== 1),
+        candidates_considered: candidates.length,
+        unpriced_creators: unpriced,
+        scoring_version: campaign.ai_recommended_influencers.scoring_version || null
+      }
+    } catch (error) {
+      console.error('Error optimizing creator mix:', error)
+      throw error
+    }
+  }
+}
+
+module.exports = new CreatorMixService()
@@ -0,0 +1,315 @@
+// services/campaigns/deliverableService.js
+const { Pool } = require('pg')
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+const campaignPipelineService = require('./campaignPipelineService')
+
+const { STATUSES, OPEN_STATUSES, FORMATS } = __constants.CAMPAIGN_DELIVERABLES
+
+class DeliverableService {
+  constructor () {
+    this.pool = new Pool({
+      user: __config.postgres.user,
+      host: __config.postgres.host,
+      database: __config.postgres.database,
+      password: __config.postgres.password,
+      port: __config.postgres.port,
+      ssl: { rejectUnauthorized: false }
+    })
+  }
+
+  // SQL expression flagging open deliverables that are past their due date
+  overdueExpression (alias = 'd') {
+    const openStatuses = OPEN_STATUSES.map((status) => `'${status}'`).join(', ')
+    return `(${alias}.due_date IS NOT NULL AND ${alias}.due_date < NOW() AND ${alias}.status IN (${openStatuses}))`
+  }
+
+  // Validate the user-editable fields of a deliverable
+  validateDeliverableData (data) {
+    if (data.format !== undefined && !FORMATS.includes(data.format)) {
+      throw new Error(
+        `Invalid deliverable format '${data.format}'. Must be one of: ${FORMATS.join(', ')}`
+      )
+    }
+
+    if (data.status !== undefined && !STATUSES.includes(data.status)) {
+      throw new Error(
+        `Invalid deliverable status '${data.status}'. Must be one of: ${STATUSES.join(', ')}`
+      )
+    }
+
+    if (data.due_date !== undefined && data.due_date !== null && isNaN(new Date(data.due_date))) {
+      throw new Error('Invalid deliverable due_date')
+    }
+  }
+
+  // Create deliverables for one or more creators of a campaign
+  async createDeliverables (campaignId, deliverables) {
+    const client = await this.pool.connect()
+
+    try {
+      await client.query('BEGIN')
+
+      const campaignResult = await client.query(
+        'SELECT id, hashtags, end_date FROM campaigns WHERE id = $1 AND is_active = true',
+        [campaignId]
+      )
+
+      if (campaignResult.rows.length === 0) {
+        throw new Error('Campaign not found')
+      }
+
+      const campaign = campaignResult.rows[0]
+      const created = []
+
+      for (const deliverable of deliverables) {
+        this.validateDeliverableData(deliverable)
+
+        if (!deliverable.creator_id || !deliverable.platform || !deliverable.format) {
+          throw new Error('Invalid deliverable: creator_id, platform and format are required')
+        }
+
+        const result = await client.query(
+          `
+          INSERT INTO campaign_deliverables (
+            campaign_id, creator_id, platform, format, description, due_date, required_hashtags
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+          RETURNING *
+        `,
+          [
+            campaignId,
+            deliverable.creator_id,
+            deliverable.platform.toLowerCase(),
+            deliverable.format,
+            deliverable.description || null,
+            deliverable.due_date || campaign.end_date || null,
+            // Campaign hashtags are required unless the deliverable overrides them
+            deliverable.required_hashtags || campaign.hashtags || []
+          ]
+        )
+
+        created.push(result.rows[0])
+      }
+
+      await client.query('COMMIT')
+
+      return created
+    } catch (error) {
+      await client.query('ROLLBACK')
+      console.error('Error creating deliverables:', error)
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  // Get deliverables for a campaign with overdue detection
+  async getDeliverables (campaignId, filters = {}) {
+    try {
+      const conditions = ['d.campaign_id = $1']
+      const values = [campaignId]
+
+      if (filters.creator_id) {
+        values.push(filters.creator_id)
+        conditions.push(`d.creator_id = $${values.length}`)
+      }
+
+      if (filters.status) {
+        values.push(filters.status)
+        conditions.push(`d.status = $${values.length}`)
+      }
+
+      if (filters.overdue === true || filters.overdue === 'true') {
+        conditions.push(this.overdueExpression('d'))
+      }
+
+      const query = `
+        SELECT d.*, cr.creator_name, cr.username,
+               ${this.overdueExpression('d')} as is_overdue
+        FROM campaign_deliverables d
+        JOIN creators cr ON d.creator_id = cr.id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY d.due_date ASC NULLS LAST, d.id ASC
+      `
+
+      const result = await this.pool.query(query, values)
+      const deliverables = result.rows
+
+      const summary = {
+        total: deliverables.length,
+        overdue: deliverables.filter((d) => d.is_overdue).length
+      }
+      STATUSES.forEach((status) => {
+        summary[status] = deliverables.filter((d) => d.status === status).length
+      })
+
+      return { deliverables, summary }
+    } catch (error) {
+      console.error('Error getting deliverables:', error)
+      throw error
+    }
+  }
+
+  // Get a single deliverable of a campaign
+  async getDeliverableById (campaignId, deliverableId, db = this.pool) {
+    const result = await db.query(
+      `
+      SELECT d.*, ${this.overdueExpression('d')} as is_overdue
+      FROM campaign_deliverables d
+      WHERE d.id = $1 AND d.campaign_id = $2
+    `,
+      [deliverableId, campaignId]
+    )
+    return result.rows[0] || null
+  }
+
+  // Get overdue deliverables across all active campaigns
+  async getOverdueDeliverables () {
+    try {
+      const query = `
+        SELECT d.*, c.campaign_name, c.brand_id, cr.creator_name, cr.email as creator_email
+        FROM campaign_deliverables d
+        JOIN campaigns c ON d.campaign_id = c.id
+        JOIN creators cr ON d.creator_id = cr.id
+        WHERE ${this.overdueExpression('d')} AND c.is_active = true
+        ORDER BY d.due_date ASC
+      `
+
+      const result = await this.pool.query(query)
+      return result.rows
+    } catch (error) {
+      console.error('Error getting overdue deliverables:', error)
+      throw error
+    }
+  }
+
+  // Update a deliverable
+  async updateDeliverable (campaignId, deliverableId, updateData) {
+    try {
+      this.validateDeliverableData(updateData)
+
+      const existing = await this.getDeliverableById(campaignId, deliverableId)
+      if (!existing) {
+        throw new Error('Deliverable not found')
+      }
+
+      const updateFields = []
+      const updateValues = []
+      let paramCount = 0
+
+      const simpleFields = [
+        'platform',
+        'format',
+        'description',
+        'due_date',
+        'required_hashtags',
+        'post_url',
+        'status'
+      ]
+
+      simpleFields.forEach((field) => {
+        if (updateData[field] !== undefined) {
+          paramCount++
+          updateFields.push(`${field} = $${paramCount}`)
+          updateValues.push(updateData[field])
+        }
+      })
+
+      if (updateFields.length === 0) {
+        throw new Error('No fields to update')
+      }
+
+      const goingLive = updateData.status === 'live' && existing.status !== 'live'
+      if (goingLive) {
+        if (!(updateData.post_url || existing.post_url)) {
+          throw new Error('Invalid deliverable: a post_url is required before it can go live')
+        }
+
+        // Campaigns with approval_required only go live with approved content
+        const campaignResult = await this.pool.query(
+          'SELECT approval_required FROM campaigns WHERE id = $1',
+          [campaignId]
+        )
+        const approvalRequired = campaignResult.rows[0]?.approval_required
+        if (approvalRequired && !existing.approved_revision_id) {
+          throw new Error(
+            `Invalid deliverable: content must be approved before it can go live (approval status: ${existing.approval_status || 'not_submitted'})`
+          )
+        }
+
+        updateFields.push('live_at = NOW()')
+      }
+
+      if (updateData.status === 'submitted' && existing.status !== 'submitted') {
+        updateFields.push('submitted_at = NOW()')
+      }
+
+      paramCount++
+      updateValues.push(deliverableId)
+
+      const result = await this.pool.query(
+        `
+        UPDATE campaign_deliverables
+        SET ${updateFields.join(', ')}
+        WHERE id = $${paramCount}
+        RETURNING *
+      `,
+        updateValues
+      )
+
+      const deliverable = result.rows[0]
+
+      if (goingLive) {
+        await this.onDeliverableLive(deliverable)
+      }
+
+      return deliverable
+    } catch (error) {
+      console.error('Error updating deliverable:', error)
+      throw error
+    }
+  }
+
+  // Creator submits the URL of the published post
+  async submitDeliverable (campaignId, deliverableId, postUrl) {
+    return await this.updateDeliverable(campaignId, deliverableId, {
+      post_url: postUrl,
+      status: 'submitted'
+    })
+  }
+
+  // A live deliverable moves its creator to "live" in the campaign pipeline
+  async onDeliverableLive (deliverable) {
+    try {
+      await campaignPipelineService.advanceStage(
+        deliverable.campaign_id,
+        deliverable.creator_id,
+        'live',
+        { activity: `deliverable_${deliverable.id}_live` }
+      )
+    } catch (error) {
+      console.error('Error advancing campaign pipeline from deliverable:', error)
+    }
+  }
+
+  // Delete a deliverable
+  async deleteDeliverable (campaignId, deliverableId) {
+    try {
+      const result = await this.pool.query(
+        'DELETE FROM campaign_deliverables WHERE id = $1 AND campaign_id = $2 RETURNING id',
+        [deliverableId, campaignId]
+      )
+
+      if (result.rows.length === 0) {
+        throw new Error('Deliverable not found')
+      }
+
+      return { deleted: true, deliverable_id: deliverableId }
+    } catch (error) {
+      console.error('Error deleting deliverable:', error)
+      throw error
+    }
+  }
+}
+
+module.exports = new DeliverableService()
@@ -0,0 +1,401 @@
+// services/campaigns/documentTextService.js
+const { Readable } = require('stream')
+const csv = require('csv-parser')
+const yauzl = require('yauzl')
+const __constants = require('../../config/constants')
+
+const {
+  FORMATS,
+  EXTENSION_ALIASES,
+  MAX_ZIP_ENTRIES,
+  MAX_ZIP_ENTRY_MB,
+  MAX_ZIP_TOTAL_MB
+} = __constants.CAMPAIGN_DOCUMENTS
+
+// RTF groups that hold metadata or binary data rather than document text
+const RTF_SKIPPED_DESTINATIONS = [
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header',
+  'footer', 'headerl', 'headerr', 'footerl', 'footerr', 'listtable',
+  'listoverridetable', 'rsidtbl', 'generator', 'themedata',
+  'colorschememapping', 'latentstyles', 'datastore', 'xmlnstbl'
+]
+
+const HTML_ENTITIES = {
+  nbsp: ' ',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  rsquo: '’',
+  lsquo: '‘',
+  rdquo: '”',
+  ldquo: '“',
+  bull: '•',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  euro: '€',
+  pound: '£',
+  rupee: '₹'
+}
+
+class DocumentTextService {
+  // Supported formats for error messages, e.g. "TXT, MD, HTML"
+  getSupportedFormatsLabel () {
+    return Object.keys(FORMATS).map((format) => format.toUpperCase()).join(', ')
+  }
+
+  // Format of an upload from its extension, falling back to the MIME type. Null when unsupported.
+  detectFormat (fileName, mimeType) {
+    const extension = String(fileName || '').split('.').pop().toLowerCase()
+    const format = EXTENSION_ALIASES[extension] || extension
+
+    if (FORMATS[format]) return format
+
+    const type = String(mimeType || '').split(';')[0].trim().toLowerCase()
+    return Object.keys(FORMATS).find((key) => FORMATS[key].includes(type)) || null
+  }
+
+  // Plain text of an uploaded document
+  async extractText (fileBuffer, fileName, mimeType) {
+    const format = this.detectFormat(fileName, mimeType)
+
+    if (!format) {
+      throw new Error(
+        `Unsupported file format for ${fileName}. Please upload ${this.getSupportedFormatsLabel()} files.`
+      )
+    }
+
+    let text = ''
+
+    try {
+      switch (format) {
+        case 'txt':
+          text = fileBuffer.toString('utf8')
+          break
+        case 'md':
+          text = this.markdownToText(fileBuffer.toString('utf8'))
+          break
+        case 'html':
+          text = this.htmlToText(fileBuffer.toString('utf8'))
+          break
+        case 'rtf':
+          text = this.rtfToText(fileBuffer.toString('latin1'))
+          break
+        case 'csv':
+          text = await this.csvToText(fileBuffer)
+          break
+        case 'pdf': {
+          const pdf = require('pdf-parse')
+          const pdfData = await pdf(fileBuffer)
+          text = pdfData.text
+          break
+        }
+        case 'doc':
+        case 'docx': {
+          const mammoth = require('mammoth')
+          const result = await mammoth.extractRawText({ buffer: fileBuffer })
+          text = result.value
+          break
+        }
+        case 'pptx':
+          text = await this.pptxToText(fileBuffer)
+          break
+      }
+    } catch (error) {
+      console.error(`Error extracting text from ${fileName}:`, error)
+      throw new Error(`Could not read ${fileName}: ${error.message}`)
+    }
+
+    text = this.normalizeWhitespace(text)
+
+    if (!text) {
+      throw new Error(`Could not extract text from ${fileName}`)
+    }
+
+    return { format, text }
+  }
+
+  // Collapse runs of spaces and blank lines
+  normalizeWhitespace (text) {
+    return String(text || '')
+      .replace(/\r\n?/g, '\n')
+      .replace(/[ \t\u00a0]+/g, ' ')
+      .replace(/ *\n */g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim()
+  }
+
+  // Decode named and numeric HTML/XML entities
+  decodeEntities (text) {
+    return text
+      .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+      .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+      .replace(/&([a-z]+);/gi, (match, name) =>
+        HTML_ENTITIES[name.toLowerCase()] !== undefined ? HTML_ENTITIES[name.toLowerCase()] : match
+      )
+      .replace(/&amp;/gi, '&')
+  }
+
+  // Markdown without its markup; link targets are kept next to their text
+  markdownToText (markdown) {
+    return markdown
+      .replace(/^```.*$/gm, '')
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, '$1 ($2)')
+      .replace(/^ {0,3}#{1,6}\s+/gm, '')
+      .replace(/^ {0,3}>\s?/gm, '')
+      .replace(/^ {0,3}([-*_])(\s*\1){2,}\s*$/gm, '')
+      .replace(/^(\s*)[-*+]\s+/gm, '$1- ')
+      .replace(/(\*\*|__)(.+?)\1/g, '$2')
+      .replace(/`([^`]+)`/g, '$1')
+  }
+
+  // Visible text of an HTML page with block elements on their own lines
+  htmlToText (html) {
+    const text = html
+      .replace(/<(script|style|noscript|template)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<!--[\s\S]*?-->/g, ' ')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<li[^>]*>/gi, '\n- ')
+      .replace(/<\/(p|div|h[1-6]|li|tr|table|section|article|header|footer|ul|ol|title|blockquote)>/gi, '\n')
+      .replace(/<\/t[dh]>/gi, ' | ')
+      .replace(/<[^>]+>/g, '')
+
+    return this.decodeEntities(text)
+  }
+
+  // Text of an RTF document: control words are dropped, paragraphs become new lines
+  rtfToText (rtf) {
+    const controlWord = /\\([a-zA-Z]+)(-?\d+)? ?/y
+    const groupSkips = []
+    let skipping = false
+    let unicodeFallbackLength = 1
+    let text = ''
+    let i = 0
+
+    while (i < rtf.length) {
+      const char = rtf[i]
+
+      if (char === '{') {
+        groupSkips.push(skipping)
+        i++
+        continue
+      }
+
+      if (char === '}') {
+        skipping = groupSkips.length > 0 ? groupSkips.pop() : false
+        i++
+        continue
+      }
+
+      if (char === '\r' || char === '\n') {
+        i++
+        continue
+      }
+
+      if (char !== '\\') {
+        if (!skipping) text += char
+        i++
+        continue
+      }
+
+      const next = rtf[i + 1]
+
+      if (next === '\\' || next === '{' || next === '}') {
+        if (!skipping) text += next
+        i += 2
+        continue
+      }
+
+      if (next === '*') {
+        skipping = true
+        i += 2
+        continue
+      }
+
+      if (next === "'") {
+        if (!skipping) text += String.fromCharCode(parseInt(rtf.substr(i + 2, 2), 16))
+        i += 4
+        continue
+      }
+
+      if (next === '~') {
+        if (!skipping) text += ' '
+        i += 2
+        continue
+      }
+
+      controlWord.lastIndex = i
+      const match = controlWord.exec(rtf)
+      if (!match) {
+        i += 2
+        continue
+      }
+
+      const [whole, word, param] = match
+      i += whole.length
+
+      if (RTF_SKIPPED_DESTINATIONS.includes(word)) {
+        skipping = true
+      } else if (word === 'uc') {
+        unicodeFallbackLength = parseInt(param) || 0
+      } else if (!skipping) {
+        if (['par', 'line', 'sect', 'page', 'row'].includes(word)) {
+          text += '\n'
+        } else if (word === 'tab') {
+          text += '\t'
+        } else if (word === 'cell') {
+          text += ' | '
+        } else if (word === 'u') {
+          let code = parseInt(param)
+          if (code < 0) code += 65536
+          text += String.fromCharCode(code)
+
+          // Skip the ANSI fallback that follows a unicode character
+          for (let skipped = 0; skipped < unicodeFallbackLength && i < rtf.length; skipped++) {
+            i += rtf[i] === '\\' && rtf[i + 1] === "'" ? 4 : 1
+          }
+        }
+      }
+    }
+
+    return text
+  }
+
+  // One line per CSV row as "column: value" pairs, so the model sees what each value means
+  async csvToText (fileBuffer) {
+    const rows = []
+
+    await new Promise((resolve, reject) => {
+      Readable.from(fileBuffer)
+        .pipe(csv({ mapHeaders: ({ header }) => header.trim() }))
+        .on('data', (row) => rows.push(row))
+        .on('end', resolve)
+        .on('error', reject)
+    })
+
+    return rows
+      .map((row, index) => {
+        const values = Object.entries(row)
+          .filter(([column, value]) => column && String(value).trim() !== '')
+          .map(([column, value]) => `${column}: ${String(value).trim()}`)
+        return values.length > 0 ? `Row ${index + 1}: ${values.join('; ')}` : null
+      })
+      .filter(Boolean)
+      .join('\n')
+  }
+
+  // Slide text and speaker notes of a PowerPoint file, in slide order
+  async pptxToText (fileBuffer) {
+    const files = await this.readZipEntries(fileBuffer, (name) =>
+      /^ppt\/(slides\/slide|notesSlides\/notesSlide)\d+\.xml$/.test(name)
+    )
+
+    const slideNumber = (name) => parseInt(name.match(/(\d+)\.xml$/)[1])
+    const slides = Object.keys(files)
+      .filter((name) => name.startsWith('ppt/slides/'))
+      .sort((a, b) => slideNumber(a) - slideNumber(b))
+
+    return slides
+      .map((name) => {
+        const number = slideNumber(name)
+        const notes = files[`ppt/notesSlides/notesSlide${number}.xml`]
+        const parts = [`Slide ${number}:`, this.drawingMLToText(files[name])]
+
+        if (notes) {
+          const notesText = this.drawingMLToText(notes)
+          if (notesText) parts.push(`Notes: ${notesText}`)
+        }
+
+        return parts.filter(Boolean).join('\n')
+      })
+      .join('\n\n')
+  }
+
+  // Text runs of a DrawingML part, one paragraph per line
+  drawingMLToText (xml) {
+    return xml
+      .split(/<\/a:p>/)
+      .map((paragraph) =>
+        [...paragraph.matchAll(/<a:t(?:\s[^>]*)?>([\s\S]*?)<\/a:t>/g)]
+          .map((run) => this.decodeEntities(run[1]))
+          .join('')
+          .trim()
+      )
+      .filter(Boolean)
+      .join('\n')
+  }
+
+  // Read the matching entries of a zip archive into { name: utf8 content }. Archives with too many
+  // entries, or whose matching entries decompress beyond the size limits, are rejected.
+  readZipEntries (fileBuffer, include) {
+    const maxEntryBytes = MAX_ZIP_ENTRY_MB * 1024 * 1024
+    const maxTotalBytes = MAX_ZIP_TOTAL_MB * 1024 * 1024
+
+    return new Promise((resolve, reject) => {
+      yauzl.fromBuffer(fileBuffer, { lazyEntries: true }, (error, zip) => {
+        if (error) return reject(error)
+
+        const files = {}
+        let entryCount = 0
+        let totalBytes = 0
+        const tooLarge = () =>
+          new Error(`archive contents exceed ${MAX_ZIP_ENTRY_MB} MB per file or ${MAX_ZIP_TOTAL_MB} MB in total`)
+
+        if (zip.entryCount > MAX_ZIP_ENTRIES) {
+          return reject(new Error(`archive has more than ${MAX_ZIP_ENTRIES} entries`))
+        }
+
+        zip.on('entry', (entry) => {
+          // The central directory's count can't be trusted on its own
+          entryCount++
+          if (entryCount > MAX_ZIP_ENTRIES) {
+            return reject(new Error(`archive has more than ${MAX_ZIP_ENTRIES} entries`))
+          }
+
+          if (!include(entry.fileName)) {
+            zip.readEntry()
+            return
+          }
+
+          if (entry.uncompressedSize > maxEntryBytes || totalBytes + entry.uncompressedSize > maxTotalBytes) {
+            return reject(tooLarge())
+          }
+
+          zip.openReadStream(entry, (streamError, stream) => {
+            if (streamError) return reject(streamError)
+
+            // Sizes are counted as data arrives too, in case the declared size is wrong
+            const chunks = []
+            let entryBytes = 0
+            stream.on('data', (chunk) => {
+              entryBytes += chunk.length
+              totalBytes += chunk.length
+              if (entryBytes > maxEntryBytes || totalBytes > maxTotalBytes) {
+                stream.destroy()
+                reject(tooLarge())
+                return
+              }
+              chunks.push(chunk)
+            })
+            stream.on('error', reject)
+            stream.on('end', () => {
+              files[entry.fileName] = Buffer.concat(chunks).toString('utf8')
+              zip.readEntry()
+            })
+          })
+        })
+        zip.on('end', () => resolve(files))
+        zip.on('error', reject)
+
+        zip.readEntry()
+      })
+    })
+  }
+}
+
+module.exports = new DocumentTextService()
@@ -4,6 +4,14 @@ const __config = require("../../config");
 const OpenAI = require("openai");
 const aiSearchOrchestrator = require("../search/aiSearchOrchestrator");
 const webScrapingService = require("../ai/webScrapingService");
+const brandService = require("../brands/brandService");
+const currencyService = require("../currency/currencyService");
+const documentTextService = require("./documentTextService");
+const campaignRevisionService = require("./campaignRevisionService");
+const campaignService = require("./campaignService");
+const competitorConflictService = require("./competitorConflictService");
+const creatorAvailabilityService = require("../creators/creatorAvailabilityService");
+const __constants = require("../../config/constants");
 
 class EnhancedCampaignService {
   constructor() {
@@ -21,8 +29,9 @@ class EnhancedCampaignService {
     });
   }
 
-  // Extract campaign information from document/query using AI
-  async extractCampaignFromText(text, extractionType = "query") {
+  // Extract campaign information from document/query using AI.
+  // documentNames asks for the file each field came from.
+  async extractCampaignFromText(text, extractionType = "query", documentNames = null) {
     try {
       const prompt = `
 Analyze this ${extractionType} and extract comprehensive campaign information. Return a structured JSON object.
@@ -102,7 +111,15 @@ Rules:
 6. Generate campaign names that are descriptive and professional
 7. Infer campaign objectives from brand, product, and campaign type
 8. If budget is per creator, calculate total budget if creators_needed is specified
-
+${
+  documentNames
+    ? `
+Provenance:
+The content is made of ${documentNames.length} document(s), each starting with a "=== Document N: <file name> ===" line.
+Add "field_sources" to "extraction_metadata": an object mapping every field taken from the documents, written as "section.field" (e.g. "campaign_details.budget_per_creator"), to an array of the exact file names it came from. Leave out fields you generated without a source.
+`
+    : ""
+}
 Return only the JSON object, no explanations.
 `;
 
@@ -376,53 +393,63 @@ Provide the output in JSON only, no suufix/prefix to be added in the response
 
   // Process document upload and extract campaign information
   async processCampaignDocument(fileBuffer, fileName, mimeType) {
+    return this.processCampaignDocuments([
+      { fileBuffer, fileName, mimeType, fileSize: fileBuffer.length },
+    ]);
+  }
+
+  // Extract the text of every brief document and run one extraction over all of them
+  async processCampaignDocuments(files) {
     try {
-      console.log(`Processing campaign document: ${fileName}`);
-
-      // Convert document to text (implement based on file type)
-      let documentText = "";
-
-      if (mimeType.includes("text/plain")) {
-        documentText = fileBuffer.toString("utf8");
-      } else if (mimeType.includes("application/pdf")) {
-        // Use pdf-parse library
-        const pdf = require("pdf-parse");
-        const pdfData = await pdf(fileBuffer);
-        documentText = pdfData.text;
-      } else if (
-        mimeType.includes("application/msword") ||
-        mimeType.includes(
-          "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
-        )
-      ) {
-        // Use mammoth library for Word documents
-        const mammoth = require("mammoth");
-        const result = await mammoth.extractRawText({ buffer: fileBuffer });
-        documentText = result.value;
-      } else {
-        throw new Error(
-          "Unsupported file format. Please upload PDF, DOC, DOCX, or TXT files."
-        );
+      const { MAX_FILES } = __constants.CAMPAIGN_DOCUMENTS;
+
+      if (!files || files.length === 0) {
+        throw new Error("No documents to process");
       }
 
-      if (!documentText.trim()) {
-        throw new Error("Could not extract text from document");
+      if (files.length > MAX_FILES) {
+        throw new Error(`Too many documents: at most ${MAX_FILES} files per campaign`);
       }
 
-      // Extract campaign information from document text
-      const extractedData = await this.extractCampaignFromText(
-        documentText,
-        "document"
+      console.log(
+        `Processing ${files.length} campaign document(s): ${files
+          .map((file) => file.fileName)
+          .join(", ")}`
       );
 
+      const documents = [];
+      for (const [index, file] of files.entries()) {
+        const { format, text } = await documentTextService.extractText(
+          file.fileBuffer,
+          file.fileName,
+          file.mimeType
+        );
+
+        documents.push({
+          position: index + 1,
+          file_name: file.fileName,
+          file_type: file.mimeType,
+          format,
+          file_size: file.fileSize || file.fileBuffer.length,
+          text_length: text.length,
+          text,
+          processed_at: new Date().toISOString(),
+        });
+      }
+
+      const { extractedData, fieldSources } =
+        await this.extractCampaignFromDocuments(documents);
+
       return {
         document_info: {
-          file_name: fileName,
-          file_type: mimeType,
-          text_length: documentText.length,
+          file_name: documents.map((document) => document.file_name).join(", "),
+          file_type: documents.map((document) => document.file_type).join(", "),
+          text_length: documents.reduce((sum, d) => sum + d.text_length, 0),
           processed_at: new Date().toISOString(),
         },
-        extracted_text: documentText.substring(0, 1000), // First 1000 chars for reference
+        documents,
+        extracted_text: documents.map((document) => document.text).join("\n\n"),
+        field_sources: fieldSources,
         extracted_campaign_data: extractedData,
       };
     } catch (error) {
@@ -431,6 +458,203 @@ Provide the output in JSON only, no suufix/prefix to be added in the response
     }
   }
 
+  // One extraction over the merged text of several documents. Sets extracted_fields
+  // on each document to the campaign fields the AI took from it.
+  async extractCampaignFromDocuments(documents) {
+    const { MAX_PROMPT_CHARS } = __constants.CAMPAIGN_DOCUMENTS;
+
+    // Every document gets an equal share of the prompt so later files are never dropped
+    const share = Math.floor(MAX_PROMPT_CHARS / documents.length);
+    const extractionContext = documents
+      .map((document) => {
+        document.truncated_for_extraction = document.text.length > share;
+        return `=== Document ${document.position}: ${document.file_name} ===\n${document.text.substring(0, share)}`;
+      })
+      .join("\n\n");
+
+    const documentNames = documents.map((document) => document.file_name);
+    const extractedData = await this.extractCampaignFromText(
+      extractionContext,
+      "document",
+      documentNames
+    );
+
+    const fieldSources = this.normalizeFieldSources(
+      extractedData.extraction_metadata?.field_sources,
+      documentNames
+    );
+    extractedData.extraction_metadata = {
+      ...(extractedData.extraction_metadata || {}),
+      field_sources: fieldSources,
+      source_documents: documentNames,
+    };
+
+    documents.forEach((document) => {
+      document.extracted_fields = Object.keys(fieldSources).filter((field) =>
+        fieldSources[field].includes(document.file_name)
+      );
+    });
+
+    return { extractedData, fieldSources };
+  }
+
+  // Keep only provenance entries that name uploaded files, as { "section.field": [file names] }
+  normalizeFieldSources(fieldSources, documentNames) {
+    const normalized = {};
+
+    Object.entries(fieldSources || {}).forEach(([field, sources]) => {
+      const names = (Array.isArray(sources) ? sources : [sources]).filter(
+        (name) => documentNames.includes(name)
+      );
+      if (names.length > 0) {
+        normalized[field] = [...new Set(names)];
+      }
+    });
+
+    // A single document is the source of everything the AI found
+    if (documentNames.length === 1 && Object.keys(normalized).length === 0) {
+      Object.keys(fieldSources || {}).forEach((field) => {
+        normalized[field] = [documentNames[0]];
+      });
+    }
+
+    return normalized;
+  }
+
+  // Save the brief documents of a new campaign
+  async saveCampaignDocuments(client, campaignId, documents, userId) {
+    for (const document of documents) {
+      await client.query(
+        `
+        INSERT INTO campaign_documents (
+          campaign_id, position, file_name, mime_type, format, file_size,
+          text_length, extracted_text, extracted_fields, uploaded_by_user_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      `,
+        [
+          campaignId,
+          document.position,
+          document.file_name,
+          document.file_type,
+          document.format,
+          document.file_size,
+          document.text_length,
+          document.text,
+          JSON.stringify(document.extracted_fields || []),
+          userId,
+        ]
+      );
+    }
+  }
+
+  // Brief documents of a campaign, optionally with their full text
+  async getCampaignDocuments(campaignId, includeText = false) {
+    try {
+      const result = await this.pool.query(
+        `
+        SELECT id, position, file_name, mime_type, format, file_size, text_length,
+               extracted_fields, created_at
+               ${includeText ? ", extracted_text" : ""}
+        FROM campaign_documents
+        WHERE campaign_id = $1
+        ORDER BY position ASC
+      `,
+        [campaignId]
+      );
+
+      return result.rows;
+    } catch (error) {
+      console.error("Error getting campaign documents:", error);
+      throw error;
+    }
+  }
+
+  // Run the extraction again over the stored text of a campaign's documents
+  async reextractFromStoredDocuments(campaignId) {
+    try {
+      const documents = (await this.getCampaignDocuments(campaignId, true)).map(
+        ({ extracted_text: text, ...document }) => ({ ...document, text })
+      );
+
+      if (documents.length === 0) {
+        throw new Error("No stored documents found for this campaign");
+      }
+
+      const { extractedData } = await this.extractCampaignFromDocuments(
+        documents
+      );
+
+      for (const document of documents) {
+        await this.pool.query(
+          "UPDATE campaign_documents SET extracted_fields = $2 WHERE id = $1",
+          [document.id, JSON.stringify(document.extracted_fields)]
+        );
+      }
+
+      return extractedData;
+    } catch (error) {
+      console.error("Error re-extracting campaign from stored documents:", error);
+      throw error;
+    }
+  }
+
+  // Store regenerated AI analysis and record it as a campaign revision
+  async saveRegeneratedAnalysis(campaignId, userId, analysis) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      await campaignRevisionService.ensureCurrentRevision(
+        client,
+        campaignId,
+        userId
+      );
+
+      const updateResult = await client.query(
+        `
+        UPDATE campaigns 
+        SET ai_campaign_analysis = $1, 
+            ai_recommended_influencers = $2,
+            product_info = $3,
+            ai_extracted_data = $5,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $4
+        RETURNING *
+      `,
+        [
+          JSON.stringify(analysis.campaignAnalysis),
+          analysis.influencerRecommendations
+            ? JSON.stringify(analysis.influencerRecommendations)
+            : null,
+          analysis.productInfo ? JSON.stringify(analysis.productInfo) : null,
+          campaignId,
+          JSON.stringify(analysis.extractedData),
+        ]
+      );
+
+      const revision = await campaignRevisionService.createRevision(
+        client,
+        campaignId,
+        {
+          changeSource: "regenerate_analysis",
+          userId,
+          reason: analysis.reason,
+        }
+      );
+
+      await client.query("COMMIT");
+
+      return { campaign: updateResult.rows[0], revision };
+    } catch (error) {
+      await client.query("ROLLBACK");
+      console.error("Error saving regenerated campaign analysis:", error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   // Main method to create enhanced campaign with AI analysis
   async createEnhancedCampaign(
     campaignInput,
@@ -449,15 +673,20 @@ Provide the output in JSON only, no suufix/prefix to be added in the response
       let websiteAnalysis = null;
       let campaignAnalysis = null;
       let productInfo = null;
+      let documentResult = null;
 
       // Step 1: Extract campaign data based on creation method
       if (creationMethod === "form") {
         extractedData = this.convertFormToCampaignData(campaignInput);
       } else if (creationMethod === "document") {
-        const documentResult = await this.processCampaignDocument(
-          campaignInput.fileBuffer,
-          campaignInput.fileName,
-          campaignInput.mimeType
+        documentResult = await this.processCampaignDocuments(
+          campaignInput.files || [
+            {
+              fileBuffer: campaignInput.fileBuffer,
+              fileName: campaignInput.fileName,
+              mimeType: campaignInput.mimeType,
+            },
+          ]
         );
         extractedData = documentResult.extracted_campaign_data;
       } else if (creationMethod === "query") {
@@ -501,11 +730,16 @@ Provide the output in JSON only, no suufix/prefix to be added in the response
       // Step 4: Generate AI-powered influencer recommendations
       let influencerRecommendations = null;
       try {
+        const brandPreferences = await brandService.getBrandPreferences(
+          brandId
+        );
         influencerRecommendations =
           await this.generateInfluencerRecommendations(
             extractedData,
             websiteAnalysis,
-            campaignAnalysis
+            campaignAnalysis,
+            brandPreferences,
+            brandId
           );
       } catch (error) {
         console.error("Influencer recommendations failed:", error);
@@ -563,6 +797,27 @@ Provide the output in JSON only, no suufix/prefix to be added in the response
       const campaignResult = await client.query(campaignQuery, campaignValues);
       const campaign = campaignResult.rows[0];
 
+      if (documentResult) {
+        await this.saveCampaignDocuments(
+          client,
+          campaign.id,
+          documentResult.documents,
+          userId
+        );
+      }
+
+      // Start the status timeline the same way campaigns created by campaignService do
+      await campaignService.recordStatusChange(client, campaign.id, null, campaign.status, {
+        changedByUserId: userId,
+        reason: "Campaign created",
+      });
+
+      await campaignRevisionService.createRevision(client, campaign.id, {
+        changeSource: "create",
+        userId,
+        reason: "Campaign created",
+      });
+
       await client.query("COMMIT");
 
       return {
@@ -573,6 +828,9 @@ Provide the output in JSON only, no suufix/prefix to be added in the response
           campaign_analysis: campaignAnalysis,
           influencer_recommendations: influencerRecommendations,
         },
+        documents: documentResult
+          ? documentResult.documents.map(({ text, ...document }) => document)
+          : [],
         creation_metadata: {
           method: creationMethod,
           confidence_score:
@@ -644,7 +902,10 @@ Provide the output in JSON only, no suufix/prefix to be added in the response
   async generateInfluencerRecommendations(
     extractedData,
     websiteAnalysis,
-    campaignAnalysis
+    campaignAnalysis,
+    brandPreferences = null,
+    brandId = null,
+    campaignId = null
   ) {
     try {
       // Build search query from campaign data
@@ -654,10 +915,14 @@ Provide the output in JSON only, no suufix/prefix to be added in the response
       );
 
       // Build search filters
-      const searchFilters = this.buildSearchFiltersFromCampaignData(
-        extractedData,
-        campaignAnalysis
-      );
+      const fxRates = await currencyService.getRatesOrNull();
+      const { filters: searchFilters, sources: filterSources } =
+        this.buildSearchFiltersFromCampaignData(
+          extractedData,
+          campaignAnalysis,
+          brandPreferences,
+          fxRates
+        );
 
       // Use AI search to find relevant creators
       const searchOptions = {
@@ -686,11 +951,42 @@ Provide the output in JSON only, no suufix/prefix to be added in the response
         campaignAnalysis
       );
 
+      // Flag or drop creators tied to competitors or under exclusivity elsewhere
+      const conflictRules = await competitorConflictService.getConflictRules(
+        brandId || brandPreferences?.brand_id,
+        brandPreferences
+      );
+      const { recommendations: checkedInfluencers, summary: conflictSummary } =
+        await competitorConflictService.applyConflicts(
+          scoredInfluencers,
+          conflictRules,
+          "ai_recommendation_reasons"
+        );
+
+      // Drop creators blocked for the campaign dates and flag overlapping bookings
+      const {
+        recommendations: availableInfluencers,
+        summary: availabilitySummary,
+      } = await creatorAvailabilityService.applyAvailability(
+        checkedInfluencers,
+        {
+          startDate: extractedData.campaign_details?.start_date,
+          endDate: extractedData.campaign_details?.end_date,
+          campaignId,
+          brandId: brandId || brandPreferences?.brand_id,
+          categories: conflictRules?.categories || [],
+        },
+        "ai_recommendation_reasons"
+      );
+
       return {
-        recommendations: scoredInfluencers.slice(0, 25),
+        recommendations: availableInfluencers.slice(0, 25),
         search_query_used: searchQuery,
         filters_applied: searchFilters,
+        filter_sources: filterSources,
         total_found: searchResults.results.length,
+        conflicts: conflictSummary,
+        availability: availabilitySummary,
         search_metadata: searchResults.metadata,
         generated_at: new Date().toISOString(),
       };
@@ -732,43 +1028,66 @@ Provide the output in JSON only, no suufix/prefix to be added in the response
     return queryParts.join(" ");
   }
 
-  // Build search filters from campaign data
-  buildSearchFiltersFromCampaignData(extractedData, campaignAnalysis) {
+  // Build search filters from campaign data, using brand preferences for anything the campaign leaves open
+  buildSearchFiltersFromCampaignData(
+    extractedData,
+    campaignAnalysis,
+    brandPreferences = null,
+    fxRates = null
+  ) {
     const filters = {};
+    const sources = {};
+
+    const set = (filter, value, source) => {
+      filters[filter] = value;
+      sources[filter] = source;
+    };
 
     // Follower range filtering
     if (extractedData.target_audience?.follower_range) {
       const followerRange =
         extractedData.target_audience.follower_range.toLowerCase();
+      const source = "campaign.target_audience.follower_range";
 
       if (
         followerRange.includes("100k-300k") ||
         followerRange.includes("100-300k")
       ) {
-        filters.min_followers = 100000;
-        filters.max_followers = 300000;
-        filters.tier = "macro";
+        set("min_followers", 100000, source);
+        set("max_followers", 300000, source);
+        set("tier", "macro", source);
       } else if (followerRange.includes("micro")) {
-        filters.tier = "micro";
-        filters.max_followers = 100000;
+        set("tier", "micro", source);
+        set("max_followers", 100000, source);
       } else if (followerRange.includes("macro")) {
-        filters.tier = "macro";
-        filters.min_followers = 100000;
-        filters.max_followers = 1000000;
+        set("tier", "macro", source);
+        set("min_followers", 100000, source);
+        set("max_followers", 1000000, source);
       } else if (followerRange.includes("mega")) {
-        filters.tier = "mega";
-        filters.min_followers = 1000000;
+        set("tier", "mega", source);
+        set("min_followers", 1000000, source);
       }
     }
 
-    // Budget-based filtering
-    if (extractedData.campaign_details?.budget_per_creator) {
-      const budget = extractedData.campaign_details.budget_per_creator;
+    // Budget-based filtering; tiers are set in the base currency,
+    // so a budget without an exchange rate is left out
+    const budget = extractedData.campaign_details?.budget_per_creator
+      ? currencyService.convert(
+          extractedData.campaign_details.budget_per_creator,
+          extractedData.campaign_details.currency,
+          __constants.CURRENCY.BASE_CURRENCY,
+          fxRates
+        )
+      : null;
+
+    if (budget) {
+      const { MICRO, MACRO } = __constants.CURRENCY.BUDGET_TIER_LIMITS;
+      const source = "campaign.campaign_details.budget_per_creator";
 
-      if (budget < 50000) {
-        filters.max_followers = 100000; // Micro influencers
-      } else if (budget < 200000) {
-        filters.max_followers = 500000; // Small to mid macro
+      if (budget < MICRO) {
+        set("max_followers", 100000, source); // Micro influencers
+      } else if (budget < MACRO) {
+        set("max_followers", 500000, source); // Small to mid macro
       }
     }
 
@@ -778,14 +1097,18 @@ Provide the output in JSON only, no suufix/prefix to be added in the response
       extractedData.campaign_details?.location
     ) {
       const location =
-        extractedData.target_audience.location_requirements ||
+        extractedData.target_audience?.location_requirements ||
         extractedData.campaign_details.location;
+      const source = extractedData.target_audience?.location_requirements
+        ? "campaign.target_audience.location_requirements"
+        : "campaign.campaign_details.location";
+
       if (location.toLowerCase().includes("mumbai")) {
-        filters.location_city = "Mumbai";
+        set("location_city", "Mumbai", source);
       } else if (location.toLowerCase().includes("delhi")) {
-        filters.location_city = "Delhi";
+        set("location_city", "Delhi", source);
       } else if (location.toLowerCase().includes("bangalore")) {
-        filters.location_city = "Bangalore";
+        set("location_city", "Bangalore", source);
       }
     }
 
@@ -794,14 +1117,17 @@ Provide the output in JSON only, no suufix/prefix to be added in the response
       const ageRange = extractedData.target_audience.age_range;
       if (ageRange.includes("25+")) {
         // This would need custom filtering in the search service
-        filters.min_age = 25;
+        set("min_age", 25, "campaign.target_audience.age_range");
       }
     }
 
     // Minimum engagement rate
-    filters.min_engagement_rate = 2.0;
+    set("min_engagement_rate", 2.0, "default");
+
+    // Brand preferences fill everything the campaign left open
+    brandService.applyPreferencesToFilters(filters, sources, brandPreferences);
 
-    return filters;
+    return { filters, sources };
   }
 
   // Score influencers for enhanced campaign
@@ -811,6 +1137,8 @@ Provide the output in JSON only, no suufix/prefix to be added in the response
     websiteAnalysis,
     campaignAnalysis
   ) {
+    const fxRates = await currencyService.getRatesOrNull();
+
     return influencers
       .map((influencer) => {
         const creator = influencer.creator_data;
@@ -878,7 +1206,9 @@ Provide the output in JSON only, no suufix/prefix to be added in the response
           estimated_cost: this.estimateCollaborationCost(
             creator,
             extractedData.campaign_basics.campaign_type,
-            extractedData.campaign_details.budget_per_creator
+            extractedData.campaign_details.budget_per_creator,
+            extractedData.campaign_details.currency,
+            fxRates
           ),
           ai_recommendation_reasons: this.generateAIRecommendationReasons(
             creator,
@@ -1084,13 +1414,21 @@ Provide the output in JSON only, no suufix/prefix to be added in the response
       : ["Good overall match for campaign objectives"];
   }
 
-  // Estimate collaboration cost with enhanced logic
-  estimateCollaborationCost(creator, campaignType, budgetPerCreator = null) {
+  // Estimate collaboration cost with enhanced logic, in the campaign currency
+  estimateCollaborationCost(
+    creator,
+    campaignType,
+    budgetPerCreator = null,
+    campaignCurrency = null,
+    fxRates = null
+  ) {
+    const currency = currencyService.resolveCode(campaignCurrency);
+
     if (!creator.pricing || !creator.pricing[creator.primary_platform]) {
       return {
         estimated: true,
         cost: budgetPerCreator || "Contact for pricing",
-        currency: "USD",
+        currency,
         fits_budget: budgetPerCreator ? true : null,
       };
     }
@@ -1110,19 +1448,43 @@ Provide the output in JSON only, no suufix/prefix to be added in the response
 
     const multiplier = campaignMultipliers[campaignType] || 1.0;
     const estimatedCost = baseCost * multiplier;
+    const pricingCurrency = currencyService.resolveCode(pricing.currency);
+    const convertedCost = currencyService.convert(
+      estimatedCost,
+      pricingCurrency,
+      currency,
+      fxRates
+    );
+    const breakdown = {
+      base_rate: baseCost,
+      campaign_multiplier: multiplier,
+      campaign_type: campaignType,
+    };
+
+    // Without an exchange rate the cost stays in the creator's currency and can't be checked
+    if (convertedCost === null) {
+      return {
+        estimated: true,
+        cost: estimatedCost,
+        currency: pricingCurrency,
+        fits_budget: null,
+        fx_rate_missing: true,
+        breakdown,
+      };
+    }
 
     return {
       estimated: true,
-      cost: estimatedCost,
-      currency: pricing.currency || "USD",
+      cost: convertedCost,
+      currency,
+      ...(pricingCurrency !== currency && {
+        original_cost: estimatedCost,
+        original_currency: pricingCurrency,
+      }),
       fits_budget: budgetPerCreator
-        ? estimatedCost <= budgetPerCreator * 1.1
+        ? convertedCost <= budgetPerCreator * 1.1
         : null,
-      breakdown: {
-        base_rate: baseCost,
-        campaign_multiplier: multiplier,
-        campaign_type: campaignType,
-      },
+      breakdown,
     };
   }
 
@@ -0,0 +1,424 @@
+// services/campaigns/performanceService.js
+const { Pool } = require('pg')
+const { Readable } = require('stream')
+const csv = require('csv-parser')
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+const campaignService = require('./campaignService')
+const currencyService = require('../currency/currencyService')
+
+const {
+  COUNT_FIELDS,
+  AMOUNT_FIELDS,
+  ENGAGEMENT_FIELDS,
+  MAX_ROWS_PER_UPLOAD
+} = __constants.CAMPAIGN_PERFORMANCE
+
+const METRIC_FIELDS = [...COUNT_FIELDS, ...AMOUNT_FIELDS]
+
+class PerformanceService {
+  constructor () {
+    this.pool = new Pool({
+      user: __config.postgres.user,
+      host: __config.postgres.host,
+      database: __config.postgres.database,
+      password: __config.postgres.password,
+      port: __config.postgres.port,
+      ssl: { rejectUnauthorized: false }
+    })
+  }
+
+  // Parse an uploaded CSV (one row per deliverable snapshot) into metric entries
+  async parseMetricsCsv (buffer) {
+    const rows = []
+
+    await new Promise((resolve, reject) => {
+      Readable.from(buffer)
+        .pipe(
+          csv({
+            mapHeaders: ({ header }) =>
+              header.trim().toLowerCase().replace(/\s+/g, '_')
+          })
+        )
+        .on('data', (row) => rows.push(row))
+        .on('end', resolve)
+        .on('error', reject)
+    })
+
+    if (rows.length === 0) {
+      throw new Error('Invalid metrics: the CSV file has no rows')
+    }
+
+    if (rows.length > MAX_ROWS_PER_UPLOAD) {
+      throw new Error(`Invalid metrics: at most ${MAX_ROWS_PER_UPLOAD} rows per upload`)
+    }
+
+    return rows
+  }
+
+  // Validate one metrics entry and convert its values to numbers
+  normalizeEntry (entry) {
+    const errors = []
+    const normalized = {
+      deliverable_id: parseInt(entry.deliverable_id),
+      recorded_at: entry.recorded_at ? new Date(entry.recorded_at) : new Date(),
+      currency: entry.currency ? String(entry.currency).trim().toUpperCase() : null
+    }
+
+    if (isNaN(normalized.deliverable_id)) {
+      errors.push('deliverable_id is required')
+    }
+
+    if (isNaN(normalized.recorded_at)) {
+      errors.push('recorded_at is not a valid date')
+    }
+
+    let hasMetric = false
+    METRIC_FIELDS.forEach((field) => {
+      const raw = entry[field]
+      if (raw === undefined || raw === null || raw === '') {
+        normalized[field] = null
+        return
+      }
+
+      const value = Number(String(raw).replace(/,/g, ''))
+      if (isNaN(value) || value < 0) {
+        errors.push(`${field} must be a non-negative number`)
+        return
+      }
+
+      normalized[field] = COUNT_FIELDS.includes(field) ? Math.round(value) : value
+      hasMetric = true
+    })
+
+    if (!hasMetric) {
+      errors.push('at least one metric is required')
+    }
+
+    return { normalized, errors }
+  }
+
+  // Store metric snapshots for deliverables of a campaign (all rows or none)
+  async ingestMetrics (campaignId, userId, entries, source = 'api') {
+    const client = await this.pool.connect()
+
+    try {
+      await client.query('BEGIN')
+
+      const campaignResult = await client.query(
+        'SELECT id, currency FROM campaigns WHERE id = $1 AND is_active = true',
+        [campaignId]
+      )
+
+      if (campaignResult.rows.length === 0) {
+        throw new Error('Campaign not found')
+      }
+
+      const campaign = campaignResult.rows[0]
+
+      const deliverablesResult = await client.query(
+        'SELECT id, creator_id FROM campaign_deliverables WHERE campaign_id = $1',
+        [campaignId]
+      )
+      const creatorByDeliverable = new Map(
+        deliverablesResult.rows.map((d) => [d.id, d.creator_id])
+      )
+
+      const rowErrors = []
+      const normalizedEntries = entries.map((entry, index) => {
+        const { normalized, errors } = this.normalizeEntry(entry)
+
+        if (!isNaN(normalized.deliverable_id) && !creatorByDeliverable.has(normalized.deliverable_id)) {
+          errors.push(`deliverable ${normalized.deliverable_id} is not part of this campaign`)
+        }
+
+        if (errors.length > 0) {
+          rowErrors.push(`row ${index + 1}: ${errors.join(', ')}`)
+        }
+
+        return normalized
+      })
+
+      if (rowErrors.length > 0) {
+        throw new Error(
+          `Invalid metrics: ${rowErrors.slice(0, 10).join('; ')}${rowErrors.length > 10 ? ` (and ${rowErrors.length - 10} more)` : ''}`
+        )
+      }
+
+      const inserted = []
+      for (const entry of normalizedEntries) {
+        const result = await client.query(
+          `
+          INSERT INTO deliverable_performance_metrics (
+            deliverable_id, campaign_id, creator_id, ${METRIC_FIELDS.join(', ')},
+            currency, recorded_at, source, created_by_user_id
+          ) VALUES (${Array.from({ length: METRIC_FIELDS.length + 7 }, (_, i) => `$${i + 1}`).join(', ')})
+          RETURNING *
+        `,
+          [
+            entry.deliverable_id,
+            campaignId,
+            creatorByDeliverable.get(entry.deliverable_id),
+            ...METRIC_FIELDS.map((field) => entry[field]),
+            entry.currency || campaign.currency || 'USD',
+            entry.recorded_at,
+            source,
+            userId
+          ]
+        )
+        inserted.push(result.rows[0])
+      }
+
+      await client.query('COMMIT')
+
+      return { inserted: inserted.length, metrics: inserted }
+    } catch (error) {
+      await client.query('ROLLBACK')
+      console.error('Error ingesting performance metrics:', error)
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  // Latest snapshot of every deliverable of a campaign
+  async getLatestMetrics (campaignId) {
+    const result = await this.pool.query(
+      `
+      SELECT DISTINCT ON (m.deliverable_id)
+             m.*, d.platform, d.format, d.post_url, cr.creator_name, cr.username
+      FROM deliverable_performance_metrics m
+      JOIN campaign_deliverables d ON m.deliverable_id = d.id
+      JOIN creators cr ON m.creator_id = cr.id
+      WHERE m.campaign_id = $1
+      ORDER BY m.deliverable_id, m.recorded_at DESC, m.id DESC
+    `,
+      [campaignId]
+    )
+    return result.rows
+  }
+
+  // Sum metric snapshots. Amounts are converted to the given currency first; an amount
+  // total is null when a row's currency has no exchange rate.
+  sumMetrics (rows, currency, fxRates = null) {
+    const totals = {}
+    METRIC_FIELDS.forEach((field) => {
+      const values = rows
+        .filter((row) => row[field] !== null && row[field] !== undefined)
+        .map((row) =>
+          AMOUNT_FIELDS.includes(field)
+            ? currencyService.convert(row[field], row.currency, currency, fxRates)
+            : parseFloat(row[field])
+        )
+
+      if (values.length === 0 || values.includes(null)) {
+        totals[field] = null
+        return
+      }
+
+      const total = values.reduce((sum, value) => sum + value, 0)
+      totals[field] = AMOUNT_FIELDS.includes(field) ? Math.round(total * 100) / 100 : total
+    })
+    return totals
+  }
+
+  // Cost and efficiency KPIs from summed metrics (null when a denominator is missing)
+  computeKpis (totals) {
+    const ratio = (numerator, denominator, multiplier = 1) =>
+      numerator !== null && denominator
+        ? Math.round((numerator / denominator) * multiplier * 10000) / 10000
+        : null
+
+    const engagementValues = ENGAGEMENT_FIELDS.map((field) => totals[field])
+    const engagements = engagementValues.some((value) => value !== null)
+      ? engagementValues.reduce((sum, value) => sum + (value || 0), 0)
+      : null
+    const reach = totals.impressions || totals.views
+
+    return {
+      engagements,
+      cpm: ratio(totals.spend, totals.impressions, 1000),
+      cpe: ratio(totals.spend, engagements),
+      cpa: ratio(totals.spend, totals.conversions),
+      cpc: ratio(totals.spend, totals.clicks),
+      roi:
+        totals.revenue !== null && totals.spend
+          ? Math.round(((totals.revenue - totals.spend) / totals.spend) * 10000) / 10000
+          : null,
+      engagement_rate: ratio(engagements, reach, 100),
+      click_through_rate: ratio(totals.clicks, reach, 100),
+      conversion_rate: ratio(totals.conversions, totals.clicks, 100)
+    }
+  }
+
+  // Performance per creator and for the whole campaign, with amounts in the campaign currency
+  async getPerformanceSummary (campaignId, fxRates = null) {
+    try {
+      const latest = await this.getLatestMetrics(campaignId)
+      const currency = await currencyService.getCampaignCurrency(campaignId)
+      const currencies = [...new Set(latest.map((row) => row.currency).filter(Boolean))]
+      const rates = fxRates || (currencies.some((code) => code !== currency)
+        ? await currencyService.getRatesOrNull()
+        : null)
+
+      const rowsByCreator = new Map()
+      latest.forEach((row) => {
+        const key = String(row.creator_id)
+        if (!rowsByCreator.has(key)) rowsByCreator.set(key, [])
+        rowsByCreator.get(key).push(row)
+      })
+
+      const creators = Array.from(rowsByCreator.entries()).map(([creatorId, rows]) => {
+        const totals = this.sumMetrics(rows, currency, rates)
+        return {
+          creator_id: creatorId,
+          creator_name: rows[0].creator_name,
+          username: rows[0].username,
+          deliverables_reported: rows.length,
+          last_recorded_at: rows.reduce(
+            (latestDate, row) => (row.recorded_at > latestDate ? row.recorded_at : latestDate),
+            rows[0].recorded_at
+          ),
+          totals,
+          kpis: this.computeKpis(totals)
+        }
+      })
+
+      const campaignTotals = this.sumMetrics(latest, currency, rates)
+
+      return {
+        campaign_id: campaignId,
+        currency,
+        currencies,
+        deliverables_reported: latest.length,
+        totals: campaignTotals,
+        kpis: this.computeKpis(campaignTotals),
+        creators,
+        deliverables: latest
+      }
+    } catch (error) {
+      console.error('Error getting campaign performance:', error)
+      throw error
+    }
+  }
+
+  // Pearson correlation of two equal-length series (null with fewer than 3 points)
+  correlation (xs, ys) {
+    if (xs.length < 3) return null
+
+    const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length
+    const meanX = mean(xs)
+    const meanY = mean(ys)
+
+    let covariance = 0
+    let varianceX = 0
+    let varianceY = 0
+    xs.forEach((x, i) => {
+      covariance += (x - meanX) * (ys[i] - meanY)
+      varianceX += (x - meanX) ** 2
+      varianceY += (ys[i] - meanY) ** 2
+    })
+
+    if (varianceX === 0 || varianceY === 0) return null
+    return Math.round((covariance / Math.sqrt(varianceX * varianceY)) * 10000) / 10000
+  }
+
+  // Compare actual results with the estimated cost and fit score of the stored recommendations
+  async getRecommendationReport (campaignId, userId, userRole) {
+    try {
+      const campaign = await campaignService.getCampaignById(
+        campaignId,
+        userId,
+        userRole
+      )
+
+      if (!campaign) {
+        throw new Error('Campaign not found')
+      }
+
+      const recommendations =
+        campaign.ai_recommended_influencers?.recommendations || []
+      const recommendationByCreator = new Map()
+      recommendations.forEach((recommendation, index) => {
+        const creatorId = recommendation.creator_data?.id
+        if (creatorId) {
+          recommendationByCreator.set(String(creatorId), { ...recommendation, rank: index + 1 })
+        }
+      })
+
+      const fxRates = await currencyService.getRatesOrNull()
+      const summary = await this.getPerformanceSummary(campaignId, fxRates)
+
+      const creators = summary.creators.map((creator) => {
+        const recommendation = recommendationByCreator.get(creator.creator_id)
+        // Estimates without a currency were made in the campaign currency
+        const estimatedCost = recommendation?.estimated_cost
+          ? currencyService.convert(
+            recommendation.estimated_cost.cost,
+            recommendation.estimated_cost.currency || summary.currency,
+            summary.currency,
+            fxRates
+          )
+          : null
+        const actualSpend = creator.totals.spend
+
+        return {
+          ...creator,
+          recommended: !!recommendation,
+          recommendation_rank: recommendation?.rank || null,
+          campaign_fit_score: recommendation?.campaign_fit_score ?? null,
+          score_breakdown: recommendation?.score_breakdown || null,
+          estimated_cost: estimatedCost,
+          actual_spend: actualSpend,
+          cost_variance:
+            estimatedCost !== null && estimatedCost > 0 && actualSpend !== null
+              ? Math.round(((actualSpend - estimatedCost) / estimatedCost) * 10000) / 10000
+              : null
+        }
+      })
+
+      // How well the fit score predicted results, across recommended creators with data
+      const scored = creators.filter((c) => c.campaign_fit_score !== null)
+      const correlationWith = (kpi) => {
+        const points = scored.filter((c) => c.kpis[kpi] !== null)
+        return this.correlation(
+          points.map((c) => c.campaign_fit_score),
+          points.map((c) => c.kpis[kpi])
+        )
+      }
+
+      const withVariance = creators.filter((c) => c.cost_variance !== null)
+
+      return {
+        campaign_id: campaignId,
+        scoring_version: campaign.ai_recommended_influencers?.scoring_version || null,
+        currency: summary.currency,
+        campaign_totals: { totals: summary.totals, kpis: summary.kpis },
+        recommender_evaluation: {
+          recommended_creators: recommendationByCreator.size,
+          recommended_with_results: scored.length,
+          non_recommended_with_results: creators.length - scored.length,
+          fit_score_correlation: {
+            engagement_rate: correlationWith('engagement_rate'),
+            roi: correlationWith('roi'),
+            cpe: correlationWith('cpe')
+          },
+          average_cost_variance:
+            withVariance.length > 0
+              ? Math.round(
+                (withVariance.reduce((sum, c) => sum + c.cost_variance, 0) / withVariance.length) * 10000
+              ) / 10000
+              : null
+        },
+        creators: creators.sort(
+          (a, b) => (b.campaign_fit_score ?? -1) - (a.campaign_fit_score ?? -1)
+        )
+      }
+    } catch (error) {
+      console.error('Error building performance report:', error)
+      throw error
+    }
+  }
+}
+
+module.exports = new PerformanceService()
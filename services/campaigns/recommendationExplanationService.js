@@ -0,0 +1,278 @@
+// services/campaigns/recommendationExplanationService.js
+const __constants = require('../../config/constants')
+const campaignService = require('./campaignService')
+const competitorConflictService = require('./competitorConflictService')
+const creatorService = require('../creators/creatorService')
+const creatorAvailabilityService = require('../creators/creatorAvailabilityService')
+const brandService = require('../brands/brandService')
+const currencyService = require('../currency/currencyService')
+const embeddingService = require('../ai/embeddingService')
+const vectorSearchService = require('../search/vectorSearchService')
+
+// Search filters behind the Pinecone range conditions; other conditions use the filter's own name
+const RANGE_FILTERS = {
+  follower_count: { $gte: 'min_followers', $lte: 'max_followers' },
+  engagement_rate: { $gte: 'min_engagement_rate', $lte: 'max_engagement_rate' },
+  sponsored_post_rate: { $gte: 'min_budget', $lte: 'max_budget' },
+  client_satisfaction_score: { $gte: 'min_satisfaction_score' },
+  follower_growth_30d: { $gte: 'min_follower_growth_30d' },
+  authenticity_risk_score: { $lte: 'max_authenticity_risk' }
+}
+
+const OPERATOR_LABELS = { $eq: '=', $gte: '>=', $lte: '<=' }
+
+class RecommendationExplanationService {
+  // Campaign search filters, checked the way Pinecone applies them to the creator's metadata
+  checkSearchFilters (filters, sources, metadata) {
+    const checks = vectorSearchService
+      .evaluatePineconeFilter(vectorSearchService.buildPineconeFilter(filters), metadata)
+      .map((check) => {
+        const filter = RANGE_FILTERS[check.field]?.[check.operator] || check.field
+        return { ...check, filter, source: sources[filter] || null }
+      })
+
+    return {
+      stage: 'search_filters',
+      passed: checks.every((check) => check.passed),
+      reasons: checks
+        .filter((check) => !check.passed)
+        .map(
+          (check) =>
+            `Filter ${check.filter} (${check.source || 'search query'}) requires ${check.field} ${
+              OPERATOR_LABELS[check.operator]
+            } ${check.expected}, creator has ${check.actual === null ? 'no value' : check.actual}`
+        ),
+      checks
+    }
+  }
+
+  // Similarity of the creator to the campaign's search query
+  checkSearchRelevance (match) {
+    if (!match) {
+      return {
+        stage: 'search_relevance',
+        passed: null,
+        reasons: ['Search relevance could not be computed; vector search is unavailable'],
+        similarity_score: null,
+        min_score: vectorSearchService.minScore
+      }
+    }
+
+    let reasons = []
+    if (!match.indexed) {
+      reasons = ['Creator has no embedding in the search index and can only be found by keyword search']
+    } else if (match.similarity_score < vectorSearchService.minScore) {
+      reasons = [
+        `Similarity to the search query (${campaignService.roundScore(match.similarity_score)}) is below the minimum of ${vectorSearchService.minScore}`
+      ]
+    }
+
+    return {
+      stage: 'search_relevance',
+      passed: reasons.length === 0,
+      reasons,
+      similarity_score: match.similarity_score,
+      min_score: vectorSearchService.minScore
+    }
+  }
+
+  // Rank the creator would take among the saved recommendations of the campaign
+  rankAmongRecommendations (scored, savedRecommendations) {
+    const creatorId = String(scored.creator_data.id)
+    const others = savedRecommendations.filter(
+      (recommendation) =>
+        String(recommendation.creator_data?.id || recommendation.creator_id || '') !== creatorId
+    )
+
+    const ahead = others.filter(
+      (recommendation) =>
+        recommendation.campaign_fit_score > scored.campaign_fit_score ||
+        (recommendation.campaign_fit_score === scored.campaign_fit_score &&
+          String(recommendation.creator_data?.id || recommendation.creator_id || '').localeCompare(creatorId) < 0)
+    )
+
+    return { rank: ahead.length + 1, out_of: others.length + 1 }
+  }
+
+  // Run one creator through the campaign's recommendation pipeline and report
+  // which stage drops them, their score breakdown and their rank if added manually
+  async explainCreator (campaignId, creatorId, userId, userRole) {
+    try {
+      const campaign = await campaignService.getCampaignById(campaignId, userId, userRole)
+
+      if (!campaign) {
+        throw new Error('Campaign not found')
+      }
+
+      const creator = await creatorService.getCreatorById(creatorId)
+
+      if (!creator) {
+        throw new Error('Creator not found')
+      }
+
+      const brand = await brandService.getBrandById(campaign.brand_id, true)
+
+      if (!brand) {
+        throw new Error('Brand not found')
+      }
+
+      const saved = campaign.ai_recommended_influencers || {}
+      const savedRecommendations = Array.isArray(saved.recommendations) ? saved.recommendations : []
+
+      // Same inputs as the recommendation pipeline
+      const preferences = await campaignService.getBrandPreferencesForRecommendations(brand)
+      const fxRates = await currencyService.getRatesOrNull()
+      const { filters, sources } = campaignService.buildSearchFilters(
+        campaign,
+        brand,
+        preferences,
+        fxRates
+      )
+
+      // Reuse the saved search query so the explanation matches the saved list
+      let searchQuery = saved.search_query_used
+      if (!searchQuery) {
+        const productData = campaign.product_id
+          ? { product_name: campaign.product_name, category: campaign.product_category }
+          : null
+        searchQuery = await campaignService.generateInfluencerSearchQuery(campaign, brand, productData)
+      }
+
+      let match = null
+      try {
+        match = await vectorSearchService.scoreCreatorForQuery(searchQuery, creator.id)
+      } catch (error) {
+        console.error('Vector search unavailable, explaining without search relevance:', error)
+      }
+
+      const stages = [
+        this.checkSearchFilters(
+          filters,
+          sources,
+          match?.metadata || embeddingService.generateCreatorMetadata(creator)
+        ),
+        this.checkSearchRelevance(match)
+      ]
+
+      // Scoring
+      const scoringWeights = campaignService.getScoringWeightsForBrand(preferences)
+      const [scored] = await campaignService.scoreInfluencersForCampaign(
+        [{ search_score: match?.similarity_score ?? null, creator_data: creator }],
+        campaignService.applyPreferencesToCampaignData(campaign, preferences),
+        brand,
+        null,
+        scoringWeights,
+        fxRates
+      )
+
+      // Competitor and exclusivity conflicts
+      const conflictRules = await competitorConflictService.getConflictRules(brand.id, preferences)
+      const conflictResult = await competitorConflictService.applyConflicts([scored], conflictRules)
+      const conflictIssues = conflictResult.recommendations[0]?.conflicts ||
+        conflictResult.summary?.excluded[0]?.conflicts ||
+        []
+
+      stages.push({
+        stage: 'competitor_conflicts',
+        passed: conflictResult.recommendations.length > 0,
+        handling: conflictRules?.handling || null,
+        reasons: conflictIssues.map((conflict) => conflict.reason),
+        conflicts: conflictIssues
+      })
+
+      // Availability for the campaign dates
+      const availabilityResult = await creatorAvailabilityService.applyAvailability([scored], {
+        startDate: campaign.start_date,
+        endDate: campaign.end_date,
+        campaignId: campaign.id,
+        brandId: brand.id,
+        categories: conflictRules?.categories || []
+      })
+      const availabilityIssues = availabilityResult.recommendations[0]?.availability?.issues ||
+        availabilityResult.summary?.excluded[0]?.issues ||
+        []
+
+      stages.push({
+        stage: 'availability',
+        passed: availabilityResult.recommendations.length > 0,
+        reasons: availabilityIssues.map((issue) => issue.reason),
+        issues: availabilityIssues
+      })
+
+      // Budget
+      const withinBudget = campaignService.filterByBudget([scored], campaign.budget, campaign.currency).length > 0
+
+      stages.push({
+        stage: 'budget',
+        passed: withinBudget,
+        reasons: withinBudget
+          ? []
+          : [
+              `Estimated cost ${scored.estimated_cost.cost} ${scored.estimated_cost.currency} exceeds the campaign budget of ${campaign.budget} by more than 20%`
+          ],
+        estimated_cost: scored.estimated_cost,
+        campaign_budget: campaign.budget
+      })
+
+      // Result limit of the saved list
+      const { SAVED_RECOMMENDATIONS_LIMIT, VERSION } = __constants.RECOMMENDATION_SCORING
+      const rankIfAdded = this.rankAmongRecommendations(scored, savedRecommendations)
+      const withinLimit = rankIfAdded.rank <= SAVED_RECOMMENDATIONS_LIMIT
+
+      stages.push({
+        stage: 'result_limit',
+        passed: withinLimit,
+        reasons: withinLimit
+          ? []
+          : [`Ranks ${rankIfAdded.rank}, below the top ${SAVED_RECOMMENDATIONS_LIMIT} recommendations that are kept`],
+        limit: SAVED_RECOMMENDATIONS_LIMIT
+      })
+
+      const excludedAt = stages.find((stage) => stage.passed === false)
+      const currentIndex = savedRecommendations.findIndex(
+        (recommendation) =>
+          String(recommendation.creator_data?.id || recommendation.creator_id || '') === String(creator.id)
+      )
+
+      return {
+        campaign_id: campaign.id,
+        creator: {
+          id: creator.id,
+          creator_name: creator.creator_name,
+          niche: creator.niche,
+          tier: creator.tier,
+          primary_platform: creator.primary_platform
+        },
+        currently_recommended: currentIndex !== -1,
+        current_rank: currentIndex !== -1 ? currentIndex + 1 : null,
+        would_be_recommended: !excludedAt,
+        excluded_at_stage: excludedAt ? excludedAt.stage : null,
+        stages,
+        score: {
+          campaign_fit_score: scored.campaign_fit_score,
+          score_breakdown: scored.score_breakdown,
+          score_details: scored.score_details,
+          data_completeness: scored.data_completeness,
+          scoring_weights: scoringWeights,
+          recommendation_reasons: scored.recommendation_reasons,
+          scoring_version: VERSION
+        },
+        rank_if_added: {
+          ...rankIfAdded,
+          // Ranks are only comparable when the saved list used the same scoring
+          comparable: savedRecommendations.length === 0 || saved.scoring_version === VERSION,
+          saved_scoring_version: saved.scoring_version || null
+        },
+        search_query_used: searchQuery,
+        filters_applied: filters,
+        filter_sources: sources,
+        generated_at: new Date().toISOString()
+      }
+    } catch (error) {
+      console.error('Error explaining creator recommendation:', error)
+      throw error
+    }
+  }
+}
+
+module.exports = new RecommendationExplanationService()
@@ -0,0 +1,443 @@
+// services/campaigns/trackingLinkService.js
+const { Pool } = require('pg')
+const crypto = require('crypto')
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+const deliverableService = require('./deliverableService')
+
+const {
+  CODE_ALPHABET,
+  SHORT_CODE_LENGTH,
+  PROMO_CODE_SUFFIX_LENGTH,
+  REDIRECT_PATH
+} = __constants.TRACKING_LINKS
+
+// Attempts at generating a code before giving up on unique-key collisions
+const MAX_CODE_ATTEMPTS = 5
+
+class TrackingLinkService {
+  constructor () {
+    this.pool = new Pool({
+      user: __config.postgres.user,
+      host: __config.postgres.host,
+      database: __config.postgres.database,
+      password: __config.postgres.password,
+      port: __config.postgres.port,
+      ssl: { rejectUnauthorized: false }
+    })
+  }
+
+  // Random code from the unambiguous alphabet
+  generateCode (length) {
+    let code = ''
+    for (let i = 0; i < length; i++) {
+      code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]
+    }
+    return code
+  }
+
+  // Promo code built from the creator's handle, e.g. JANEDOE7K2P
+  generatePromoCode (creator, prefix) {
+    const base = (prefix || creator.username || creator.creator_name || 'CREATOR')
+      .toUpperCase()
+      .replace(/[^A-Z0-9]/g, '')
+      .slice(0, 12)
+    return `${base}${this.generateCode(PROMO_CODE_SUFFIX_LENGTH)}`
+  }
+
+  // Public URL of a short code
+  buildTrackingUrl (shortCode) {
+    const apiPrefix = __config.addBaseUrlPrefix === true ? '/' + __config.api_prefix : ''
+    const baseUrl = __config.tracking.linkBaseUrl || `${__config.base_url}${apiPrefix}${REDIRECT_PATH}`
+    return `${baseUrl.replace(/\/$/, '')}/${shortCode}`
+  }
+
+  // Add the public URL to a stored link
+  formatLink (link) {
+    return link ? { ...link, tracking_url: this.buildTrackingUrl(link.short_code) } : null
+  }
+
+  // One-way hash of a visitor IP so clicks can be de-duplicated without storing the address.
+  // The salt is a setting of its own so it never doubles as another secret.
+  hashIp (ip) {
+    if (!ip) return null
+
+    if (!__config.tracking.ipHashSalt) {
+      throw new Error('TRACKING_IP_HASH_SALT must be set to record tracking link clicks')
+    }
+
+    return crypto.createHash('sha256').update(`${__config.tracking.ipHashSalt}:${ip}`).digest('hex')
+  }
+
+  // Check a destination is an absolute http(s) URL
+  validateDestinationUrl (url) {
+    let parsed
+    try {
+      parsed = new URL(url)
+    } catch (error) {
+      throw new Error(`Invalid tracking link: '${url}' is not a valid URL`)
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error('Invalid tracking link: destination must be an http or https URL')
+    }
+
+    return parsed.toString()
+  }
+
+  // Pick the destination of new links: explicit URL, then the campaign product, then the brand website
+  async resolveDestinationUrl (campaignId, destinationUrl = null) {
+    if (destinationUrl) {
+      return this.validateDestinationUrl(destinationUrl)
+    }
+
+    const result = await this.pool.query(
+      `
+      SELECT p.product_url, b.website_url
+      FROM campaigns c
+      JOIN brands b ON c.brand_id = b.id
+      LEFT JOIN products p ON c.product_id = p.id
+      WHERE c.id = $1 AND c.is_active = true
+    `,
+      [campaignId]
+    )
+
+    if (result.rows.length === 0) {
+      throw new Error('Campaign not found')
+    }
+
+    const { product_url: productUrl, website_url: websiteUrl } = result.rows[0]
+    if (!productUrl && !websiteUrl) {
+      throw new Error(
+        'Invalid tracking link: destination_url is required when the campaign has no product or brand website URL'
+      )
+    }
+
+    return this.validateDestinationUrl(productUrl || websiteUrl)
+  }
+
+  // Get the link of a campaign-creator pair
+  async getLink (campaignId, creatorId) {
+    const result = await this.pool.query(
+      'SELECT * FROM campaign_tracking_links WHERE campaign_id = $1 AND creator_id = $2',
+      [campaignId, creatorId]
+    )
+    return this.formatLink(result.rows[0])
+  }
+
+  // Insert a value generated per attempt, retrying on unique-key collisions
+  async insertWithUniqueCode (buildQuery) {
+    for (let attempt = 1; attempt <= MAX_CODE_ATTEMPTS; attempt++) {
+      try {
+        const { text, values } = buildQuery()
+        const result = await this.pool.query(text, values)
+        return result.rows[0]
+      } catch (error) {
+        if (error.code !== '23505' || attempt === MAX_CODE_ATTEMPTS) {
+          throw error
+        }
+      }
+    }
+  }
+
+  // Create links (and optionally promo codes) for creators of a campaign.
+  // Pairs that already have a link keep it; a missing promo code is added on request.
+  async createLinks (campaignId, userId, creatorIds, options = {}) {
+    try {
+      const destinationUrl = await this.resolveDestinationUrl(
+        campaignId,
+        options.destination_url
+      )
+
+      const creatorsResult = await this.pool.query(
+        'SELECT id, username, creator_name FROM creators WHERE id::text = ANY($1)',
+        [creatorIds.map(String)]
+      )
+      const creatorsById = new Map(
+        creatorsResult.rows.map((creator) => [String(creator.id), creator])
+      )
+
+      const unknown = creatorIds.filter((id) => !creatorsById.has(String(id)))
+      if (unknown.length > 0) {
+        throw new Error(`Invalid tracking link: unknown creator(s) ${unknown.join(', ')}`)
+      }
+
+      const links = []
+      let created = 0
+
+      for (const creator of creatorsById.values()) {
+        let link = await this.getLink(campaignId, creator.id)
+
+        if (!link) {
+          const row = await this.insertWithUniqueCode(() => ({
+            text: `
+              INSERT INTO campaign_tracking_links (
+                campaign_id, creator_id, short_code, destination_url, promo_code, created_by_user_id
+              ) VALUES ($1, $2, $3, $4, $5, $6)
+              ON CONFLICT (campaign_id, creator_id) DO NOTHING
+              RETURNING *
+            `,
+            values: [
+              campaignId,
+              creator.id,
+              this.generateCode(SHORT_CODE_LENGTH),
+              destinationUrl,
+              options.promo_code ? this.generatePromoCode(creator, options.promo_code_prefix) : null,
+              userId
+            ]
+          }))
+
+          // A concurrent request may have created the pair's link first
+          link = row ? this.formatLink(row) : await this.getLink(campaignId, creator.id)
+          if (row) created++
+        } else if (options.promo_code && !link.promo_code) {
+          const row = await this.insertWithUniqueCode(() => ({
+            text: 'UPDATE campaign_tracking_links SET promo_code = $1 WHERE id = $2 RETURNING *',
+            values: [this.generatePromoCode(creator, options.promo_code_prefix), link.id]
+          }))
+          link = this.formatLink(row)
+        }
+
+        links.push({ ...link, creator_name: creator.creator_name, username: creator.username })
+      }
+
+      return { links, created, existing: links.length - created }
+    } catch (error) {
+      console.error('Error creating tracking links:', error)
+      throw error
+    }
+  }
+
+  // Get the links of a campaign with their click counts
+  async getLinksForCampaign (campaignId) {
+    try {
+      const result = await this.pool.query(
+        `
+        SELECT l.*, cr.creator_name, cr.username,
+               COUNT(k.id)::int as clicks,
+               COUNT(DISTINCT k.ip_hash)::int as unique_visitors,
+               MAX(k.clicked_at) as last_clicked_at
+        FROM campaign_tracking_links l
+        JOIN creators cr ON l.creator_id = cr.id
+        LEFT JOIN tracking_link_clicks k ON k.tracking_link_id = l.id
+        WHERE l.campaign_id = $1
+        GROUP BY l.id, cr.creator_name, cr.username
+        ORDER BY l.created_at ASC
+      `,
+        [campaignId]
+      )
+
+      return result.rows.map((link) => this.formatLink(link))
+    } catch (error) {
+      console.error('Error getting tracking links:', error)
+      throw error
+    }
+  }
+
+  // Turn a link on or off (inactive links stop redirecting)
+  async setLinkActive (campaignId, creatorId, isActive) {
+    try {
+      const result = await this.pool.query(
+        'UPDATE campaign_tracking_links SET is_active = $1 WHERE campaign_id = $2 AND creator_id = $3 RETURNING *',
+        [isActive, campaignId, creatorId]
+      )
+
+      if (result.rows.length === 0) {
+        throw new Error('Tracking link not found')
+      }
+
+      return this.formatLink(result.rows[0])
+    } catch (error) {
+      console.error('Error updating tracking link:', error)
+      throw error
+    }
+  }
+
+  // Log a redirect and return where to send the visitor (null when the code is unknown or inactive)
+  async recordClick (shortCode, visitor = {}) {
+    const result = await this.pool.query(
+      `
+      SELECT l.id, l.campaign_id, l.creator_id, l.destination_url
+      FROM campaign_tracking_links l
+      JOIN campaigns c ON l.campaign_id = c.id
+      WHERE l.short_code = $1 AND l.is_active = true AND c.is_active = true
+    `,
+      [shortCode]
+    )
+
+    const link = result.rows[0]
+    if (!link) return null
+
+    // A failed insert must not break the visitor's redirect
+    try {
+      await this.pool.query(
+        `
+        INSERT INTO tracking_link_clicks (
+          tracking_link_id, campaign_id, creator_id, referrer, user_agent, ip_hash
+        ) VALUES ($1, $2, $3, $4, $5, $6)
+      `,
+        [
+          link.id,
+          link.campaign_id,
+          link.creator_id,
+          visitor.referrer ? visitor.referrer.slice(0, 2000) : null,
+          visitor.userAgent ? visitor.userAgent.slice(0, 1000) : null,
+          this.hashIp(visitor.ip)
+        ]
+      )
+    } catch (error) {
+      console.error('Error recording tracking link click:', error)
+    }
+
+    return link.destination_url
+  }
+
+  // Aggregated clicks for a campaign: totals, per creator, per day and top referrers
+  async getClickReport (campaignId, filters = {}) {
+    try {
+      const conditions = ['k.campaign_id = $1']
+      const values = [campaignId]
+
+      if (filters.from) {
+        values.push(filters.from)
+        conditions.push(`k.clicked_at >= $${values.length}`)
+      }
+
+      if (filters.to) {
+        values.push(filters.to)
+        conditions.push(`k.clicked_at < $${values.length}::date + INTERVAL '1 day'`)
+      }
+
+      const where = conditions.join(' AND ')
+
+      const [totals, byCreator, byDay, referrers] = await Promise.all([
+        this.pool.query(
+          `
+          SELECT COUNT(*)::int as clicks, COUNT(DISTINCT k.ip_hash)::int as unique_visitors,
+                 MIN(k.clicked_at) as first_click_at, MAX(k.clicked_at) as last_click_at
+          FROM tracking_link_clicks k
+          WHERE ${where}
+        `,
+          values
+        ),
+        this.pool.query(
+          `
+          SELECT l.creator_id, cr.creator_name, cr.username, l.short_code, l.promo_code,
+                 COUNT(k.id)::int as clicks, COUNT(DISTINCT k.ip_hash)::int as unique_visitors
+          FROM campaign_tracking_links l
+          JOIN creators cr ON l.creator_id = cr.id
+          LEFT JOIN tracking_link_clicks k ON k.tracking_link_id = l.id AND ${where}
+          WHERE l.campaign_id = $1
+          GROUP BY l.creator_id, cr.creator_name, cr.username, l.short_code, l.promo_code
+          ORDER BY clicks DESC
+        `,
+          values
+        ),
+        this.pool.query(
+          `
+          SELECT DATE(k.clicked_at) as date, COUNT(*)::int as clicks,
+                 COUNT(DISTINCT k.ip_hash)::int as unique_visitors
+          FROM tracking_link_clicks k
+          WHERE ${where}
+          GROUP BY DATE(k.clicked_at)
+          ORDER BY date ASC
+        `,
+          values
+        ),
+        this.pool.query(
+          `
+          SELECT COALESCE(NULLIF(SUBSTRING(k.referrer FROM '^[a-z]+://([^/:?#]+)'), ''), 'direct') as referrer,
+                 COUNT(*)::int as clicks
+          FROM tracking_link_clicks k
+          WHERE ${where}
+          GROUP BY 1
+          ORDER BY clicks DESC
+          LIMIT 10
+        `,
+          values
+        )
+      ])
+
+      return {
+        campaign_id: campaignId,
+        period: { from: filters.from || null, to: filters.to || null },
+        totals: totals.rows[0],
+        by_creator: byCreator.rows.map((row) => ({
+          ...row,
+          tracking_url: this.buildTrackingUrl(row.short_code)
+        })),
+        by_day: byDay.rows,
+        top_referrers: referrers.rows
+      }
+    } catch (error) {
+      console.error('Error getting tracking link click report:', error)
+      throw error
+    }
+  }
+
+  // Brief for one creator: campaign requirements with their personal link and promo code
+  async getCreatorBrief (campaignId, creatorId, userId) {
+    try {
+      const campaignResult = await this.pool.query(
+        `
+        SELECT c.campaign_name, c.campaign_type, c.description, c.objectives,
+               c.content_guidelines, c.hashtags, c.mention_requirements,
+               c.start_date, c.end_date, b.brand_name
+        FROM campaigns c
+        JOIN brands b ON c.brand_id = b.id
+        WHERE c.id = $1 AND c.is_active = true
+      `,
+        [campaignId]
+      )
+
+      if (campaignResult.rows.length === 0) {
+        throw new Error('Campaign not found')
+      }
+
+      const campaign = campaignResult.rows[0]
+
+      let link = await this.getLink(campaignId, creatorId)
+      if (!link) {
+        const { links } = await this.createLinks(campaignId, userId, [creatorId])
+        link = links[0]
+      }
+
+      const { deliverables } = await deliverableService.getDeliverables(campaignId, {
+        creator_id: creatorId
+      })
+
+      const hashtags = Array.isArray(campaign.hashtags) ? campaign.hashtags : []
+      const captionRequirements = [
+        hashtags.length > 0 ? `Hashtags: ${hashtags.join(' ')}` : null,
+        campaign.mention_requirements ? `Mentions: ${campaign.mention_requirements}` : null,
+        `Link: ${link.tracking_url}`,
+        link.promo_code ? `Promo code: ${link.promo_code}` : null
+      ].filter(Boolean)
+
+      return {
+        campaign_id: campaignId,
+        creator_id: creatorId,
+        ...campaign,
+        hashtags,
+        tracking_url: link.tracking_url,
+        promo_code: link.promo_code,
+        tracking_link_active: link.is_active,
+        caption_requirements: captionRequirements,
+        deliverables: deliverables.map((d) => ({
+          id: d.id,
+          platform: d.platform,
+          format: d.format,
+          description: d.description,
+          due_date: d.due_date,
+          required_hashtags: d.required_hashtags,
+          status: d.status
+        }))
+      }
+    } catch (error) {
+      console.error('Error building creator brief:', error)
+      throw error
+    }
+  }
+}
+
+module.exports = new TrackingLinkService()
@@ -0,0 +1,356 @@
+// services/creators/creatorAuthenticityService.js
+const { Pool } = require('pg')
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+const creatorMetricsHistoryService = require('./creatorMetricsHistoryService')
+
+const {
+  VERSION,
+  SIGNAL_WEIGHTS,
+  SIGNAL_RANGES,
+  FOLLOWER_JUMP_MAX_DAYS,
+  MIN_PEERS,
+  RISK_LEVELS,
+  WARNING_SIGNAL_RISK
+} = __constants.CREATOR_AUTHENTICITY
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+class CreatorAuthenticityService {
+  constructor () {
+    this.pool = new Pool({
+      user: __config.postgres.user,
+      host: __config.postgres.host,
+      database: __config.postgres.database,
+      password: __config.postgres.password,
+      port: __config.postgres.port,
+      ssl: { rejectUnauthorized: false }
+    })
+  }
+
+  toNumber (value) {
+    const number = parseFloat(value)
+    return isNaN(number) ? null : number
+  }
+
+  roundValue (value, decimals = 3) {
+    if (value === null) return null
+    const factor = Math.pow(10, decimals)
+    return Math.round(value * factor) / factor
+  }
+
+  // a / b, null when either is missing or b is not positive
+  ratio (a, b) {
+    const numerator = this.toNumber(a)
+    const denominator = this.toNumber(b)
+    if (numerator === null || denominator === null || denominator <= 0) return null
+
+    return numerator / denominator
+  }
+
+  median (values) {
+    if (values.length === 0) return null
+
+    const sorted = [...values].sort((a, b) => a - b)
+    const middle = Math.floor(sorted.length / 2)
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle]
+  }
+
+  // Risk (0-1) of a value against a signal range: 0 inside the healthy range,
+  // rising linearly to 1 at the full risk bounds
+  rangeRisk (value, range) {
+    if (value === null) return null
+
+    if (range.healthy_from !== undefined && value < range.healthy_from) {
+      const span = range.healthy_from - range.full_risk_below
+      return Math.min(1, (range.healthy_from - value) / span)
+    }
+
+    if (range.healthy_to !== undefined && value > range.healthy_to) {
+      const span = range.full_risk_above - range.healthy_to
+      return Math.min(1, (value - range.healthy_to) / span)
+    }
+
+    return 0
+  }
+
+  // Median engagement rate of the creator's tier/niche peers on a platform, falling back
+  // to tier-only peers when the niche has too few. Null without enough peers.
+  async getPeerEngagement (creatorId, platform, tier, niche) {
+    const groups = [
+      { name: 'tier_niche', tier, niche },
+      { name: 'tier', tier, niche: null }
+    ]
+
+    for (const group of groups) {
+      if (group.name === 'tier_niche' && !niche) continue
+
+      const values = [creatorId, platform, group.tier]
+      let nicheCondition = ''
+      if (group.niche) {
+        values.push(group.niche)
+        nicheCondition = 'AND c.niche = $4'
+      }
+
+      const result = await this.pool.query(
+        `
+        SELECT cpm.engagement_rate
+        FROM creator_platform_metrics cpm
+        JOIN creators c ON c.id = cpm.creator_id
+        WHERE cpm.creator_id <> $1 AND cpm.platform = $2
+          AND c.tier IS NOT DISTINCT FROM $3 ${nicheCondition}
+          AND cpm.engagement_rate > 0
+      `,
+        values
+      )
+
+      if (result.rows.length >= MIN_PEERS) {
+        return {
+          median: this.median(result.rows.map((row) => parseFloat(row.engagement_rate))),
+          peers: result.rows.length,
+          peer_group: group.name
+        }
+      }
+    }
+
+    return null
+  }
+
+  // Largest follower increase (%) between consecutive snapshots taken close together
+  findFollowerJump (snapshots = []) {
+    let largest = null
+    let pairsChecked = 0
+
+    for (let i = 1; i < snapshots.length; i++) {
+      const previous = snapshots[i - 1]
+      const current = snapshots[i]
+      const days =
+        (new Date(current.recorded_at).getTime() - new Date(previous.recorded_at).getTime()) / DAY_MS
+      const growth = this.ratio(
+        this.toNumber(current.follower_count) - this.toNumber(previous.follower_count),
+        previous.follower_count
+      )
+
+      if (days > FOLLOWER_JUMP_MAX_DAYS || growth === null) continue
+
+      pairsChecked++
+      if (largest === null || growth * 100 > largest) largest = growth * 100
+    }
+
+    return { value: largest, pairs_checked: pairsChecked }
+  }
+
+  // Risk level of a score
+  getRiskLevel (score) {
+    if (score === null) return null
+    if (score >= RISK_LEVELS.high) return 'high'
+    if (score >= RISK_LEVELS.medium) return 'medium'
+    return 'low'
+  }
+
+  // Authenticity risk of one platform from its metrics, peer engagement and snapshots.
+  // Signals without data are reported with null risk and left out of the score.
+  scorePlatform (metrics, peerEngagement = null, snapshots = []) {
+    const signals = {}
+    const addSignal = (name, value, extra = {}) => {
+      const risk = this.rangeRisk(value, SIGNAL_RANGES[name])
+      signals[name] = {
+        value: this.roundValue(value),
+        risk: this.roundValue(risk),
+        weight: SIGNAL_WEIGHTS[name],
+        ...extra
+      }
+    }
+
+    addSignal('views_to_followers', this.ratio(metrics.avg_views, metrics.follower_count))
+    addSignal('likes_to_comments', this.ratio(metrics.avg_likes, metrics.avg_comments))
+
+    if (peerEngagement) {
+      addSignal('engagement_vs_peers', this.ratio(metrics.engagement_rate, peerEngagement.median), {
+        peer_median: this.roundValue(peerEngagement.median),
+        peers: peerEngagement.peers,
+        peer_group: peerEngagement.peer_group
+      })
+    } else {
+      addSignal('engagement_vs_peers', null)
+    }
+
+    const jump = this.findFollowerJump(snapshots)
+    addSignal('follower_jumps', jump.value, { pairs_checked: jump.pairs_checked })
+
+    let weighted = 0
+    let knownWeight = 0
+    Object.values(signals).forEach((signal) => {
+      if (signal.risk === null) return
+      weighted += signal.risk * signal.weight
+      knownWeight += signal.weight
+    })
+
+    const score = knownWeight > 0 ? this.roundValue(weighted / knownWeight) : null
+
+    return {
+      risk_score: score,
+      risk_level: this.getRiskLevel(score),
+      signals
+    }
+  }
+
+  // Plain-language descriptions of the signals behind a platform's risk
+  describeSignals (signals = {}) {
+    const descriptions = []
+    const flagged = (name) => signals[name] && signals[name].risk >= WARNING_SIGNAL_RISK
+
+    if (flagged('views_to_followers')) {
+      descriptions.push(
+        `views are only ${this.roundValue(signals.views_to_followers.value * 100, 1)}% of followers`
+      )
+    }
+
+    if (flagged('likes_to_comments')) {
+      const { value } = signals.likes_to_comments
+      descriptions.push(
+        value > SIGNAL_RANGES.likes_to_comments.healthy_to
+          ? `unusually many likes per comment (${Math.round(value)}:1)`
+          : `unusually few likes per comment (${this.roundValue(value, 1)}:1)`
+      )
+    }
+
+    if (flagged('engagement_vs_peers')) {
+      const { value } = signals.engagement_vs_peers
+      descriptions.push(
+        `engagement ${value > 1 ? 'far above' : 'far below'} similar creators (${this.roundValue(value, 1)}x the median)`
+      )
+    }
+
+    if (flagged('follower_jumps')) {
+      descriptions.push(
+        `sudden follower jump of ${this.roundValue(signals.follower_jumps.value, 1)}% within ${FOLLOWER_JUMP_MAX_DAYS} days`
+      )
+    }
+
+    return descriptions
+  }
+
+  // Recommendation warnings for platforms with a medium or high authenticity risk
+  getWarnings (platformMetrics = {}) {
+    return Object.entries(platformMetrics || {})
+      .filter(([, metrics]) => ['medium', 'high'].includes(metrics?.authenticity_risk_level))
+      .map(([platform, metrics]) => {
+        const descriptions = this.describeSignals(metrics.authenticity_signals || {})
+        return `Warning: ${metrics.authenticity_risk_level} audience authenticity risk on ${platform}${
+          descriptions.length > 0 ? ` (${descriptions.join('; ')})` : ''
+        }`
+      })
+  }
+
+  // Score every platform of a creator and store the results on creator_platform_metrics
+  async scoreCreator (creatorId) {
+    try {
+      const result = await this.pool.query(
+        `
+        SELECT c.id, c.tier, c.niche, c.primary_platform,
+               cpm.platform, cpm.follower_count, cpm.avg_views, cpm.avg_likes,
+               cpm.avg_comments, cpm.engagement_rate, cpm.authenticity_risk_score
+        FROM creators c
+        JOIN creator_platform_metrics cpm ON cpm.creator_id = c.id
+        WHERE c.id = $1
+      `,
+        [creatorId]
+      )
+
+      if (result.rows.length === 0) {
+        const exists = await this.pool.query('SELECT id FROM creators WHERE id = $1', [creatorId])
+        if (exists.rows.length === 0) {
+          throw new Error('Creator not found')
+        }
+        return { creator_id: creatorId, primary_changed: false, platforms: [] }
+      }
+
+      const snapshots = await creatorMetricsHistoryService.loadSnapshots(this.pool, creatorId)
+      const platforms = []
+      let primaryChanged = false
+
+      for (const metrics of result.rows) {
+        const peerEngagement = await this.getPeerEngagement(
+          creatorId,
+          metrics.platform,
+          metrics.tier,
+          metrics.niche
+        )
+        const scored = this.scorePlatform(metrics, peerEngagement, snapshots[metrics.platform])
+
+        await this.pool.query(
+          `
+          UPDATE creator_platform_metrics
+          SET authenticity_risk_score = $3, authenticity_risk_level = $4,
+              authenticity_signals = $5, authenticity_scored_at = NOW()
+          WHERE creator_id = $1 AND platform = $2
+        `,
+          [
+            creatorId,
+            metrics.platform,
+            scored.risk_score,
+            scored.risk_level,
+            JSON.stringify({ version: VERSION, ...scored.signals })
+          ]
+        )
+
+        if (
+          metrics.platform === metrics.primary_platform &&
+          this.toNumber(metrics.authenticity_risk_score) !== scored.risk_score
+        ) {
+          primaryChanged = true
+        }
+
+        platforms.push({ platform: metrics.platform, ...scored })
+      }
+
+      return { creator_id: creatorId, primary_changed: primaryChanged, platforms }
+    } catch (error) {
+      console.error('Error scoring creator authenticity:', error)
+      throw error
+    }
+  }
+
+  // Rescore the given creators, or all creators with platform metrics
+  async recomputeScores (creatorIds = null) {
+    try {
+      let ids = creatorIds
+      if (!ids) {
+        const result = await this.pool.query(
+          'SELECT DISTINCT creator_id FROM creator_platform_metrics ORDER BY creator_id'
+        )
+        ids = result.rows.map((row) => row.creator_id)
+      }
+
+      const summary = {
+        scored: 0,
+        failed: 0,
+        risk_levels: { low: 0, medium: 0, high: 0, unknown: 0 },
+        primary_changed_ids: [],
+        errors: []
+      }
+
+      for (const creatorId of ids) {
+        try {
+          const scored = await this.scoreCreator(creatorId)
+          summary.scored++
+          scored.platforms.forEach((platform) => {
+            summary.risk_levels[platform.risk_level || 'unknown']++
+          })
+          if (scored.primary_changed) summary.primary_changed_ids.push(creatorId)
+        } catch (error) {
+          summary.failed++
+          summary.errors.push({ creator_id: creatorId, error: error.message })
+        }
+      }
+
+      return { scoring_version: VERSION, total: ids.length, ...summary }
+    } catch (error) {
+      console.error('Error recomputing creator authenticity scores:', error)
+      throw error
+    }
+  }
+}
+
+module.exports = new CreatorAuthenticityService()
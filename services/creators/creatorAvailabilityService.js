@@ -0,0 +1,389 @@
+// services/creators/creatorAvailabilityService.js
+const { Pool } = require('pg')
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+const campaignCalendarService = require('../campaigns/campaignCalendarService')
+
+const { WINDOW_STATUSES, BLOCKING_WINDOW_STATUSES, MAX_WINDOW_DAYS } =
+  __constants.CREATOR_AVAILABILITY
+const { COMMITTED_STAGES, EXCLUSIVITY_DAYS_AFTER_END } = __constants.COMPETITOR_CONFLICTS
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+class CreatorAvailabilityService {
+  constructor () {
+    this.pool = new Pool({
+      user: __config.postgres.user,
+      host: __config.postgres.host,
+      database: __config.postgres.database,
+      password: __config.postgres.password,
+      port: __config.postgres.port,
+      ssl: { rejectUnauthorized: false }
+    })
+  }
+
+  // YYYY-MM-DD of a date, date string or timestamp (null when it isn't a date)
+  toDay (value) {
+    if (!value) return null
+
+    if (value instanceof Date) {
+      if (isNaN(value)) return null
+      const pad = (number) => String(number).padStart(2, '0')
+      return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`
+    }
+
+    const match = String(value).match(/^(\d{4}-\d{2}-\d{2})/)
+    return match ? match[1] : null
+  }
+
+  // Whether two date ranges share a day; a missing end is open-ended
+  overlaps (startA, endA, startB, endB) {
+    return (!endB || startA <= endB) && (!endA || startB <= endA)
+  }
+
+  // Availability windows of a creator, optionally limited to a date range
+  async listWindows (creatorIds, range = {}) {
+    try {
+      const values = [creatorIds.map(String)]
+      const conditions = ['creator_id::text = ANY($1::text[])']
+
+      if (range.from) {
+        values.push(range.from)
+        conditions.push(`end_date >= $${values.length}`)
+      }
+
+      if (range.to) {
+        values.push(range.to)
+        conditions.push(`start_date <= $${values.length}`)
+      }
+
+      const result = await this.pool.query(
+        `
+        SELECT id, creator_id, TO_CHAR(start_date, 'YYYY-MM-DD') as start_date,
+               TO_CHAR(end_date, 'YYYY-MM-DD') as end_date, status, note,
+               created_by_user_id, created_at
+        FROM creator_availability
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY start_date ASC
+      `,
+        values
+      )
+
+      return result.rows
+    } catch (error) {
+      console.error('Error listing creator availability:', error)
+      throw error
+    }
+  }
+
+  // Record a period a creator can't (or might not) take on work
+  async addWindow (creatorId, windowData, userId) {
+    try {
+      const startDate = this.toDay(windowData.start_date)
+      const endDate = this.toDay(windowData.end_date)
+      const status = windowData.status || 'unavailable'
+
+      if (!startDate || !endDate || endDate < startDate) {
+        throw new Error('Invalid availability window: end_date must be on or after start_date')
+      }
+
+      if ((new Date(endDate) - new Date(startDate)) / DAY_MS > MAX_WINDOW_DAYS) {
+        throw new Error(`Invalid availability window: at most ${MAX_WINDOW_DAYS} days`)
+      }
+
+      if (!WINDOW_STATUSES.includes(status)) {
+        throw new Error(
+          `Invalid availability window status '${status}'. Must be one of: ${WINDOW_STATUSES.join(', ')}`
+        )
+      }
+
+      const creatorCheck = await this.pool.query('SELECT id FROM creators WHERE id = $1', [creatorId])
+      if (creatorCheck.rows.length === 0) {
+        throw new Error('Creator not found')
+      }
+
+      const result = await this.pool.query(
+        `
+        INSERT INTO creator_availability (creator_id, start_date, end_date, status, note, created_by_user_id)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id, creator_id, TO_CHAR(start_date, 'YYYY-MM-DD') as start_date,
+                  TO_CHAR(end_date, 'YYYY-MM-DD') as end_date, status, note, created_by_user_id, created_at
+      `,
+        [creatorId, startDate, endDate, status, windowData.note || null, userId]
+      )
+
+      return result.rows[0]
+    } catch (error) {
+      console.error('Error adding creator availability window:', error)
+      throw error
+    }
+  }
+
+  // Remove an availability window
+  async deleteWindow (creatorId, windowId) {
+    try {
+      const result = await this.pool.query(
+        'DELETE FROM creator_availability WHERE id = $1 AND creator_id = $2 RETURNING id',
+        [windowId, creatorId]
+      )
+
+      if (result.rows.length === 0) {
+        throw new Error('Availability window not found')
+      }
+
+      return { id: result.rows[0].id, deleted: true }
+    } catch (error) {
+      console.error('Error deleting creator availability window:', error)
+      throw error
+    }
+  }
+
+  // Campaigns creators are committed to, from signed contracts and contracted pipeline stages.
+  // A commitment runs over the campaign dates; exclusivity claimed by the brand extends it.
+  async getCommitments (creatorIds) {
+    try {
+      const result = await this.pool.query(
+        `
+        SELECT DISTINCT ON (cm.creator_id, cm.campaign_id)
+               cm.creator_id, c.id as campaign_id, c.campaign_name, c.status as campaign_status,
+               c.brand_id, b.brand_name, b.user_id as brand_owner_id, cm.source,
+               TO_CHAR(COALESCE(c.start_date, cm.committed_at, CURRENT_DATE), 'YYYY-MM-DD') as start_date,
+               TO_CHAR(c.end_date, 'YYYY-MM-DD') as end_date,
+               ARRAY(
+                 SELECT LOWER(TRIM(category)) FROM unnest(COALESCE(bp.exclusivity_categories, '{}')) category
+               ) as exclusivity_categories,
+               TO_CHAR(c.end_date + ($3::int * INTERVAL '1 day'), 'YYYY-MM-DD') as exclusive_until
+        FROM (
+          SELECT ct.creator_id::text as creator_id, ct.campaign_id::text as campaign_id,
+                 'contract' as source, ct.signed_at as committed_at
+          FROM contracts ct
+          WHERE ct.is_signed = true AND ct.campaign_id IS NOT NULL
+            AND ct.creator_id::text = ANY($1::text[])
+          UNION ALL
+          SELECT cc.creator_id::text, cc.campaign_id::text, 'pipeline', cc.stage_changed_at
+          FROM campaign_creators cc
+          WHERE cc.stage = ANY($2) AND cc.creator_id::text = ANY($1::text[])
+        ) cm
+        JOIN campaigns c ON c.id::text = cm.campaign_id
+        JOIN brands b ON c.brand_id = b.id
+        LEFT JOIN brand_preferences bp ON bp.brand_id = c.brand_id
+        WHERE c.is_active = true AND c.status <> 'cancelled'
+        ORDER BY cm.creator_id, cm.campaign_id, (cm.source = 'contract') DESC
+      `,
+        [creatorIds.map(String), COMMITTED_STAGES, EXCLUSIVITY_DAYS_AFTER_END]
+      )
+
+      return result.rows.map((row) => ({
+        ...row,
+        // Campaigns without an end date stay booked until they complete
+        open_ended: !row.end_date && row.campaign_status !== 'completed',
+        exclusive: row.exclusivity_categories.length > 0
+      }))
+    } catch (error) {
+      console.error('Error getting creator commitments:', error)
+      throw error
+    }
+  }
+
+  // Availability of each creator for a campaign period as { creatorId: { status, issues } }.
+  // Unavailable windows and exclusivity in one of the campaign's categories block; other overlaps warn.
+  async checkAvailability (creatorIds, options = {}) {
+    const { campaignId = null, brandId = null, categories = [] } = options
+    const startDate = this.toDay(options.startDate) || this.toDay(new Date())
+    const endDate = this.toDay(options.endDate) || startDate
+    const ids = [...new Set(creatorIds.filter(Boolean).map(String))]
+    const availability = {}
+
+    if (ids.length === 0) return availability
+
+    const [windows, commitments] = await Promise.all([
+      this.listWindows(ids, { from: startDate, to: endDate }),
+      this.getCommitments(ids)
+    ])
+
+    const issuesFor = (creatorId) => {
+      availability[creatorId] = availability[creatorId] || { status: 'available', issues: [] }
+      return availability[creatorId]
+    }
+
+    windows.forEach((window) => {
+      const blocking = BLOCKING_WINDOW_STATUSES.includes(window.status)
+      issuesFor(String(window.creator_id)).issues.push({
+        type: window.status,
+        severity: blocking ? 'block' : 'warn',
+        start_date: window.start_date,
+        end_date: window.end_date,
+        reason: `Availability: ${blocking ? 'unavailable' : 'tentatively unavailable'} from ${window.start_date} to ${window.end_date}${window.note ? ` (${window.note})` : ''}`
+      })
+    })
+
+    commitments
+      .filter((commitment) => String(commitment.campaign_id) !== String(campaignId))
+      .forEach((commitment) => {
+        const sameBrand = brandId && String(commitment.brand_id) === String(brandId)
+        const exclusiveCategories = sameBrand
+          ? []
+          : commitment.exclusivity_categories.filter((category) => categories.includes(category))
+        const bookedUntil = exclusiveCategories.length > 0
+          ? commitment.exclusive_until
+          : commitment.end_date
+
+        // Completed campaigns without an end date only cover their start day
+        const until = commitment.open_ended ? null : bookedUntil || commitment.start_date
+        if (!this.overlaps(startDate, endDate, commitment.start_date, until)) {
+          return
+        }
+
+        const period = bookedUntil ? `until ${bookedUntil}` : 'with no end date'
+        issuesFor(commitment.creator_id).issues.push(
+          exclusiveCategories.length > 0
+            ? {
+              type: 'exclusive_commitment',
+              severity: 'block',
+              start_date: commitment.start_date,
+              end_date: bookedUntil,
+              categories: exclusiveCategories,
+              reason: `Availability: exclusive to another campaign in ${exclusiveCategories.join(', ')} ${period}`
+            }
+            : {
+              type: 'commitment',
+              severity: 'warn',
+              start_date: commitment.start_date,
+              end_date: bookedUntil,
+              reason: `Availability: booked for ${sameBrand ? `your campaign ${commitment.campaign_name}` : 'another campaign'} from ${commitment.start_date} ${period}`
+            }
+        )
+      })
+
+    Object.values(availability).forEach((entry) => {
+      entry.status = entry.issues.some((issue) => issue.severity === 'block') ? 'blocked' : 'warning'
+    })
+
+    return availability
+  }
+
+  // Drop blocked creators from recommendations and flag the ones with warnings.
+  // Reasons go first in reasonsField, where the calling service keeps its recommendation reasons.
+  async applyAvailability (recommendations, options = {}, reasonsField = 'recommendation_reasons') {
+    const availability = await this.checkAvailability(
+      recommendations.map((recommendation) => recommendation.creator_data?.id),
+      options
+    )
+
+    const kept = []
+    const excluded = []
+
+    recommendations.forEach((recommendation) => {
+      const creator = recommendation.creator_data
+      const entry = creator ? availability[String(creator.id)] : null
+
+      if (!entry) {
+        kept.push(recommendation)
+      } else if (entry.status === 'blocked') {
+        excluded.push({
+          creator_id: creator.id,
+          creator_name: creator.creator_name,
+          issues: entry.issues
+        })
+      } else {
+        kept.push({
+          ...recommendation,
+          availability: entry,
+          [reasonsField]: [
+            ...entry.issues.map((issue) => issue.reason),
+            ...(recommendation[reasonsField] || [])
+          ]
+        })
+      }
+    })
+
+    return {
+      recommendations: kept,
+      summary: {
+        start_date: this.toDay(options.startDate),
+        end_date: this.toDay(options.endDate),
+        warning_count: kept.filter((recommendation) => recommendation.availability).length,
+        excluded_count: excluded.length,
+        excluded
+      }
+    }
+  }
+
+  // Booked calendar of a creator: availability windows and campaign commitments in a date range.
+  // Commitments to campaigns the viewer doesn't own are shown without campaign or brand details,
+  // except to the creator who claimed the profile.
+  async getBookedCalendar (creatorId, filters = {}, viewer = {}) {
+    try {
+      const { from, to } = campaignCalendarService.resolveRange(filters)
+
+      const creatorCheck = await this.pool.query(
+        'SELECT id, creator_name, claimed_by_user_id FROM creators WHERE id = $1',
+        [creatorId]
+      )
+      if (creatorCheck.rows.length === 0) {
+        throw new Error('Creator not found')
+      }
+
+      const isClaimingCreator =
+        creatorCheck.rows[0].claimed_by_user_id !== null &&
+        String(creatorCheck.rows[0].claimed_by_user_id) === String(viewer.userId)
+
+      const [windows, commitments] = await Promise.all([
+        this.listWindows([creatorId], { from, to }),
+        this.getCommitments([creatorId])
+      ])
+
+      const bookings = commitments
+        .map((commitment) => ({
+          ...commitment,
+          booked_until: commitment.exclusive ? commitment.exclusive_until : commitment.end_date
+        }))
+        .filter((commitment) =>
+          this.overlaps(
+            from,
+            to,
+            commitment.start_date,
+            commitment.open_ended ? null : commitment.booked_until || commitment.start_date
+          )
+        )
+        .map((commitment) => {
+          const visible =
+            viewer.role === 'admin' ||
+            isClaimingCreator ||
+            String(commitment.brand_owner_id) === String(viewer.userId)
+          const booking = {
+            start_date: commitment.start_date,
+            end_date: commitment.end_date,
+            booked_until: commitment.booked_until,
+            open_ended: commitment.open_ended,
+            exclusive: commitment.exclusive,
+            source: commitment.source
+          }
+
+          return visible
+            ? {
+              ...booking,
+              campaign_id: commitment.campaign_id,
+              campaign_name: commitment.campaign_name,
+              brand_name: commitment.brand_name,
+              exclusivity_categories: commitment.exclusivity_categories
+            }
+            : booking
+        })
+        .sort((a, b) => a.start_date.localeCompare(b.start_date))
+
+      return {
+        creator_id: creatorCheck.rows[0].id,
+        creator_name: creatorCheck.rows[0].creator_name,
+        range: { from, to },
+        availability_windows: windows,
+        commitments: bookings
+      }
+    } catch (error) {
+      console.error('Error getting creator booked calendar:', error)
+      throw error
+    }
+  }
+}
+
+module.exports = new CreatorAvailabilityService()
@@ -0,0 +1,669 @@
+// services/creators/creatorDedupService.js
+const { Pool } = require('pg')
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+const creatorService = require('./creatorService')
+const embeddingService = require('../ai/embeddingService')
+
+const {
+  SIGNAL_WEIGHTS,
+  MIN_SCORE,
+  MIN_NAME_SIMILARITY,
+  MIN_USERNAME_SIMILARITY,
+  HANDLE_NOISE_WORDS,
+  DOTLESS_EMAIL_DOMAINS,
+  MAX_PREFIX_GROUP_SIZE,
+  DEFAULT_LIMIT
+} = __constants.CREATOR_DEDUP
+const { PROFILE_FIELDS, JSON_FIELDS } = __constants.CREATOR_MANAGEMENT
+const PIPELINE_STAGES = __constants.CAMPAIGN_PIPELINE.STAGES
+
+// Profile lists that are combined on merge rather than filled in
+const UNION_FIELDS = ['languages', 'content_categories']
+
+// Tables whose rows simply move to the surviving creator
+const REPOINT_TABLES = [
+  'creator_brand_collaborations',
+  'creator_availability',
+  'creator_claims',
+  'calls',
+  'contracts',
+  'creator_quotes',
+  'campaign_deliverables',
+  'deliverable_performance_metrics',
+  'tracking_link_clicks'
+]
+
+// Tables holding at most one row per creator; the duplicate's row only moves if the survivor has none
+const SINGLE_ROW_TABLES = ['creator_personality', 'creator_payout_details']
+
+// Campaign columns that may list recommended or selected creator ids
+const CAMPAIGN_CREATOR_COLUMNS = ['ai_recommended_influencers', 'selected_influencers']
+
+class CreatorDedupService {
+  constructor () {
+    this.pool = new Pool({
+      user: __config.postgres.user,
+      host: __config.postgres.host,
+      database: __config.postgres.database,
+      password: __config.postgres.password,
+      port: __config.postgres.port,
+      ssl: { rejectUnauthorized: false }
+    })
+  }
+
+  // Lowercase, trim, drop +tags and, for providers that ignore them, dots
+  normalizeEmail (email) {
+    if (!email) return null
+
+    const [local, domain] = String(email).trim().toLowerCase().split('@')
+    if (!local || !domain) return null
+
+    let normalizedLocal = local.split('+')[0]
+    if (DOTLESS_EMAIL_DOMAINS.includes(domain)) {
+      normalizedLocal = normalizedLocal.replace(/\./g, '')
+    }
+
+    return `${normalizedLocal}@${domain}`
+  }
+
+  // Lowercase letters and digits only, without separate noise words at either end (jane_official, the.jane)
+  normalizeHandle (handle) {
+    if (!handle) return null
+
+    let words = String(handle)
+      .toLowerCase()
+      .replace(/^@/, '')
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean)
+
+    while (words.length > 1 && HANDLE_NOISE_WORDS.includes(words[0])) words = words.slice(1)
+    while (words.length > 1 && HANDLE_NOISE_WORDS.includes(words[words.length - 1])) words = words.slice(0, -1)
+
+    return words.join('') || null
+  }
+
+  // Lowercase words without accents or punctuation
+  normalizeName (name) {
+    if (!name) return null
+
+    return String(name)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim() || null
+  }
+
+  // Dice coefficient of character bigrams (0 to 1)
+  similarity (a, b) {
+    if (!a || !b) return 0
+    if (a === b) return 1
+
+    const bigrams = (text) => {
+      const compact = text.replace(/\s+/g, '')
+      const counts = new Map()
+      for (let i = 0; i < compact.length - 1; i++) {
+        const bigram = compact.slice(i, i + 2)
+        counts.set(bigram, (counts.get(bigram) || 0) + 1)
+      }
+      return counts
+    }
+
+    const first = bigrams(a)
+    const second = bigrams(b)
+    let overlap = 0
+    let total = 0
+
+    first.forEach((count, bigram) => {
+      overlap += Math.min(count, second.get(bigram) || 0)
+      total += count
+    })
+    second.forEach((count) => { total += count })
+
+    return total === 0 ? 0 : (2 * overlap) / total
+  }
+
+  // Creators with the identifying fields the detector compares
+  async loadCreatorsForMatching () {
+    const result = await this.pool.query(`
+      SELECT c.id, c.creator_name, c.username, c.email, c.business_email, c.niche, c.tier,
+             c.primary_platform, c.claimed_by_user_id, c.created_at,
+             COUNT(cpm.platform) as platform_count,
+             COALESCE(
+               json_agg(json_build_object('platform', cpm.platform, 'handle', cpm.handle))
+                 FILTER (WHERE cpm.handle IS NOT NULL),
+               '[]'
+             ) as handles
+      FROM creators c
+      LEFT JOIN creator_platform_metrics cpm ON cpm.creator_id = c.id
+      GROUP BY c.id
+    `)
+
+    return result.rows.map((creator) => {
+      const name = this.normalizeName(creator.creator_name)
+      const username = this.normalizeHandle(creator.username)
+
+      return {
+        ...creator,
+        platform_count: parseInt(creator.platform_count),
+        match: {
+          name,
+          username,
+          emails: [...new Set([creator.email, creator.business_email].map((email) => this.normalizeEmail(email)).filter(Boolean))],
+          handles: creator.handles
+            .map((entry) => ({ platform: entry.platform, handle: this.normalizeHandle(entry.handle) }))
+            .filter((entry) => entry.handle)
+        }
+      }
+    })
+  }
+
+  // Signals two creators share and the resulting duplicate score
+  scorePair (a, b) {
+    const signals = []
+
+    const sharedEmail = a.match.emails.find((email) => b.match.emails.includes(email))
+    if (sharedEmail) {
+      signals.push({ signal: 'email', value: sharedEmail })
+    }
+
+    if (a.match.username && a.match.username === b.match.username) {
+      signals.push({ signal: 'username', value: a.match.username })
+    } else {
+      const usernameSimilarity = this.similarity(a.match.username, b.match.username)
+      if (usernameSimilarity >= MIN_USERNAME_SIMILARITY) {
+        signals.push({ signal: 'similar_username', similarity: Number(usernameSimilarity.toFixed(2)) })
+      }
+    }
+
+    // Same handle on a platform, or one creator's handle is the other's username
+    const sharedHandle =
+      a.match.handles.find((entry) =>
+        b.match.handles.some((other) => other.platform === entry.platform && other.handle === entry.handle)
+      ) ||
+      a.match.handles.find((entry) => entry.handle === b.match.username && entry.handle !== a.match.username) ||
+      b.match.handles.find((entry) => entry.handle === a.match.username && entry.handle !== b.match.username)
+    if (sharedHandle) {
+      signals.push({ signal: 'platform_handle', platform: sharedHandle.platform, value: sharedHandle.handle })
+    }
+
+    const nameSimilarity = this.similarity(a.match.name, b.match.name)
+    if (nameSimilarity >= MIN_NAME_SIMILARITY) {
+      signals.push({ signal: 'similar_name', similarity: Number(nameSimilarity.toFixed(2)) })
+    }
+
+    const score = Math.min(
+      1,
+      signals.reduce((sum, signal) => sum + SIGNAL_WEIGHTS[signal.signal], 0)
+    )
+
+    return { score: Number(score.toFixed(2)), signals }
+  }
+
+  // Which creator of a pair should survive a merge: a claimed profile, then the one
+  // with more platforms, then the older record
+  suggestSurvivor (a, b) {
+    if (Boolean(a.claimed_by_user_id) !== Boolean(b.claimed_by_user_id)) {
+      return a.claimed_by_user_id ? a : b
+    }
+
+    if (a.platform_count !== b.platform_count) {
+      return a.platform_count > b.platform_count ? a : b
+    }
+
+    return new Date(a.created_at) <= new Date(b.created_at) ? a : b
+  }
+
+  // Pairs of creators that look like the same person. Only creators sharing an email,
+  // username, handle or name/username prefix are compared.
+  async findDuplicates (options = {}) {
+    const { creatorId = null, minScore = MIN_SCORE, limit = DEFAULT_LIMIT } = options
+
+    try {
+      const creators = await this.loadCreatorsForMatching()
+
+      if (creatorId && !creators.some((creator) => String(creator.id) === String(creatorId))) {
+        throw new Error('Creator not found')
+      }
+
+      const groups = new Map()
+      const addToGroup = (key, index) => {
+        if (!groups.has(key)) groups.set(key, new Set())
+        groups.get(key).add(index)
+      }
+
+      creators.forEach((creator, index) => {
+        const { name, username, emails, handles } = creator.match
+        emails.forEach((email) => addToGroup(`email:${email}`, index))
+        if (username) {
+          addToGroup(`handle:${username}`, index)
+          addToGroup(`prefix:username:${username.slice(0, 4)}`, index)
+        }
+        handles.forEach((entry) => addToGroup(`handle:${entry.handle}`, index))
+        if (name) addToGroup(`prefix:name:${name.replace(/\s+/g, '').slice(0, 4)}`, index)
+      })
+
+      const compared = new Set()
+      const pairs = []
+
+      groups.forEach((memberSet, key) => {
+        const members = [...memberSet]
+        if (members.length < 2) return
+        if (key.startsWith('prefix:') && members.length > MAX_PREFIX_GROUP_SIZE) return
+
+        for (let i = 0; i < members.length; i++) {
+          for (let j = i + 1; j < members.length; j++) {
+            const a = creators[members[i]]
+            const b = creators[members[j]]
+            const pairKey = [a.id, b.id].sort().join(':')
+
+            if (creatorId && String(a.id) !== String(creatorId) && String(b.id) !== String(creatorId)) continue
+            if (compared.has(pairKey)) continue
+            compared.add(pairKey)
+
+            const { score, signals } = this.scorePair(a, b)
+            if (score < minScore) continue
+
+            const summary = (creator) => ({
+              id: creator.id,
+              creator_name: creator.creator_name,
+              username: creator.username,
+              email: creator.email,
+              business_email: creator.business_email,
+              niche: creator.niche,
+              tier: creator.tier,
+              primary_platform: creator.primary_platform,
+              claimed: Boolean(creator.claimed_by_user_id),
+              platform_count: creator.platform_count,
+              created_at: creator.created_at
+            })
+
+            pairs.push({
+              score,
+              signals,
+              creators: [summary(a), summary(b)],
+              suggested_survivor_id: this.suggestSurvivor(a, b).id
+            })
+          }
+        }
+      })
+
+      pairs.sort((a, b) => b.score - a.score)
+
+      return {
+        creators_checked: creators.length,
+        pairs_compared: compared.size,
+        min_score: minScore,
+        total: pairs.length,
+        duplicates: pairs.slice(0, limit)
+      }
+    } catch (error) {
+      console.error('Error finding duplicate creators:', error)
+      throw error
+    }
+  }
+
+  // Whether an optional table exists (some come from migrations that may not have run)
+  async getExistingTables (client, tables) {
+    const result = await client.query(
+      'SELECT name FROM unnest($1::text[]) name WHERE to_regclass(name) IS NOT NULL',
+      [tables]
+    )
+    return new Set(result.rows.map((row) => row.name))
+  }
+
+  // Profile values of the duplicate that fill gaps in the survivor's profile
+  buildMergedProfile (survivor, duplicate) {
+    const isEmpty = (value) =>
+      value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)
+    const updates = {}
+
+    PROFILE_FIELDS.forEach((field) => {
+      const kept = survivor[field]
+      const other = duplicate[field]
+
+      if (UNION_FIELDS.includes(field) && Array.isArray(kept) && Array.isArray(other)) {
+        const combined = [...new Set([...kept, ...other])]
+        if (combined.length > kept.length) updates[field] = combined
+      } else if (field === 'total_collaborations') {
+        if ((other || 0) > (kept || 0)) updates[field] = other
+      } else if (isEmpty(kept) && !isEmpty(other)) {
+        updates[field] = other
+      }
+    })
+
+    return updates
+  }
+
+  // Merge a duplicate creator into a surviving one: fill gaps in the profile, combine
+  // per-platform rows and history, repoint calls, contracts and campaign references,
+  // then delete the duplicate and its search vector. A dry run rolls everything back.
+  async mergeCreators (survivorId, duplicateId, userId, options = {}) {
+    const { dryRun = false } = options
+
+    if (String(survivorId) === String(duplicateId)) {
+      throw new Error('Invalid merge: survivor_id and duplicate_id must be different creators')
+    }
+
+    const [survivorProfile, duplicateProfile] = await Promise.all([
+      creatorService.getCreatorById(survivorId),
+      creatorService.getCreatorById(duplicateId)
+    ])
+
+    if (!survivorProfile) throw new Error('Surviving creator not found')
+    if (!duplicateProfile) throw new Error('Duplicate creator not found')
+
+    const client = await this.pool.connect()
+    const moved = {}
+    const count = (key, rowCount) => {
+      if (rowCount > 0) moved[key] = (moved[key] || 0) + rowCount
+    }
+
+    let droppedTrackingLinks = []
+    let profileUpdates = {}
+
+    try {
+      await client.query('BEGIN')
+
+      const lockResult = await client.query(
+        'SELECT id, claimed_by_user_id, claimed_at FROM creators WHERE id IN ($1, $2) FOR UPDATE',
+        [survivorId, duplicateId]
+      )
+      const locked = Object.fromEntries(lockResult.rows.map((row) => [String(row.id), row]))
+      const survivorRow = locked[String(survivorId)]
+      const duplicateRow = locked[String(duplicateId)]
+
+      if (!survivorRow || !duplicateRow) {
+        throw new Error('Creator not found')
+      }
+
+      // A claimed profile keeps its owner
+      if (duplicateRow.claimed_by_user_id) {
+        if (
+          survivorRow.claimed_by_user_id &&
+          String(survivorRow.claimed_by_user_id) !== String(duplicateRow.claimed_by_user_id)
+        ) {
+          throw new Error('Invalid merge: both creators are claimed by different users')
+        }
+
+        if (!survivorRow.claimed_by_user_id) {
+          await client.query('UPDATE creators SET claimed_by_user_id = NULL WHERE id = $1', [duplicateId])
+          await client.query(
+            'UPDATE creators SET claimed_by_user_id = $1, claimed_at = $2 WHERE id = $3',
+            [duplicateRow.claimed_by_user_id, duplicateRow.claimed_at, survivorId]
+          )
+          count('claimed_profile', 1)
+        }
+      }
+
+      // Fill gaps in the survivor's profile
+      profileUpdates = this.buildMergedProfile(survivorProfile, duplicateProfile)
+      const profileFields = Object.keys(profileUpdates)
+      if (profileFields.length > 0) {
+        await client.query(
+          `
+          UPDATE creators
+          SET ${profileFields.map((field, index) => `${field} = $${index + 1}`).join(', ')}, updated_at = NOW()
+          WHERE id = $${profileFields.length + 1}
+        `,
+          [
+            ...profileFields.map((field) =>
+              JSON_FIELDS.includes(field) ? JSON.stringify(profileUpdates[field]) : profileUpdates[field]
+            ),
+            survivorId
+          ]
+        )
+      }
+
+      // Per-platform metrics, pricing and demographics: fill the survivor's gaps on shared
+      // platforms and move platforms only the duplicate has
+      for (const definition of Object.values(creatorService.getPlatformTables())) {
+        const columns = Object.values(definition.columns)
+
+        await client.query(
+          `
+          UPDATE ${definition.table} s
+          SET ${columns.map((column) => `${column} = COALESCE(s.${column}, d.${column})`).join(', ')}
+          FROM ${definition.table} d
+          WHERE s.creator_id = $1 AND d.creator_id = $2 AND s.platform = d.platform
+        `,
+          [survivorId, duplicateId]
+        )
+
+        const movedRows = await client.query(
+          `
+          UPDATE ${definition.table} SET creator_id = $1
+          WHERE creator_id = $2
+            AND platform NOT IN (SELECT platform FROM ${definition.table} WHERE creator_id = $1)
+        `,
+          [survivorId, duplicateId]
+        )
+        count(definition.table, movedRows.rowCount)
+      }
+
+      const existingTables = await this.getExistingTables(client, [
+        ...REPOINT_TABLES,
+        ...SINGLE_ROW_TABLES,
+        'campaign_creators',
+        'campaign_tracking_links',
+        'creator_metrics_snapshots',
+        'creator_rate_cards'
+      ])
+
+      // Metrics history follows the platform rows: only platforms the survivor has no history for move
+      if (existingTables.has('creator_metrics_snapshots')) {
+        const result = await client.query(
+          `
+          UPDATE creator_metrics_snapshots SET creator_id = $1
+          WHERE creator_id = $2
+            AND platform NOT IN (SELECT platform FROM creator_metrics_snapshots WHERE creator_id = $1)
+        `,
+          [survivorId, duplicateId]
+        )
+        count('creator_metrics_snapshots', result.rowCount)
+      }
+
+      // Rate card versions move as a whole, and only if the survivor has no rate card
+      if (existingTables.has('creator_rate_cards')) {
+        const result = await client.query(
+          `
+          UPDATE creator_rate_cards SET creator_id = $1
+          WHERE creator_id = $2 AND NOT EXISTS (SELECT 1 FROM creator_rate_cards WHERE creator_id = $1)
+        `,
+          [survivorId, duplicateId]
+        )
+        count('creator_rate_cards', result.rowCount)
+      }
+
+      for (const table of SINGLE_ROW_TABLES.filter((name) => existingTables.has(name))) {
+        const result = await client.query(
+          `
+          UPDATE ${table} SET creator_id = $1
+          WHERE creator_id = $2 AND NOT EXISTS (SELECT 1 FROM ${table} WHERE creator_id = $1)
+        `,
+          [survivorId, duplicateId]
+        )
+        count(table, result.rowCount)
+      }
+
+      // Pipeline: where both creators are in the same campaign, keep the entry furthest along
+      if (existingTables.has('campaign_creators')) {
+        const replaced = await client.query(
+          `
+          DELETE FROM campaign_creators s
+          USING campaign_creators d
+          WHERE s.creator_id = $1 AND d.creator_id = $2 AND s.campaign_id = d.campaign_id
+            AND array_position($3::text[], d.stage) > array_position($3::text[], s.stage)
+        `,
+          [survivorId, duplicateId, PIPELINE_STAGES]
+        )
+        count('campaign_creators_replaced', replaced.rowCount)
+
+        await client.query(
+          `
+          DELETE FROM campaign_creators d
+          USING campaign_creators s
+          WHERE d.creator_id = $2 AND s.creator_id = $1 AND s.campaign_id = d.campaign_id
+        `,
+          [survivorId, duplicateId]
+        )
+
+        const result = await client.query(
+          'UPDATE campaign_creators SET creator_id = $1 WHERE creator_id = $2',
+          [survivorId, duplicateId]
+        )
+        count('campaign_creators', result.rowCount)
+      }
+
+      // Tracking links: one link per campaign and creator, so the duplicate's clicks move to
+      // the survivor's link where both have one and the duplicate's link is dropped
+      if (existingTables.has('campaign_tracking_links')) {
+        await client.query(
+          `
+          UPDATE tracking_link_clicks c
+          SET tracking_link_id = s.id
+          FROM campaign_tracking_links d, campaign_tracking_links s
+          WHERE c.tracking_link_id = d.id AND d.creator_id = $2 AND s.creator_id = $1
+            AND s.campaign_id = d.campaign_id
+        `,
+          [survivorId, duplicateId]
+        )
+
+        const dropped = await client.query(
+          `
+          DELETE FROM campaign_tracking_links d
+          USING campaign_tracking_links s
+          WHERE d.creator_id = $2 AND s.creator_id = $1 AND s.campaign_id = d.campaign_id
+          RETURNING d.campaign_id, d.short_code, d.promo_code
+        `,
+          [survivorId, duplicateId]
+        )
+        droppedTrackingLinks = dropped.rows
+
+        const result = await client.query(
+          'UPDATE campaign_tracking_links SET creator_id = $1 WHERE creator_id = $2',
+          [survivorId, duplicateId]
+        )
+        count('campaign_tracking_links', result.rowCount)
+      }
+
+      for (const table of REPOINT_TABLES.filter((name) => existingTables.has(name))) {
+        const result = await client.query(
+          `UPDATE ${table} SET creator_id = $1 WHERE creator_id = $2`,
+          [survivorId, duplicateId]
+        )
+        count(table, result.rowCount)
+      }
+
+      // Recommended and selected creators saved on campaigns
+      const columnResult = await client.query(
+        `
+        SELECT column_name, data_type
+        FROM information_schema.columns
+        WHERE table_name = 'campaigns' AND column_name = ANY($1)
+      `,
+        [CAMPAIGN_CREATOR_COLUMNS]
+      )
+
+      for (const { column_name: column, data_type: dataType } of columnResult.rows) {
+        let result = { rowCount: 0 }
+
+        if (dataType === 'jsonb' || dataType === 'json') {
+          result = await client.query(
+            `
+            UPDATE campaigns
+            SET ${column} = REPLACE(${column}::text, $2, $1)::${dataType}
+            WHERE ${column}::text LIKE '%' || $2 || '%'
+          `,
+            [String(survivorId), String(duplicateId)]
+          )
+        } else if (dataType === 'ARRAY') {
+          result = await client.query(
+            `
+            UPDATE campaigns
+            SET ${column} = array_replace(${column}, $2, $1)
+            WHERE $2 = ANY(${column})
+          `,
+            [survivorId, duplicateId]
+          )
+        }
+
+        count(`campaigns.${column}`, result.rowCount)
+      }
+
+      await client.query(
+        `
+        INSERT INTO creator_merges (
+          survivor_creator_id, merged_creator_id, merged_creator_name,
+          merged_creator_snapshot, moved_records, merged_by_user_id
+        ) VALUES ($1, $2, $3, $4, $5, $6)
+      `,
+        [
+          survivorId,
+          duplicateId,
+          duplicateProfile.creator_name,
+          JSON.stringify(duplicateProfile),
+          JSON.stringify(moved),
+          userId
+        ]
+      )
+
+      // Remaining rows of the duplicate (platforms the survivor already had) cascade
+      await client.query('DELETE FROM creators WHERE id = $1', [duplicateId])
+
+      await client.query(dryRun ? 'ROLLBACK' : 'COMMIT')
+    } catch (error) {
+      await client.query('ROLLBACK')
+      console.error('Error merging creators:', error)
+      throw error
+    } finally {
+      client.release()
+    }
+
+    const result = {
+      dry_run: dryRun,
+      survivor_id: survivorProfile.id,
+      merged_creator: {
+        id: duplicateProfile.id,
+        creator_name: duplicateProfile.creator_name,
+        username: duplicateProfile.username
+      },
+      filled_profile_fields: Object.keys(profileUpdates),
+      moved_records: moved,
+      dropped_tracking_links: droppedTrackingLinks
+    }
+
+    if (dryRun) {
+      return result
+    }
+
+    // Search index: drop the duplicate's vector and refresh the survivor's
+    let removedVector = { status: 'deleted' }
+    try {
+      if (!embeddingService.index) {
+        await embeddingService.initializePineconeIndex()
+      }
+
+      await embeddingService.deleteCreatorEmbedding(duplicateId)
+    } catch (error) {
+      removedVector = { status: 'failed', error: error.message }
+    }
+
+    // The survivor's metrics and history changed, so its authenticity is rescored first
+    const authenticity = await creatorService.refreshAuthenticity(survivorId)
+    const survivor = await creatorService.getCreatorById(survivorId)
+
+    return {
+      ...result,
+      survivor,
+      authenticity,
+      embedding: {
+        duplicate: removedVector,
+        survivor: await creatorService.syncCreatorEmbedding(survivor)
+      }
+    }
+  }
+}
+
+module.exports = new CreatorDedupService()
@@ -0,0 +1,511 @@
+// services/creators/creatorImportService.js
+const crypto = require('crypto')
+const { Readable } = require('stream')
+const csv = require('csv-parser')
+const { Pool } = require('pg')
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+const creatorService = require('./creatorService')
+const embeddingService = require('../ai/embeddingService')
+
+const {
+  MAX_ROWS,
+  REQUIRED_FIELDS,
+  LIST_FIELDS,
+  LIST_SEPARATOR,
+  NUMBER_FIELDS,
+  INTEGER_FIELDS,
+  PERCENTAGE_FIELDS,
+  SIGNED_FIELDS,
+  EMBEDDING_JOBS_KEPT
+} = __constants.CREATOR_IMPORT
+const { TIERS, PLATFORMS, PROFILE_FIELDS } = __constants.CREATOR_MANAGEMENT
+
+// Profile columns an import may set; account_created_date is only used for new creators
+const IMPORT_FIELDS = [...PROFILE_FIELDS, 'account_created_date']
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+class CreatorImportService {
+  constructor () {
+    this.pool = new Pool({
+      user: __config.postgres.user,
+      host: __config.postgres.host,
+      database: __config.postgres.database,
+      password: __config.postgres.password,
+      port: __config.postgres.port,
+      ssl: { rejectUnauthorized: false }
+    })
+
+    this.platformFields = creatorService.getPlatformFields()
+    this.embeddingQueue = []
+    this.embeddingJobs = new Map()
+    this.processingEmbeddings = false
+  }
+
+  checkRowCount (rows) {
+    if (rows.length === 0) {
+      throw new Error('Invalid import: no creator rows found')
+    }
+
+    if (rows.length > MAX_ROWS) {
+      throw new Error(`Invalid import: at most ${MAX_ROWS} rows per import`)
+    }
+
+    return rows
+  }
+
+  // Parse an uploaded CSV: profile columns by name, per-platform columns as <platform>_<field>
+  async parseCsv (buffer) {
+    const rows = []
+
+    await new Promise((resolve, reject) => {
+      Readable.from(buffer)
+        .pipe(
+          csv({
+            mapHeaders: ({ header }) =>
+              header.trim().toLowerCase().replace(/\s+/g, '_')
+          })
+        )
+        .on('data', (row) => rows.push(row))
+        .on('end', resolve)
+        .on('error', reject)
+    })
+
+    return this.checkRowCount(rows)
+  }
+
+  // Parse an uploaded JSON file: an array of creators or { creators: [...] }
+  parseJson (buffer) {
+    let parsed
+
+    try {
+      parsed = JSON.parse(buffer.toString('utf8'))
+    } catch (error) {
+      throw new Error(`Invalid import: the JSON file could not be parsed (${error.message})`)
+    }
+
+    const rows = Array.isArray(parsed) ? parsed : parsed?.creators
+
+    if (!Array.isArray(rows)) {
+      throw new Error('Invalid import: the JSON file must contain an array of creators')
+    }
+
+    return this.checkRowCount(rows)
+  }
+
+  // Split a CSV list cell; JSON arrays are kept as they are
+  toList (value) {
+    if (Array.isArray(value)) return value
+
+    const text = String(value).trim()
+    if (text.startsWith('[')) {
+      try {
+        return JSON.parse(text)
+      } catch (error) {
+        return null
+      }
+    }
+
+    return text.split(LIST_SEPARATOR).map((item) => item.trim()).filter(Boolean)
+  }
+
+  // Validate and convert one field value; returns undefined for empty cells
+  normalizeValue (field, raw, errors, label = field) {
+    if (raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '')) {
+      return undefined
+    }
+
+    if (LIST_FIELDS.includes(field)) {
+      const list = this.toList(raw)
+      if (!Array.isArray(list)) {
+        errors.push(`${label} must be a list separated by '${LIST_SEPARATOR}' or a JSON array`)
+        return undefined
+      }
+      return list
+    }
+
+    const isPlatformNumber = Object.values(this.platformFields).some((fields) => fields.includes(field)) &&
+      !['currency', 'handle', ...LIST_FIELDS].includes(field)
+
+    if (NUMBER_FIELDS.includes(field) || isPlatformNumber) {
+      const value = Number(String(raw).replace(/,/g, ''))
+
+      if (isNaN(value)) {
+        errors.push(`${label} must be a number`)
+        return undefined
+      }
+
+      if (value < 0 && !SIGNED_FIELDS.includes(field)) {
+        errors.push(`${label} must not be negative`)
+        return undefined
+      }
+
+      if (PERCENTAGE_FIELDS.includes(field) && value > 100) {
+        errors.push(`${label} must be at most 100`)
+        return undefined
+      }
+
+      if (field === 'client_satisfaction_score' && value > 5) {
+        errors.push(`${label} must be at most 5`)
+        return undefined
+      }
+
+      return INTEGER_FIELDS.includes(field) ? Math.round(value) : value
+    }
+
+    if (typeof raw === 'object') {
+      return raw
+    }
+
+    const text = String(raw).trim()
+
+    switch (field) {
+      case 'username':
+      case 'handle':
+        return text.replace(/^@/, '')
+      case 'email':
+      case 'business_email':
+        if (!EMAIL_PATTERN.test(text)) {
+          errors.push(`${label} is not a valid email`)
+          return undefined
+        }
+        return text.toLowerCase()
+      case 'tier':
+      case 'primary_platform': {
+        const value = text.toLowerCase()
+        const allowed = field === 'tier' ? TIERS : PLATFORMS
+        if (!allowed.includes(value)) {
+          errors.push(`${label} must be one of: ${allowed.join(', ')}`)
+          return undefined
+        }
+        return value
+      }
+      case 'currency':
+        if (!/^[A-Za-z]{3}$/.test(text)) {
+          errors.push(`${label} must be a 3-letter currency code`)
+          return undefined
+        }
+        return text.toUpperCase()
+      case 'content_examples':
+      case 'personality_profile':
+        try {
+          return JSON.parse(text)
+        } catch (error) {
+          errors.push(`${label} must be JSON`)
+          return undefined
+        }
+      case 'last_active_date':
+      case 'account_created_date':
+        if (isNaN(new Date(text))) {
+          errors.push(`${label} is not a valid date`)
+          return undefined
+        }
+        return text
+      default:
+        return text
+    }
+  }
+
+  // Turn one CSV or JSON row into createCreator/updateCreator data. Per-platform values come
+  // from nested groups ({ pricing: { instagram: {...} } }) or flat <platform>_<field> columns.
+  normalizeRow (row) {
+    const errors = []
+    const data = {}
+
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      return { data, errors: ['row must be an object'] }
+    }
+
+    IMPORT_FIELDS.forEach((field) => {
+      const value = this.normalizeValue(field, row[field], errors)
+      if (value !== undefined) data[field] = value
+    })
+
+    Object.entries(this.platformFields).forEach(([group, fields]) => {
+      const nested = row[group] && typeof row[group] === 'object' ? row[group] : {}
+
+      Object.keys(nested)
+        .filter((platform) => !PLATFORMS.includes(platform))
+        .forEach((platform) =>
+          errors.push(`unknown platform '${platform}' in ${group}. Must be one of: ${PLATFORMS.join(', ')}`)
+        )
+
+      PLATFORMS.forEach((platform) => {
+        const values = {}
+
+        fields.forEach((field) => {
+          const flatKey = `${platform}_${field}`
+          const raw = row[flatKey] !== undefined ? row[flatKey] : nested[platform]?.[field]
+          const value = this.normalizeValue(
+            field,
+            raw,
+            errors,
+            row[flatKey] !== undefined ? flatKey : `${group}.${platform}.${field}`
+          )
+          if (value !== undefined) values[field] = value
+        })
+
+        if (Object.keys(values).length > 0) {
+          data[group] = { ...data[group], [platform]: values }
+        }
+      })
+    })
+
+    return { data, errors }
+  }
+
+  // Existing creators with any of the given usernames or emails
+  async findExistingCreators (usernames, emails) {
+    if (usernames.length === 0 && emails.length === 0) return []
+
+    const result = await this.pool.query(
+      `
+      SELECT id, creator_name, LOWER(username) as username,
+             LOWER(email) as email, LOWER(business_email) as business_email
+      FROM creators
+      WHERE LOWER(username) = ANY($1) OR LOWER(email) = ANY($2) OR LOWER(business_email) = ANY($2)
+    `,
+      [usernames, emails]
+    )
+
+    return result.rows
+  }
+
+  // Creators an import row refers to, by username or email
+  matchExisting (data, existingCreators) {
+    const username = data.username?.toLowerCase()
+    const emails = [data.email, data.business_email].filter(Boolean)
+
+    return existingCreators.filter(
+      (creator) =>
+        (username && creator.username === username) ||
+        emails.some((email) => email === creator.email || email === creator.business_email)
+    )
+  }
+
+  // Validate rows and decide for each whether it creates or updates a creator
+  async planImport (rows, upsert) {
+    const plans = rows.map((row, index) => ({ row: index + 1, ...this.normalizeRow(row) }))
+
+    const usernames = plans.map((plan) => plan.data.username?.toLowerCase()).filter(Boolean)
+    const emails = plans.flatMap((plan) => [plan.data.email, plan.data.business_email]).filter(Boolean)
+    const existingCreators = await this.findExistingCreators(
+      [...new Set(usernames)],
+      [...new Set(emails)]
+    )
+
+    // First row that used each username or email in this file
+    const seen = new Map()
+
+    return plans.map((plan) => {
+      const { data, errors } = plan
+      const keys = [
+        data.username && `username ${data.username.toLowerCase()}`,
+        data.email && `email ${data.email}`,
+        data.business_email && `email ${data.business_email}`
+      ].filter(Boolean)
+
+      if (keys.length === 0) {
+        errors.push('username or email is required to identify the creator')
+      }
+
+      keys.forEach((key) => {
+        if (seen.has(key) && seen.get(key) !== plan.row) {
+          errors.push(`duplicate ${key} (also in row ${seen.get(key)})`)
+        } else {
+          seen.set(key, plan.row)
+        }
+      })
+
+      const matches = this.matchExisting(data, existingCreators)
+
+      if (matches.length > 1) {
+        errors.push(
+          `matches ${matches.length} existing creators (${matches.map((creator) => creator.creator_name).join(', ')}) by username or email`
+        )
+      } else if (matches.length === 1 && !upsert) {
+        errors.push(`creator ${matches[0].creator_name} already exists; import with upsert to update it`)
+      } else if (matches.length === 0) {
+        const missing = REQUIRED_FIELDS.filter((field) => data[field] === undefined)
+        if (missing.length > 0) {
+          errors.push(`missing fields required for a new creator: ${missing.join(', ')}`)
+        }
+      }
+
+      return {
+        ...plan,
+        action: errors.length > 0 ? 'error' : matches.length === 1 ? 'update' : 'create',
+        existing: matches.length === 1 ? matches[0] : null
+      }
+    })
+  }
+
+  // Import creators from parsed CSV or JSON rows. A dry run only reports what would happen.
+  // Invalid rows are skipped; new and changed creators are embedded in the background afterwards.
+  async importCreators (rows, options = {}) {
+    const { dryRun = false, upsert = false } = options
+
+    try {
+      const plans = await this.planImport(rows, upsert)
+      const results = []
+      const embedIds = []
+
+      for (const plan of plans) {
+        const result = {
+          row: plan.row,
+          username: plan.data.username || null,
+          action: plan.action,
+          creator_id: plan.existing ? plan.existing.id : null,
+          errors: plan.errors
+        }
+
+        if (dryRun || plan.action === 'error') {
+          results.push(result)
+          continue
+        }
+
+        try {
+          if (plan.action === 'create') {
+            result.creator_id = await creatorService.createCreator({
+              verification_status: 'unverified',
+              languages: [],
+              content_categories: [],
+              total_collaborations: 0,
+              ...plan.data,
+              ai_enhanced: false
+            }, { snapshotSource: 'import' })
+            result.action = 'created'
+            embedIds.push(result.creator_id)
+          } else {
+            const updateData = { ...plan.data }
+            delete updateData.account_created_date
+
+            const updated = await creatorService.updateCreator(plan.existing.id, updateData, {
+              syncEmbedding: false,
+              snapshotSource: 'import'
+            })
+            result.action = updated.changed_fields.length > 0 ? 'updated' : 'unchanged'
+            result.changed_fields = updated.changed_fields
+
+            if (updated.embedding.status === 'pending') {
+              embedIds.push(plan.existing.id)
+            }
+          }
+        } catch (error) {
+          console.error(`Error importing creator row ${plan.row}:`, error)
+          result.action = 'error'
+          result.errors = [error.message]
+        }
+
+        results.push(result)
+      }
+
+      const count = (...actions) => results.filter((result) => actions.includes(result.action)).length
+
+      return {
+        dry_run: dryRun,
+        upsert,
+        summary: {
+          total_rows: results.length,
+          [dryRun ? 'to_create' : 'created']: count('create', 'created'),
+          [dryRun ? 'to_update' : 'updated']: count('update', 'updated'),
+          unchanged: count('unchanged'),
+          errors: count('error')
+        },
+        rows: results,
+        embedding: embedIds.length > 0 ? this.queueEmbeddings(embedIds) : null
+      }
+    } catch (error) {
+      console.error('Error importing creators:', error)
+      throw error
+    }
+  }
+
+  // Public view of an embedding job
+  formatJob (job) {
+    const { creator_ids: creatorIds, ...rest } = job
+    return { ...rest, total: creatorIds.length }
+  }
+
+  // Queue search embeddings for imported creators; they are generated one job at a time
+  queueEmbeddings (creatorIds) {
+    const job = {
+      job_id: crypto.randomUUID(),
+      status: 'queued',
+      creator_ids: creatorIds,
+      successful: 0,
+      failed: 0,
+      errors: [],
+      queued_at: new Date().toISOString(),
+      finished_at: null
+    }
+
+    this.embeddingJobs.set(job.job_id, job)
+    this.embeddingQueue.push(job)
+
+    // Forget the oldest finished jobs
+    const finished = [...this.embeddingJobs.values()].filter((tracked) => tracked.finished_at)
+    finished
+      .slice(0, Math.max(finished.length - EMBEDDING_JOBS_KEPT, 0))
+      .forEach((tracked) => this.embeddingJobs.delete(tracked.job_id))
+
+    this.processEmbeddingQueue()
+
+    return this.formatJob(job)
+  }
+
+  async processEmbeddingQueue () {
+    if (this.processingEmbeddings) return
+    this.processingEmbeddings = true
+
+    try {
+      while (this.embeddingQueue.length > 0) {
+        await this.runEmbeddingJob(this.embeddingQueue.shift())
+      }
+    } finally {
+      this.processingEmbeddings = false
+    }
+  }
+
+  async runEmbeddingJob (job) {
+    job.status = 'running'
+
+    try {
+      if (!embeddingService.index) {
+        await embeddingService.initializePineconeIndex()
+      }
+
+      const creators = []
+      for (const creatorId of job.creator_ids) {
+        const creator = await creatorService.getCreatorById(creatorId)
+        if (creator) creators.push(creator)
+      }
+
+      const results = await embeddingService.embedMultipleCreators(creators)
+
+      job.successful = results.successful
+      job.failed = results.failed
+      job.errors = results.errors
+      job.status = results.failed > 0 ? 'completed_with_errors' : 'completed'
+    } catch (error) {
+      console.error(`Error running creator embedding job ${job.job_id}:`, error)
+      job.status = 'failed'
+      job.errors = [{ error: error.message }]
+    }
+
+    job.finished_at = new Date().toISOString()
+  }
+
+  // Status of a queued embedding job
+  getEmbeddingJob (jobId) {
+    const job = this.embeddingJobs.get(jobId)
+
+    if (!job) {
+      throw new Error('Embedding job not found')
+    }
+
+    return this.formatJob(job)
+  }
+}
+
+module.exports = new CreatorImportService()
@@ -0,0 +1,233 @@
+// services/creators/creatorMetricsHistoryService.js
+const { Pool } = require('pg')
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+
+const { SOURCES, ENGAGEMENT_TREND_THRESHOLD_PCT } = __constants.CREATOR_METRICS_HISTORY
+
+// creator_platform_metrics columns copied into each snapshot
+const SNAPSHOT_COLUMNS = [
+  'follower_count',
+  'following_count',
+  'post_count',
+  'avg_views',
+  'avg_likes',
+  'avg_comments',
+  'engagement_rate'
+]
+
+// Follower growth windows (days), matching the growth columns on creator_platform_metrics
+const GROWTH_WINDOWS = [30, 90]
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+class CreatorMetricsHistoryService {
+  constructor () {
+    this.pool = new Pool({
+      user: __config.postgres.user,
+      host: __config.postgres.host,
+      database: __config.postgres.database,
+      password: __config.postgres.password,
+      port: __config.postgres.port,
+      ssl: { rejectUnauthorized: false }
+    })
+  }
+
+  toNumber (value) {
+    const number = parseFloat(value)
+    return isNaN(number) ? null : number
+  }
+
+  // Percentage change between two values, null when it can't be computed
+  percentChange (from, to) {
+    const start = this.toNumber(from)
+    const end = this.toNumber(to)
+    if (start === null || end === null || start === 0) return null
+
+    return Math.round(((end - start) / start) * 10000) / 100
+  }
+
+  // Latest snapshot recorded at or before a time (snapshots oldest first)
+  findBaseline (snapshots, time) {
+    let baseline = null
+
+    for (const snapshot of snapshots) {
+      if (new Date(snapshot.recorded_at).getTime() > time) break
+      baseline = snapshot
+    }
+
+    return baseline
+  }
+
+  // Follower growth over 30 and 90 days and the 30-day engagement trend of one platform,
+  // measured back from its latest snapshot (snapshots oldest first). A window without
+  // an earlier snapshot to compare against has null growth.
+  calculateGrowth (snapshots) {
+    const growth = {
+      follower_growth_30d_pct: null,
+      follower_growth_90d_pct: null,
+      engagement_change_30d_pct: null,
+      engagement_trend: null,
+      as_of: null
+    }
+
+    const latest = snapshots[snapshots.length - 1]
+    if (!latest) return growth
+
+    const latestTime = new Date(latest.recorded_at).getTime()
+    growth.as_of = latest.recorded_at
+
+    GROWTH_WINDOWS.forEach((days) => {
+      const baseline = this.findBaseline(snapshots, latestTime - days * DAY_MS)
+      if (baseline && baseline !== latest) {
+        growth[`follower_growth_${days}d_pct`] = this.percentChange(
+          baseline.follower_count,
+          latest.follower_count
+        )
+      }
+    })
+
+    const engagementBaseline = this.findBaseline(snapshots, latestTime - 30 * DAY_MS)
+    if (engagementBaseline && engagementBaseline !== latest) {
+      const change = this.percentChange(engagementBaseline.engagement_rate, latest.engagement_rate)
+
+      if (change !== null) {
+        growth.engagement_change_30d_pct = change
+        growth.engagement_trend = change >= ENGAGEMENT_TREND_THRESHOLD_PCT
+          ? 'rising'
+          : change <= -ENGAGEMENT_TREND_THRESHOLD_PCT ? 'declining' : 'stable'
+      }
+    }
+
+    return growth
+  }
+
+  // Snapshots of a creator, grouped by platform, oldest first
+  async loadSnapshots (db, creatorId, platforms = null) {
+    const values = [creatorId]
+    let platformCondition = ''
+
+    if (platforms) {
+      values.push(platforms)
+      platformCondition = 'AND platform = ANY($2::text[])'
+    }
+
+    const result = await db.query(
+      `
+      SELECT id, platform, ${SNAPSHOT_COLUMNS.join(', ')}, source, recorded_at
+      FROM creator_metrics_snapshots
+      WHERE creator_id = $1 ${platformCondition}
+      ORDER BY recorded_at ASC, id ASC
+    `,
+      values
+    )
+
+    const byPlatform = {}
+    result.rows.forEach((row) => {
+      if (!byPlatform[row.platform]) byPlatform[row.platform] = []
+      byPlatform[row.platform].push(row)
+    })
+
+    return byPlatform
+  }
+
+  // Copy the creator's current metrics on the given platforms into the history and refresh
+  // their growth columns. Runs on the caller's client so it commits with the metrics update.
+  async recordSnapshots (client, creatorId, platforms, source = 'update') {
+    if (!SOURCES.includes(source)) {
+      throw new Error(`Invalid snapshot source '${source}'. Must be one of: ${SOURCES.join(', ')}`)
+    }
+
+    if (!platforms || platforms.length === 0) return []
+
+    await client.query(
+      `
+      INSERT INTO creator_metrics_snapshots (creator_id, platform, ${SNAPSHOT_COLUMNS.join(', ')}, source)
+      SELECT creator_id, platform, ${SNAPSHOT_COLUMNS.join(', ')}, $3
+      FROM creator_platform_metrics
+      WHERE creator_id = $1 AND platform = ANY($2::text[])
+    `,
+      [creatorId, platforms, source]
+    )
+
+    const snapshots = await this.loadSnapshots(client, creatorId, platforms)
+    const updated = []
+
+    for (const [platform, platformSnapshots] of Object.entries(snapshots)) {
+      const growth = this.calculateGrowth(platformSnapshots)
+
+      await client.query(
+        `
+        UPDATE creator_platform_metrics
+        SET follower_growth_30d_pct = $3, follower_growth_90d_pct = $4, engagement_trend = $5
+        WHERE creator_id = $1 AND platform = $2
+      `,
+        [
+          creatorId,
+          platform,
+          growth.follower_growth_30d_pct,
+          growth.follower_growth_90d_pct,
+          growth.engagement_trend
+        ]
+      )
+      updated.push({ platform, ...growth })
+    }
+
+    return updated
+  }
+
+  // Metrics snapshots of a creator over the last `days` days with follower growth
+  // and engagement trend per platform
+  async getMetricsHistory (creatorId, options = {}) {
+    const { platform = null, days = __constants.CREATOR_METRICS_HISTORY.DEFAULT_DAYS } = options
+
+    try {
+      const creatorResult = await this.pool.query(
+        'SELECT id, creator_name, primary_platform FROM creators WHERE id = $1',
+        [creatorId]
+      )
+      const creator = creatorResult.rows[0]
+      if (!creator) {
+        throw new Error('Creator not found')
+      }
+
+      // Growth needs snapshots from before the requested period, so all are loaded
+      const snapshots = await this.loadSnapshots(
+        this.pool,
+        creatorId,
+        platform ? [platform] : null
+      )
+      const since = Date.now() - days * DAY_MS
+
+      const platforms = Object.entries(snapshots).map(([name, platformSnapshots]) => {
+        const latest = platformSnapshots[platformSnapshots.length - 1]
+
+        return {
+          platform: name,
+          is_primary: name === creator.primary_platform,
+          latest: {
+            follower_count: this.toNumber(latest.follower_count),
+            engagement_rate: this.toNumber(latest.engagement_rate),
+            recorded_at: latest.recorded_at
+          },
+          growth: this.calculateGrowth(platformSnapshots),
+          snapshots: platformSnapshots
+            .filter((snapshot) => new Date(snapshot.recorded_at).getTime() >= since)
+            .map(({ platform: snapshotPlatform, ...snapshot }) => snapshot)
+        }
+      })
+
+      return {
+        creator_id: creator.id,
+        creator_name: creator.creator_name,
+        days,
+        platforms
+      }
+    } catch (error) {
+      console.error('Error getting creator metrics history:', error)
+      throw error
+    }
+  }
+}
+
+module.exports = new CreatorMetricsHistoryService()
@@ -0,0 +1,504 @@
+// services/creators/creatorPortalService.js
+const crypto = require('crypto')
+const { Pool } = require('pg')
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+const creatorService = require('./creatorService')
+const campaignPipelineService = require('../campaigns/campaignPipelineService')
+const mailService = require('../nodemailer/nodemailer')
+const razorpayService = require('../razorpay/razorpay')
+
+const {
+  CLAIM_CODE_TTL_MINUTES,
+  MAX_CLAIM_ATTEMPTS,
+  CLAIM_WINDOW_HOURS,
+  MAX_CLAIM_REQUESTS_PER_WINDOW,
+  MAX_FAILED_CLAIM_ATTEMPTS_PER_WINDOW,
+  CLAIM_RESEND_COOLDOWN_SECONDS,
+  EDITABLE_FIELDS,
+  PAYOUT_METHODS,
+  OFFER_STAGES
+} = __constants.CREATOR_PORTAL
+
+class CreatorPortalService {
+  constructor () {
+    this.pool = new Pool({
+      user: __config.postgres.user,
+      host: __config.postgres.host,
+      database: __config.postgres.database,
+      password: __config.postgres.password,
+      port: __config.postgres.port,
+      ssl: { rejectUnauthorized: false }
+    })
+  }
+
+  hashCode (code) {
+    return crypto.createHash('sha256').update(code).digest('hex')
+  }
+
+  // j***@example.com
+  maskEmail (email) {
+    const [name, domain] = email.split('@')
+    return `${name.charAt(0)}***@${domain}`
+  }
+
+  // Id of the creator profile claimed by a user
+  async getClaimedCreatorId (userId) {
+    const result = await this.pool.query(
+      'SELECT id FROM creators WHERE claimed_by_user_id = $1',
+      [userId]
+    )
+
+    if (result.rows.length === 0) {
+      throw new Error('Creator profile not found. Claim your profile first.')
+    }
+
+    return result.rows[0].id
+  }
+
+  // Full creator profile claimed by a user
+  async getClaimedCreator (userId) {
+    const creatorId = await this.getClaimedCreatorId(userId)
+    return creatorService.getCreatorById(creatorId)
+  }
+
+  // Recent claim activity of a user and of a creator profile, from creator_claims
+  async getClaimActivity (db, userId, creatorId) {
+    const result = await db.query(
+      `
+      SELECT
+        COUNT(*) FILTER (WHERE user_id = $1) as user_requests,
+        COUNT(*) FILTER (WHERE creator_id = $2) as creator_requests,
+        COALESCE(SUM(attempts) FILTER (WHERE user_id = $1), 0) as user_failed_attempts,
+        COALESCE(SUM(attempts) FILTER (WHERE creator_id = $2), 0) as creator_failed_attempts,
+        EXTRACT(EPOCH FROM NOW() - MAX(created_at) FILTER (WHERE user_id = $1 AND creator_id = $2))
+          as seconds_since_last_request
+      FROM creator_claims
+      WHERE (user_id = $1 OR creator_id = $2)
+        AND created_at > NOW() - make_interval(hours => $3)
+    `,
+      [userId, creatorId, CLAIM_WINDOW_HOURS]
+    )
+    const row = result.rows[0] || {}
+
+    return {
+      user_requests: parseInt(row.user_requests) || 0,
+      creator_requests: parseInt(row.creator_requests) || 0,
+      user_failed_attempts: parseInt(row.user_failed_attempts) || 0,
+      creator_failed_attempts: parseInt(row.creator_failed_attempts) || 0,
+      seconds_since_last_request:
+        row.seconds_since_last_request === null || row.seconds_since_last_request === undefined
+          ? null
+          : parseFloat(row.seconds_since_last_request)
+    }
+  }
+
+  // Lock out a user or profile with too many wrong codes in the window
+  assertNotLockedOut (activity) {
+    if (
+      activity.user_failed_attempts >= MAX_FAILED_CLAIM_ATTEMPTS_PER_WINDOW ||
+      activity.creator_failed_attempts >= MAX_FAILED_CLAIM_ATTEMPTS_PER_WINDOW
+    ) {
+      throw new Error(
+        `Too many failed claim attempts. Try again in ${CLAIM_WINDOW_HOURS} hours or contact support.`
+      )
+    }
+  }
+
+  // Refuse a new code during the resend cooldown, after too many codes or too many wrong codes
+  assertCanRequestClaim (activity) {
+    this.assertNotLockedOut(activity)
+
+    if (
+      activity.user_requests >= MAX_CLAIM_REQUESTS_PER_WINDOW ||
+      activity.creator_requests >= MAX_CLAIM_REQUESTS_PER_WINDOW
+    ) {
+      throw new Error(
+        `Too many claim codes requested. Try again in ${CLAIM_WINDOW_HOURS} hours or contact support.`
+      )
+    }
+
+    if (
+      activity.seconds_since_last_request !== null &&
+      activity.seconds_since_last_request < CLAIM_RESEND_COOLDOWN_SECONDS
+    ) {
+      const wait = Math.ceil(CLAIM_RESEND_COOLDOWN_SECONDS - activity.seconds_since_last_request)
+      throw new Error(`Too many claim codes requested. Wait ${wait} second(s) before requesting a new code.`)
+    }
+  }
+
+  // Start claiming a creator profile: email a one-time code to the profile's address
+  async requestClaim (userId, creatorId) {
+    try {
+      const creatorResult = await this.pool.query(
+        'SELECT id, creator_name, email, business_email, claimed_by_user_id FROM creators WHERE id = $1',
+        [creatorId]
+      )
+      const creator = creatorResult.rows[0]
+
+      if (!creator) {
+        throw new Error('Creator not found')
+      }
+
+      if (creator.claimed_by_user_id) {
+        throw new Error(
+          String(creator.claimed_by_user_id) === String(userId)
+            ? 'Invalid claim: you have already claimed this creator profile'
+            : 'Not authorized: this creator profile has already been claimed'
+        )
+      }
+
+      const ownedResult = await this.pool.query(
+        'SELECT id FROM creators WHERE claimed_by_user_id = $1',
+        [userId]
+      )
+      if (ownedResult.rows.length > 0) {
+        throw new Error('Invalid claim: you have already claimed a creator profile')
+      }
+
+      const email = creator.email || creator.business_email
+      if (!email) {
+        throw new Error('Invalid claim: this creator profile has no email to verify. Contact support.')
+      }
+
+      this.assertCanRequestClaim(await this.getClaimActivity(this.pool, userId, creator.id))
+
+      const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0')
+      const expiresAt = new Date(Date.now() + CLAIM_CODE_TTL_MINUTES * 60 * 1000)
+
+      // Only the latest code of a user for a profile can be used
+      await this.pool.query(
+        `
+        UPDATE creator_claims SET status = 'expired'
+        WHERE user_id = $1 AND creator_id = $2 AND status = 'pending'
+      `,
+        [userId, creator.id]
+      )
+
+      const claimResult = await this.pool.query(
+        `
+        INSERT INTO creator_claims (creator_id, user_id, email, code_hash, expires_at)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id, expires_at
+      `,
+        [creator.id, userId, email, this.hashCode(code), expiresAt]
+      )
+
+      await mailService.sendCreatorClaimCodeEmail({
+        to: email,
+        creatorName: creator.creator_name,
+        code,
+        expiresInMinutes: CLAIM_CODE_TTL_MINUTES
+      })
+
+      return {
+        claim_id: claimResult.rows[0].id,
+        creator_id: creator.id,
+        sent_to: this.maskEmail(email),
+        expires_at: claimResult.rows[0].expires_at
+      }
+    } catch (error) {
+      console.error('Error requesting creator profile claim:', error)
+      throw error
+    }
+  }
+
+  // Finish claiming a creator profile with the emailed code
+  async verifyClaim (userId, claimId, code) {
+    const client = await this.pool.connect()
+
+    try {
+      await client.query('BEGIN')
+
+      const claimResult = await client.query(
+        `
+        SELECT * FROM creator_claims
+        WHERE id = $1 AND user_id = $2
+        FOR UPDATE
+      `,
+        [claimId, userId]
+      )
+      const claim = claimResult.rows[0]
+
+      if (!claim) {
+        throw new Error('Claim not found')
+      }
+
+      if (claim.status !== 'pending') {
+        throw new Error(`Invalid claim: this code is ${claim.status}. Request a new one.`)
+      }
+
+      this.assertNotLockedOut(await this.getClaimActivity(client, userId, claim.creator_id))
+
+      if (new Date(claim.expires_at) < new Date()) {
+        await client.query("UPDATE creator_claims SET status = 'expired' WHERE id = $1", [claim.id])
+        await client.query('COMMIT')
+        throw new Error('Invalid claim: this code has expired. Request a new one.')
+      }
+
+      if (this.hashCode(String(code)) !== claim.code_hash) {
+        const attempts = claim.attempts + 1
+        const status = attempts >= MAX_CLAIM_ATTEMPTS ? 'failed' : 'pending'
+
+        await client.query(
+          'UPDATE creator_claims SET attempts = $1, status = $2 WHERE id = $3',
+          [attempts, status, claim.id]
+        )
+        await client.query('COMMIT')
+
+        throw new Error(
+          status === 'failed'
+            ? 'Invalid code. Too many attempts; request a new code.'
+            : `Invalid code. ${MAX_CLAIM_ATTEMPTS - attempts} attempt(s) left.`
+        )
+      }
+
+      const creatorResult = await client.query(
+        `
+        UPDATE creators
+        SET claimed_by_user_id = $1, claimed_at = NOW(), updated_at = NOW()
+        WHERE id = $2 AND claimed_by_user_id IS NULL
+          AND NOT EXISTS (SELECT 1 FROM creators WHERE claimed_by_user_id = $1)
+        RETURNING id, creator_name
+      `,
+        [userId, claim.creator_id]
+      )
+
+      if (creatorResult.rows.length === 0) {
+        throw new Error('Not authorized: this creator profile has already been claimed')
+      }
+
+      await client.query(
+        "UPDATE creator_claims SET status = 'verified', verified_at = NOW() WHERE id = $1",
+        [claim.id]
+      )
+
+      await client.query('COMMIT')
+
+      return creatorResult.rows[0]
+    } catch (error) {
+      // Failed attempts were committed above; rolling back afterwards is a no-op
+      await client.query('ROLLBACK')
+      console.error('Error verifying creator profile claim:', error)
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  // Update the fields a creator may edit on their own profile (merged like a PATCH)
+  async updateOwnProfile (userId, updateData) {
+    const creatorId = await this.getClaimedCreatorId(userId)
+    const allowed = Object.fromEntries(
+      EDITABLE_FIELDS.filter((field) => updateData[field] !== undefined).map((field) => [
+        field,
+        updateData[field]
+      ])
+    )
+
+    return creatorService.updateCreator(creatorId, allowed)
+  }
+
+  // Payout details as the creator sees them: only the last 4 digits of the account number are kept
+  formatPayoutDetails (row) {
+    if (!row) return null
+
+    return {
+      payout_method: row.payout_method,
+      account_holder_name: row.account_holder_name,
+      bank_account_last4: row.bank_account_last4,
+      ifsc: row.ifsc,
+      vpa: row.vpa,
+      updated_at: row.updated_at
+    }
+  }
+
+  // Where the creator wants to be paid
+  async getPayoutDetails (userId) {
+    const creatorId = await this.getClaimedCreatorId(userId)
+    const result = await this.pool.query(
+      'SELECT * FROM creator_payout_details WHERE creator_id = $1',
+      [creatorId]
+    )
+
+    return { creator_id: creatorId, payout_details: this.formatPayoutDetails(result.rows[0]) }
+  }
+
+  // Razorpay contact and fund account the creator is paid into; Razorpay holds the full account number
+  async createFundAccount (creatorId, details) {
+    const contact = await razorpayService.createContact({
+      name: details.account_holder_name,
+      type: 'vendor',
+      reference_id: `creator_${creatorId}`
+    })
+
+    const fundAccountData = { contact_id: contact.id, account_type: details.payout_method }
+
+    if (details.payout_method === 'bank_account') {
+      fundAccountData.bank_account = {
+        name: details.account_holder_name,
+        ifsc: details.ifsc.toUpperCase(),
+        account_number: details.bank_account_number
+      }
+    } else {
+      fundAccountData.vpa = { address: details.vpa }
+    }
+
+    return razorpayService.createFundAccount(fundAccountData)
+  }
+
+  // Save the creator's payout details; only the fields of the chosen method are kept
+  async savePayoutDetails (userId, details) {
+    try {
+      const creatorId = await this.getClaimedCreatorId(userId)
+      const method = details.payout_method
+
+      if (!PAYOUT_METHODS.includes(method)) {
+        throw new Error(`Invalid payout method '${method}'. Must be one of: ${PAYOUT_METHODS.join(', ')}`)
+      }
+
+      if (method === 'bank_account' && (!details.bank_account_number || !details.ifsc)) {
+        throw new Error('Invalid payout details: bank_account_number and ifsc are required for bank_account')
+      }
+
+      if (method === 'vpa' && !details.vpa) {
+        throw new Error('Invalid payout details: vpa is required for vpa payouts')
+      }
+
+      const isBank = method === 'bank_account'
+      const fundAccount = await this.createFundAccount(creatorId, details)
+      const result = await this.pool.query(
+        `
+        INSERT INTO creator_payout_details (
+          creator_id, payout_method, account_holder_name, bank_account_last4, ifsc, vpa,
+          razorpay_contact_id, razorpay_fund_account_id, updated_by_user_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (creator_id) DO UPDATE SET
+          payout_method = EXCLUDED.payout_method,
+          account_holder_name = EXCLUDED.account_holder_name,
+          bank_account_last4 = EXCLUDED.bank_account_last4,
+          ifsc = EXCLUDED.ifsc,
+          vpa = EXCLUDED.vpa,
+          razorpay_contact_id = EXCLUDED.razorpay_contact_id,
+          razorpay_fund_account_id = EXCLUDED.razorpay_fund_account_id,
+          updated_by_user_id = EXCLUDED.updated_by_user_id,
+          updated_at = NOW()
+        RETURNING *
+      `,
+        [
+          creatorId,
+          method,
+          details.account_holder_name,
+          isBank ? details.bank_account_number.slice(-4) : null,
+          isBank ? details.ifsc.toUpperCase() : null,
+          isBank ? null : details.vpa,
+          fundAccount.contact_id,
+          fundAccount.id,
+          userId
+        ]
+      )
+
+      return { creator_id: creatorId, payout_details: this.formatPayoutDetails(result.rows[0]) }
+    } catch (error) {
+      console.error('Error saving creator payout details:', error)
+      throw error
+    }
+  }
+
+  // Campaigns the creator is part of, with their pipeline stage and offer answer
+  async listCampaigns (userId) {
+    const creatorId = await this.getClaimedCreatorId(userId)
+    const result = await this.pool.query(
+      `
+      SELECT c.id as campaign_id, c.campaign_name, c.status as campaign_status,
+             c.start_date, c.end_date, c.currency, b.brand_name,
+             cc.stage, cc.stage_changed_at, cc.offer_status, cc.offer_responded_at,
+             cc.offer_response_note, cc.last_activity_at,
+             cc.stage = ANY($2) AND cc.offer_status IS NULL as can_respond
+      FROM campaign_creators cc
+      JOIN campaigns c ON c.id = cc.campaign_id
+      JOIN brands b ON b.id = c.brand_id
+      WHERE cc.creator_id = $1 AND c.is_active = true
+      ORDER BY cc.last_activity_at DESC NULLS LAST
+    `,
+      [creatorId, OFFER_STAGES]
+    )
+
+    return { creator_id: creatorId, campaigns: result.rows }
+  }
+
+  // Contracts sent to the creator
+  async listContracts (userId) {
+    const creatorId = await this.getClaimedCreatorId(userId)
+    const result = await this.pool.query(
+      `
+      SELECT ct.id, ct.campaign_id, c.campaign_name, ct.brand_name, ct.deliverables,
+             ct.timeline, ct.platforms, ct.payment_amount, ct.currency, ct.status,
+             ct.is_signed, ct.signed_at, ct.created_at
+      FROM contracts ct
+      LEFT JOIN campaigns c ON c.id = ct.campaign_id
+      WHERE ct.creator_id = $1
+      ORDER BY ct.created_at DESC
+    `,
+      [creatorId]
+    )
+
+    return { creator_id: creatorId, contracts: result.rows }
+  }
+
+  // Accept or decline a brand's offer. Accepting moves the creator on to negotiating.
+  async respondToOffer (userId, campaignId, response, note = null) {
+    try {
+      const creatorId = await this.getClaimedCreatorId(userId)
+      const entry = await campaignPipelineService.getEntry(campaignId, creatorId)
+
+      if (!entry) {
+        throw new Error('Campaign offer not found')
+      }
+
+      if (!OFFER_STAGES.includes(entry.stage) || entry.offer_status) {
+        throw new Error(
+          `Invalid offer response: the offer is ${entry.offer_status || `at the ${entry.stage} stage`} and can no longer be answered`
+        )
+      }
+
+      const offerStatus = response === 'accept' ? 'accepted' : 'declined'
+      const client = await this.pool.connect()
+
+      try {
+        await client.query('BEGIN')
+
+        await client.query(
+          `
+          UPDATE campaign_creators
+          SET offer_status = $1, offer_responded_at = NOW(), offer_response_note = $2,
+              last_activity = $3, last_activity_at = NOW()
+          WHERE id = $4
+        `,
+          [offerStatus, note, `creator_${offerStatus}_offer`, entry.id]
+        )
+
+        if (offerStatus === 'accepted') {
+          await campaignPipelineService.advanceStage(campaignId, creatorId, 'negotiating', {
+            activity: 'creator_accepted_offer',
+            client
+          })
+        }
+
+        await client.query('COMMIT')
+      } catch (error) {
+        await client.query('ROLLBACK')
+        throw error
+      } finally {
+        client.release()
+      }
+
+      return campaignPipelineService.getEntry(campaignId, creatorId)
+    } catch (error) {
+      console.error('Error responding to campaign offer:', error)
+      throw error
+    }
+  }
+}
+
+module.exports = new CreatorPortalService()
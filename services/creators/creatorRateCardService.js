@@ -0,0 +1,577 @@
+// services/creators/creatorRateCardService.js
+const { Pool } = require('pg')
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+const currencyService = require('../currency/currencyService')
+
+const {
+  PRICING_FORMATS,
+  QUOTE_VALID_DAYS,
+  QUOTE_SOURCES,
+  CAMPAIGN_TYPE_DELIVERABLES,
+  DEFAULT_CAMPAIGN_DELIVERABLES
+} = __constants.CREATOR_RATE_CARDS
+
+const JSON_COLUMNS = ['rates', 'packages', 'usage_rights', 'rush_fee', 'volume_discounts']
+
+class CreatorRateCardService {
+  constructor () {
+    this.pool = new Pool({
+      user: __config.postgres.user,
+      host: __config.postgres.host,
+      database: __config.postgres.database,
+      password: __config.postgres.password,
+      port: __config.postgres.port,
+      ssl: { rejectUnauthorized: false }
+    })
+  }
+
+  roundAmount (amount) {
+    return Math.round(amount * 100) / 100
+  }
+
+  formatRateCard (row) {
+    return {
+      ...row,
+      source: 'rate_card',
+      exclusivity_pct_per_month: row.exclusivity_pct_per_month !== null
+        ? parseFloat(row.exclusivity_pct_per_month)
+        : null
+    }
+  }
+
+  formatQuote (row) {
+    return {
+      ...row,
+      subtotal: parseFloat(row.subtotal),
+      discount: parseFloat(row.discount),
+      add_ons: parseFloat(row.add_ons),
+      total: parseFloat(row.total)
+    }
+  }
+
+  // Rate card built from the creator's flat per-platform pricing. Platforms priced in
+  // another currency than the primary platform are left out.
+  async getPricingRateCard (creatorId) {
+    const result = await this.pool.query(
+      `
+      SELECT cp.*, c.primary_platform
+      FROM creator_pricing cp
+      JOIN creators c ON c.id = cp.creator_id
+      WHERE cp.creator_id = $1
+      ORDER BY (cp.platform = c.primary_platform) DESC, cp.platform
+    `,
+      [creatorId]
+    )
+
+    if (result.rows.length === 0) return null
+
+    const currency = currencyService.resolveCode(result.rows[0].currency)
+    const rates = {}
+
+    result.rows
+      .filter((row) => currencyService.resolveCode(row.currency) === currency)
+      .forEach((row) => {
+        Object.entries(PRICING_FORMATS).forEach(([field, format]) => {
+          const rate = parseFloat(row[`${field}_rate`])
+          if (isNaN(rate)) return
+          if (!rates[row.platform]) rates[row.platform] = {}
+          rates[row.platform][format] = rate
+        })
+      })
+
+    return {
+      id: null,
+      creator_id: creatorId,
+      version: null,
+      source: 'pricing',
+      currency,
+      rates,
+      packages: [],
+      usage_rights: {},
+      exclusivity_pct_per_month: null,
+      rush_fee: null,
+      volume_discounts: []
+    }
+  }
+
+  // A version of the creator's rate card (the current one by default). Without a rate card
+  // the flat pricing is used when allowPricing is set, otherwise null is returned.
+  async getRateCard (creatorId, options = {}) {
+    const { version = null, allowPricing = false } = options
+
+    const values = [creatorId]
+    let versionCondition = ''
+    if (version) {
+      values.push(version)
+      versionCondition = 'AND version = $2'
+    }
+
+    const result = await this.pool.query(
+      `
+      SELECT * FROM creator_rate_cards
+      WHERE creator_id = $1 ${versionCondition}
+      ORDER BY version DESC
+      LIMIT 1
+    `,
+      values
+    )
+
+    if (result.rows.length > 0) return this.formatRateCard(result.rows[0])
+    if (version) throw new Error(`Rate card version ${version} not found`)
+
+    return allowPricing ? this.getPricingRateCard(creatorId) : null
+  }
+
+  // Current rate card of a creator with the list of its versions
+  async getRateCardWithVersions (creatorId, version = null) {
+    try {
+      const creatorResult = await this.pool.query('SELECT id FROM creators WHERE id = $1', [creatorId])
+      if (creatorResult.rows.length === 0) {
+        throw new Error('Creator not found')
+      }
+
+      const rateCard = await this.getRateCard(creatorId, { version, allowPricing: true })
+      const versionsResult = await this.pool.query(
+        `
+        SELECT id, version, currency, created_by_user_id, created_at
+        FROM creator_rate_cards
+        WHERE creator_id = $1
+        ORDER BY version DESC
+      `,
+        [creatorId]
+      )
+
+      return {
+        creator_id: creatorId,
+        rate_card: rateCard,
+        versions: versionsResult.rows
+      }
+    } catch (error) {
+      console.error('Error getting creator rate card:', error)
+      throw error
+    }
+  }
+
+  // Admins edit any rate card; a creator only the rate card of the profile they claimed
+  async assertCanEdit (client, creatorId, user) {
+    const result = await client.query(
+      'SELECT id, claimed_by_user_id FROM creators WHERE id = $1 FOR UPDATE',
+      [creatorId]
+    )
+    const creator = result.rows[0]
+
+    if (!creator) {
+      throw new Error('Creator not found')
+    }
+
+    if (user.role !== 'admin' && String(creator.claimed_by_user_id) !== String(user.id)) {
+      throw new Error('Not authorized to edit this rate card')
+    }
+  }
+
+  // Save a new version of a creator's rate card
+  async saveRateCard (creatorId, rateCardData, user) {
+    const rates = rateCardData.rates || {}
+    const packages = rateCardData.packages || []
+
+    // Packages may only bundle deliverables priced on the card
+    packages.forEach((pkg) => {
+      pkg.items.forEach((item) => {
+        if (rates[item.platform]?.[item.format] === undefined) {
+          throw new Error(
+            `Invalid rate card: package '${pkg.name}' includes ${item.platform} ${item.format}, which has no rate`
+          )
+        }
+      })
+    })
+
+    const names = packages.map((pkg) => pkg.name.toLowerCase())
+    if (new Set(names).size !== names.length) {
+      throw new Error('Invalid rate card: package names must be unique')
+    }
+
+    const client = await this.pool.connect()
+
+    try {
+      await client.query('BEGIN')
+      await this.assertCanEdit(client, creatorId, user)
+
+      const row = {
+        currency: currencyService.resolveCode(rateCardData.currency),
+        rates,
+        packages,
+        usage_rights: rateCardData.usage_rights || {},
+        exclusivity_pct_per_month: rateCardData.exclusivity_pct_per_month ?? null,
+        rush_fee: rateCardData.rush_fee || null,
+        volume_discounts: rateCardData.volume_discounts || [],
+        notes: rateCardData.notes || null
+      }
+      const columns = Object.keys(row)
+
+      // The creator row is locked above, so versions can't be taken twice
+      const versionResult = await client.query(
+        'SELECT COALESCE(MAX(version), 0) + 1 as version FROM creator_rate_cards WHERE creator_id = $1',
+        [creatorId]
+      )
+
+      const result = await client.query(
+        `
+        INSERT INTO creator_rate_cards (creator_id, version, ${columns.join(', ')}, created_by_user_id)
+        VALUES ($1, $2, ${columns.map((column, index) => `$${index + 3}`).join(', ')}, $${columns.length + 3})
+        RETURNING *
+      `,
+        [
+          creatorId,
+          versionResult.rows[0].version,
+          ...columns.map((column) =>
+            JSON_COLUMNS.includes(column) && row[column] !== null ? JSON.stringify(row[column]) : row[column]
+          ),
+          user.id
+        ]
+      )
+
+      await client.query('COMMIT')
+      return this.formatRateCard(result.rows[0])
+    } catch (error) {
+      await client.query('ROLLBACK')
+      console.error('Error saving creator rate card:', error)
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  // Price a set of deliverables against a rate card. Selected packages are priced as a whole,
+  // volume discounts apply to everything, and usage rights, exclusivity and rush fees are
+  // charged as a percentage of the discounted fee. Amounts are converted to request.currency.
+  calculateQuote (rateCard, request, fxRates = null) {
+    const { packages = [], deliverables = [], usage_rights: usageRights = [] } = request
+    const lineItems = []
+    let deliverableCount = 0
+
+    packages.forEach((name) => {
+      const pkg = (rateCard.packages || []).find(
+        (candidate) => candidate.name.toLowerCase() === String(name).toLowerCase()
+      )
+      if (!pkg) {
+        throw new Error(`Invalid quote: rate card has no package '${name}'`)
+      }
+
+      const count = pkg.items.reduce((sum, item) => sum + (item.quantity || 1), 0)
+      deliverableCount += count
+      lineItems.push({
+        type: 'package',
+        description: pkg.name,
+        items: pkg.items,
+        quantity: 1,
+        unit_price: pkg.price,
+        amount: pkg.price
+      })
+    })
+
+    deliverables.forEach((deliverable) => {
+      const quantity = deliverable.quantity || 1
+      const rate = rateCard.rates?.[deliverable.platform]?.[deliverable.format]
+      if (rate === undefined || rate === null) {
+        throw new Error(
+          `Invalid quote: rate card has no rate for ${deliverable.platform} ${deliverable.format}`
+        )
+      }
+
+      deliverableCount += quantity
+      lineItems.push({
+        type: 'deliverable',
+        description: `${deliverable.platform} ${deliverable.format}`,
+        platform: deliverable.platform,
+        format: deliverable.format,
+        quantity,
+        unit_price: parseFloat(rate),
+        amount: parseFloat(rate) * quantity
+      })
+    })
+
+    if (lineItems.length === 0) {
+      throw new Error('Invalid quote: add at least one deliverable or package')
+    }
+
+    const subtotal = lineItems.reduce((sum, item) => sum + item.amount, 0)
+
+    // Best volume discount the deliverable count qualifies for
+    const volumeDiscount = (rateCard.volume_discounts || [])
+      .filter((tier) => deliverableCount >= tier.min_deliverables)
+      .sort((a, b) => b.percent - a.percent)[0]
+    const discount = volumeDiscount ? (subtotal * volumeDiscount.percent) / 100 : 0
+    if (volumeDiscount) {
+      lineItems.push({
+        type: 'volume_discount',
+        description: `${volumeDiscount.percent}% off ${deliverableCount} deliverables`,
+        amount: -discount
+      })
+    }
+
+    const fee = subtotal - discount
+    let addOns = 0
+
+    usageRights.forEach((usage) => {
+      const percent = rateCard.usage_rights?.[usage.type]
+      if (percent === undefined || percent === null) {
+        throw new Error(`Invalid quote: rate card does not offer ${usage.type} usage rights`)
+      }
+
+      const amount = (fee * percent * usage.months) / 100
+      addOns += amount
+      lineItems.push({
+        type: 'usage_rights',
+        description: `${usage.type.replace('_', ' ')} usage rights for ${usage.months} months (${percent}% per month)`,
+        months: usage.months,
+        amount
+      })
+    })
+
+    if (request.exclusivity_months) {
+      const percent = rateCard.exclusivity_pct_per_month
+      if (percent === undefined || percent === null) {
+        throw new Error('Invalid quote: rate card does not offer exclusivity')
+      }
+
+      const amount = (fee * percent * request.exclusivity_months) / 100
+      addOns += amount
+      lineItems.push({
+        type: 'exclusivity',
+        description: `Category exclusivity for ${request.exclusivity_months} months (${percent}% per month)`,
+        months: request.exclusivity_months,
+        amount
+      })
+    }
+
+    const rushFee = rateCard.rush_fee
+    if (
+      rushFee &&
+      request.delivery_days !== undefined &&
+      request.delivery_days !== null &&
+      request.delivery_days <= rushFee.within_days
+    ) {
+      const amount = (fee * rushFee.percent) / 100
+      addOns += amount
+      lineItems.push({
+        type: 'rush_fee',
+        description: `Rush delivery within ${request.delivery_days} days (${rushFee.percent}%)`,
+        amount
+      })
+    }
+
+    // Convert from the rate card currency
+    const fromCurrency = currencyService.resolveCode(rateCard.currency)
+    const currency = request.currency ? currencyService.resolveCode(request.currency) : fromCurrency
+    const convert = (amount) => {
+      const converted = currencyService.convert(amount, fromCurrency, currency, fxRates)
+      if (converted === null) {
+        throw new Error(`Invalid quote: no exchange rate from ${fromCurrency} to ${currency}`)
+      }
+      return this.roundAmount(converted)
+    }
+
+    return {
+      currency,
+      rate_card_id: rateCard.id,
+      rate_card_version: rateCard.version,
+      rate_card_currency: fromCurrency,
+      deliverable_count: deliverableCount,
+      line_items: lineItems.map((item) => ({
+        ...item,
+        ...(item.unit_price !== undefined ? { unit_price: convert(item.unit_price) } : {}),
+        amount: convert(item.amount)
+      })),
+      subtotal: convert(subtotal),
+      discount: convert(discount),
+      add_ons: convert(addOns),
+      total: convert(fee + addOns)
+    }
+  }
+
+  // Price deliverables for a creator and save the quote
+  async createQuote (creatorId, request, options = {}) {
+    const { userId = null, campaignId = null, source = 'api' } = options
+
+    try {
+      if (!QUOTE_SOURCES.includes(source)) {
+        throw new Error(`Invalid quote source '${source}'`)
+      }
+
+      const creatorResult = await this.pool.query('SELECT id FROM creators WHERE id = $1', [creatorId])
+      if (creatorResult.rows.length === 0) {
+        throw new Error('Creator not found')
+      }
+
+      const rateCard = await this.getRateCard(creatorId, { allowPricing: true })
+      if (!rateCard) {
+        throw new Error('Invalid quote: creator has no rate card or pricing')
+      }
+
+      const needsRates =
+        request.currency &&
+        currencyService.resolveCode(request.currency) !== currencyService.resolveCode(rateCard.currency)
+      const fxRates = needsRates ? await currencyService.getRatesOrNull() : null
+      const quote = this.calculateQuote(rateCard, request, fxRates)
+
+      const result = await this.pool.query(
+        `
+        INSERT INTO creator_quotes (
+          creator_id, campaign_id, rate_card_id, rate_card_version, request, line_items,
+          subtotal, discount, add_ons, total, currency, source, created_by_user_id, expires_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW() + ($14 || ' days')::INTERVAL)
+        RETURNING id, created_at, expires_at
+      `,
+        [
+          creatorId,
+          campaignId,
+          quote.rate_card_id,
+          quote.rate_card_version,
+          JSON.stringify(request),
+          JSON.stringify(quote.line_items),
+          quote.subtotal,
+          quote.discount,
+          quote.add_ons,
+          quote.total,
+          quote.currency,
+          source,
+          userId,
+          String(QUOTE_VALID_DAYS)
+        ]
+      )
+
+      return {
+        id: result.rows[0].id,
+        creator_id: creatorId,
+        campaign_id: campaignId,
+        rate_card_source: rateCard.source,
+        ...quote,
+        created_at: result.rows[0].created_at,
+        expires_at: result.rows[0].expires_at
+      }
+    } catch (error) {
+      // Foreign key on campaign_id
+      if (error.code === '23503') {
+        throw new Error('Campaign not found')
+      }
+      console.error('Error creating creator quote:', error)
+      throw error
+    }
+  }
+
+  // Deliverables to price for a campaign: those planned for the creator, else the
+  // usual set for the campaign type on the creator's primary platform
+  async getCampaignDeliverables (creatorId, campaignData) {
+    const planned = await this.pool.query(
+      `
+      SELECT platform, format, COUNT(*)::int as quantity
+      FROM campaign_deliverables
+      WHERE campaign_id = $1 AND creator_id = $2 AND status <> 'cancelled'
+      GROUP BY platform, format
+      ORDER BY platform, format
+    `,
+      [campaignData.id, creatorId]
+    )
+
+    if (planned.rows.length > 0) return planned.rows
+
+    const creatorResult = await this.pool.query(
+      'SELECT primary_platform FROM creators WHERE id = $1',
+      [creatorId]
+    )
+    const platform = creatorResult.rows[0]?.primary_platform
+
+    return (CAMPAIGN_TYPE_DELIVERABLES[campaignData.campaign_type] || DEFAULT_CAMPAIGN_DELIVERABLES)
+      .map((deliverable) => ({ platform, ...deliverable }))
+  }
+
+  // Whether a saved quote still holds: priced on the creator's current rate card (or on flat
+  // pricing when there is none), for the same deliverables and in the same currency
+  isQuoteCurrent (quote, rateCard, request) {
+    const deliverableKeys = (deliverables = []) =>
+      deliverables
+        .map(({ platform, format, quantity }) => `${platform}:${format}:${quantity || 1}`)
+        .sort()
+        .join(',')
+
+    return (
+      String(quote.rate_card_id) === String(rateCard.id) &&
+      String(quote.rate_card_version) === String(rateCard.version) &&
+      currencyService.resolveCode(quote.currency) === currencyService.resolveCode(request.currency) &&
+      deliverableKeys(quote.request?.deliverables) === deliverableKeys(request.deliverables)
+    )
+  }
+
+  // Quote for a creator on a campaign, e.g. to brief a call: the latest unexpired quote for the
+  // campaign while it is current, else a new one for its deliverables. Null when the creator can't be priced.
+  async getCampaignQuote (creatorId, campaignData, userId = null) {
+    try {
+      const deliverables = await this.getCampaignDeliverables(creatorId, campaignData)
+      const request = { deliverables, currency: currencyService.resolveCode(campaignData.currency) }
+
+      const existing = await this.pool.query(
+        `
+        SELECT * FROM creator_quotes
+        WHERE creator_id = $1 AND campaign_id = $2 AND (expires_at IS NULL OR expires_at > NOW())
+        ORDER BY created_at DESC
+        LIMIT 1
+      `,
+        [creatorId, campaignData.id]
+      )
+
+      if (existing.rows.length > 0) {
+        const rateCard = await this.getRateCard(creatorId, { allowPricing: true })
+        if (rateCard && this.isQuoteCurrent(existing.rows[0], rateCard, request)) {
+          return this.formatQuote(existing.rows[0])
+        }
+      }
+
+      return await this.createQuote(creatorId, request, {
+        userId,
+        campaignId: campaignData.id,
+        source: 'call'
+      })
+    } catch (error) {
+      console.error('Error getting campaign quote, continuing without it:', error)
+      return null
+    }
+  }
+
+  // Quote a contract is based on: that of the latest call with the creator for the
+  // campaign, else the latest quote for the campaign. Null when there is none.
+  async getContractQuote (creatorId, campaignId = null) {
+    try {
+      const result = await this.pool.query(
+        `
+        SELECT q.*
+        FROM creator_quotes q
+        LEFT JOIN LATERAL (
+          SELECT MAX(created_at) as called_at FROM calls
+          WHERE quote_id = q.id AND creator_id = $1
+        ) latest_call ON true
+        WHERE q.creator_id = $1 AND q.campaign_id IS NOT DISTINCT FROM $2
+        ORDER BY latest_call.called_at DESC NULLS LAST, q.created_at DESC
+        LIMIT 1
+      `,
+        [creatorId, campaignId]
+      )
+
+      return result.rows.length > 0 ? this.formatQuote(result.rows[0]) : null
+    } catch (error) {
+      console.error('Error getting contract quote, continuing without it:', error)
+      return null
+    }
+  }
+
+  // One-line summary of a quote's line items, e.g. "2 x instagram post, paid ads usage rights for 3 months"
+  summarizeQuote (quote) {
+    return quote.line_items
+      .map((item) =>
+        item.type === 'deliverable' ? `${item.quantity} x ${item.description}` : item.description
+      )
+      .join(', ')
+  }
+}
+
+module.exports = new CreatorRateCardService()
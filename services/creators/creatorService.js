@@ -1,5 +1,57 @@
 const { Pool } = require('pg')
 const __config = require('../../config')
+const __constants = require('../../config/constants')
+const embeddingService = require('../ai/embeddingService')
+const creatorMetricsHistoryService = require('./creatorMetricsHistoryService')
+const creatorAuthenticityService = require('./creatorAuthenticityService')
+
+// Per-platform tables edited together with the creator: request field -> column
+const PLATFORM_TABLES = {
+  platform_metrics: {
+    table: 'creator_platform_metrics',
+    columns: {
+      follower_count: 'follower_count',
+      following_count: 'following_count',
+      post_count: 'post_count',
+      avg_views: 'avg_views',
+      avg_likes: 'avg_likes',
+      avg_comments: 'avg_comments',
+      avg_shares: 'avg_shares',
+      engagement_rate: 'engagement_rate',
+      followers_gained_30d: 'followers_gained_30d',
+      total_videos: 'total_videos',
+      story_views_avg: 'story_views_avg',
+      handle: 'handle'
+    }
+  },
+  audience_demographics: {
+    table: 'creator_audience_demographics',
+    columns: {
+      age_13_17: 'age_13_17',
+      age_18_24: 'age_18_24',
+      age_25_34: 'age_25_34',
+      age_35_44: 'age_35_44',
+      age_45_plus: 'age_45_plus',
+      gender_male: 'gender_male',
+      gender_female: 'gender_female',
+      gender_other: 'gender_other',
+      top_countries: 'top_countries',
+      interests: 'interests'
+    },
+    jsonColumns: ['top_countries', 'interests']
+  },
+  pricing: {
+    table: 'creator_pricing',
+    columns: {
+      sponsored_post: 'sponsored_post_rate',
+      story_mention: 'story_mention_rate',
+      video_integration: 'video_integration_rate',
+      brand_ambassadorship_monthly: 'brand_ambassadorship_monthly_rate',
+      event_coverage: 'event_coverage_rate',
+      currency: 'currency'
+    }
+  }
+}
 
 class CreatorService {
   constructor () {
@@ -13,7 +65,8 @@ class CreatorService {
     })
   }
 
-  async createCreator (creatorData) {
+  async createCreator (creatorData, options = {}) {
+    const { snapshotSource = 'create' } = options
     const client = await this.pool.connect()
     try {
       await client.query('BEGIN')
@@ -76,8 +129,8 @@ class CreatorService {
           INSERT INTO creator_platform_metrics (
             creator_id, platform, follower_count, following_count, post_count,
             avg_views, avg_likes, avg_comments, avg_shares, engagement_rate,
-            followers_gained_30d, total_videos, story_views_avg
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+            followers_gained_30d, total_videos, story_views_avg, handle
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
         `
 
           await client.query(metricsQuery, [
@@ -93,9 +146,18 @@ class CreatorService {
             metrics.engagement_rate,
             metrics.followers_gained_30d,
             metrics.total_videos,
-            metrics.story_views_avg
+            metrics.story_views_avg,
+            metrics.handle || null
           ])
         }
+
+        // Start the creator's metrics history
+        await creatorMetricsHistoryService.recordSnapshots(
+          client,
+          creatorId,
+          Object.keys(creatorData.platform_metrics),
+          snapshotSource
+        )
       }
 
       // Insert audience demographics with enhanced fields
@@ -209,6 +271,11 @@ class CreatorService {
       console.log(
         `✅ Created creator with ID: ${creatorId} (AI-enhanced: ${creatorData.ai_enhanced})`
       )
+
+      if (creatorData.platform_metrics) {
+        await this.refreshAuthenticity(creatorId)
+      }
+
       return creatorId // Returns UUID string
     } catch (error) {
       await client.query('ROLLBACK')
@@ -264,6 +331,12 @@ class CreatorService {
       values.push(filters.min_engagement)
     }
 
+    if (filters.min_follower_growth_30d !== undefined) {
+      paramCount++
+      whereClause += ` AND cpm.follower_growth_30d_pct >= $${paramCount}`
+      values.push(filters.min_follower_growth_30d)
+    }
+
     const query = `
       SELECT 
         c.*, 
@@ -273,7 +346,9 @@ class CreatorService {
             'engagement_rate', cpm.engagement_rate,
             'avg_views', cpm.avg_views,
             'avg_likes', cpm.avg_likes,
-            'avg_comments', cpm.avg_comments
+            'avg_comments', cpm.avg_comments,
+            'follower_growth_30d_pct', cpm.follower_growth_30d_pct,
+            'engagement_trend', cpm.engagement_trend
           )
         ) as platform_metrics
       FROM creators c
@@ -325,7 +400,14 @@ class CreatorService {
           'avg_comments', cpm.avg_comments,
           'avg_shares', cpm.avg_shares,
           'engagement_rate', cpm.engagement_rate,
-          'followers_gained_30d', cpm.followers_gained_30d
+          'followers_gained_30d', cpm.followers_gained_30d,
+          'handle', cpm.handle,
+          'follower_growth_30d_pct', cpm.follower_growth_30d_pct,
+          'follower_growth_90d_pct', cpm.follower_growth_90d_pct,
+          'engagement_trend', cpm.engagement_trend,
+          'authenticity_risk_score', cpm.authenticity_risk_score,
+          'authenticity_risk_level', cpm.authenticity_risk_level,
+          'authenticity_signals', cpm.authenticity_signals
         )
       ) FILTER (WHERE cpm.platform IS NOT NULL) as platform_metrics,
       jsonb_object_agg(
@@ -360,7 +442,13 @@ class CreatorService {
           'event_coverage', cp.event_coverage_rate,
           'currency', cp.currency
         )
-      ) FILTER (WHERE cp.platform IS NOT NULL) as pricing
+      ) FILTER (WHERE cp.platform IS NOT NULL) as pricing,
+      (
+        SELECT to_jsonb(rc) FROM creator_rate_cards rc
+        WHERE rc.creator_id = c.id
+        ORDER BY rc.version DESC
+        LIMIT 1
+      ) as rate_card
     FROM creators c
     LEFT JOIN creator_platform_metrics cpm ON c.id = cpm.creator_id
     LEFT JOIN creator_audience_demographics cad ON c.id = cad.creator_id
@@ -441,35 +529,242 @@ class CreatorService {
     return result.rows
   }
 
-  async updateCreator (id, updateData) {
-    const setClause = []
-    const values = []
-    let paramCount = 0
+  // Whether a stored value equals an incoming one (numeric columns come back as strings)
+  sameValue (stored, incoming) {
+    if (
+      stored !== null && incoming !== null &&
+      typeof stored !== 'object' && typeof incoming !== 'object' &&
+      stored !== '' && incoming !== '' &&
+      !isNaN(Number(stored)) && !isNaN(Number(incoming))
+    ) {
+      return Number(stored) === Number(incoming)
+    }
 
-    for (const [key, value] of Object.entries(updateData)) {
-      paramCount++
-      setClause.push(`${key} = $${paramCount}`)
-      values.push(value)
+    return JSON.stringify(stored ?? null) === JSON.stringify(incoming ?? null)
+  }
+
+  // Write one group of per-platform rows. With replace, the creator's existing rows
+  // in the group are removed first; otherwise given fields are merged into each platform's row.
+  async savePlatformRows (client, creatorId, definition, rowsByPlatform, replace = false) {
+    if (replace) {
+      await client.query(`DELETE FROM ${definition.table} WHERE creator_id = $1`, [creatorId])
     }
 
-    paramCount++
-    values.push(id)
+    for (const [platform, row] of Object.entries(rowsByPlatform)) {
+      const entries = Object.entries(definition.columns).filter(
+        ([field]) => row[field] !== undefined
+      )
+      const columns = entries.map(([, column]) => column)
+      const values = entries.map(([field, column]) =>
+        (definition.jsonColumns || []).includes(column) && row[field] !== null
+          ? JSON.stringify(row[field])
+          : row[field]
+      )
 
-    const query = `
-      UPDATE creators 
-      SET ${setClause.join(', ')}, updated_at = NOW()
-      WHERE id = $${paramCount}
-      RETURNING *
-    `
+      if (!replace) {
+        if (columns.length === 0) continue
 
-    const result = await this.pool.query(query, values)
-    return result.rows[0]
+        const updateResult = await client.query(
+          `UPDATE ${definition.table}
+           SET ${columns.map((column, index) => `${column} = $${index + 3}`).join(', ')}
+           WHERE creator_id = $1 AND platform = $2`,
+          [creatorId, platform, ...values]
+        )
+
+        if (updateResult.rowCount > 0) continue
+      }
+
+      await client.query(
+        `INSERT INTO ${definition.table} (creator_id, platform${columns.map((column) => `, ${column}`).join('')})
+         VALUES ($1, $2${values.map((value, index) => `, $${index + 3}`).join('')})`,
+        [creatorId, platform, ...values]
+      )
+    }
+  }
+
+  // Table and columns behind each per-platform group
+  getPlatformTables () {
+    return PLATFORM_TABLES
+  }
+
+  // Fields of each per-platform group, as accepted by createCreator and updateCreator
+  getPlatformFields () {
+    return Object.fromEntries(
+      Object.entries(PLATFORM_TABLES).map(([group, definition]) => [group, Object.keys(definition.columns)])
+    )
+  }
+
+  // Refresh the creator's search embedding. Failures are reported rather than thrown
+  // so a saved profile is never rolled back because Pinecone or OpenAI is unavailable.
+  async syncCreatorEmbedding (creator) {
+    try {
+      if (!embeddingService.index) {
+        await embeddingService.initializePineconeIndex()
+      }
+
+      await embeddingService.updateCreatorEmbedding(creator.id, creator)
+      return { status: 'updated' }
+    } catch (error) {
+      console.error(`Error syncing embedding for creator ${creator.id}:`, error)
+      return { status: 'failed', error: error.message }
+    }
+  }
+
+  // Rescore the creator's audience authenticity. Failures are reported rather than thrown
+  // so saved metrics are never rolled back because scoring failed.
+  async refreshAuthenticity (creatorId) {
+    try {
+      await creatorAuthenticityService.scoreCreator(creatorId)
+      return { status: 'updated' }
+    } catch (error) {
+      console.error(`Error scoring authenticity for creator ${creatorId}:`, error)
+      return { status: 'failed', error: error.message }
+    }
+  }
+
+  // Update a creator's profile and per-platform metrics, pricing and demographics.
+  // With replace (PUT), each given per-platform group replaces the creator's rows in it.
+  // The search embedding is refreshed when a search-relevant field changes, unless
+  // syncEmbedding is off (the caller then refreshes it, e.g. in a batch).
+  // Updated platform metrics are also recorded in the creator's metrics history.
+  async updateCreator (id, updateData, options = {}) {
+    const { replace = false, syncEmbedding = true, snapshotSource = 'update' } = options
+    const { PROFILE_FIELDS, JSON_FIELDS, SEARCH_FIELDS, PLATFORMS } =
+      __constants.CREATOR_MANAGEMENT
+
+    const existing = await this.getCreatorById(id)
+    if (!existing) {
+      throw new Error('Creator not found')
+    }
+
+    const profileFields = PROFILE_FIELDS.filter((field) => updateData[field] !== undefined)
+    const platformGroups = Object.keys(PLATFORM_TABLES).filter((group) => updateData[group])
+
+    if (profileFields.length === 0 && platformGroups.length === 0) {
+      throw new Error('Invalid update: no editable creator fields provided')
+    }
+
+    platformGroups.forEach((group) => {
+      const unknown = Object.keys(updateData[group]).filter((platform) => !PLATFORMS.includes(platform))
+      if (unknown.length > 0) {
+        throw new Error(
+          `Invalid update: unknown platform '${unknown[0]}' in ${group}. Must be one of: ${PLATFORMS.join(', ')}`
+        )
+      }
+    })
+
+    const changedFields = profileFields.filter(
+      (field) => !this.sameValue(existing[field], updateData[field])
+    )
+    const client = await this.pool.connect()
+
+    try {
+      await client.query('BEGIN')
+
+      if (profileFields.length > 0) {
+        const values = profileFields.map((field) =>
+          JSON_FIELDS.includes(field) && updateData[field] !== null
+            ? JSON.stringify(updateData[field])
+            : updateData[field]
+        )
+
+        await client.query(
+          `
+          UPDATE creators
+          SET ${profileFields.map((field, index) => `${field} = $${index + 1}`).join(', ')}, updated_at = NOW()
+          WHERE id = $${values.length + 1}
+        `,
+          [...values, id]
+        )
+      }
+
+      for (const group of platformGroups) {
+        await this.savePlatformRows(client, id, PLATFORM_TABLES[group], updateData[group], replace)
+        changedFields.push(group)
+      }
+
+      if (updateData.platform_metrics) {
+        await creatorMetricsHistoryService.recordSnapshots(
+          client,
+          id,
+          Object.keys(updateData.platform_metrics),
+          snapshotSource
+        )
+      }
+
+      await client.query('COMMIT')
+    } catch (error) {
+      await client.query('ROLLBACK')
+      console.error('Error updating creator:', error)
+      throw error
+    } finally {
+      client.release()
+    }
+
+    // Peers are grouped by tier and niche, so those changes rescore too
+    let authenticity = { status: 'unchanged' }
+    if (
+      updateData.platform_metrics ||
+      changedFields.includes('tier') ||
+      changedFields.includes('niche')
+    ) {
+      authenticity = await this.refreshAuthenticity(id)
+    }
+
+    const creator = await this.getCreatorById(id)
+    const searchFieldsChanged = changedFields.filter(
+      (field) => SEARCH_FIELDS.includes(field) || PLATFORM_TABLES[field]
+    )
+
+    let embedding = { status: 'unchanged' }
+    if (searchFieldsChanged.length > 0) {
+      embedding = syncEmbedding
+        ? { ...(await this.syncCreatorEmbedding(creator)), fields: searchFieldsChanged }
+        : { status: 'pending', fields: searchFieldsChanged }
+    }
+
+    return {
+      creator,
+      changed_fields: changedFields,
+      embedding,
+      authenticity
+    }
   }
 
+  // Delete a creator and its search embedding
   async deleteCreator (id) {
-    const query = 'DELETE FROM creators WHERE id = $1 RETURNING id'
-    const result = await this.pool.query(query, [id])
-    return result.rows[0]
+    let result
+
+    try {
+      result = await this.pool.query(
+        'DELETE FROM creators WHERE id = $1 RETURNING id, creator_name',
+        [id]
+      )
+    } catch (error) {
+      // Foreign keys without ON DELETE CASCADE, e.g. contracts
+      if (error.code === '23503') {
+        throw new Error('Invalid request: creator is still referenced by contracts or other records')
+      }
+      throw error
+    }
+
+    if (result.rows.length === 0) {
+      throw new Error('Creator not found')
+    }
+
+    let embedding = { status: 'deleted' }
+    try {
+      if (!embeddingService.index) {
+        await embeddingService.initializePineconeIndex()
+      }
+
+      await embeddingService.deleteCreatorEmbedding(id)
+    } catch (error) {
+      console.error(`Error deleting embedding for creator ${id}:`, error)
+      embedding = { status: 'failed', error: error.message }
+    }
+
+    return { ...result.rows[0], embedding }
   }
 }
 
@@ -0,0 +1,251 @@
+// services/currency/currencyService.js
+const { Pool } = require('pg')
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+
+const { BASE_CURRENCY, DEFAULT_CURRENCY, RATE_CACHE_SECONDS } = __constants.CURRENCY
+
+class CurrencyService {
+  constructor () {
+    this.pool = new Pool({
+      user: __config.postgres.user,
+      host: __config.postgres.host,
+      database: __config.postgres.database,
+      password: __config.postgres.password,
+      port: __config.postgres.port,
+      ssl: { rejectUnauthorized: false }
+    })
+    this.rates = null
+    this.ratesLoadedAt = 0
+  }
+
+  // Upper-case ISO 4217 code, or null when it does not look like one
+  normalizeCode (currency) {
+    const code = String(currency || '').trim().toUpperCase()
+    return /^[A-Z]{3}$/.test(code) ? code : null
+  }
+
+  // Currency of a price, falling back to the default
+  resolveCode (currency) {
+    return this.normalizeCode(currency) || DEFAULT_CURRENCY
+  }
+
+  // All rates as { CODE: units per base currency }, cached for a few minutes
+  async getRates (options = {}) {
+    const { refresh = false } = options
+    const fresh = Date.now() - this.ratesLoadedAt < RATE_CACHE_SECONDS * 1000
+
+    if (this.rates && fresh && !refresh) {
+      return this.rates
+    }
+
+    try {
+      const result = await this.pool.query('SELECT currency, units_per_base FROM fx_rates')
+
+      const rates = { [BASE_CURRENCY]: 1 }
+      result.rows.forEach((row) => {
+        rates[row.currency] = parseFloat(row.units_per_base)
+      })
+
+      this.rates = rates
+      this.ratesLoadedAt = Date.now()
+      return rates
+    } catch (error) {
+      console.error('Error loading FX rates:', error)
+      throw error
+    }
+  }
+
+  // Rates for scoring and display paths, which carry on without conversion when rates can't be loaded
+  async getRatesOrNull () {
+    try {
+      return await this.getRates()
+    } catch (error) {
+      return null
+    }
+  }
+
+  // Convert with already loaded rates. Returns null when a rate is missing.
+  convert (amount, fromCurrency, toCurrency, rates) {
+    const value = parseFloat(amount)
+    if (isNaN(value)) return null
+
+    const from = this.resolveCode(fromCurrency)
+    const to = this.resolveCode(toCurrency)
+    if (from === to) return value
+
+    if (!rates || !rates[from] || !rates[to]) return null
+
+    return Math.round((value / rates[from]) * rates[to] * 100) / 100
+  }
+
+  // Convert an amount, loading rates as needed
+  async convertAmount (amount, fromCurrency, toCurrency) {
+    const from = this.resolveCode(fromCurrency)
+    const to = this.resolveCode(toCurrency)
+
+    if (isNaN(parseFloat(amount))) {
+      throw new Error('Invalid conversion: amount must be a number')
+    }
+
+    const rates = from === to ? null : await this.getRates()
+    const converted = this.convert(amount, from, to, rates)
+
+    if (converted === null) {
+      throw new Error(`Invalid conversion: no exchange rate for ${rates[from] ? to : from}`)
+    }
+
+    return {
+      amount: parseFloat(amount),
+      from,
+      to,
+      converted_amount: converted,
+      rate: from === to ? 1 : rates[to] / rates[from],
+      display: this.formatAmount(converted, to)
+    }
+  }
+
+  // Human readable amount in the currency's own symbol and decimals, e.g. ₹1,50,000.00 or $1,500.00
+  formatAmount (amount, currency) {
+    const value = parseFloat(amount)
+    const code = this.resolveCode(currency)
+
+    if (isNaN(value)) return `${amount} ${code}`
+
+    try {
+      const locale = code === 'INR' ? 'en-IN' : 'en-US'
+      return new Intl.NumberFormat(locale, { style: 'currency', currency: code }).format(value)
+    } catch (error) {
+      return `${value.toFixed(2)} ${code}`
+    }
+  }
+
+  // Currency of a campaign (the default when the campaign has none or does not exist)
+  async getCampaignCurrency (campaignId) {
+    try {
+      const result = await this.pool.query(
+        'SELECT currency FROM campaigns WHERE id = $1',
+        [campaignId]
+      )
+      return this.resolveCode(result.rows[0]?.currency)
+    } catch (error) {
+      console.error('Error getting campaign currency:', error)
+      throw error
+    }
+  }
+
+  // Display amounts of a payout made in minor units (paise), plus its value in the campaign currency
+  async describePayoutAmount (amountInMinorUnits, payoutCurrency, campaignId = null) {
+    const amount = parseFloat(amountInMinorUnits) / 100
+    const currency = this.resolveCode(payoutCurrency)
+    const description = {
+      amount_display: this.formatAmount(amount, currency)
+    }
+
+    if (!campaignId) return description
+
+    const campaignCurrency = await this.getCampaignCurrency(campaignId)
+    const converted = this.convert(
+      amount,
+      currency,
+      campaignCurrency,
+      campaignCurrency === currency ? null : await this.getRatesOrNull()
+    )
+
+    return {
+      ...description,
+      campaign_currency: campaignCurrency,
+      campaign_amount: converted,
+      campaign_amount_display: converted === null ? null : this.formatAmount(converted, campaignCurrency)
+    }
+  }
+
+  // List every stored rate
+  async listRates () {
+    try {
+      const result = await this.pool.query(`
+        SELECT currency, units_per_base, updated_by_user_id, created_at, updated_at
+        FROM fx_rates
+        ORDER BY currency ASC
+      `)
+
+      return {
+        base_currency: BASE_CURRENCY,
+        rates: result.rows.map((row) => ({
+          ...row,
+          units_per_base: parseFloat(row.units_per_base)
+        }))
+      }
+    } catch (error) {
+      console.error('Error listing FX rates:', error)
+      throw error
+    }
+  }
+
+  // Create or replace the rate of a currency
+  async upsertRate (currency, unitsPerBase, userId) {
+    try {
+      const code = this.normalizeCode(currency)
+      if (!code) {
+        throw new Error(`Invalid currency: '${currency}' is not a 3-letter ISO 4217 code`)
+      }
+
+      if (code === BASE_CURRENCY) {
+        throw new Error(`Invalid currency: ${BASE_CURRENCY} is the base currency and always has a rate of 1`)
+      }
+
+      const rate = parseFloat(unitsPerBase)
+      if (isNaN(rate) || rate <= 0) {
+        throw new Error('Invalid currency rate: units_per_base must be a positive number')
+      }
+
+      const result = await this.pool.query(
+        `
+        INSERT INTO fx_rates (currency, units_per_base, updated_by_user_id)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (currency) DO UPDATE
+        SET units_per_base = EXCLUDED.units_per_base,
+            updated_by_user_id = EXCLUDED.updated_by_user_id,
+            updated_at = NOW()
+        RETURNING *
+      `,
+        [code, rate, userId]
+      )
+
+      this.rates = null
+
+      return { ...result.rows[0], units_per_base: parseFloat(result.rows[0].units_per_base) }
+    } catch (error) {
+      console.error('Error saving FX rate:', error)
+      throw error
+    }
+  }
+
+  // Remove the rate of a currency
+  async deleteRate (currency) {
+    try {
+      const code = this.normalizeCode(currency)
+      if (code === BASE_CURRENCY) {
+        throw new Error(`Invalid currency: ${BASE_CURRENCY} is the base currency and cannot be removed`)
+      }
+
+      const result = await this.pool.query(
+        'DELETE FROM fx_rates WHERE currency = $1 RETURNING currency',
+        [code]
+      )
+
+      if (result.rows.length === 0) {
+        throw new Error(`FX rate for ${currency} not found`)
+      }
+
+      this.rates = null
+
+      return { currency: code, deleted: true }
+    } catch (error) {
+      console.error('Error deleting FX rate:', error)
+      throw error
+    }
+  }
+}
+
+module.exports = new CurrencyService()
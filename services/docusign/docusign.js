@@ -2,6 +2,10 @@ const { OpenAI } = require("openai");
 const docusign = require("docusign-esign");
 const db = require("../../queries/mails/mails_queries");
 const { pool } = require("../../lib/db/postgres");
+const campaignPipelineService = require("../campaigns/campaignPipelineService");
+const currencyService = require("../currency/currencyService");
+const campaignRevisionService = require("../campaigns/campaignRevisionService");
+const creatorRateCardService = require("../creators/creatorRateCardService");
 
 class ContractService {
   constructor() {
@@ -10,17 +14,33 @@ class ContractService {
     this.docusignClient.setOAuthBasePath("account-d.docusign.com");
   }
 
-  async generateAndSendContract(transcript, creatorId) {
+  async generateAndSendContract(transcript, creatorId, campaignId = null) {
     console.log("[generateAndSendContract] Starting contract generation");
     try {
       const contractData = await this.extractContractDetails(transcript);
+      contractData.currency = await this.resolveContractCurrency(
+        contractData.paymentCurrency,
+        campaignId
+      );
       console.log("[generateAndSendContract] Extracted contract details:", contractData);
 
-      const html = this.fillContractTemplate(contractData);
+      // Quote the call was priced from; its total stands in when no amount was agreed on the call
+      const quote = await creatorRateCardService.getContractQuote(creatorId, campaignId);
+      if (quote && !contractData.paymentAmount) {
+        contractData.paymentAmount = String(quote.total);
+        contractData.currency = quote.currency;
+      }
+
+      const campaignRevisionId = campaignId
+        ? await this.resolveCampaignRevisionId(campaignId, creatorId)
+        : null;
+
+      const html = this.fillContractTemplate(contractData, quote);
       console.log("[generateAndSendContract] Contract HTML template filled");
 
       const insertResult = await db.insertContract({
         creatorId,
+        campaignId,
         brandName: contractData.brandName || "",
         creatorName: contractData.creatorName || "",
         email: contractData.email || "",
@@ -28,6 +48,9 @@ class ContractService {
         timeline: contractData.timeline || "",
         platforms: contractData.platforms || "",
         paymentAmount: contractData.paymentAmount || "",
+        currency: contractData.currency,
+        campaignRevisionId,
+        quoteId: quote ? quote.id : null,
         docusign_envelope_id: "", // initially empty
       });
 
@@ -39,6 +62,17 @@ class ContractService {
       );
       console.log("[generateAndSendContract] Envelope sent via DocuSign:", envelope);
 
+      if (campaignId) {
+        try {
+          await campaignPipelineService.advanceStage(campaignId, creatorId, "negotiating", {
+            activity: "contract_sent",
+            contractId,
+          });
+        } catch (pipelineErr) {
+          console.error("[generateAndSendContract] Pipeline update failed:", pipelineErr);
+        }
+      }
+
       return envelope;
     } catch (err) {
       console.error("[generateAndSendContract] Error:", err);
@@ -46,6 +80,93 @@ class ContractService {
     }
   }
 
+  // Brief revision the terms were negotiated on: that of the latest call with the creator, else the current one
+  async resolveCampaignRevisionId(campaignId, creatorId) {
+    const callResult = await pool.query(
+      `SELECT campaign_revision_id FROM calls
+       WHERE campaign_id = $1 AND creator_id = $2 AND campaign_revision_id IS NOT NULL
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [campaignId, creatorId]
+    );
+
+    if (callResult.rows.length > 0) {
+      return callResult.rows[0].campaign_revision_id;
+    }
+
+    const revision = await campaignRevisionService.ensureCurrentRevision(
+      pool,
+      campaignId
+    );
+    return revision.id;
+  }
+
+  // Currency named in the call, else the campaign's, else the default
+  async resolveContractCurrency(paymentCurrency, campaignId) {
+    const spoken = currencyService.normalizeCode(paymentCurrency);
+    if (spoken) return spoken;
+
+    return campaignId
+      ? currencyService.getCampaignCurrency(campaignId)
+      : currencyService.resolveCode(null);
+  }
+
+  // Numeric payment amount, or null when it can't be read (e.g. "50k")
+  parsePaymentAmount(paymentAmount) {
+    // Drop symbols, separators and a trailing code
+    const amount = String(paymentAmount || "")
+      .replace(/[,\s]/g, "")
+      .replace(/^[^\d]+/, "")
+      .replace(/[A-Za-z]{3}$/, "");
+    return /^\d+(\.\d+)?$/.test(amount) ? parseFloat(amount) : null;
+  }
+
+  // Payment line of the contract, e.g. "₹50,000.00" or "$1,200.00"; unreadable amounts are shown as given
+  formatPaymentAmount(paymentAmount, currency) {
+    const amount = this.parsePaymentAmount(paymentAmount);
+    if (amount === null) {
+      return `${paymentAmount} (${currency})`;
+    }
+    return currencyService.formatAmount(amount, currency);
+  }
+
+  // Line-item breakdown of the rate card quote behind the contract. When the call agreed on
+  // a different payment, the quote is only shown for reference, with the difference explained.
+  formatQuoteBreakdown(quote, data) {
+    const agreed = this.parsePaymentAmount(data.paymentAmount);
+    const sameCurrency =
+      currencyService.resolveCode(data.currency) === currencyService.resolveCode(quote.currency);
+    const isPayment = sameCurrency && agreed !== null && Math.abs(agreed - quote.total) < 0.005;
+
+    const rows = quote.line_items
+      .map(
+        (item) =>
+          `<li>${item.type === "deliverable" ? `${item.quantity} x ` : ""}${item.description}: ${currencyService.formatAmount(item.amount, quote.currency)}</li>`
+      )
+      .join("");
+    const version = quote.rate_card_version ? `rate card v${quote.rate_card_version}` : "standard pricing";
+    const quoteTotal = currencyService.formatAmount(quote.total, quote.currency);
+
+    if (isPayment) {
+      return `
+          <h3>Rate card quote</h3>
+          <ul>${rows}</ul>
+          <p>Total: ${quoteTotal} (quote #${quote.id}, ${version})</p>`;
+    }
+
+    let difference = "";
+    if (sameCurrency && agreed !== null) {
+      const gap = currencyService.formatAmount(Math.abs(agreed - quote.total), quote.currency);
+      difference = ` The agreed payment is ${gap} ${agreed > quote.total ? "above" : "below"} the quote.`;
+    }
+
+    return `
+          <h3>Reference rate card quote</h3>
+          <p>For reference only: the payment above was agreed on the call and replaces this quote's total of ${quoteTotal}.${difference}</p>
+          <ul>${rows}</ul>
+          <p>Quote total: ${quoteTotal} (quote #${quote.id}, ${version})</p>`;
+  }
+
   async extractContractDetails(transcript) {
     console.log("[extractContractDetails] Sending transcript to OpenAI for extraction");
 
@@ -57,6 +178,7 @@ Extract the following fields from this transcript in the format "Field: Value" (
 - Timeline
 - Platforms
 - Payment amount
+- Payment currency (3-letter ISO 4217 code, only if stated)
 - Brand name
 
 Transcript:
@@ -93,6 +215,7 @@ Transcript:
       timeline: result.timeline || "",
       platforms: result.platforms || "",
       paymentAmount: result.paymentAmount || "",
+      paymentCurrency: result.paymentCurrency || "",
       brandName: result.brandName || "",
     };
   }
@@ -107,7 +230,7 @@ Transcript:
       .join("");
   }
 
-  fillContractTemplate(data) {
+  fillContractTemplate(data, quote = null) {
     console.log("[fillContractTemplate] Filling contract template with data:", data);
     return `
       <html>
@@ -118,7 +241,7 @@ Transcript:
           <p>Deliverables: ${data.deliverables}</p>
           <p>Timeline: ${data.timeline}</p>
           <p>Platforms: ${data.platforms}</p>
-          <p>Payment: ₹${data.paymentAmount}</p>
+          <p>Payment: ${this.formatPaymentAmount(data.paymentAmount, data.currency)}</p>${quote ? this.formatQuoteBreakdown(quote, data) : ""}
           <br><br>
           <p>Please sign below to confirm.</p>
         </body>
@@ -60,6 +60,77 @@ class MailService {
       throw err
     }
   }
+
+  async sendDeliverableReminderEmail ({
+    to,
+    campaignName,
+    endDate,
+    daysLeft,
+    deliverables
+  }) {
+    const rows = deliverables
+      .map((d) => `<li><strong>${d.creator_name}</strong>: ${d.platform} ${d.format} (${d.status}${d.due_date ? `, due ${new Date(d.due_date).toDateString()}` : ''})</li>`)
+      .join('')
+
+    const mailOptions = {
+      from: `"InfluencerFlow" <${process.env.SMTP_USER}>`,
+      to,
+      subject: `⏰ ${deliverables.length} deliverable(s) still open for ${campaignName}`,
+      html: `
+        <p>Hi,</p>
+
+        <p>
+          <strong>${campaignName}</strong> ends on ${new Date(endDate).toDateString()} (${daysLeft} day(s) left) and these deliverables are not live yet:
+        </p>
+
+        <ul>${rows}</ul>
+
+        <p>Please follow up with the creators so everything is published before the campaign ends.</p>
+      `
+    }
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions)
+      console.log(`✅ Reminder sent to ${to}: ${info.messageId}`)
+      return info
+    } catch (err) {
+      console.error(`❌ Failed to send reminder to ${to}`, err)
+      throw err
+    }
+  }
+
+  async sendCreatorClaimCodeEmail ({
+    to,
+    creatorName,
+    code,
+    expiresInMinutes
+  }) {
+    const mailOptions = {
+      from: `"InfluencerFlow" <${process.env.SMTP_USER}>`,
+      to,
+      subject: `🔐 Your InfluencerFlow verification code: ${code}`,
+      html: `
+        <p>Hi ${creatorName},</p>
+
+        <p>
+          Someone asked to manage the <strong>${creatorName}</strong> creator profile on InfluencerFlow. Use this code to confirm it's you:
+        </p>
+
+        <p style="font-size: 24px; letter-spacing: 4px;"><strong>${code}</strong></p>
+
+        <p>The code expires in ${expiresInMinutes} minutes. If you didn't request it, you can ignore this email.</p>
+      `
+    }
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions)
+      console.log(`✅ Claim code sent to ${to}: ${info.messageId}`)
+      return info
+    } catch (err) {
+      console.error(`❌ Failed to send claim code to ${to}`, err)
+      throw err
+    }
+  }
 }
 
 module.exports = new MailService()
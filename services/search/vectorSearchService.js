@@ -8,6 +8,7 @@ class VectorSearchService {
       apiKey: process.env.OPENAI_API_KEY
     })
     this.embeddingModel = 'text-embedding-3-large'
+    this.minScore = 0.2 // Lowered from 0.4 to 0.2 based on debug results
   }
 
   async initialize () {
@@ -90,6 +91,25 @@ class VectorSearchService {
       }
     }
 
+    if (
+      filters.min_follower_growth_30d !== undefined &&
+      filters.min_follower_growth_30d !== null
+    ) {
+      pineconeFilter.follower_growth_30d = {
+        $gte: filters.min_follower_growth_30d
+      }
+    }
+
+    // Creators not scored yet have no authenticity risk and are left out
+    if (
+      filters.max_authenticity_risk !== undefined &&
+      filters.max_authenticity_risk !== null
+    ) {
+      pineconeFilter.authenticity_risk_score = {
+        $lte: filters.max_authenticity_risk
+      }
+    }
+
     if (filters.min_budget && filters.max_budget) {
       pineconeFilter.sponsored_post_rate = {
         $gte: filters.min_budget,
@@ -120,6 +140,59 @@ class VectorSearchService {
     return Object.keys(pineconeFilter).length > 0 ? pineconeFilter : undefined
   }
 
+  // Check metadata against a Pinecone filter, one entry per condition
+  evaluatePineconeFilter (pineconeFilter, metadata = {}) {
+    const checks = []
+
+    Object.entries(pineconeFilter || {}).forEach(([field, conditions]) => {
+      Object.entries(conditions).forEach(([operator, expected]) => {
+        const actual = metadata[field] ?? null
+        let passed = false
+
+        if (actual !== null) {
+          if (operator === '$eq') passed = actual === expected
+          if (operator === '$gte') passed = actual >= expected
+          if (operator === '$lte') passed = actual <= expected
+        }
+
+        checks.push({ field, operator, expected, actual, passed })
+      })
+    })
+
+    return checks
+  }
+
+  // Similarity of one creator's vector to a query, with the metadata Pinecone filters on.
+  // similarity_score is null when the creator has no vector in the index.
+  async scoreCreatorForQuery (query, creatorId) {
+    try {
+      if (!this.index) {
+        throw new Error(
+          'Vector search service not initialized. Call initialize() first.'
+        )
+      }
+
+      const queryEmbedding = await this.queryToEmbedding(query)
+      const searchResults = await this.index.query({
+        vector: queryEmbedding,
+        topK: 1,
+        includeMetadata: true,
+        filter: { creator_id: { $eq: String(creatorId) } }
+      })
+
+      const match = searchResults.matches?.[0]
+
+      return {
+        indexed: Boolean(match),
+        similarity_score: match ? match.score : null,
+        metadata: match ? match.metadata : null
+      }
+    } catch (error) {
+      console.error('Error scoring creator for query:', error)
+      throw error
+    }
+  }
+
   // Perform semantic search
   async semanticSearch (query, options = {}) {
     try {
@@ -137,7 +210,7 @@ class VectorSearchService {
         filters = {},
         topK = 20,
         includeMetadata = true,
-        minScore = 0.2 // Lowered from 0.4 to 0.2 based on debug results
+        minScore = this.minScore
       } = options
 
       console.log(`Performing semantic search for: "${query}"`)
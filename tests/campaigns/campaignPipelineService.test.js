@@ -0,0 +1,71 @@
+// tests/campaigns/campaignPipelineService.test.js
+const { describe, it, afterEach } = require('node:test')
+const assert = require('node:assert')
+const { createFakeDb } = require('../helpers')
+const campaignPipelineService = require('../../services/campaigns/campaignPipelineService')
+
+// Users by id; the campaign's brand belongs to user 3
+const users = { 3: 'brand', 4: 'brand', 9: 'admin' }
+
+describe('campaignPipelineService', () => {
+  const originalPool = campaignPipelineService.pool
+
+  afterEach(() => {
+    campaignPipelineService.pool = originalPool
+  })
+
+  const useDb = () => {
+    const db = createFakeDb([
+      [/LEFT JOIN users u/, ([, userId]) => ({
+        rows: [{ brand_owner_id: 3, user_id: users[userId] ? Number(userId) : null, role: users[userId] || null }]
+      })],
+      [/SELECT \* FROM campaign_creators/, () => ({ rows: [{ id: 12, stage: 'contacted' }] })],
+      [/INSERT INTO campaign_creators/, ([campaignId, creatorId, ownerUserId]) => ({
+        rows: [{ campaign_id: campaignId, creator_id: creatorId, owner_user_id: ownerUserId }]
+      })],
+      [/UPDATE campaign_creators/, () => ({ rows: [{ id: 12 }] })]
+    ])
+    campaignPipelineService.pool = db
+    return db
+  }
+
+  describe('updateEntry', () => {
+    it('reassigns the entry to the brand owner or an admin', async () => {
+      const db = useDb()
+
+      await campaignPipelineService.updateEntry('campaign-1', 7, { owner_user_id: '3' })
+      await campaignPipelineService.updateEntry('campaign-1', 7, { owner_user_id: '9' })
+
+      assert.strictEqual(db.ran(/UPDATE campaign_creators/).length, 2)
+    })
+
+    it('rejects owners that do not exist or work for another brand', async () => {
+      const db = useDb()
+
+      await assert.rejects(
+        campaignPipelineService.updateEntry('campaign-1', 7, { owner_user_id: '404' }),
+        /Invalid pipeline owner: user 404 does not exist/
+      )
+      await assert.rejects(
+        campaignPipelineService.updateEntry('campaign-1', 7, { owner_user_id: '4' }),
+        /Invalid pipeline owner: user 4 does not belong to this campaign's brand/
+      )
+      assert.strictEqual(db.ran(/UPDATE campaign_creators/).length, 0)
+    })
+  })
+
+  describe('addCreators', () => {
+    it('checks the owner before shortlisting anyone', async () => {
+      const db = useDb()
+
+      await assert.rejects(
+        campaignPipelineService.addCreators('campaign-1', [7, 8], { ownerUserId: '4' }),
+        /Invalid pipeline owner/
+      )
+      assert.strictEqual(db.ran(/INSERT INTO campaign_creators/).length, 0)
+
+      const added = await campaignPipelineService.addCreators('campaign-1', [7, 8], { ownerUserId: '3' })
+      assert.strictEqual(added.length, 2)
+    })
+  })
+})
@@ -0,0 +1,60 @@
+// tests/campaigns/campaignSchedulerService.test.js
+const { describe, it, afterEach } = require('node:test')
+const assert = require('node:assert')
+const { createFakeDb } = require('../helpers')
+const campaignSchedulerService = require('../../services/campaigns/campaignSchedulerService')
+const mailService = require('../../services/nodemailer/nodemailer')
+
+describe('campaignSchedulerService', () => {
+  describe('processDeliverableReminders', () => {
+    const originalPool = campaignSchedulerService.pool
+    const originalSend = mailService.sendDeliverableReminderEmail
+
+    afterEach(() => {
+      campaignSchedulerService.pool = originalPool
+      mailService.sendDeliverableReminderEmail = originalSend
+    })
+
+    const useDb = () => {
+      const db = createFakeDb([
+        [/FROM campaigns c/, () => ({
+          rows: [{
+            id: 'campaign-1',
+            campaign_name: 'Summer launch',
+            status: 'active',
+            days_left: 2,
+            owner_email: 'brand@example.com',
+            deliverables: [{ id: 1 }]
+          }]
+        })],
+        [/INSERT INTO campaign_automation_log/, () => ({ rows: [{ id: 41 }] })]
+      ])
+      campaignSchedulerService.pool = db
+      return db
+    }
+
+    it('keeps the reminder logged once the email is sent', async () => {
+      const db = useDb()
+      mailService.sendDeliverableReminderEmail = async () => {}
+      const summary = { reminders: 0, errors: 0 }
+
+      await campaignSchedulerService.processDeliverableReminders(summary)
+
+      assert.deepStrictEqual(summary, { reminders: 1, errors: 0 })
+      assert.strictEqual(db.ran(/DELETE FROM campaign_automation_log/).length, 0)
+    })
+
+    it('releases the logged reminder when the email fails, so the next run retries it', async () => {
+      const db = useDb()
+      mailService.sendDeliverableReminderEmail = async () => {
+        throw new Error('SMTP unavailable')
+      }
+      const summary = { reminders: 0, errors: 0 }
+
+      await campaignSchedulerService.processDeliverableReminders(summary)
+
+      assert.deepStrictEqual(summary, { reminders: 0, errors: 1 })
+      assert.deepStrictEqual(db.ran(/DELETE FROM campaign_automation_log/)[0].params, [41])
+    })
+  })
+})
@@ -0,0 +1,103 @@
+// tests/campaigns/campaignService.test.js
+const { describe, it, afterEach } = require('node:test')
+const assert = require('node:assert')
+const { createFakeDb } = require('../helpers')
+const campaignService = require('../../services/campaigns/campaignService')
+const campaignRevisionService = require('../../services/campaigns/campaignRevisionService')
+
+const collaborationHistory = (creator) =>
+  campaignService.calculateFactorScores({ creator_data: creator }, {}).collaboration_history
+
+describe('campaignService', () => {
+  describe('calculateFactorScores', () => {
+    it('scores a creator without collaborations as a low track record, not an unknown one', () => {
+      assert.strictEqual(collaborationHistory({ total_collaborations: 0, client_satisfaction_score: null }), 0)
+      assert.strictEqual(collaborationHistory({ total_collaborations: 0, client_satisfaction_score: 0 }), 0)
+    })
+
+    it('combines collaboration count and satisfaction', () => {
+      assert.strictEqual(collaborationHistory({ total_collaborations: 25, client_satisfaction_score: 4 }), 0.65)
+      assert.strictEqual(collaborationHistory({ total_collaborations: 200, client_satisfaction_score: 5 }), 1)
+    })
+
+    it('leaves the track record unknown without data', () => {
+      assert.strictEqual(collaborationHistory({}), null)
+      assert.strictEqual(collaborationHistory({ total_collaborations: 4, client_satisfaction_score: null }), null)
+    })
+  })
+
+  describe('updateCampaign', () => {
+    const originalPool = campaignService.pool
+    const originalGetCampaign = campaignService.getCampaignById
+    const originalEnsure = campaignRevisionService.ensureCurrentRevision
+    const originalCreateRevision = campaignRevisionService.createRevision
+
+    afterEach(() => {
+      campaignService.pool = originalPool
+      campaignService.getCampaignById = originalGetCampaign
+      campaignRevisionService.ensureCurrentRevision = originalEnsure
+      campaignRevisionService.createRevision = originalCreateRevision
+    })
+
+    const useCampaign = (campaign) => {
+      const db = createFakeDb([
+        [/FOR UPDATE OF c/, () => ({
+          rows: [{ id: 'campaign-1', brand_id: 'brand-1', user_id: 3, ...campaign }]
+        })]
+      ])
+      campaignService.pool = db
+      campaignService.getCampaignById = async (id) => ({ id })
+      campaignRevisionService.ensureCurrentRevision = async () => {}
+      campaignRevisionService.createRevision = async () => {}
+      return db
+    }
+
+    const activeCampaign = {
+      status: 'active',
+      budget: '5000.00',
+      start_date: new Date('2026-01-01'),
+      end_date: new Date('2099-01-01')
+    }
+
+    it('refuses edits that remove what an active campaign needed to go live', async () => {
+      const db = useCampaign(activeCampaign)
+
+      await assert.rejects(
+        campaignService.updateCampaign('campaign-1', 3, { budget: null, start_date: null }),
+        /Invalid campaign update: 'active' campaigns require a budget greater than 0, a start_date/
+      )
+      await assert.rejects(
+        campaignService.updateCampaign('campaign-1', 3, { end_date: '2025-12-01' }),
+        /'active' campaigns require an end_date on or after the start_date/
+      )
+      assert.strictEqual(db.ran(/UPDATE campaigns/).length, 0)
+    })
+
+    it('keeps allowing unrelated edits when a condition was already unmet', async () => {
+      const db = useCampaign({ ...activeCampaign, end_date: new Date('2026-01-31') })
+
+      await campaignService.updateCampaign('campaign-1', 3, { description: 'Updated brief' })
+
+      assert.strictEqual(db.ran(/UPDATE campaigns/).length, 1)
+    })
+
+    it("only moves a campaign to one of its brand's products", async () => {
+      const db = useCampaign({ ...activeCampaign, product_id: 'product-1' })
+
+      await assert.rejects(
+        campaignService.updateCampaign('campaign-1', 3, { product_id: 'other-brand-product' }),
+        /Invalid campaign product: the product does not belong to this brand/
+      )
+      assert.deepStrictEqual(db.ran(/FROM products/)[0].params, ['other-brand-product', 'brand-1'])
+      assert.strictEqual(db.ran(/UPDATE campaigns/).length, 0)
+    })
+
+    it('lets draft campaigns drop their dates and budget', async () => {
+      const db = useCampaign({ ...activeCampaign, status: 'draft' })
+
+      await campaignService.updateCampaign('campaign-1', 3, { budget: null, start_date: null })
+
+      assert.strictEqual(db.ran(/UPDATE campaigns/).length, 1)
+    })
+  })
+})
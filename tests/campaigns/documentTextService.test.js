@@ -0,0 +1,116 @@
+// tests/campaigns/documentTextService.test.js
+const { describe, it } = require('node:test')
+const assert = require('node:assert')
+const zlib = require('zlib')
+const __constants = require('../../config/constants')
+const documentTextService = require('../../services/campaigns/documentTextService')
+
+const { MAX_ZIP_ENTRIES, MAX_ZIP_ENTRY_MB, MAX_ZIP_TOTAL_MB } = __constants.CAMPAIGN_DOCUMENTS
+const MB = 1024 * 1024
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff
+  for (const byte of buffer) {
+    crc ^= byte
+    for (let bit = 0; bit < 8; bit++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1))
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// Deflated zip archive of { name: Buffer | string }
+const buildZip = (entries) => {
+  const locals = []
+  const centrals = []
+  let offset = 0
+
+  Object.entries(entries).forEach(([name, content]) => {
+    const data = Buffer.from(content)
+    const compressed = zlib.deflateRawSync(data)
+    const fileName = Buffer.from(name)
+
+    const local = Buffer.alloc(30)
+    local.writeUInt32LE(0x04034b50, 0)
+    local.writeUInt16LE(20, 4)
+    local.writeUInt16LE(8, 8)
+    local.writeUInt32LE(crc32(data), 14)
+    local.writeUInt32LE(compressed.length, 18)
+    local.writeUInt32LE(data.length, 22)
+    local.writeUInt16LE(fileName.length, 26)
+
+    const central = Buffer.alloc(46)
+    central.writeUInt32LE(0x02014b50, 0)
+    central.writeUInt16LE(20, 4)
+    central.writeUInt16LE(20, 6)
+    central.writeUInt16LE(8, 10)
+    central.writeUInt32LE(crc32(data), 16)
+    central.writeUInt32LE(compressed.length, 20)
+    central.writeUInt32LE(data.length, 24)
+    central.writeUInt16LE(fileName.length, 28)
+    central.writeUInt32LE(offset, 42)
+
+    locals.push(local, fileName, compressed)
+    centrals.push(central, fileName)
+    offset += local.length + fileName.length + compressed.length
+  })
+
+  const centralDirectory = Buffer.concat(centrals)
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0)
+  end.writeUInt16LE(Object.keys(entries).length, 8)
+  end.writeUInt16LE(Object.keys(entries).length, 10)
+  end.writeUInt32LE(centralDirectory.length, 12)
+  end.writeUInt32LE(offset, 16)
+
+  return Buffer.concat([...locals, centralDirectory, end])
+}
+
+const slide = (text) => `<p:sld><a:p><a:r><a:t>${text}</a:t></a:r></a:p></p:sld>`
+
+describe('documentTextService', () => {
+  describe('pptx', () => {
+    it('reads slide text and notes in slide order', async () => {
+      const deck = buildZip({
+        'ppt/slides/slide2.xml': slide('Budget'),
+        'ppt/slides/slide1.xml': slide('Launch plan'),
+        'ppt/notesSlides/notesSlide1.xml': slide('Mention the sale')
+      })
+
+      const { format, text } = await documentTextService.extractText(deck, 'brief.pptx')
+
+      assert.strictEqual(format, 'pptx')
+      assert.strictEqual(text, 'Slide 1:\nLaunch plan\nNotes: Mention the sale\n\nSlide 2:\nBudget')
+    })
+
+    it('rejects a slide that decompresses beyond the per-file limit', async () => {
+      const deck = buildZip({ 'ppt/slides/slide1.xml': Buffer.alloc((MAX_ZIP_ENTRY_MB + 1) * MB) })
+
+      await assert.rejects(
+        documentTextService.extractText(deck, 'bomb.pptx'),
+        /Could not read bomb\.pptx: archive contents exceed/
+      )
+    })
+
+    it('rejects slides that together decompress beyond the total limit', async () => {
+      const perSlide = Buffer.alloc(MAX_ZIP_ENTRY_MB * MB)
+      const slides = {}
+      for (let i = 1; i <= Math.ceil(MAX_ZIP_TOTAL_MB / MAX_ZIP_ENTRY_MB) + 1; i++) {
+        slides[`ppt/slides/slide${i}.xml`] = perSlide
+      }
+
+      await assert.rejects(
+        documentTextService.extractText(buildZip(slides), 'bomb.pptx'),
+        /archive contents exceed/
+      )
+    })
+
+    it('rejects archives with too many entries', async () => {
+      const entries = { 'ppt/slides/slide1.xml': slide('Hello') }
+      for (let i = 0; i < MAX_ZIP_ENTRIES; i++) entries[`media/${i}.txt`] = ''
+
+      await assert.rejects(
+        documentTextService.extractText(buildZip(entries), 'many.pptx'),
+        new RegExp(`more than ${MAX_ZIP_ENTRIES} entries`)
+      )
+    })
+  })
+})
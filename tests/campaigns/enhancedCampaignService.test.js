@@ -0,0 +1,32 @@
+// tests/campaigns/enhancedCampaignService.test.js
+const { describe, it } = require('node:test')
+const assert = require('node:assert')
+require('../helpers')
+const enhancedCampaignService = require('../../services/campaigns/enhancedCampaignService')
+
+const rates = { USD: 1, INR: 83, EUR: 0.92 }
+
+const filtersFor = (campaignDetails, fxRates = rates) =>
+  enhancedCampaignService.buildSearchFiltersFromCampaignData(
+    { campaign_details: campaignDetails },
+    {},
+    null,
+    fxRates
+  ).filters
+
+describe('enhancedCampaignService', () => {
+  describe('buildSearchFiltersFromCampaignData', () => {
+    it('tiers the per-creator budget in the base currency', () => {
+      // INR 40,000 is about $482; EUR 40,000 about $43,478
+      assert.strictEqual(filtersFor({ budget_per_creator: 40000, currency: 'INR' }).max_followers, 100000)
+      assert.strictEqual(filtersFor({ budget_per_creator: 40000, currency: 'EUR' }).max_followers, undefined)
+      assert.strictEqual(filtersFor({ budget_per_creator: 1500, currency: 'USD' }).max_followers, 500000)
+    })
+
+    it('leaves the budget out without an exchange rate', () => {
+      const filters = filtersFor({ budget_per_creator: 40000, currency: 'INR' }, null)
+
+      assert.strictEqual(filters.max_followers, undefined)
+    })
+  })
+})
@@ -0,0 +1,33 @@
+// tests/campaigns/performanceService.test.js
+const { describe, it } = require('node:test')
+const assert = require('node:assert')
+require('../helpers')
+const performanceService = require('../../services/campaigns/performanceService')
+
+const rates = { USD: 1, INR: 83 }
+
+describe('performanceService', () => {
+  describe('sumMetrics', () => {
+    const rows = [
+      { currency: 'USD', spend: '100', revenue: '250', clicks: 10 },
+      { currency: 'INR', spend: '8300', revenue: null, clicks: 5 }
+    ]
+
+    it('converts spend and revenue to the campaign currency before summing', () => {
+      const totals = performanceService.sumMetrics(rows, 'USD', rates)
+
+      assert.strictEqual(totals.spend, 200)
+      assert.strictEqual(totals.revenue, 250)
+      assert.strictEqual(totals.clicks, 15)
+      assert.strictEqual(totals.views, null)
+    })
+
+    it('leaves an amount total out when a row has no exchange rate', () => {
+      const totals = performanceService.sumMetrics(rows, 'USD', null)
+
+      assert.strictEqual(totals.spend, null)
+      assert.strictEqual(totals.revenue, 250)
+      assert.strictEqual(totals.clicks, 15)
+    })
+  })
+})
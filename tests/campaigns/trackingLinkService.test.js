@@ -0,0 +1,166 @@
+// tests/campaigns/trackingLinkService.test.js
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const { createFakeDb } = require('../helpers')
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+const trackingLinkService = require('../../services/campaigns/trackingLinkService')
+
+const { SHORT_CODE_LENGTH } = __constants.TRACKING_LINKS
+
+const creators = [
+  { id: 7, username: 'jane.doe', creator_name: 'Jane Doe' },
+  { id: 9, username: 'sam', creator_name: 'Sam Lee' }
+]
+
+describe('trackingLinkService', () => {
+  const originalPool = trackingLinkService.pool
+
+  afterEach(() => {
+    trackingLinkService.pool = originalPool
+  })
+
+  describe('createLinks', () => {
+    const useDb = (existingLinks = {}) => {
+      const db = createFakeDb([
+        [/FROM campaigns c/, () => ({
+          rows: [{ product_url: 'https://shop.example.com/serum', website_url: 'https://example.com' }]
+        })],
+        [/FROM creators WHERE id::text = ANY/, ([ids]) => ({
+          rows: creators.filter((creator) => ids.includes(String(creator.id)))
+        })],
+        [/SELECT \* FROM campaign_tracking_links/, ([, creatorId]) => ({
+          rows: existingLinks[creatorId] ? [existingLinks[creatorId]] : []
+        })],
+        [/INSERT INTO campaign_tracking_links/, ([campaignId, creatorId, shortCode, destinationUrl, promoCode]) => ({
+          rows: [{
+            id: 100 + creatorId,
+            campaign_id: campaignId,
+            creator_id: creatorId,
+            short_code: shortCode,
+            destination_url: destinationUrl,
+            promo_code: promoCode,
+            is_active: true
+          }]
+        })],
+        [/UPDATE campaign_tracking_links SET promo_code/, ([promoCode, id]) => ({
+          rows: [{ ...Object.values(existingLinks).find((link) => link.id === id), promo_code: promoCode }]
+        })]
+      ])
+      trackingLinkService.pool = db
+      return db
+    }
+
+    it('creates a link per creator pointing at the campaign product', async () => {
+      useDb()
+
+      const { links, created, existing } = await trackingLinkService.createLinks('campaign-1', 3, [7, 9], {
+        promo_code: true
+      })
+
+      assert.strictEqual(created, 2)
+      assert.strictEqual(existing, 0)
+      links.forEach((link) => {
+        assert.strictEqual(link.destination_url, 'https://shop.example.com/serum')
+        assert.strictEqual(link.short_code.length, SHORT_CODE_LENGTH)
+        assert.ok(link.tracking_url.endsWith(`/${link.short_code}`))
+      })
+      assert.match(links[0].promo_code, /^JANEDOE[A-Z0-9]+$/)
+      assert.notStrictEqual(links[0].short_code, links[1].short_code)
+    })
+
+    it('keeps an existing link and only adds a missing promo code', async () => {
+      const db = useDb({
+        7: { id: 55, campaign_id: 'campaign-1', creator_id: 7, short_code: 'ABCDEFG', promo_code: null, is_active: true }
+      })
+
+      const { links, created, existing } = await trackingLinkService.createLinks('campaign-1', 3, [7], {
+        promo_code: true,
+        promo_code_prefix: 'summer'
+      })
+
+      assert.strictEqual(created, 0)
+      assert.strictEqual(existing, 1)
+      assert.strictEqual(links[0].short_code, 'ABCDEFG')
+      assert.match(links[0].promo_code, /^SUMMER[A-Z0-9]+$/)
+      assert.strictEqual(db.ran(/INSERT INTO campaign_tracking_links/).length, 0)
+    })
+
+    it('rejects unknown creators and non-http destinations', async () => {
+      useDb()
+
+      await assert.rejects(
+        trackingLinkService.createLinks('campaign-1', 3, [7, 404]),
+        /Invalid tracking link: unknown creator\(s\) 404/
+      )
+      await assert.rejects(
+        trackingLinkService.createLinks('campaign-1', 3, [7], { destination_url: 'javascript:alert(1)' }),
+        /Invalid tracking link: destination must be an http or https URL/
+      )
+    })
+  })
+
+  describe('recordClick', () => {
+    const link = { id: 55, campaign_id: 'campaign-1', creator_id: 7, destination_url: 'https://example.com/serum' }
+    const originalSalt = __config.tracking.ipHashSalt
+
+    beforeEach(() => {
+      __config.tracking.ipHashSalt = 'click-salt'
+    })
+
+    afterEach(() => {
+      __config.tracking.ipHashSalt = originalSalt
+    })
+
+    const useDb = ({ rows = [link], failInsert = false } = {}) => {
+      const db = createFakeDb([
+        [/WHERE l.short_code = \$1/, () => ({ rows })],
+        [/INSERT INTO tracking_link_clicks/, () => {
+          if (failInsert) throw new Error('connection reset')
+        }]
+      ])
+      trackingLinkService.pool = db
+      return db
+    }
+
+    it('logs the click with a hashed IP and returns the destination', async () => {
+      const db = useDb()
+
+      const destination = await trackingLinkService.recordClick('ABCDEFG', {
+        referrer: 'https://instagram.com/p/1',
+        userAgent: 'Mozilla/5.0',
+        ip: '203.0.113.9'
+      })
+      await trackingLinkService.recordClick('ABCDEFG', { ip: '203.0.113.9' })
+
+      assert.strictEqual(destination, 'https://example.com/serum')
+      const [first, second] = db.ran(/INSERT INTO tracking_link_clicks/).map(({ params }) => params)
+      assert.deepStrictEqual(first.slice(0, 5), [55, 'campaign-1', 7, 'https://instagram.com/p/1', 'Mozilla/5.0'])
+      assert.match(first[5], /^[0-9a-f]{64}$/)
+      assert.ok(!first[5].includes('203.0.113.9'))
+      assert.strictEqual(second[5], first[5])
+    })
+
+    it('returns null without logging for unknown or inactive codes', async () => {
+      const db = useDb({ rows: [] })
+
+      assert.strictEqual(await trackingLinkService.recordClick('NOPE123', { ip: '203.0.113.9' }), null)
+      assert.strictEqual(db.ran(/INSERT INTO tracking_link_clicks/).length, 0)
+    })
+
+    it('still redirects when the click cannot be logged', async () => {
+      useDb({ failInsert: true })
+
+      assert.strictEqual(await trackingLinkService.recordClick('ABCDEFG', {}), 'https://example.com/serum')
+    })
+
+    it('does not hash visitor IPs without a salt of its own', async () => {
+      __config.tracking.ipHashSalt = undefined
+      const db = useDb()
+
+      assert.throws(() => trackingLinkService.hashIp('203.0.113.9'), /TRACKING_IP_HASH_SALT must be set/)
+      assert.strictEqual(await trackingLinkService.recordClick('ABCDEFG', { ip: '203.0.113.9' }), 'https://example.com/serum')
+      assert.strictEqual(db.ran(/INSERT INTO tracking_link_clicks/).length, 0)
+    })
+  })
+})
@@ -0,0 +1,130 @@
+// tests/creators/creatorAvailabilityService.test.js
+const { describe, it, afterEach } = require('node:test')
+const assert = require('node:assert')
+const { createFakeDb } = require('../helpers')
+const creatorAvailabilityService = require('../../services/creators/creatorAvailabilityService')
+
+// Commitment row as getCommitments' query returns it
+const commitment = (overrides) => ({
+  creator_id: '7',
+  campaign_id: 'other-campaign',
+  campaign_name: 'Winter drop',
+  campaign_status: 'active',
+  brand_id: 'other-brand',
+  brand_name: 'Rival Co',
+  brand_owner_id: 99,
+  source: 'contract',
+  start_date: '2026-03-01',
+  end_date: '2026-03-31',
+  exclusivity_categories: [],
+  exclusive_until: '2026-04-30',
+  ...overrides
+})
+
+const recommendation = (id) => ({
+  creator_data: { id, creator_name: `Creator ${id}` },
+  recommendation_reasons: ['Strong engagement']
+})
+
+describe('creatorAvailabilityService', () => {
+  const originalPool = creatorAvailabilityService.pool
+
+  afterEach(() => {
+    creatorAvailabilityService.pool = originalPool
+  })
+
+  const useDb = ({ windows = [], commitments = [] }) => {
+    const db = createFakeDb([
+      [/FROM creator_availability/, () => ({ rows: windows })],
+      [/FROM contracts ct/, () => ({ rows: commitments })]
+    ])
+    creatorAvailabilityService.pool = db
+    return db
+  }
+
+  const campaign = { startDate: '2026-03-10', endDate: '2026-03-20', campaignId: 'campaign-1', brandId: 'brand-1' }
+
+  describe('checkAvailability', () => {
+    it('blocks unavailable windows and only warns about tentative ones', async () => {
+      useDb({
+        windows: [
+          { creator_id: 7, start_date: '2026-03-05', end_date: '2026-03-12', status: 'unavailable', note: 'Travelling' },
+          { creator_id: 9, start_date: '2026-03-15', end_date: '2026-03-16', status: 'tentative', note: null }
+        ]
+      })
+
+      const availability = await creatorAvailabilityService.checkAvailability([7, 9, 11], campaign)
+
+      assert.strictEqual(availability['7'].status, 'blocked')
+      assert.match(availability['7'].issues[0].reason, /unavailable from 2026-03-05 to 2026-03-12 \(Travelling\)/)
+      assert.strictEqual(availability['9'].status, 'warning')
+      assert.strictEqual(availability['11'], undefined)
+    })
+
+    it('blocks exclusivity in one of the campaign categories until it lapses', async () => {
+      useDb({ commitments: [commitment({ exclusivity_categories: ['skincare'], end_date: '2026-03-01' })] })
+
+      const blocked = await creatorAvailabilityService.checkAvailability([7], {
+        ...campaign,
+        categories: ['skincare']
+      })
+      const otherCategory = await creatorAvailabilityService.checkAvailability([7], {
+        ...campaign,
+        categories: ['gaming']
+      })
+
+      assert.strictEqual(blocked['7'].status, 'blocked')
+      assert.strictEqual(blocked['7'].issues[0].type, 'exclusive_commitment')
+      assert.strictEqual(blocked['7'].issues[0].end_date, '2026-04-30')
+      // Without exclusivity the other campaign ended before this one starts
+      assert.strictEqual(otherCategory['7'], undefined)
+    })
+
+    it('warns about overlapping bookings and ignores the campaign itself', async () => {
+      useDb({
+        commitments: [
+          commitment({}),
+          commitment({ campaign_id: 'campaign-1', brand_id: 'brand-1' })
+        ]
+      })
+
+      const availability = await creatorAvailabilityService.checkAvailability([7], campaign)
+
+      assert.strictEqual(availability['7'].status, 'warning')
+      assert.strictEqual(availability['7'].issues.length, 1)
+      assert.match(availability['7'].issues[0].reason, /booked for another campaign from 2026-03-01 until 2026-03-31/)
+    })
+
+    it('keeps open-ended campaigns booked with no end date', async () => {
+      useDb({ commitments: [commitment({ start_date: '2026-01-01', end_date: null, open_ended: true })] })
+
+      const availability = await creatorAvailabilityService.checkAvailability([7], campaign)
+
+      assert.match(availability['7'].issues[0].reason, /with no end date/)
+    })
+  })
+
+  describe('applyAvailability', () => {
+    it('drops blocked creators and puts availability warnings first in the reasons', async () => {
+      useDb({
+        windows: [
+          { creator_id: 7, start_date: '2026-03-01', end_date: '2026-03-31', status: 'unavailable', note: null },
+          { creator_id: 9, start_date: '2026-03-18', end_date: '2026-03-25', status: 'tentative', note: null }
+        ]
+      })
+
+      const { recommendations, summary } = await creatorAvailabilityService.applyAvailability(
+        [recommendation(7), recommendation(9), recommendation(11)],
+        campaign
+      )
+
+      assert.deepStrictEqual(recommendations.map((r) => r.creator_data.id), [9, 11])
+      assert.match(recommendations[0].recommendation_reasons[0], /tentatively unavailable/)
+      assert.strictEqual(recommendations[0].recommendation_reasons[1], 'Strong engagement')
+      assert.strictEqual(recommendations[1].availability, undefined)
+      assert.strictEqual(summary.warning_count, 1)
+      assert.strictEqual(summary.excluded_count, 1)
+      assert.strictEqual(summary.excluded[0].creator_id, 7)
+    })
+  })
+})
@@ -0,0 +1,169 @@
+// tests/creators/creatorDedupService.test.js
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const { createFakeDb } = require('../helpers')
+const creatorDedupService = require('../../services/creators/creatorDedupService')
+const creatorService = require('../../services/creators/creatorService')
+const embeddingService = require('../../services/ai/embeddingService')
+
+const SURVIVOR_ID = 'creator-1'
+const DUPLICATE_ID = 'creator-2'
+
+const profiles = {
+  [SURVIVOR_ID]: {
+    id: SURVIVOR_ID,
+    creator_name: 'Asha Rao',
+    username: 'asharao',
+    bio: null,
+    email: 'asha@example.com',
+    languages: ['english'],
+    total_collaborations: 3
+  },
+  [DUPLICATE_ID]: {
+    id: DUPLICATE_ID,
+    creator_name: 'Asha Rao',
+    username: 'asha.rao',
+    bio: 'Travel and food',
+    email: 'asha@example.com',
+    languages: ['english', 'hindi'],
+    total_collaborations: 5
+  }
+}
+
+describe('creatorDedupService', () => {
+  const originals = {
+    pool: creatorDedupService.pool,
+    getCreatorById: creatorService.getCreatorById,
+    refreshAuthenticity: creatorService.refreshAuthenticity,
+    updateCreatorEmbedding: embeddingService.updateCreatorEmbedding,
+    deleteCreatorEmbedding: embeddingService.deleteCreatorEmbedding,
+    initializePineconeIndex: embeddingService.initializePineconeIndex,
+    index: embeddingService.index
+  }
+  let calls
+
+  beforeEach(() => {
+    calls = []
+    creatorService.getCreatorById = async (id) => profiles[id] || null
+    creatorService.refreshAuthenticity = async () => ({ status: 'scored' })
+    embeddingService.index = null
+    embeddingService.initializePineconeIndex = async () => {
+      calls.push('initialize')
+      embeddingService.index = {}
+    }
+    embeddingService.deleteCreatorEmbedding = async (id) => calls.push(`delete ${id}`)
+    embeddingService.updateCreatorEmbedding = async (id) => calls.push(`update ${id}`)
+  })
+
+  afterEach(() => {
+    creatorDedupService.pool = originals.pool
+    Object.assign(creatorService, {
+      getCreatorById: originals.getCreatorById,
+      refreshAuthenticity: originals.refreshAuthenticity
+    })
+    Object.assign(embeddingService, {
+      updateCreatorEmbedding: originals.updateCreatorEmbedding,
+      deleteCreatorEmbedding: originals.deleteCreatorEmbedding,
+      initializePineconeIndex: originals.initializePineconeIndex,
+      index: originals.index
+    })
+  })
+
+  const useDb = (locked = {}) => {
+    const db = createFakeDb([
+      [/FOR UPDATE/, () => ({
+        rows: [
+          { id: SURVIVOR_ID, claimed_by_user_id: null, ...locked[SURVIVOR_ID] },
+          { id: DUPLICATE_ID, claimed_by_user_id: null, ...locked[DUPLICATE_ID] }
+        ]
+      })],
+      [/to_regclass/, (params) => ({ rows: params[0].map((name) => ({ name })) })],
+      [/UPDATE calls SET creator_id/, () => ({ rowCount: 2 })],
+      [/UPDATE creator_platform_metrics SET creator_id/, () => ({ rowCount: 1 })]
+    ])
+    creatorDedupService.pool = db
+    return db
+  }
+
+  describe('buildMergedProfile', () => {
+    it('fills gaps, combines lists and keeps the higher collaboration count', () => {
+      const updates = creatorDedupService.buildMergedProfile(profiles[SURVIVOR_ID], profiles[DUPLICATE_ID])
+
+      assert.deepStrictEqual(updates, {
+        bio: 'Travel and food',
+        languages: ['english', 'hindi'],
+        total_collaborations: 5
+      })
+    })
+  })
+
+  describe('mergeCreators', () => {
+    it('refuses to merge a creator into itself', async () => {
+      await assert.rejects(
+        creatorDedupService.mergeCreators(SURVIVOR_ID, SURVIVOR_ID, 'admin-1'),
+        /^Error: Invalid merge/
+      )
+    })
+
+    it('moves records, deletes the duplicate and refreshes both search vectors', async () => {
+      const db = useDb()
+
+      const result = await creatorDedupService.mergeCreators(SURVIVOR_ID, DUPLICATE_ID, 'admin-1')
+
+      assert.deepStrictEqual(result.filled_profile_fields, ['bio', 'languages', 'total_collaborations'])
+      assert.strictEqual(result.moved_records.calls, 2)
+      assert.strictEqual(result.moved_records.creator_platform_metrics, 1)
+      assert.strictEqual(db.ran(/INSERT INTO creator_merges/).length, 1)
+      assert.deepStrictEqual(db.ran(/DELETE FROM creators WHERE id/)[0].params, [DUPLICATE_ID])
+      assert.strictEqual(db.ran(/^COMMIT$/).length, 1)
+
+      // The index is initialized first in a process that has not used Pinecone yet
+      assert.deepStrictEqual(calls, ['initialize', `delete ${DUPLICATE_ID}`, `update ${SURVIVOR_ID}`])
+      assert.deepStrictEqual(result.embedding, {
+        duplicate: { status: 'deleted' },
+        survivor: { status: 'updated' }
+      })
+    })
+
+    it('hands a claimed duplicate over to an unclaimed survivor', async () => {
+      const db = useDb({ [DUPLICATE_ID]: { claimed_by_user_id: 'user-9', claimed_at: 'then' } })
+
+      const result = await creatorDedupService.mergeCreators(SURVIVOR_ID, DUPLICATE_ID, 'admin-1')
+
+      assert.strictEqual(result.moved_records.claimed_profile, 1)
+      assert.deepStrictEqual(
+        db.ran(/SET claimed_by_user_id = \$1, claimed_at/)[0].params,
+        ['user-9', 'then', SURVIVOR_ID]
+      )
+    })
+
+    it('refuses to merge creators claimed by different users', async () => {
+      const db = useDb({
+        [SURVIVOR_ID]: { claimed_by_user_id: 'user-8' },
+        [DUPLICATE_ID]: { claimed_by_user_id: 'user-9' }
+      })
+
+      await assert.rejects(
+        creatorDedupService.mergeCreators(SURVIVOR_ID, DUPLICATE_ID, 'admin-1'),
+        /claimed by different users/
+      )
+      assert.strictEqual(db.ran(/DELETE FROM creators/).length, 0)
+      assert.strictEqual(db.ran(/ROLLBACK/).length, 1)
+      assert.deepStrictEqual(calls, [])
+    })
+
+    it('rolls a dry run back and leaves the search index alone', async () => {
+      const db = useDb()
+
+      const result = await creatorDedupService.mergeCreators(SURVIVOR_ID, DUPLICATE_ID, 'admin-1', {
+        dryRun: true
+      })
+
+      assert.strictEqual(result.dry_run, true)
+      assert.strictEqual(result.moved_records.calls, 2)
+      assert.strictEqual(db.ran(/ROLLBACK/).length, 1)
+      assert.strictEqual(db.ran(/^COMMIT$/).length, 0)
+      assert.deepStrictEqual(calls, [])
+    })
+  })
+})
@@ -0,0 +1,180 @@
+// tests/creators/creatorImportService.test.js
+const { describe, it, afterEach } = require('node:test')
+const assert = require('node:assert')
+const { createFakeDb } = require('../helpers')
+const __constants = require('../../config/constants')
+const creatorService = require('../../services/creators/creatorService')
+const creatorImportService = require('../../services/creators/creatorImportService')
+
+const { MAX_ROWS } = __constants.CREATOR_IMPORT
+
+const newCreator = {
+  creator_name: 'Jane Doe',
+  username: '@JaneDoe',
+  niche: 'beauty',
+  tier: 'Micro',
+  primary_platform: 'instagram'
+}
+
+describe('creatorImportService', () => {
+  describe('parseCsv', () => {
+    it('maps headers to fields and keeps per-platform columns', async () => {
+      const csv = [
+        'Creator Name,Username,Languages,Instagram_Follower_Count,instagram_sponsored_post',
+        'Jane Doe,@janedoe,English|Hindi,"12,500",250'
+      ].join('\n')
+
+      const [row] = await creatorImportService.parseCsv(Buffer.from(csv))
+      const { data, errors } = creatorImportService.normalizeRow(row)
+
+      assert.deepStrictEqual(errors, [])
+      assert.strictEqual(data.creator_name, 'Jane Doe')
+      assert.strictEqual(data.username, 'janedoe')
+      assert.deepStrictEqual(data.languages, ['English', 'Hindi'])
+      assert.deepStrictEqual(data.platform_metrics, { instagram: { follower_count: 12500 } })
+      assert.deepStrictEqual(data.pricing, { instagram: { sponsored_post: 250 } })
+    })
+
+    it('rejects files without rows or with too many', async () => {
+      await assert.rejects(
+        creatorImportService.parseCsv(Buffer.from('creator_name,username\n')),
+        /Invalid import: no creator rows found/
+      )
+
+      const rows = Array.from({ length: MAX_ROWS + 1 }, (_, i) => `Creator ${i},creator${i}`)
+      await assert.rejects(
+        creatorImportService.parseCsv(Buffer.from(['creator_name,username', ...rows].join('\n'))),
+        new RegExp(`at most ${MAX_ROWS} rows`)
+      )
+    })
+  })
+
+  describe('parseJson', () => {
+    it('accepts an array or a creators property', () => {
+      assert.strictEqual(creatorImportService.parseJson(Buffer.from(JSON.stringify([newCreator]))).length, 1)
+      assert.strictEqual(
+        creatorImportService.parseJson(Buffer.from(JSON.stringify({ creators: [newCreator] }))).length,
+        1
+      )
+    })
+
+    it('rejects malformed JSON and other shapes', () => {
+      assert.throws(() => creatorImportService.parseJson(Buffer.from('{')), /could not be parsed/)
+      assert.throws(
+        () => creatorImportService.parseJson(Buffer.from('{"name":"x"}')),
+        /must contain an array of creators/
+      )
+    })
+  })
+
+  describe('normalizeRow', () => {
+    it('reports every invalid value with its column', () => {
+      const { errors } = creatorImportService.normalizeRow({
+        email: 'not-an-email',
+        tier: 'giga',
+        response_rate_percentage: '120',
+        total_collaborations: '-2',
+        instagram_engagement_rate: 'high',
+        pricing: { myspace: { sponsored_post: 10 } }
+      })
+
+      assert.deepStrictEqual(errors, [
+        'email is not a valid email',
+        'tier must be one of: micro, macro, mega',
+        'total_collaborations must not be negative',
+        'response_rate_percentage must be at most 100',
+        'instagram_engagement_rate must be a number',
+        "unknown platform 'myspace' in pricing. Must be one of: youtube, instagram, tiktok, twitter"
+      ])
+    })
+
+    it('lets growth metrics go negative', () => {
+      const { data, errors } = creatorImportService.normalizeRow({ youtube_followers_gained_30d: '-150' })
+
+      assert.deepStrictEqual(errors, [])
+      assert.deepStrictEqual(data.platform_metrics, { youtube: { followers_gained_30d: -150 } })
+    })
+  })
+
+  describe('importCreators', () => {
+    const originalPool = creatorImportService.pool
+    const originalCreate = creatorService.createCreator
+    const originalQueue = creatorImportService.queueEmbeddings
+
+    afterEach(() => {
+      creatorImportService.pool = originalPool
+      creatorService.createCreator = originalCreate
+      creatorImportService.queueEmbeddings = originalQueue
+    })
+
+    const useDb = (existing = []) => {
+      creatorImportService.pool = createFakeDb([[/FROM creators/, () => ({ rows: existing })]])
+    }
+
+    const existingJane = { id: 31, creator_name: 'Jane Doe', username: 'janedoe', email: 'jane@example.com', business_email: null }
+
+    it('reports what a dry run would do without writing', async () => {
+      useDb([existingJane])
+      let created = 0
+      creatorService.createCreator = async () => ++created
+
+      const report = await creatorImportService.importCreators(
+        [
+          { ...newCreator, username: 'sam', creator_name: 'Sam Lee' },
+          { username: 'janedoe', bio: 'Updated bio' },
+          { username: 'someone' },
+          { ...newCreator, username: 'SAM' }
+        ],
+        { dryRun: true, upsert: true }
+      )
+
+      assert.strictEqual(created, 0)
+      assert.deepStrictEqual(report.summary, {
+        total_rows: 4,
+        to_create: 1,
+        to_update: 1,
+        unchanged: 0,
+        errors: 2
+      })
+      assert.deepStrictEqual(report.rows.map((row) => row.action), ['create', 'update', 'error', 'error'])
+      assert.strictEqual(report.rows[1].creator_id, 31)
+      assert.match(report.rows[2].errors[0], /missing fields required for a new creator: creator_name, niche, tier, primary_platform/)
+      assert.deepStrictEqual(report.rows[3].errors, ['duplicate username sam (also in row 1)'])
+      assert.strictEqual(report.embedding, null)
+    })
+
+    it('refuses to update existing creators without upsert', async () => {
+      useDb([existingJane])
+
+      const report = await creatorImportService.importCreators([{ email: 'JANE@example.com', bio: 'Hi' }])
+
+      assert.strictEqual(report.rows[0].action, 'error')
+      assert.deepStrictEqual(report.rows[0].errors, [
+        'creator Jane Doe already exists; import with upsert to update it'
+      ])
+    })
+
+    it('creates valid rows, skips invalid ones and queues embeddings for the new creators', async () => {
+      useDb()
+      const createdWith = []
+      creatorService.createCreator = async (data) => {
+        createdWith.push(data)
+        return 40 + createdWith.length
+      }
+      let queued = null
+      creatorImportService.queueEmbeddings = (ids) => {
+        queued = ids
+        return { job_id: 'job-1', status: 'queued', total: ids.length }
+      }
+
+      const report = await creatorImportService.importCreators([newCreator, { ...newCreator, username: 'x', tier: 'giga' }])
+
+      assert.deepStrictEqual(report.summary, { total_rows: 2, created: 1, updated: 0, unchanged: 0, errors: 1 })
+      assert.strictEqual(report.rows[0].creator_id, 41)
+      assert.strictEqual(createdWith[0].tier, 'micro')
+      assert.strictEqual(createdWith[0].verification_status, 'unverified')
+      assert.deepStrictEqual(queued, [41])
+      assert.strictEqual(report.embedding.job_id, 'job-1')
+    })
+  })
+})
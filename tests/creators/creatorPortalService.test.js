@@ -0,0 +1,266 @@
+// tests/creators/creatorPortalService.test.js
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const { createFakeDb } = require('../helpers')
+const __constants = require('../../config/constants')
+const creatorPortalService = require('../../services/creators/creatorPortalService')
+const mailService = require('../../services/nodemailer/nodemailer')
+const razorpayService = require('../../services/razorpay/razorpay')
+
+const {
+  MAX_CLAIM_ATTEMPTS,
+  MAX_CLAIM_REQUESTS_PER_WINDOW,
+  MAX_FAILED_CLAIM_ATTEMPTS_PER_WINDOW,
+  CLAIM_RESEND_COOLDOWN_SECONDS
+} = __constants.CREATOR_PORTAL
+
+const USER_ID = 'user-1'
+const CREATOR_ID = 'creator-1'
+
+const noActivity = {
+  user_requests: '0',
+  creator_requests: '0',
+  user_failed_attempts: '0',
+  creator_failed_attempts: '0',
+  seconds_since_last_request: null
+}
+
+describe('creatorPortalService claims', () => {
+  const originalPool = creatorPortalService.pool
+  const originalSend = mailService.sendCreatorClaimCodeEmail
+  let sentEmails
+
+  beforeEach(() => {
+    sentEmails = []
+    mailService.sendCreatorClaimCodeEmail = async (email) => sentEmails.push(email)
+  })
+
+  afterEach(() => {
+    creatorPortalService.pool = originalPool
+    mailService.sendCreatorClaimCodeEmail = originalSend
+  })
+
+  describe('requestClaim', () => {
+    const useDb = (activity) => {
+      const db = createFakeDb([
+        [/FROM creators WHERE id = \$1/, () => ({
+          rows: [{ id: CREATOR_ID, creator_name: 'Asha', email: 'asha@example.com', claimed_by_user_id: null }]
+        })],
+        [/FROM creator_claims\s+WHERE \(user_id/, () => ({ rows: [{ ...noActivity, ...activity }] })],
+        [/INSERT INTO creator_claims/, () => ({ rows: [{ id: 7, expires_at: new Date() }] })]
+      ])
+      creatorPortalService.pool = db
+      return db
+    }
+
+    it('emails a code when the user and profile are within the limits', async () => {
+      const db = useDb({ user_requests: '1', seconds_since_last_request: '3600' })
+
+      const claim = await creatorPortalService.requestClaim(USER_ID, CREATOR_ID)
+
+      assert.strictEqual(claim.claim_id, 7)
+      assert.strictEqual(claim.sent_to, 'a***@example.com')
+      assert.strictEqual(db.ran(/INSERT INTO creator_claims/).length, 1)
+      assert.strictEqual(sentEmails.length, 1)
+      assert.match(sentEmails[0].code, /^[0-9]{6}$/)
+    })
+
+    it('refuses a new code during the resend cooldown', async () => {
+      const db = useDb({ user_requests: '1', seconds_since_last_request: '10' })
+
+      await assert.rejects(
+        creatorPortalService.requestClaim(USER_ID, CREATOR_ID),
+        new RegExp(`Wait ${CLAIM_RESEND_COOLDOWN_SECONDS - 10} second`)
+      )
+      assert.strictEqual(db.ran(/INSERT INTO creator_claims/).length, 0)
+      assert.strictEqual(sentEmails.length, 0)
+    })
+
+    it('refuses a new code once the user has requested too many', async () => {
+      useDb({ user_requests: String(MAX_CLAIM_REQUESTS_PER_WINDOW) })
+
+      await assert.rejects(
+        creatorPortalService.requestClaim(USER_ID, CREATOR_ID),
+        /^Error: Too many claim codes requested/
+      )
+      assert.strictEqual(sentEmails.length, 0)
+    })
+
+    it('refuses a new code once the profile has been sent too many, whoever asked', async () => {
+      useDb({ creator_requests: String(MAX_CLAIM_REQUESTS_PER_WINDOW) })
+
+      await assert.rejects(
+        creatorPortalService.requestClaim(USER_ID, CREATOR_ID),
+        /^Error: Too many claim codes requested/
+      )
+      assert.strictEqual(sentEmails.length, 0)
+    })
+
+    it('locks out a profile with too many wrong codes across claims', async () => {
+      useDb({ creator_failed_attempts: String(MAX_FAILED_CLAIM_ATTEMPTS_PER_WINDOW) })
+
+      await assert.rejects(
+        creatorPortalService.requestClaim(USER_ID, CREATOR_ID),
+        /^Error: Too many failed claim attempts/
+      )
+      assert.strictEqual(sentEmails.length, 0)
+    })
+  })
+
+  describe('verifyClaim', () => {
+    const code = '123456'
+
+    const useDb = (claim, activity) => {
+      const db = createFakeDb([
+        [/SELECT \* FROM creator_claims/, () => ({
+          rows: [{
+            id: 7,
+            creator_id: CREATOR_ID,
+            user_id: USER_ID,
+            status: 'pending',
+            attempts: 0,
+            code_hash: creatorPortalService.hashCode(code),
+            expires_at: new Date(Date.now() + 60000),
+            ...claim
+          }]
+        })],
+        [/FROM creator_claims\s+WHERE \(user_id/, () => ({ rows: [{ ...noActivity, ...activity }] })],
+        [/UPDATE creators/, () => ({ rows: [{ id: CREATOR_ID, creator_name: 'Asha' }], rowCount: 1 })]
+      ])
+      creatorPortalService.pool = db
+      return db
+    }
+
+    it('claims the profile with the right code', async () => {
+      const db = useDb()
+
+      const creator = await creatorPortalService.verifyClaim(USER_ID, 7, code)
+
+      assert.strictEqual(creator.id, CREATOR_ID)
+      assert.strictEqual(db.ran(/status = 'verified'/).length, 1)
+    })
+
+    it('counts a wrong code and leaves the claim pending', async () => {
+      const db = useDb({ attempts: 1 })
+
+      await assert.rejects(
+        creatorPortalService.verifyClaim(USER_ID, 7, '000000'),
+        new RegExp(`${MAX_CLAIM_ATTEMPTS - 2} attempt\\(s\\) left`)
+      )
+
+      const [update] = db.ran(/SET attempts/)
+      assert.deepStrictEqual(update.params, [2, 'pending', 7])
+      assert.strictEqual(db.ran(/UPDATE creators/).length, 0)
+    })
+
+    it('fails the claim on its last wrong code', async () => {
+      const db = useDb({ attempts: MAX_CLAIM_ATTEMPTS - 1 })
+
+      await assert.rejects(creatorPortalService.verifyClaim(USER_ID, 7, '000000'), /Too many attempts/)
+
+      const [update] = db.ran(/SET attempts/)
+      assert.deepStrictEqual(update.params, [MAX_CLAIM_ATTEMPTS, 'failed', 7])
+    })
+
+    it('refuses even the right code while the user is locked out', async () => {
+      const db = useDb({}, { user_failed_attempts: String(MAX_FAILED_CLAIM_ATTEMPTS_PER_WINDOW) })
+
+      await assert.rejects(
+        creatorPortalService.verifyClaim(USER_ID, 7, code),
+        /^Error: Too many failed claim attempts/
+      )
+      assert.strictEqual(db.ran(/UPDATE creators/).length, 0)
+      assert.strictEqual(db.ran(/ROLLBACK/).length, 1)
+    })
+  })
+})
+
+describe('creatorPortalService payout details', () => {
+  const originalPool = creatorPortalService.pool
+  const originalCreateContact = razorpayService.createContact
+  const originalCreateFundAccount = razorpayService.createFundAccount
+  let fundAccounts
+
+  beforeEach(() => {
+    fundAccounts = []
+    razorpayService.createContact = async () => ({ id: 'cont_1' })
+    razorpayService.createFundAccount = async (data) => {
+      fundAccounts.push(data)
+      return { id: 'fa_1', contact_id: data.contact_id }
+    }
+  })
+
+  afterEach(() => {
+    creatorPortalService.pool = originalPool
+    razorpayService.createContact = originalCreateContact
+    razorpayService.createFundAccount = originalCreateFundAccount
+  })
+
+  const useDb = () => {
+    const db = createFakeDb([
+      [/SELECT id FROM creators WHERE claimed_by_user_id/, () => ({ rows: [{ id: CREATOR_ID }] })],
+      [/INSERT INTO creator_payout_details/, (params) => ({
+        rows: [{
+          payout_method: params[1],
+          account_holder_name: params[2],
+          bank_account_last4: params[3],
+          ifsc: params[4],
+          vpa: params[5],
+          razorpay_contact_id: params[6],
+          razorpay_fund_account_id: params[7]
+        }]
+      })]
+    ])
+    creatorPortalService.pool = db
+    return db
+  }
+
+  it('hands the account number to Razorpay and keeps only its last 4 digits', async () => {
+    const db = useDb()
+
+    const { payout_details: details } = await creatorPortalService.savePayoutDetails(USER_ID, {
+      payout_method: 'bank_account',
+      account_holder_name: 'Asha Rao',
+      bank_account_number: '001234567890',
+      ifsc: 'hdfc0001234'
+    })
+
+    assert.deepStrictEqual(fundAccounts[0].bank_account, {
+      name: 'Asha Rao',
+      ifsc: 'HDFC0001234',
+      account_number: '001234567890'
+    })
+    const [insert] = db.ran(/INSERT INTO creator_payout_details/)
+    assert.deepStrictEqual(insert.params.slice(3, 8), ['7890', 'HDFC0001234', null, 'cont_1', 'fa_1'])
+    assert.ok(!JSON.stringify(insert.params).includes('001234567890'))
+    assert.strictEqual(details.bank_account_last4, '7890')
+    assert.ok(!JSON.stringify(details).includes('001234567890'))
+  })
+
+  it('registers UPI payouts as a vpa fund account', async () => {
+    useDb()
+
+    await creatorPortalService.savePayoutDetails(USER_ID, {
+      payout_method: 'vpa',
+      account_holder_name: 'Asha Rao',
+      vpa: 'asha@okbank'
+    })
+
+    assert.deepStrictEqual(fundAccounts[0], {
+      contact_id: 'cont_1',
+      account_type: 'vpa',
+      vpa: { address: 'asha@okbank' }
+    })
+  })
+
+  it('rejects incomplete details before creating a fund account', async () => {
+    const db = useDb()
+
+    await assert.rejects(
+      creatorPortalService.savePayoutDetails(USER_ID, { payout_method: 'bank_account', account_holder_name: 'Asha Rao' }),
+      /Invalid payout details/
+    )
+    assert.strictEqual(fundAccounts.length, 0)
+    assert.strictEqual(db.ran(/INSERT INTO creator_payout_details/).length, 0)
+  })
+})
@@ -0,0 +1,216 @@
+// tests/creators/creatorRateCardService.test.js
+const { describe, it, afterEach } = require('node:test')
+const assert = require('node:assert')
+const { createFakeDb } = require('../helpers')
+const creatorRateCardService = require('../../services/creators/creatorRateCardService')
+
+const rateCard = {
+  id: 3,
+  version: 2,
+  currency: 'USD',
+  rates: { instagram: { post: 1000, story: 200 }, youtube: { video: 3000 } },
+  packages: [
+    {
+      name: 'Launch',
+      items: [
+        { platform: 'instagram', format: 'post', quantity: 1 },
+        { platform: 'instagram', format: 'story', quantity: 3 }
+      ],
+      price: 1400
+    }
+  ],
+  usage_rights: { paid_ads: 10, website: 5 },
+  exclusivity_pct_per_month: 5,
+  rush_fee: { percent: 20, within_days: 7 },
+  volume_discounts: [{ min_deliverables: 3, percent: 5 }, { min_deliverables: 5, percent: 10 }]
+}
+
+const lineItem = (quote, type) => quote.line_items.find((item) => item.type === type)
+
+describe('creatorRateCardService', () => {
+  describe('calculateQuote', () => {
+    it('prices deliverables at their rates', () => {
+      const quote = creatorRateCardService.calculateQuote(rateCard, {
+        deliverables: [{ platform: 'instagram', format: 'post', quantity: 2 }]
+      })
+
+      assert.strictEqual(quote.currency, 'USD')
+      assert.strictEqual(quote.deliverable_count, 2)
+      assert.strictEqual(quote.subtotal, 2000)
+      assert.strictEqual(quote.discount, 0)
+      assert.strictEqual(quote.total, 2000)
+      assert.deepStrictEqual(
+        { quantity: lineItem(quote, 'deliverable').quantity, unit_price: lineItem(quote, 'deliverable').unit_price },
+        { quantity: 2, unit_price: 1000 }
+      )
+    })
+
+    it('prices a package as a whole and counts its items towards volume discounts', () => {
+      const quote = creatorRateCardService.calculateQuote(rateCard, { packages: ['launch'] })
+
+      // 4 deliverables reach the 5% tier only
+      assert.strictEqual(quote.deliverable_count, 4)
+      assert.strictEqual(quote.subtotal, 1400)
+      assert.strictEqual(quote.discount, 70)
+      assert.strictEqual(quote.total, 1330)
+    })
+
+    it('applies the best volume discount reached', () => {
+      const quote = creatorRateCardService.calculateQuote(rateCard, {
+        deliverables: [{ platform: 'instagram', format: 'story', quantity: 6 }]
+      })
+
+      assert.strictEqual(quote.discount, 120)
+      assert.strictEqual(lineItem(quote, 'volume_discount').amount, -120)
+      assert.strictEqual(quote.total, 1080)
+    })
+
+    it('charges usage rights, exclusivity and rush fees on the discounted fee', () => {
+      const quote = creatorRateCardService.calculateQuote(rateCard, {
+        packages: ['Launch'],
+        deliverables: [{ platform: 'instagram', format: 'post', quantity: 2 }],
+        usage_rights: [{ type: 'paid_ads', months: 2 }],
+        exclusivity_months: 1,
+        delivery_days: 3
+      })
+
+      // 3400 with 10% off for 6 deliverables is a 3060 fee
+      assert.strictEqual(quote.subtotal, 3400)
+      assert.strictEqual(quote.discount, 340)
+      assert.strictEqual(lineItem(quote, 'usage_rights').amount, 612)
+      assert.strictEqual(lineItem(quote, 'exclusivity').amount, 153)
+      assert.strictEqual(lineItem(quote, 'rush_fee').amount, 612)
+      assert.strictEqual(quote.add_ons, 1377)
+      assert.strictEqual(quote.total, 4437)
+    })
+
+    it('leaves out the rush fee for delivery outside the rush window', () => {
+      const quote = creatorRateCardService.calculateQuote(rateCard, {
+        deliverables: [{ platform: 'youtube', format: 'video' }],
+        delivery_days: 8
+      })
+
+      assert.strictEqual(lineItem(quote, 'rush_fee'), undefined)
+      assert.strictEqual(quote.total, 3000)
+    })
+
+    it('converts every amount to the requested currency', () => {
+      const quote = creatorRateCardService.calculateQuote(
+        rateCard,
+        { deliverables: [{ platform: 'instagram', format: 'post', quantity: 2 }], currency: 'inr' },
+        { USD: 1, INR: 83 }
+      )
+
+      assert.strictEqual(quote.currency, 'INR')
+      assert.strictEqual(quote.rate_card_currency, 'USD')
+      assert.strictEqual(lineItem(quote, 'deliverable').unit_price, 83000)
+      assert.strictEqual(quote.total, 166000)
+    })
+
+    it('refuses a currency without an exchange rate', () => {
+      assert.throws(
+        () => creatorRateCardService.calculateQuote(
+          rateCard,
+          { deliverables: [{ platform: 'instagram', format: 'post' }], currency: 'EUR' },
+          { USD: 1 }
+        ),
+        /^Error: Invalid quote: no exchange rate from USD to EUR/
+      )
+    })
+
+    it('refuses unknown packages, unrated deliverables and add-ons the card does not offer', () => {
+      const quote = (request) => () => creatorRateCardService.calculateQuote(rateCard, request)
+      const post = { platform: 'instagram', format: 'post' }
+
+      assert.throws(quote({ packages: ['Mega'] }), /no package 'Mega'/)
+      assert.throws(quote({ deliverables: [{ platform: 'tiktok', format: 'video' }] }), /no rate for tiktok video/)
+      assert.throws(quote({ deliverables: [post], usage_rights: [{ type: 'offline', months: 1 }] }), /offline usage rights/)
+      assert.throws(
+        () => creatorRateCardService.calculateQuote(
+          { ...rateCard, exclusivity_pct_per_month: null },
+          { deliverables: [post], exclusivity_months: 2 }
+        ),
+        /does not offer exclusivity/
+      )
+      assert.throws(quote({}), /at least one deliverable or package/)
+    })
+  })
+
+  describe('getCampaignQuote', () => {
+    const originalPool = creatorRateCardService.pool
+    const campaign = { id: 'campaign-1', campaign_type: 'product_review', currency: 'USD' }
+    const planned = [
+      { platform: 'instagram', format: 'post', quantity: 1 },
+      { platform: 'instagram', format: 'story', quantity: 2 }
+    ]
+
+    afterEach(() => {
+      creatorRateCardService.pool = originalPool
+    })
+
+    const useDb = (savedQuote, currentCard = rateCard) => {
+      const db = createFakeDb([
+        [/FROM campaign_deliverables/, () => ({ rows: planned })],
+        [/SELECT \* FROM creator_quotes/, () => ({ rows: savedQuote ? [savedQuote] : [] })],
+        [/FROM creator_rate_cards/, () => ({ rows: [currentCard] })],
+        [/SELECT id FROM creators/, () => ({ rows: [{ id: 'creator-1' }] })],
+        [/INSERT INTO creator_quotes/, () => ({ rows: [{ id: 99, created_at: new Date(), expires_at: new Date() }] })]
+      ])
+      creatorRateCardService.pool = db
+      return db
+    }
+
+    const savedQuote = (overrides = {}) => ({
+      id: 12,
+      rate_card_id: 3,
+      rate_card_version: 2,
+      currency: 'USD',
+      request: { deliverables: [...planned].reverse(), currency: 'USD' },
+      line_items: [],
+      subtotal: '1400.00',
+      discount: '70.00',
+      add_ons: '0.00',
+      total: '1330.00',
+      ...overrides
+    })
+
+    it('reuses a saved quote for the same deliverables on the current rate card', async () => {
+      const db = useDb(savedQuote())
+
+      const quote = await creatorRateCardService.getCampaignQuote('creator-1', campaign)
+
+      assert.strictEqual(quote.id, 12)
+      assert.strictEqual(quote.total, 1330)
+      assert.strictEqual(db.ran(/INSERT INTO creator_quotes/).length, 0)
+    })
+
+    it('quotes again after the creator saves a new rate card version', async () => {
+      const db = useDb(savedQuote(), { ...rateCard, id: 4, version: 3 })
+
+      const quote = await creatorRateCardService.getCampaignQuote('creator-1', campaign)
+
+      assert.strictEqual(quote.id, 99)
+      assert.strictEqual(quote.rate_card_version, 3)
+      assert.strictEqual(db.ran(/INSERT INTO creator_quotes/).length, 1)
+    })
+
+    it('quotes again when the campaign deliverables changed', async () => {
+      const db = useDb(savedQuote({
+        request: { deliverables: [{ platform: 'instagram', format: 'post', quantity: 1 }], currency: 'USD' }
+      }))
+
+      const quote = await creatorRateCardService.getCampaignQuote('creator-1', campaign)
+
+      assert.strictEqual(quote.id, 99)
+      assert.deepStrictEqual(JSON.parse(db.ran(/INSERT INTO creator_quotes/)[0].params[4]).deliverables, planned)
+    })
+
+    it('quotes again when the campaign currency changed', async () => {
+      useDb(savedQuote({ currency: 'INR' }))
+
+      const quote = await creatorRateCardService.getCampaignQuote('creator-1', campaign)
+
+      assert.strictEqual(quote.id, 99)
+    })
+  })
+})
@@ -0,0 +1,85 @@
+// tests/currency/currencyService.test.js
+const { describe, it, afterEach } = require('node:test')
+const assert = require('node:assert')
+const { createFakeDb } = require('../helpers')
+const currencyService = require('../../services/currency/currencyService')
+
+// Units per US dollar
+const rates = { USD: 1, INR: 83, EUR: 0.92 }
+
+describe('currencyService', () => {
+  describe('convert', () => {
+    it('converts through the base currency and rounds to cents', () => {
+      assert.strictEqual(currencyService.convert(100, 'USD', 'INR', rates), 8300)
+      assert.strictEqual(currencyService.convert(8300, 'INR', 'USD', rates), 100)
+      assert.strictEqual(currencyService.convert(1000, 'EUR', 'INR', rates), 90217.39)
+    })
+
+    it('returns the amount as is for the same currency, without rates', () => {
+      assert.strictEqual(currencyService.convert('1500.5', 'inr', 'INR', null), 1500.5)
+    })
+
+    it('treats a missing currency as the default currency', () => {
+      assert.strictEqual(currencyService.convert(10, null, 'INR', rates), 830)
+    })
+
+    it('returns null without a rate for either currency', () => {
+      assert.strictEqual(currencyService.convert(100, 'USD', 'GBP', rates), null)
+      assert.strictEqual(currencyService.convert(100, 'GBP', 'USD', rates), null)
+      assert.strictEqual(currencyService.convert(100, 'USD', 'INR', null), null)
+    })
+
+    it('returns null for an amount that is not a number', () => {
+      assert.strictEqual(currencyService.convert('abc', 'USD', 'INR', rates), null)
+    })
+  })
+
+  describe('convertAmount', () => {
+    const originalPool = currencyService.pool
+
+    afterEach(() => {
+      currencyService.pool = originalPool
+      currencyService.rates = null
+      currencyService.ratesLoadedAt = 0
+    })
+
+    const useRates = () => {
+      const db = createFakeDb([
+        [/FROM fx_rates/, () => ({
+          rows: [{ currency: 'INR', units_per_base: '83.000000' }, { currency: 'EUR', units_per_base: '0.92' }]
+        })]
+      ])
+      currencyService.pool = db
+      return db
+    }
+
+    it('loads rates from fx_rates and describes the conversion', async () => {
+      useRates()
+
+      const result = await currencyService.convertAmount(50, 'usd', 'inr')
+
+      assert.strictEqual(result.converted_amount, 4150)
+      assert.strictEqual(result.rate, 83)
+      assert.strictEqual(result.from, 'USD')
+      assert.strictEqual(result.to, 'INR')
+    })
+
+    it('caches loaded rates', async () => {
+      const db = useRates()
+
+      await currencyService.convertAmount(1, 'USD', 'INR')
+      await currencyService.convertAmount(1, 'USD', 'EUR')
+
+      assert.strictEqual(db.ran(/FROM fx_rates/).length, 1)
+    })
+
+    it('refuses a currency without a rate', async () => {
+      useRates()
+
+      await assert.rejects(
+        currencyService.convertAmount(1, 'USD', 'GBP'),
+        /^Error: Invalid conversion: no exchange rate for GBP/
+      )
+    })
+  })
+})
@@ -0,0 +1,55 @@
+// tests/docusign/docusign.test.js
+const { describe, it } = require('node:test')
+const assert = require('node:assert')
+require('../helpers')
+const ContractService = require('../../services/docusign/docusign')
+
+const contractService = new ContractService()
+
+const quote = {
+  id: 9,
+  currency: 'USD',
+  rate_card_version: 2,
+  total: 1330,
+  line_items: [
+    { type: 'package', description: 'Launch', amount: 1400 },
+    { type: 'volume_discount', description: '5% off 4 deliverables', amount: -70 }
+  ]
+}
+
+describe('ContractService', () => {
+  describe('parsePaymentAmount', () => {
+    it('reads amounts with symbols, separators and codes', () => {
+      assert.strictEqual(contractService.parsePaymentAmount('$1,330.00'), 1330)
+      assert.strictEqual(contractService.parsePaymentAmount('1 330 USD'), 1330)
+      assert.strictEqual(contractService.parsePaymentAmount('50k'), null)
+      assert.strictEqual(contractService.parsePaymentAmount(''), null)
+    })
+  })
+
+  describe('formatQuoteBreakdown', () => {
+    it('shows the quote as the payment breakdown when the payment is its total', () => {
+      const html = contractService.formatQuoteBreakdown(quote, { paymentAmount: '$1,330', currency: 'USD' })
+
+      assert.match(html, /<h3>Rate card quote<\/h3>/)
+      assert.match(html, /Total: \$1,330\.00 \(quote #9, rate card v2\)/)
+      assert.doesNotMatch(html, /reference/i)
+    })
+
+    it('labels the quote as a reference and explains a different agreed payment', () => {
+      const html = contractService.formatQuoteBreakdown(quote, { paymentAmount: '1500', currency: 'USD' })
+
+      assert.match(html, /<h3>Reference rate card quote<\/h3>/)
+      assert.match(html, /replaces this quote's total of \$1,330\.00/)
+      assert.match(html, /The agreed payment is \$170\.00 above the quote\./)
+      assert.doesNotMatch(html, /<p>Total:/)
+    })
+
+    it('does not compare amounts in different currencies', () => {
+      const html = contractService.formatQuoteBreakdown(quote, { paymentAmount: '1330', currency: 'EUR' })
+
+      assert.match(html, /Reference rate card quote/)
+      assert.doesNotMatch(html, /above the quote|below the quote/)
+    })
+  })
+})
@@ -0,0 +1,49 @@
+// tests/helpers.js
+// Services create their OpenAI/Pinecone clients when loaded; tests never call them
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test'
+process.env.PINECONE_API_KEY = process.env.PINECONE_API_KEY || 'test'
+
+const express = require('express')
+const sendResponse = require('../responses/sendResponse')
+
+// Stand-in for a pg Pool (and the clients it hands out). Each query goes to the first
+// handler whose pattern matches the SQL; unmatched queries return no rows.
+const createFakeDb = (handlers = []) => {
+  const queries = []
+
+  const query = async (sql, params = []) => {
+    queries.push({ sql, params })
+    const handler = handlers.find(([pattern]) => pattern.test(sql))
+    if (!handler) return { rows: [], rowCount: 0 }
+
+    const result = await handler[1](params, sql)
+    return { rows: [], rowCount: 0, ...result }
+  }
+
+  return {
+    queries,
+    query,
+    connect: async () => ({ query, release: () => {} }),
+    // SQL of the queries matching a pattern, in order
+    ran: (pattern) => queries.filter(({ sql }) => pattern.test(sql))
+  }
+}
+
+// Serve a controller's router on a local port with the app's res.sendJson.
+// Resolves to the base URL and a close function.
+const serveRouter = (router) => new Promise((resolve) => {
+  const app = express()
+  app.use(express.json())
+  app.use((req, res, next) => {
+    res.sendJson = (options) => sendResponse.send(res, options)
+    next()
+  })
+  app.use(router)
+
+  const server = app.listen(0, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve))
+  }))
+})
+
+module.exports = { createFakeDb, serveRouter }
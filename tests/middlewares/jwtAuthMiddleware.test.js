@@ -0,0 +1,58 @@
+// tests/middlewares/jwtAuthMiddleware.test.js
+const { describe, it, afterEach } = require('node:test')
+const assert = require('node:assert')
+const jwtAuth = require('../../middlewares/auth/jwtAuthMiddleware')
+
+describe('jwtAuth.auditLog', () => {
+  const originalLog = console.log
+
+  afterEach(() => {
+    console.log = originalLog
+  })
+
+  const audit = (action, body) => {
+    const lines = []
+    console.log = (...args) => lines.push(args.join(' '))
+    let passed = false
+
+    jwtAuth.auditLog(action)(
+      {
+        method: 'PUT',
+        body,
+        user: { id: 'user-1', role: 'creator' },
+        ip: '127.0.0.1',
+        originalUrl: '/api/creators/me/payout-details',
+        get: () => 'test-agent'
+      },
+      {},
+      () => { passed = true }
+    )
+
+    assert.ok(passed)
+    return lines.join('\n')
+  }
+
+  it('keeps payout details out of the log', () => {
+    const line = audit('SAVE_CREATOR_PAYOUT_DETAILS', {
+      payout_method: 'bank_account',
+      account_holder_name: 'Asha Rao',
+      bank_account_number: '001234567890',
+      ifsc: 'HDFC0001234',
+      vpa: 'asha@okbank'
+    })
+
+    assert.match(line, /SAVE_CREATOR_PAYOUT_DETAILS/)
+    assert.match(line, /"account_holder_name":"Asha Rao"/)
+    assert.match(line, /"bank_account_number":"\[REDACTED\]"/)
+    for (const secret of ['001234567890', 'HDFC0001234', 'asha@okbank']) {
+      assert.ok(!line.includes(secret), `${secret} was logged`)
+    }
+  })
+
+  it('keeps claim codes out of the log', () => {
+    const line = audit('VERIFY_CREATOR_CLAIM', { claim_id: 7, code: '482913' })
+
+    assert.match(line, /"claim_id":7/)
+    assert.ok(!line.includes('482913'))
+  })
+})
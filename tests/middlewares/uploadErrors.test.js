@@ -0,0 +1,82 @@
+// tests/middlewares/uploadErrors.test.js
+/* global fetch, FormData, Blob */
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert')
+const express = require('express')
+const multer = require('multer')
+const { serveRouter } = require('../helpers')
+const __constants = require('../../config/constants')
+const uploadErrors = require('../../middlewares/uploadErrors')
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10, files: 2 },
+  fileFilter: (req, file, cb) => {
+    if (file.originalname.endsWith('.csv')) {
+      cb(null, true)
+    } else {
+      cb(new Error('Invalid file type. Please upload a CSV file.'), false)
+    }
+  }
+})
+
+const form = (files) => {
+  const body = new FormData()
+  files.forEach(([field, name, content]) => body.append(field, new Blob([content]), name))
+  return body
+}
+
+describe('uploadErrors', () => {
+  let server
+
+  before(async () => {
+    const router = express.Router()
+    router.post(
+      '/upload',
+      uploadErrors(upload.array('files'), { LIMIT_FILE_SIZE: 'File too large: at most 10 bytes' }),
+      (req, res) => res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: req.files.length })
+    )
+    router.post(
+      '/broken',
+      uploadErrors((req, res, next) => next(new Error('disk on fire'))),
+      (req, res) => res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS })
+    )
+    server = await serveRouter(router)
+  })
+
+  after(() => server.close())
+
+  const post = async (path, files) => {
+    const response = await fetch(`${server.url}${path}`, { method: 'POST', body: form(files) })
+    return { status: response.status, body: await response.json().catch(() => null) }
+  }
+
+  it('passes accepted uploads through', async () => {
+    const { body } = await post('/upload', [['files', 'a.csv', 'x,y']])
+
+    assert.strictEqual(body.code, __constants.RESPONSE_MESSAGES.SUCCESS.code)
+    assert.strictEqual(body.data, 1)
+  })
+
+  it('answers every rejected upload with INVALID_REQUEST', async () => {
+    const cases = [
+      [[['files', 'a.pdf', 'x']], 'Invalid file type. Please upload a CSV file.'],
+      [[['files', 'a.csv', 'more than ten bytes']], 'File too large: at most 10 bytes'],
+      [[['files', 'a.csv', '1'], ['files', 'b.csv', '2'], ['files', 'c.csv', '3']], 'Too many files'],
+      [[['other', 'a.csv', '1']], 'Unexpected file field: other']
+    ]
+
+    for (const [files, message] of cases) {
+      const { body } = await post('/upload', files)
+
+      assert.strictEqual(body.code, __constants.RESPONSE_MESSAGES.INVALID_REQUEST.code)
+      assert.strictEqual(body.error, message)
+    }
+  })
+
+  it('leaves other errors to the error handler', async () => {
+    const { status } = await post('/broken', [['files', 'a.csv', '1']])
+
+    assert.strictEqual(status, 500)
+  })
+})
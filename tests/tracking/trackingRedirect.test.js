@@ -0,0 +1,64 @@
+// tests/tracking/trackingRedirect.test.js
+/* global fetch */
+const { describe, it, before, after, afterEach } = require('node:test')
+const assert = require('node:assert')
+const { serveRouter } = require('../helpers')
+const __constants = require('../../config/constants')
+const trackingLinkService = require('../../services/campaigns/trackingLinkService')
+const trackingRedirect = require('../../controllers/tracking/trackingRedirect')
+
+describe('GET /r/:shortCode', () => {
+  const originalRecordClick = trackingLinkService.recordClick
+  let server
+  let visits
+
+  before(async () => {
+    server = await serveRouter(trackingRedirect)
+  })
+
+  after(() => server.close())
+
+  afterEach(() => {
+    trackingLinkService.recordClick = originalRecordClick
+  })
+
+  const stubLinks = (links) => {
+    visits = []
+    trackingLinkService.recordClick = async (shortCode, visitor) => {
+      visits.push({ shortCode, visitor })
+      return links[shortCode] || null
+    }
+  }
+
+  it('redirects to the destination without letting the redirect be cached', async () => {
+    stubLinks({ ABCDEFG: 'https://example.com/serum' })
+
+    const response = await fetch(`${server.url}/r/ABCDEFG`, {
+      redirect: 'manual',
+      headers: {
+        Referer: 'https://instagram.com/p/1',
+        'User-Agent': 'test-agent',
+        'X-Forwarded-For': '198.51.100.1'
+      }
+    })
+
+    assert.strictEqual(response.status, 302)
+    assert.strictEqual(response.headers.get('location'), 'https://example.com/serum')
+    assert.strictEqual(response.headers.get('cache-control'), 'no-store')
+    assert.strictEqual(visits[0].shortCode, 'ABCDEFG')
+    assert.strictEqual(visits[0].visitor.referrer, 'https://instagram.com/p/1')
+    assert.strictEqual(visits[0].visitor.userAgent, 'test-agent')
+    // No proxy is trusted here, so the forwarded address a client sends is ignored
+    assert.strictEqual(visits[0].visitor.ip, '127.0.0.1')
+  })
+
+  it('answers unknown codes with NO_RECORDS_FOUND', async () => {
+    stubLinks({})
+
+    const response = await fetch(`${server.url}/r/NOPE123`, { redirect: 'manual' })
+    const body = await response.json()
+
+    assert.strictEqual(body.code, __constants.RESPONSE_MESSAGES.NO_RECORDS_FOUND.code)
+    assert.strictEqual(body.error, 'Tracking link not found')
+  })
+})